@@ -0,0 +1,192 @@
+/**
+ * Per-meeting access control
+ *
+ * A meeting's data is visible to the user who invited the bot
+ * (block_meetings.invited_by_user_id) and to users linked to one of its
+ * attendees, either directly (block_attendees.user_id) or through the
+ * attendee's participant having the user's email. Attendees, participants
+ * and action item proposals are visible when a meeting they belong to is.
+ *
+ * registerAccessChecks() enforces this for every route with a :blockId,
+ * :attendeeId, :participantId or :proposalId parameter, so new routes are
+ * covered by naming their parameters consistently.
+ *
+ * Changing who said what takes more than read access: only a meeting's
+ * inviter may reattribute its speakers or control its bot (leave, cancel,
+ * retry), and a participant can only be merged
+ * away by the inviter of every meeting they attended. Likewise only the
+ * owner of the board an action item would land on, or the meeting's inviter,
+ * may approve or reject it.
+ */
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ID = /^\d+$/;
+
+// SQL condition: meeting alias bm is accessible to user $1 with email $2
+const CAN_ACCESS = `(bm.invited_by_user_id = $1 OR EXISTS (
+  SELECT 1 FROM block_attendees access_ba
+  LEFT JOIN conversation.participants access_p ON access_p.id = access_ba.participant_id
+  WHERE access_ba.block_id = bm.block_id
+    AND (access_ba.user_id = $1 OR lower(access_p.email) = lower($2))
+))`;
+
+/**
+ * Resolves to true when the user may read the meeting, false when they may
+ * not, and null when there is no such meeting.
+ */
+async function canAccessMeeting(pool, user, blockId) {
+  if (!UUID.test(String(blockId))) return null;
+  const result = await pool.query(
+    `SELECT ${CAN_ACCESS} AS allowed FROM block_meetings bm WHERE bm.block_id = $3`,
+    [user.id, user.email, blockId]
+  );
+  return result.rows[0] ? result.rows[0].allowed : null;
+}
+
+async function canAccessAttendee(pool, user, attendeeId) {
+  if (!ID.test(String(attendeeId))) return null;
+  const result = await pool.query(
+    `SELECT ${CAN_ACCESS} AS allowed
+     FROM block_attendees ba
+     JOIN block_meetings bm ON bm.block_id = ba.block_id
+     WHERE ba.id = $3`,
+    [user.id, user.email, attendeeId]
+  );
+  return result.rows[0] ? result.rows[0].allowed : null;
+}
+
+// A participant is visible when any meeting they attended is
+async function canAccessParticipant(pool, user, participantId) {
+  if (!ID.test(String(participantId))) return null;
+  const result = await pool.query(
+    `SELECT p.id,
+            EXISTS (
+              SELECT 1 FROM block_attendees ba
+              JOIN block_meetings bm ON bm.block_id = ba.block_id
+              WHERE ba.participant_id = p.id AND ${CAN_ACCESS}
+            ) AS allowed
+     FROM conversation.participants p
+     WHERE p.id = $3`,
+    [user.id, user.email, participantId]
+  );
+  return result.rows[0] ? result.rows[0].allowed : null;
+}
+
+// Whether the user invited the bot to the meeting; null when there is no such meeting
+async function canManageMeeting(pool, user, blockId) {
+  if (!UUID.test(String(blockId))) return null;
+  const result = await pool.query(
+    'SELECT bm.invited_by_user_id = $1 AS allowed FROM block_meetings bm WHERE bm.block_id = $2',
+    [user.id, blockId]
+  );
+  return result.rows[0] ? Boolean(result.rows[0].allowed) : null;
+}
+
+// Whether the user invited the bot to the attendee's meeting; null when there is no such attendee
+async function canManageAttendee(pool, user, attendeeId) {
+  if (!ID.test(String(attendeeId))) return null;
+  const result = await pool.query(
+    `SELECT bm.invited_by_user_id = $1 AS allowed
+     FROM block_attendees ba
+     JOIN block_meetings bm ON bm.block_id = ba.block_id
+     WHERE ba.id = $2`,
+    [user.id, attendeeId]
+  );
+  return result.rows[0] ? Boolean(result.rows[0].allowed) : null;
+}
+
+// Whether the user invited the bot to every meeting the participant attended
+// or spoke in (a merge moves all of their attendees and turns)
+async function canManageParticipant(pool, user, participantId) {
+  if (!ID.test(String(participantId))) return null;
+  const result = await pool.query(
+    `SELECT p.id,
+            EXISTS (
+              SELECT 1 FROM block_attendees ba WHERE ba.participant_id = p.id
+            ) AND NOT EXISTS (
+              SELECT 1 FROM block_attendees ba
+              JOIN block_meetings bm ON bm.block_id = ba.block_id
+              WHERE ba.participant_id = p.id AND bm.invited_by_user_id IS DISTINCT FROM $1
+            ) AND NOT EXISTS (
+              SELECT 1 FROM conversation.turns t
+              WHERE t.participant_id = p.id AND NOT EXISTS (
+                SELECT 1 FROM block_turns bt
+                JOIN block_meetings bm ON bm.block_id = bt.block_id
+                WHERE bt.turn_id = t.turn_id AND bm.invited_by_user_id = $1
+              )
+            ) AS allowed
+     FROM conversation.participants p
+     WHERE p.id = $2`,
+    [user.id, participantId]
+  );
+  return result.rows[0] ? result.rows[0].allowed : null;
+}
+
+// Whether the user owns the proposal's board or invited the bot to its meeting; null when there is no such proposal
+async function canManageProposal(pool, user, proposalId) {
+  if (!ID.test(String(proposalId))) return null;
+  const result = await pool.query(
+    `SELECT aip.board_owner_id = $1 OR bm.invited_by_user_id = $1 AS allowed
+     FROM action_item_proposals aip
+     JOIN block_meetings bm ON bm.block_id = aip.block_id
+     WHERE aip.id = $2`,
+    [user.id, proposalId]
+  );
+  return result.rows[0] ? Boolean(result.rows[0].allowed) : null;
+}
+
+async function canAccessProposal(pool, user, proposalId) {
+  if (!ID.test(String(proposalId))) return null;
+  const result = await pool.query(
+    `SELECT ${CAN_ACCESS} AS allowed
+     FROM action_item_proposals aip
+     JOIN block_meetings bm ON bm.block_id = aip.block_id
+     WHERE aip.id = $3`,
+    [user.id, user.email, proposalId]
+  );
+  return result.rows[0] ? result.rows[0].allowed : null;
+}
+
+const CHECKS = {
+  blockId: { check: canAccessMeeting, label: 'Meeting' },
+  attendeeId: { check: canAccessAttendee, label: 'Attendee' },
+  participantId: { check: canAccessParticipant, label: 'Participant' },
+  proposalId: { check: canAccessProposal, label: 'Action item' }
+};
+
+// 404 for unknown ids, 403 for ones the signed-in user can't see
+function registerAccessChecks(app, { pool }) {
+  for (const [param, { check, label }] of Object.entries(CHECKS)) {
+    app.param(param, async (req, res, next, value) => {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      try {
+        const allowed = await check(pool, req.user, value);
+        if (allowed === null) {
+          return res.status(404).json({ error: `${label} not found` });
+        }
+        if (!allowed) {
+          return res.status(403).json({ error: `You do not have access to this ${label.toLowerCase()}` });
+        }
+        next();
+      } catch (error) {
+        console.error(`Error checking ${label.toLowerCase()} access:`, error.message);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+  }
+}
+
+module.exports = {
+  canAccessMeeting,
+  canAccessAttendee,
+  canAccessParticipant,
+  canAccessProposal,
+  canManageMeeting,
+  canManageAttendee,
+  canManageParticipant,
+  canManageProposal,
+  registerAccessChecks,
+  CAN_ACCESS
+};
@@ -0,0 +1,262 @@
+/**
+ * Action items → kanban cards
+ *
+ * Action items from a meeting's summary become proposals
+ * (action_item_proposals), one per source turn. A proposal turns into a card
+ * on the inviter's meeting board when approved. With autoApprove, cards are
+ * created straight away. The assignee is the user linked to the owning
+ * attendee (directly, through another attendee row of the same participant,
+ * or by email). The due date is parsed from phrases like "by Friday",
+ * relative to when the meeting was held.
+ */
+
+const { withTransaction } = require('./db');
+const { parseDueDate, formatDate } = require('./due-dates');
+
+const BOARD_NAME = 'Meeting action items';
+const BOARD_COLUMNS = ['To do', 'In progress', 'Done'];
+const MAX_TITLE_LENGTH = 255;
+
+function cardTitle(text) {
+  const title = String(text || '').trim().replace(/\s+/g, ' ');
+  return title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1)}…` : title;
+}
+
+async function resolveAssignee(client, attendeeId) {
+  if (!attendeeId) return null;
+  const result = await client.query(
+    `SELECT COALESCE(
+       ba.user_id,
+       (SELECT other.user_id FROM block_attendees other
+        WHERE other.participant_id = ba.participant_id AND other.user_id IS NOT NULL
+        ORDER BY other.created_at DESC LIMIT 1),
+       (SELECT u.id FROM client_mgmt.users u
+        JOIN conversation.participants p ON p.id = ba.participant_id
+        WHERE lower(u.email) = lower(COALESCE(ba.email, p.email)) AND u.active = true
+        LIMIT 1)
+     ) AS user_id
+     FROM block_attendees ba
+     WHERE ba.id = $1`,
+    [attendeeId]
+  );
+  return result.rows[0] ? result.rows[0].user_id : null;
+}
+
+// The inviter's meeting board (created with its columns on first use); returns its first column
+async function boardColumn(client, ownerId) {
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`meeting-board:${ownerId}`]);
+
+  const existing = await client.query(
+    `SELECT c.id AS column_id, b.id AS board_id
+     FROM kanban.boards b
+     JOIN kanban.columns c ON c.board_id = b.id
+     WHERE b.owner_id = $1 AND b.metadata->>'source' = 'meetings'
+     ORDER BY b.id, c.position
+     LIMIT 1`,
+    [ownerId]
+  );
+  if (existing.rows[0]) return existing.rows[0];
+
+  const board = await client.query(
+    `INSERT INTO kanban.boards (name, description, owner_id, metadata)
+     VALUES ($1, $2, $3, $4) RETURNING id`,
+    [BOARD_NAME, 'Action items picked up by the meeting bot', ownerId, { source: 'meetings' }]
+  );
+  const boardId = board.rows[0].id;
+
+  let firstColumnId = null;
+  for (const [position, name] of BOARD_COLUMNS.entries()) {
+    const column = await client.query(
+      'INSERT INTO kanban.columns (board_id, name, position) VALUES ($1, $2, $3) RETURNING id',
+      [boardId, name, position]
+    );
+    if (firstColumnId === null) firstColumnId = column.rows[0].id;
+  }
+  return { board_id: boardId, column_id: firstColumnId };
+}
+
+async function createCard(client, proposal) {
+  const { column_id: columnId, board_id: boardId } = await boardColumn(client, proposal.board_owner_id);
+  const positionResult = await client.query(
+    'SELECT COALESCE(MAX(position), 0) + 1 AS position FROM kanban.cards WHERE column_id = $1',
+    [columnId]
+  );
+
+  const card = await client.query(
+    `INSERT INTO kanban.cards (column_id, title, description, assigned_to, position, due_date, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      columnId,
+      proposal.title,
+      proposal.description,
+      proposal.assignee_user_id,
+      positionResult.rows[0].position,
+      proposal.due_date,
+      {
+        source: 'meeting',
+        block_id: proposal.block_id,
+        turn_id: proposal.turn_id,
+        proposal_id: proposal.id,
+        owner: proposal.owner_name,
+        due_hint: proposal.due_hint
+      }
+    ]
+  );
+  return { ...card.rows[0], board_id: boardId };
+}
+
+/**
+ * Record proposals for the action items in a meeting's stored summary.
+ * Items already proposed (same source turn) are left alone. Resolves to the
+ * new proposals; with autoApprove their cards are created too.
+ */
+async function proposeActionItems(pool, blockId, { autoApprove = false } = {}) {
+  const meetingResult = await pool.query(
+    `SELECT b.summary, bm.invited_by_user_id, COALESCE(bm.started_at, bm.created_at) AS held_at
+     FROM blocks b
+     JOIN block_meetings bm ON bm.block_id = b.block_id
+     WHERE b.block_id = $1`,
+    [blockId]
+  );
+  const meeting = meetingResult.rows[0];
+  if (!meeting || !meeting.summary) return [];
+
+  const proposals = [];
+  for (const item of meeting.summary.action_items || []) {
+    const proposal = await withTransaction(pool, async client => {
+      const assignee = await resolveAssignee(client, item.owner_attendee_id);
+      const inserted = await client.query(
+        `INSERT INTO action_item_proposals
+           (block_id, turn_id, title, description, owner_attendee_id, owner_name,
+            assignee_user_id, board_owner_id, due_date, due_hint)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (turn_id) DO NOTHING
+         RETURNING *`,
+        [
+          blockId,
+          item.turn_id,
+          cardTitle(item.text),
+          `${item.owner} in the meeting: "${item.text}"`,
+          item.owner_attendee_id,
+          item.owner,
+          assignee,
+          meeting.invited_by_user_id,
+          formatDate(parseDueDate(item.due_hint, meeting.held_at)),
+          item.due_hint
+        ]
+      );
+      return inserted.rows[0] || null;
+    });
+    if (proposal) proposals.push(proposal);
+  }
+
+  if (autoApprove) {
+    for (const [i, proposal] of proposals.entries()) {
+      if (!proposal.board_owner_id) continue;
+      proposals[i] = await approveProposal(pool, proposal.id);
+    }
+  }
+  return proposals;
+}
+
+// A YYYY-MM-DD string naming a real calendar day
+function isCalendarDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return formatDate(date) === value;
+}
+
+/**
+ * Validate the fields a reviewer may change on approval: title, assignee_user_id
+ * (a user id, or null to leave the card unassigned) and due_date (YYYY-MM-DD or null).
+ * Resolves to { overrides } or { error }.
+ */
+function parseApprovalOverrides(body = {}) {
+  const overrides = {};
+  if (body.title !== undefined) {
+    if (typeof body.title !== 'string' || !body.title.trim()) return { error: 'title must be a non-empty string' };
+    overrides.title = body.title;
+  }
+  if (body.assignee_user_id !== undefined) {
+    const id = body.assignee_user_id === null ? null : Number(body.assignee_user_id);
+    if (id !== null && !(Number.isSafeInteger(id) && id > 0)) return { error: 'assignee_user_id must be a user id or null' };
+    overrides.assignee_user_id = id;
+  }
+  if (body.due_date !== undefined) {
+    if (body.due_date !== null && !isCalendarDate(body.due_date)) return { error: 'due_date must be a YYYY-MM-DD date or null' };
+    overrides.due_date = body.due_date;
+  }
+  return { overrides };
+}
+
+/**
+ * Approve a pending proposal and create its card. overrides come from
+ * parseApprovalOverrides(). Resolves to the approved proposal with its card,
+ * null for an unknown proposal, or { error, status } when it can't be approved.
+ */
+async function approveProposal(pool, proposalId, overrides = {}, reviewerId = null) {
+  return withTransaction(pool, async client => {
+    const result = await client.query(
+      'SELECT * FROM action_item_proposals WHERE id = $1 FOR UPDATE',
+      [proposalId]
+    );
+    const proposal = result.rows[0];
+    if (!proposal) return null;
+    if (proposal.status !== 'pending') return { error: `Proposal is already ${proposal.status}`, status: 409 };
+    if (!proposal.board_owner_id) return { error: 'Meeting has no inviter to own a board', status: 409 };
+
+    if (overrides.assignee_user_id) {
+      const assignee = await client.query('SELECT 1 FROM client_mgmt.users WHERE id = $1', [overrides.assignee_user_id]);
+      if (assignee.rows.length === 0) return { error: `No user with id ${overrides.assignee_user_id}`, status: 400 };
+    }
+
+    const reviewed = {
+      ...proposal,
+      title: overrides.title ? cardTitle(overrides.title) : proposal.title,
+      assignee_user_id: overrides.assignee_user_id !== undefined ? overrides.assignee_user_id : proposal.assignee_user_id,
+      due_date: overrides.due_date !== undefined ? overrides.due_date : proposal.due_date
+    };
+    const card = await createCard(client, reviewed);
+
+    const updated = await client.query(
+      `UPDATE action_item_proposals
+       SET status = 'approved', title = $2, assignee_user_id = $3, due_date = $4,
+           card_id = $5, reviewed_by = $6, reviewed_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [proposalId, reviewed.title, reviewed.assignee_user_id, reviewed.due_date, card.id, reviewerId]
+    );
+    return { ...updated.rows[0], card };
+  });
+}
+
+async function rejectProposal(pool, proposalId, reviewerId = null) {
+  const result = await pool.query(
+    `UPDATE action_item_proposals
+     SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW()
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [proposalId, reviewerId]
+  );
+  if (result.rows[0]) return result.rows[0];
+
+  const existing = await pool.query('SELECT status FROM action_item_proposals WHERE id = $1', [proposalId]);
+  if (existing.rows.length === 0) return null;
+  return { error: `Proposal is already ${existing.rows[0].status}` };
+}
+
+async function listProposals(pool, blockId) {
+  const result = await pool.query(
+    `SELECT p.*, bt.sequence_order
+     FROM action_item_proposals p
+     LEFT JOIN block_turns bt ON bt.turn_id = p.turn_id AND bt.block_id = p.block_id
+     WHERE p.block_id = $1
+     ORDER BY bt.sequence_order, p.id`,
+    [blockId]
+  );
+  return result.rows;
+}
+
+module.exports = { proposeActionItems, parseApprovalOverrides, approveProposal, rejectProposal, listProposals };
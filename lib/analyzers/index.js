@@ -0,0 +1,181 @@
+/**
+ * Pattern-detection pipeline
+ *
+ * An analyzer is an object with:
+ *   name                        - identifier stored with each detection
+ *   analyze(turn, context)      - returns (or resolves to) a list of
+ *                                 { pattern, confidence, details } detections
+ *
+ * turn is a committed turn ({ turn_id, participant_id, content, metadata,
+ * attendee }); context.recentTurns holds the meeting's preceding turns, oldest
+ * first. Detections are stored per meeting in meeting_insights and counted
+ * into the speaker's conversation.participants.patterns through
+ * update_participant_patterns(). A failing analyzer is logged and skipped.
+ */
+
+const { withTransaction } = require('../db');
+const { RULE_ANALYZERS } = require('./rules');
+
+const DEFAULT_CONTEXT_TURNS = 10;
+const RECENT_EXAMPLES = 5;
+
+// Fold new detections into the participant's running profile for a pattern
+function nextPatternData(current, detections) {
+  const data = {
+    count: 0,
+    confidence_total: 0,
+    examples: [],
+    ...(current || {})
+  };
+
+  for (const detection of detections) {
+    data.count++;
+    data.confidence_total += detection.confidence;
+    data.last_seen_at = detection.created_at;
+    data.last_block_id = detection.block_id;
+    data.examples = [
+      ...data.examples,
+      { block_id: detection.block_id, turn_id: detection.turn_id, text: detection.text }
+    ].slice(-RECENT_EXAMPLES);
+  }
+
+  data.avg_confidence = Math.round((data.confidence_total / data.count) * 100) / 100;
+  return data;
+}
+
+async function updateParticipantPatterns(client, insights) {
+  const groups = new Map(); // `${participant_id}:${pattern}` → insights
+  for (const insight of insights) {
+    if (!insight.participant_id) continue;
+    const key = `${insight.participant_id}:${insight.pattern}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(insight);
+  }
+
+  for (const detections of groups.values()) {
+    const { participant_id: participantId, pattern } = detections[0];
+    const currentResult = await client.query(
+      'SELECT patterns->$2 AS data FROM conversation.participants WHERE id = $1 FOR UPDATE',
+      [participantId, pattern]
+    );
+    if (currentResult.rows.length === 0) continue;
+
+    await client.query(
+      'SELECT update_participant_patterns($1, $2, $3)',
+      [participantId, pattern, nextPatternData(currentResult.rows[0].data, detections)]
+    );
+  }
+}
+
+function createPatternPipeline({ pool, analyzers = RULE_ANALYZERS, contextTurns = DEFAULT_CONTEXT_TURNS }) {
+  const recent = new Map(); // block_id → last turns of the meeting
+
+  async function detect(turn, context) {
+    const detections = [];
+    for (const analyzer of analyzers) {
+      try {
+        const found = await Promise.resolve(analyzer.analyze(turn, context));
+        for (const detection of found || []) {
+          detections.push({ ...detection, analyzer: analyzer.name });
+        }
+      } catch (error) {
+        console.error(`Analyzer ${analyzer.name} failed on turn ${turn.turn_id}:`, error.message);
+      }
+    }
+    return detections;
+  }
+
+  /**
+   * Run the analyzers over freshly committed turns (in sequence order) and
+   * persist what they find. Re-processing a turn is a no-op.
+   */
+  async function processTurns(blockId, turns) {
+    const history = recent.get(blockId) || [];
+    const rows = [];
+
+    for (const turn of turns) {
+      const detections = await detect(turn, { blockId, recentTurns: history });
+      for (const detection of detections) {
+        rows.push({ turn, detection });
+      }
+      history.push(turn);
+    }
+    recent.set(blockId, history.slice(-contextTurns));
+
+    if (rows.length === 0) return [];
+
+    return withTransaction(pool, async client => {
+      const values = [];
+      const placeholders = rows.map(({ turn, detection }, i) => {
+        values.push(
+          blockId,
+          turn.turn_id,
+          turn.participant_id,
+          detection.pattern,
+          detection.analyzer,
+          detection.confidence,
+          detection.details || {}
+        );
+        const p = i * 7;
+        return `($${p + 1}, $${p + 2}, $${p + 3}, $${p + 4}, $${p + 5}, $${p + 6}, $${p + 7})`;
+      });
+
+      const result = await client.query(
+        `INSERT INTO meeting_insights (block_id, turn_id, participant_id, pattern, analyzer, confidence, details)
+         VALUES ${placeholders.join(', ')}
+         ON CONFLICT (turn_id, pattern) DO NOTHING
+         RETURNING *`,
+        values
+      );
+
+      const texts = new Map(turns.map(turn => [turn.turn_id, turn.content]));
+      const inserted = result.rows.map(row => ({ ...row, text: texts.get(row.turn_id) }));
+      await updateParticipantPatterns(client, inserted);
+      return result.rows;
+    });
+  }
+
+  // Drop the in-memory context kept for a meeting
+  function forgetMeeting(blockId) {
+    recent.delete(blockId);
+  }
+
+  return { processTurns, forgetMeeting };
+}
+
+// A meeting's detections with counts per pattern and per participant; null for an unknown meeting
+async function getMeetingInsights(pool, blockId) {
+  const meetingResult = await pool.query('SELECT 1 FROM block_meetings WHERE block_id = $1', [blockId]);
+  if (meetingResult.rows.length === 0) return null;
+
+  const result = await pool.query(
+    `SELECT mi.*, t.content, p.name AS participant_name
+     FROM meeting_insights mi
+     JOIN turns t ON t.turn_id = mi.turn_id
+     LEFT JOIN conversation.participants p ON p.id = mi.participant_id
+     JOIN block_turns bt ON bt.turn_id = mi.turn_id AND bt.block_id = mi.block_id
+     WHERE mi.block_id = $1
+     ORDER BY bt.sequence_order, mi.pattern`,
+    [blockId]
+  );
+
+  const byPattern = {};
+  const byParticipant = {};
+  for (const insight of result.rows) {
+    byPattern[insight.pattern] = (byPattern[insight.pattern] || 0) + 1;
+    if (insight.participant_id) {
+      const entry = byParticipant[insight.participant_id] ||
+        (byParticipant[insight.participant_id] = { participant_id: Number(insight.participant_id), name: insight.participant_name, patterns: {} });
+      entry.patterns[insight.pattern] = (entry.patterns[insight.pattern] || 0) + 1;
+    }
+  }
+
+  return {
+    block_id: blockId,
+    counts: byPattern,
+    participants: Object.values(byParticipant),
+    insights: result.rows
+  };
+}
+
+module.exports = { createPatternPipeline, getMeetingInsights, RULE_ANALYZERS };
@@ -0,0 +1,83 @@
+/**
+ * Rule-based turn analyzers
+ *
+ * Cheap phrase and punctuation heuristics; each returns zero or more
+ * detections for a turn. They are deliberately conservative: a missed
+ * pattern costs less than a participant profile full of false positives.
+ */
+
+const { contentWords } = require('../text');
+
+const QUESTION_STARTERS = /^(who|what|when|where|why|how|which|can|could|would|should|do|does|did|is|are|was|were|will|have|has|any)\b/i;
+
+const DECISION_PHRASES = /\b(we('ve| have)? decided|decision is|let's go with|we('ll| will) go with|we're going with|we agreed|agreed on|it's settled|final answer is|that's the plan)\b/i;
+
+const COMMITMENT_PHRASES = /\b(i('ll| will) (take|do|handle|send|write|follow|look|get|own|check|draft|set up|schedule)|i'm going to|i can (take|handle|own) (that|this|it)|let me (take|handle|follow up|look into)|action item for me|i'll have it)\b/i;
+
+const DISAGREEMENT_PHRASES = /\b(i disagree|i don't (think so|agree)|i'm not (sure|convinced) (that|about)|that won't work|i'd push back|on the contrary|not necessarily|i see it differently|that's not (right|true|what))\b/i;
+
+const TOPIC_SHIFT_PHRASES = /\b(moving on|next (topic|item|up)|let's (talk|move on|switch|turn to|get to)|switching gears|changing (the )?subject|on another (note|topic)|another thing)\b/i;
+
+// Lexical topic shift: a substantive turn sharing almost no content words with the recent conversation
+const TOPIC_WINDOW_TURNS = 5;
+const TOPIC_MIN_WORDS = 4;
+const TOPIC_MAX_OVERLAP = 0.1;
+
+function phraseDetector(name, pattern, phrases, confidence) {
+  return {
+    name,
+    analyze(turn) {
+      const match = turn.content.match(phrases);
+      return match ? [{ pattern, confidence, details: { phrase: match[0] } }] : [];
+    }
+  };
+}
+
+const questions = {
+  name: 'questions',
+  analyze(turn) {
+    const sentences = turn.content.split(/(?<=[.?!])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+    const asked = sentences.filter(sentence => sentence.endsWith('?'));
+    if (asked.length > 0) {
+      return [{ pattern: 'question', confidence: 0.9, details: { questions: asked } }];
+    }
+    // Live transcripts often drop punctuation
+    if (!/[.!]$/.test(turn.content.trim()) && QUESTION_STARTERS.test(turn.content.trim())) {
+      return [{ pattern: 'question', confidence: 0.5, details: { questions: [turn.content.trim()] } }];
+    }
+    return [];
+  }
+};
+
+const topicShifts = {
+  name: 'topic_shifts',
+  analyze(turn, { recentTurns }) {
+    const marker = turn.content.match(TOPIC_SHIFT_PHRASES);
+    if (marker) {
+      return [{ pattern: 'topic_shift', confidence: 0.8, details: { phrase: marker[0] } }];
+    }
+
+    const words = new Set(contentWords(turn.content));
+    const window = recentTurns.slice(-TOPIC_WINDOW_TURNS);
+    if (words.size < TOPIC_MIN_WORDS || window.length < TOPIC_WINDOW_TURNS) return [];
+
+    const recentWords = new Set(window.flatMap(recent => contentWords(recent.content)));
+    if (recentWords.size < TOPIC_MIN_WORDS) return [];
+
+    const shared = [...words].filter(word => recentWords.has(word)).length;
+    const overlap = shared / words.size;
+    if (overlap > TOPIC_MAX_OVERLAP) return [];
+
+    return [{ pattern: 'topic_shift', confidence: 0.5, details: { overlap, keywords: [...words].slice(0, 8) } }];
+  }
+};
+
+const RULE_ANALYZERS = [
+  questions,
+  phraseDetector('decisions', 'decision', DECISION_PHRASES, 0.7),
+  phraseDetector('commitments', 'commitment', COMMITMENT_PHRASES, 0.7),
+  phraseDetector('disagreements', 'disagreement', DISAGREEMENT_PHRASES, 0.7),
+  topicShifts
+];
+
+module.exports = { RULE_ANALYZERS };
@@ -0,0 +1,195 @@
+/**
+ * Authentication
+ *
+ * Users log in with the email and password stored in client_mgmt.users
+ * (bcrypt password_hash, checked with pgcrypto). A login opens an
+ * auth.sessions row holding the hash of the current access token, and issues
+ * a refresh token (auth.refresh_tokens) tied to that session. Tokens are
+ * random strings; only their SHA-256 hashes are stored.
+ *
+ * Refresh tokens are single use: refreshing rotates both tokens. A refresh
+ * token presented a second time means it leaked, so the whole session is
+ * revoked.
+ */
+
+const crypto = require('crypto');
+const { withTransaction } = require('./db');
+
+const DEFAULT_ACCESS_TTL_SECONDS = 60 * 60;
+const DEFAULT_REFRESH_TTL_DAYS = 30;
+
+// bcrypt variants pgcrypto can't read ($2b$, $2y$) hash identically to $2a$
+const BCRYPT_HASH = `regexp_replace(u.password_hash, '^\\$2[by]\\$', '$2a$')`;
+
+function newToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createAuth({
+  pool,
+  accessTtlSeconds = DEFAULT_ACCESS_TTL_SECONDS,
+  refreshTtlDays = DEFAULT_REFRESH_TTL_DAYS
+}) {
+  const refreshTtlSeconds = refreshTtlDays * 24 * 60 * 60;
+
+  // New access token on the session plus a fresh refresh token for it
+  async function issueTokens(client, sessionId, user) {
+    const accessToken = newToken();
+    const refreshToken = newToken();
+
+    await client.query(
+      `UPDATE auth.sessions
+       SET token_hash = $2, expires_at = NOW() + make_interval(secs => $3), last_activity = NOW()
+       WHERE id = $1`,
+      [sessionId, hashToken(accessToken), accessTtlSeconds]
+    );
+    await client.query(
+      `INSERT INTO auth.refresh_tokens (user_id, session_id, token_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))`,
+      [user.id, sessionId, hashToken(refreshToken), refreshTtlSeconds]
+    );
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: accessTtlSeconds,
+      refresh_token: refreshToken,
+      refresh_expires_in: refreshTtlSeconds,
+      user: { id: user.id, email: user.email }
+    };
+  }
+
+  /**
+   * Check credentials and open a session. Resolves to the token response,
+   * or null when the email, password or account isn't valid.
+   */
+  async function login(email, password, { ipAddress = null, userAgent = null } = {}) {
+    const result = await pool.query(
+      `SELECT u.id, u.email
+       FROM client_mgmt.users u
+       WHERE lower(u.email) = lower($1) AND u.active = true
+         AND u.password_hash ~ '^\\$2[abxy]\\$'
+         AND crypt($2, ${BCRYPT_HASH}) = ${BCRYPT_HASH}`,
+      [email, password]
+    );
+    const user = result.rows[0];
+    if (!user) return null;
+
+    return withTransaction(pool, async client => {
+      // Sessions nobody can refresh any more
+      await client.query(
+        `DELETE FROM auth.sessions s
+         WHERE s.user_id = $1 AND s.expires_at < NOW()
+           AND NOT EXISTS (
+             SELECT 1 FROM auth.refresh_tokens rt
+             WHERE rt.session_id = s.id AND rt.used_at IS NULL AND rt.expires_at > NOW()
+           )`,
+        [user.id]
+      );
+
+      const session = await client.query(
+        `INSERT INTO auth.sessions (user_id, token_hash, expires_at, ip_address, user_agent)
+         VALUES ($1, $2, NOW(), $3, $4)
+         RETURNING id`,
+        [user.id, hashToken(newToken()), ipAddress, userAgent]
+      );
+      return issueTokens(client, session.rows[0].id, user);
+    });
+  }
+
+  /**
+   * Trade a refresh token for a new token pair. Resolves to null when the
+   * token is unknown, expired, or already used (which revokes its session).
+   */
+  async function refresh(refreshToken) {
+    return withTransaction(pool, async client => {
+      const result = await client.query(
+        `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at > NOW() AS live, u.id AS user_id, u.email, u.active
+         FROM auth.refresh_tokens rt
+         JOIN client_mgmt.users u ON u.id = rt.user_id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt`,
+        [hashToken(refreshToken)]
+      );
+      const token = result.rows[0];
+      if (!token || !token.session_id) return null;
+
+      if (token.used_at || !token.active) {
+        if (token.used_at) console.warn(`Refresh token reused; revoking session ${token.session_id}`);
+        await client.query('DELETE FROM auth.sessions WHERE id = $1', [token.session_id]);
+        return null;
+      }
+      if (!token.live) return null;
+
+      await client.query('UPDATE auth.refresh_tokens SET used_at = NOW() WHERE id = $1', [token.id]);
+      return issueTokens(client, token.session_id, { id: token.user_id, email: token.email });
+    });
+  }
+
+  // End a session; its access token and refresh tokens stop working
+  async function logout(sessionId) {
+    const result = await pool.query('DELETE FROM auth.sessions WHERE id = $1', [sessionId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Resolve a bearer access token to { id, email, sessionId }, or null when
+   * it is unknown, expired or belongs to an inactive user.
+   */
+  async function authenticate(accessToken) {
+    const result = await pool.query(
+      `UPDATE auth.sessions s
+       SET last_activity = NOW()
+       FROM client_mgmt.users u
+       WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.id = s.user_id AND u.active = true
+       RETURNING u.id, u.email, s.id AS session_id`,
+      [hashToken(accessToken)]
+    );
+    const row = result.rows[0];
+    return row ? { id: row.id, email: row.email, sessionId: row.session_id } : null;
+  }
+
+  /**
+   * Express middleware requiring a valid "Authorization: Bearer <token>"
+   * header; sets req.user. Paths in publicPaths (relative to where the
+   * middleware is mounted) are let through. GET requests to paths matching
+   * one of queryTokenPaths may pass the token as ?access_token= instead,
+   * for browser EventSource clients, which can't set headers.
+   */
+  function requireAuth({ publicPaths = [], queryTokenPaths = [] } = {}) {
+    return async (req, res, next) => {
+      if (publicPaths.includes(req.path)) return next();
+
+      const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+      const queryToken = req.method === 'GET' && typeof req.query.access_token === 'string' &&
+        queryTokenPaths.some(pattern => pattern.test(req.path))
+        ? req.query.access_token
+        : null;
+      if (!match && !queryToken) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      try {
+        const user = await authenticate(match ? match[1] : queryToken);
+        if (!user) {
+          res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+          return res.status(401).json({ error: 'Invalid or expired access token' });
+        }
+        req.user = user;
+        next();
+      } catch (error) {
+        console.error('Error authenticating request:', error.message);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    };
+  }
+
+  return { login, refresh, logout, authenticate, requireAuth };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,338 @@
+/**
+ * Bot dispatch
+ *
+ * The block and meeting rows are written before the provider is asked for a
+ * bot, so webhooks and the transcript channel always find the meeting, even
+ * when the bot reports in before the provider call returns. If the provider
+ * refuses the bot, the rows are removed again.
+ *
+ * Meeting links are normalized first (lib/meeting-urls.js). Only one bot is
+ * sent to a meeting at a time: a dispatch while another bot is still active
+ * in the same meeting fails with MeetingInProgressError.
+ *
+ * Dispatched bots can be pulled out of the call (leave), cancelled before
+ * they get in (cancel), or, once failed, replaced by a new bot on the same
+ * block so its turns carry on where they stopped (retry). Cancel and retry
+ * change the meeting's status before asking the provider and undo the change
+ * if it refuses, for the same reason dispatch writes its rows first.
+ */
+
+const crypto = require('crypto');
+const { withTransaction } = require('./db');
+const {
+  TERMINAL_STATUSES,
+  recordInitialStatus,
+  changeMeetingStatus,
+  revertStatusChange
+} = require('./meeting-lifecycle');
+const { linkAttendeeParticipant } = require('./speaker-identity');
+const { parseMeetingUrl } = require('./meeting-urls');
+
+const FINISHED_STATUSES = ['call_ended', ...TERMINAL_STATUSES];
+const IN_CALL_STATUSES = ['in_call', 'recording'];
+const NOT_JOINED_STATUSES = ['joining', 'in_waiting_room'];
+
+/**
+ * Raised when a bot is already active in the meeting; meeting is its
+ * block_meetings row.
+ */
+class MeetingInProgressError extends Error {
+  constructor(meeting) {
+    super(`A bot is already in this meeting (${meeting.block_id})`);
+    this.name = 'MeetingInProgressError';
+    this.meeting = meeting;
+  }
+}
+
+/**
+ * Raised when a leave, cancel or retry doesn't fit the bot's current state;
+ * meeting is its block_meetings row.
+ */
+class BotStateError extends Error {
+  constructor(message, meeting) {
+    super(message);
+    this.name = 'BotStateError';
+    this.meeting = meeting;
+  }
+}
+
+// Throws MeetingInProgressError when another bot is active in the meeting; call with the meeting lock held
+async function checkNoActiveBot(client, meetingKey, exceptBlockId = null) {
+  const active = await client.query(
+    `SELECT * FROM block_meetings
+     WHERE meeting_key = $1 AND status <> ALL($2::text[])
+       AND ($3::uuid IS NULL OR block_id <> $3::uuid)
+     LIMIT 1`,
+    [meetingKey, FINISHED_STATUSES, exceptBlockId]
+  );
+  if (active.rows[0]) throw new MeetingInProgressError(active.rows[0]);
+}
+
+// The parsed link of a meeting URL stored before meeting keys existed, or null when it can't be parsed
+function parseStoredUrl(meetingUrl) {
+  try {
+    return meetingUrl ? parseMeetingUrl(meetingUrl) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Meetings created before migration 030 have no meeting_key, so the active
+ * bot check can't see them. Key the ones still active from their URLs (once
+ * each; a link already held by a keyed active meeting is left alone, since
+ * the unique index allows one). Call inside the dispatch transaction.
+ */
+async function keyUnkeyedMeetings(client) {
+  const unkeyed = await client.query(
+    `SELECT block_id, meeting_url FROM block_meetings
+     WHERE meeting_key IS NULL AND meeting_url IS NOT NULL AND status <> ALL($1::text[])`,
+    [FINISHED_STATUSES]
+  );
+  for (const meeting of unkeyed.rows) {
+    const link = parseStoredUrl(meeting.meeting_url);
+    if (!link) continue;
+    await client.query(
+      `UPDATE block_meetings SET meeting_key = $2, platform = COALESCE(platform, $3)
+       WHERE block_id = $1 AND meeting_key IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM block_meetings other
+           WHERE other.meeting_key = $2 AND other.status <> ALL($4::text[])
+         )`,
+      [meeting.block_id, link.key, link.platform, FINISHED_STATUSES]
+    );
+  }
+}
+
+/**
+ * getProvider()          - current meeting provider
+ * channelUrl(blockId)    - authenticated transcript websocket URL for a meeting
+ * webhookUrl             - where the provider should send status webhooks
+ * onStatusChange(blockId, { from, to, source }) - told about cancels and retries
+ */
+function createBotDispatcher({ pool, getProvider, channelUrl, webhookUrl, onStatusChange = () => {} }) {
+  /**
+   * scheduledMeetingId links the meeting row to meetings.scheduled_meetings (a
+   * second dispatch for the same scheduled meeting fails on the unique link);
+   * expectedAttendees ({ name, email, userId }) are added as attendees up front.
+   * Throws MeetingUrlError for an unusable link.
+   */
+  async function dispatch({ meetingUrl, meetingName, invitedByUserId = null, scheduledMeetingId = null, expectedAttendees = [] }) {
+    const link = parseMeetingUrl(meetingUrl);
+    const provider = getProvider();
+    const blockId = crypto.randomUUID();
+
+    await withTransaction(pool, async client => {
+      // Serializes dispatches to the same meeting so the check below can't race
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`meeting:${link.key}`]);
+      await keyUnkeyedMeetings(client);
+      await checkNoActiveBot(client, link.key);
+
+      await client.query(
+        `INSERT INTO blocks (block_id, name, description, block_type, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          blockId,
+          meetingName || `Meeting ${new Date().toISOString()}`,
+          `Meeting from ${link.url}`,
+          'meeting',
+          { created_by: 'recall_bot', provider: provider.name }
+        ]
+      );
+
+      await client.query(
+        `INSERT INTO block_meetings
+           (block_id, meeting_url, platform, meeting_key, invited_by_user_id, status, scheduled_meeting_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [blockId, link.url, link.platform, link.key, invitedByUserId, 'joining', scheduledMeetingId]
+      );
+      await recordInitialStatus(client, blockId);
+
+      for (const { name, email = null, userId = null } of expectedAttendees) {
+        const attendee = await client.query(
+          `INSERT INTO block_attendees (block_id, name, email, user_id, story)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (block_id, name) DO NOTHING
+           RETURNING *`,
+          [blockId, name, email, userId, `${name} was invited to the meeting.`]
+        );
+        if (attendee.rows[0]) await linkAttendeeParticipant(client, attendee.rows[0]);
+      }
+    });
+    console.log('Block and meeting record created:', blockId);
+
+    let bot;
+    try {
+      bot = await sendBot(provider, blockId, link.url);
+    } catch (error) {
+      await pool.query('DELETE FROM blocks WHERE block_id = $1', [blockId]);
+      throw error;
+    }
+
+    const { block, meeting } = await attachBot(blockId, bot, invitedByUserId);
+    return { bot, block, meeting };
+  }
+
+  async function sendBot(provider, blockId, meetingUrl) {
+    const bot = await provider.createBot({
+      meetingUrl,
+      botName: 'Cogito',
+      websocketUrl: channelUrl(blockId),
+      webhookUrl
+    });
+    console.log('Bot created:', bot);
+    return bot;
+  }
+
+  // Store the provider's bot id on the meeting and in its bot history
+  async function attachBot(blockId, bot, userId) {
+    return withTransaction(pool, async client => {
+      const meetingResult = await client.query(
+        'UPDATE block_meetings SET recall_bot_id = $2 WHERE block_id = $1 RETURNING *',
+        [blockId, bot.id]
+      );
+      const blockResult = await client.query(
+        `UPDATE blocks SET metadata = metadata || jsonb_build_object('recall_bot_id', $2::text)
+         WHERE block_id = $1 RETURNING *`,
+        [blockId, bot.id]
+      );
+      await client.query(
+        `INSERT INTO block_meeting_bots (recall_bot_id, block_id, attempt, dispatched_by_user_id)
+         SELECT $1, $2, COALESCE(MAX(attempt), 0) + 1, $3 FROM block_meeting_bots WHERE block_id = $2`,
+        [bot.id, blockId, userId]
+      );
+      return { block: blockResult.rows[0], meeting: meetingResult.rows[0] };
+    });
+  }
+
+  async function findMeeting(blockId) {
+    const result = await pool.query('SELECT * FROM block_meetings WHERE block_id = $1', [blockId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Ask the bot to leave the call. The meeting then ends through the
+   * provider's call_ended and completed webhooks, like any other meeting.
+   * Resolves to the meeting, or null when unknown. Throws BotStateError
+   * unless the bot is in the call.
+   */
+  async function leave(blockId) {
+    const meeting = await findMeeting(blockId);
+    if (!meeting) return null;
+    if (NOT_JOINED_STATUSES.includes(meeting.status)) {
+      throw new BotStateError('The bot has not joined the call yet; cancel it instead', meeting);
+    }
+    if (!IN_CALL_STATUSES.includes(meeting.status)) {
+      throw new BotStateError(`The bot is no longer in the call (${meeting.status})`, meeting);
+    }
+
+    await getProvider().leaveMeeting(meeting.recall_bot_id);
+    console.log(`Bot ${meeting.recall_bot_id} asked to leave meeting ${blockId}`);
+    return meeting;
+  }
+
+  /**
+   * Cancel a bot that hasn't got into the call yet. Resolves to the
+   * cancelled meeting, or null when unknown. Throws BotStateError once the
+   * bot has joined (use leave) or while it is still being dispatched.
+   */
+  async function cancel(blockId, { userId = null } = {}) {
+    const { meeting, transitionId } = await withTransaction(pool, async client => {
+      const result = await client.query('SELECT * FROM block_meetings WHERE block_id = $1 FOR UPDATE', [blockId]);
+      const current = result.rows[0];
+      if (!current) return {};
+      if (!NOT_JOINED_STATUSES.includes(current.status)) {
+        throw new BotStateError(IN_CALL_STATUSES.includes(current.status)
+          ? 'The bot is already in the call; ask it to leave instead'
+          : `The bot can no longer be cancelled (${current.status})`, current);
+      }
+      if (!current.recall_bot_id) {
+        throw new BotStateError('The bot is still being dispatched; try again in a moment', current);
+      }
+
+      const id = await changeMeetingStatus(client, current, 'cancelled', {
+        details: { action: 'cancel', user_id: userId }
+      });
+      return { meeting: current, transitionId: id };
+    });
+    if (!meeting) return null;
+
+    try {
+      await getProvider().leaveMeeting(meeting.recall_bot_id);
+    } catch (error) {
+      await withTransaction(pool, client => revertStatusChange(client, meeting, transitionId));
+      throw error;
+    }
+    console.log(`Bot ${meeting.recall_bot_id} cancelled for meeting ${blockId}`);
+    onStatusChange(blockId, { from: meeting.status, to: 'cancelled', source: 'api' });
+    return findMeeting(blockId);
+  }
+
+  /**
+   * Send a new bot to a failed meeting. The meeting keeps its block, so new
+   * turns follow the ones already recorded. Resolves to { bot, block, meeting },
+   * or null when unknown. Throws BotStateError unless the meeting failed, and
+   * MeetingInProgressError when another bot has since joined the meeting.
+   */
+  async function retry(blockId, { userId = null } = {}) {
+    const provider = getProvider();
+    const previous = await withTransaction(pool, async client => {
+      const keyResult = await client.query('SELECT meeting_key, meeting_url FROM block_meetings WHERE block_id = $1', [blockId]);
+      if (!keyResult.rows[0]) return null;
+      // A meeting from before meeting keys gets its key now that it becomes active again
+      const storedKey = keyResult.rows[0].meeting_key;
+      const legacyLink = storedKey ? null : parseStoredUrl(keyResult.rows[0].meeting_url);
+      const meetingKey = storedKey || (legacyLink && legacyLink.key);
+      if (meetingKey) {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`meeting:${meetingKey}`]);
+      }
+
+      const result = await client.query('SELECT * FROM block_meetings WHERE block_id = $1 FOR UPDATE', [blockId]);
+      const current = result.rows[0];
+      if (current.status !== 'failed') {
+        throw new BotStateError(`Only a failed bot can be retried (this one is ${current.status})`, current);
+      }
+      if (meetingKey) {
+        await keyUnkeyedMeetings(client);
+        await checkNoActiveBot(client, meetingKey, blockId);
+      }
+      if (legacyLink) {
+        await client.query(
+          'UPDATE block_meetings SET meeting_key = $2, platform = COALESCE(platform, $3) WHERE block_id = $1',
+          [blockId, legacyLink.key, legacyLink.platform]
+        );
+      }
+
+      const transitionId = await changeMeetingStatus(client, current, 'joining', {
+        details: { action: 'retry', user_id: userId, previous_bot_id: current.recall_bot_id }
+      });
+      // Until the new bot's id is stored, webhooks from the old one count as replaced
+      await client.query('UPDATE block_meetings SET recall_bot_id = NULL WHERE block_id = $1', [blockId]);
+      return { meeting: current, transitionId };
+    });
+    if (!previous) return null;
+
+    let bot;
+    try {
+      bot = await sendBot(provider, blockId, previous.meeting.meeting_url);
+    } catch (error) {
+      await withTransaction(pool, async client => {
+        await client.query(
+          'UPDATE block_meetings SET recall_bot_id = $2 WHERE block_id = $1 AND recall_bot_id IS NULL',
+          [blockId, previous.meeting.recall_bot_id]
+        );
+        await revertStatusChange(client, previous.meeting, previous.transitionId);
+      });
+      throw error;
+    }
+
+    const { block, meeting } = await attachBot(blockId, bot, userId);
+    console.log(`Meeting ${blockId} retried with bot ${bot.id}`);
+    onStatusChange(blockId, { from: 'failed', to: 'joining', source: 'api' });
+    return { bot, block, meeting };
+  }
+
+  return { dispatch, leave, cancel, retry };
+}
+
+module.exports = { createBotDispatcher, MeetingInProgressError, BotStateError };
@@ -0,0 +1,284 @@
+/**
+ * Calendar import
+ *
+ * Turns the VEVENTs of an iCalendar file or feed into scheduled meetings
+ * (meetings.scheduled_meetings) with their attendees
+ * (meetings.meeting_participants), so the dispatch scheduler sends a bot
+ * without anyone pasting a meeting URL. Recurring events become one scheduled
+ * meeting per occurrence within the import window. Events are matched on UID
+ * (plus the occurrence), so re-importing updates meetings in place; an
+ * older SEQUENCE never overwrites a newer one. Events without a supported
+ * meeting link (see meeting-urls.js), and all-day events, are reported as
+ * skipped.
+ */
+
+const { withTransaction } = require('./db');
+const { fetchPublic, PublicFetchError } = require('./public-fetch');
+const { parseCalendar, expandEvent, CalendarError } = require('./ics');
+const { findMeetingUrl } = require('./meeting-urls');
+
+const DEFAULT_WINDOW_DAYS = 60;
+const MAX_WINDOW_DAYS = 366;
+const FEED_TIMEOUT_MS = 15000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ROLES = { 'OPT-PARTICIPANT': 'optional', 'NON-PARTICIPANT': 'observer', 'CHAIR': 'organizer' };
+const RSVP = { 'ACCEPTED': 'accepted', 'DECLINED': 'declined', 'TENTATIVE': 'tentative', 'DELEGATED': 'declined' };
+
+// First supported meeting link in the event's conference fields, location, URL or description
+function eventMeetingUrl(event) {
+  const link = findMeetingUrl(...event.conference, event.location, event.url, event.description);
+  return link ? link.url : null;
+}
+
+// People invited to the event (rooms and other resources left out), organizer first
+function eventParticipants(event) {
+  const people = new Map();
+  if (event.organizer && event.organizer.email) {
+    people.set(event.organizer.email, {
+      email: event.organizer.email,
+      name: event.organizer.name,
+      role: 'organizer',
+      rsvp_status: 'accepted'
+    });
+  }
+  for (const attendee of event.attendees) {
+    if (!attendee.email || !['INDIVIDUAL', 'GROUP', 'UNKNOWN'].includes(attendee.cutype)) continue;
+    const existing = people.get(attendee.email);
+    people.set(attendee.email, {
+      email: attendee.email,
+      name: attendee.name || (existing && existing.name) || null,
+      role: existing ? existing.role : (ROLES[attendee.role] || 'attendee'),
+      rsvp_status: RSVP[attendee.partstat] || 'pending'
+    });
+  }
+  return [...people.values()];
+}
+
+/**
+ * Download a calendar feed (http, https or webcal) from a public host.
+ * Throws CalendarError with status 400 for URLs (or redirects) leading into
+ * a private network, 502 when the feed can't be fetched.
+ */
+async function fetchCalendar(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).replace(/^webcals?:/i, 'https:'));
+  } catch (error) {
+    throw new CalendarError(`Invalid calendar URL "${url}"`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new CalendarError('Calendar URL must be http, https or webcal');
+  }
+
+  let response;
+  try {
+    response = await fetchPublic(parsed.toString(), {
+      headers: { 'Accept': 'text/calendar' },
+      timeout: FEED_TIMEOUT_MS,
+      size: MAX_FEED_BYTES
+    });
+  } catch (error) {
+    if (error instanceof PublicFetchError) {
+      throw new CalendarError(`Calendar URL must point to a public host: ${error.message}`);
+    }
+    throw new CalendarError(`Could not fetch calendar: ${error.message}`, 502);
+  }
+  if (!response.ok) {
+    throw new CalendarError(`Could not fetch calendar (${response.status})`, 502);
+  }
+  return response.text();
+}
+
+async function usersByEmail(client, emails) {
+  if (emails.length === 0) return new Map();
+  const result = await client.query(
+    'SELECT id, lower(email) AS email FROM client_mgmt.users WHERE lower(email) = ANY($1::text[])',
+    [emails]
+  );
+  return new Map(result.rows.map(row => [row.email, row.id]));
+}
+
+async function syncParticipants(client, meetingId, participants, users) {
+  for (const person of participants) {
+    const userId = users.get(person.email) || null;
+    const updated = await client.query(
+      `UPDATE meetings.meeting_participants
+       SET participant_name = COALESCE($3, participant_name), role = $4, rsvp_status = $5,
+           user_id = COALESCE(user_id, $6)
+       WHERE meeting_id = $1 AND lower(participant_email) = $2
+       RETURNING id`,
+      [meetingId, person.email, person.name, person.role, person.rsvp_status, userId]
+    );
+    if (updated.rows.length === 0) {
+      await client.query(
+        `INSERT INTO meetings.meeting_participants
+           (meeting_id, user_id, participant_email, participant_name, role, rsvp_status)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [meetingId, userId, person.email, person.name, person.role, person.rsvp_status]
+      );
+    }
+  }
+
+  // Uninvited since the last import
+  if (participants.length > 0) {
+    await client.query(
+      `DELETE FROM meetings.meeting_participants
+       WHERE meeting_id = $1 AND participant_email IS NOT NULL
+         AND lower(participant_email) <> ALL($2::text[])`,
+      [meetingId, participants.map(person => person.email)]
+    );
+  }
+}
+
+// Whether a UID already has scheduled meetings that someone other than the
+// importer both organizes and imported
+async function ownedByOther(client, uid, importedBy) {
+  const result = await client.query(
+    `SELECT 1 FROM meetings.scheduled_meetings
+     WHERE ical_uid = $1 AND organizer_id IS NOT NULL AND organizer_id IS DISTINCT FROM $2
+       AND (metadata->>'imported_by')::bigint IS DISTINCT FROM $2
+     LIMIT 1`,
+    [uid, importedBy]
+  );
+  return result.rows.length > 0;
+}
+
+// Upsert the occurrences of one UID; resolves to the counts and rows it touched
+async function importEvent(client, events, occurrences, { importedBy, from, to }) {
+  const master = events.find(event => event.recurrenceId === null) || events[0];
+  const emails = new Set();
+  for (const event of events) {
+    for (const person of eventParticipants(event)) emails.add(person.email);
+  }
+  const users = await usersByEmail(client, [...emails]);
+  // The importer owns what they import: ORGANIZER is whatever the uploaded file says, so it can't pick the inviter
+  const organizer = importedBy || null;
+  const outcome = { created: 0, updated: 0, unchanged: 0, cancelled: 0, meetings: [] };
+
+  for (const occurrence of occurrences) {
+    const { event } = occurrence;
+    const result = await client.query(
+      `INSERT INTO meetings.scheduled_meetings AS sm
+         (title, description, scheduled_start, scheduled_end, meeting_url, organizer_id, metadata,
+          ical_uid, ical_instance, ical_sequence, dispatch_status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       ON CONFLICT (ical_uid, ical_instance) WHERE ical_uid IS NOT NULL DO UPDATE
+       SET title = EXCLUDED.title,
+           description = EXCLUDED.description,
+           scheduled_start = EXCLUDED.scheduled_start,
+           scheduled_end = EXCLUDED.scheduled_end,
+           meeting_url = EXCLUDED.meeting_url,
+           organizer_id = COALESCE(sm.organizer_id, EXCLUDED.organizer_id),
+           metadata = sm.metadata || (EXCLUDED.metadata - 'imported_by'),
+           ical_sequence = EXCLUDED.ical_sequence,
+           dispatch_status = CASE WHEN sm.dispatch_status IN ('pending', 'skipped')
+                                  THEN EXCLUDED.dispatch_status ELSE sm.dispatch_status END
+       WHERE sm.ical_sequence <= EXCLUDED.ical_sequence
+       RETURNING sm.*, (xmax = 0) AS inserted`,
+      [
+        event.summary || 'Untitled meeting',
+        event.description,
+        occurrence.start,
+        occurrence.end,
+        occurrence.meetingUrl,
+        organizer,
+        { source: 'ics', ical_status: event.status.toLowerCase(), imported_by: importedBy },
+        event.uid,
+        occurrence.instance,
+        event.sequence,
+        occurrence.cancelled ? 'skipped' : 'pending'
+      ]
+    );
+
+    const meeting = result.rows[0];
+    if (!meeting) {
+      outcome.unchanged++;
+      continue;
+    }
+    const { inserted, ...row } = meeting;
+    if (occurrence.cancelled) outcome.cancelled++;
+    else if (inserted) outcome.created++;
+    else outcome.updated++;
+
+    await syncParticipants(client, row.id, eventParticipants(event), users);
+    outcome.meetings.push(row);
+  }
+
+  // Occurrences of a full series that are no longer in it (rescheduled or shortened series)
+  if (master.recurrenceId === null) {
+    const stale = await client.query(
+      `UPDATE meetings.scheduled_meetings
+       SET dispatch_status = 'skipped'
+       WHERE ical_uid = $1 AND ical_instance <> ALL($2::text[])
+         AND dispatch_status = 'pending' AND scheduled_end > $3 AND scheduled_start <= $4
+       RETURNING id`,
+      [master.uid, occurrences.map(occurrence => occurrence.instance), from, to]
+    );
+    outcome.cancelled += stale.rows.length;
+  }
+
+  return outcome;
+}
+
+/**
+ * Import the events of an iCalendar document that fall within the next
+ * `days` days (default 60). importedBy (the importing user) becomes the
+ * organizer (and so the bot's inviter) of the meetings, whatever the file's
+ * ORGANIZER says. Meetings a UID already has are only updated by their
+ * organizer or the user who first imported them: an import can't rewrite
+ * someone else's meeting.
+ * Resolves to { calendar, created, updated, unchanged, cancelled, skipped, meetings };
+ * skipped lists { uid, summary, reason } per event left out.
+ * Throws CalendarError for input that isn't iCalendar.
+ */
+async function importCalendar(pool, text, { importedBy = null, days = DEFAULT_WINDOW_DAYS, now = new Date() } = {}) {
+  const calendar = parseCalendar(text);
+  const windowDays = Math.min(Math.max(Number(days) || DEFAULT_WINDOW_DAYS, 1), MAX_WINDOW_DAYS);
+  const window = { from: now, to: new Date(now.getTime() + windowDays * DAY_MS) };
+
+  const byUid = new Map();
+  for (const event of calendar.events) {
+    if (!byUid.has(event.uid)) byUid.set(event.uid, []);
+    byUid.get(event.uid).push(event);
+  }
+
+  const summary = { calendar: calendar.name, created: 0, updated: 0, unchanged: 0, cancelled: 0, skipped: [], meetings: [] };
+  for (const [uid, events] of byUid) {
+    const title = (events.find(event => event.recurrenceId === null) || events[0]).summary;
+    const occurrences = [];
+    let reason = 'not within the import window';
+
+    for (const occurrence of expandEvent(events, window)) {
+      const meetingUrl = eventMeetingUrl(occurrence.event);
+      if (occurrence.event.start.allDay) {
+        reason = 'all-day event';
+      } else if (!meetingUrl) {
+        reason = 'no Zoom, Google Meet, Teams or Webex link';
+      } else {
+        occurrences.push({ ...occurrence, meetingUrl });
+      }
+    }
+    if (occurrences.length === 0) {
+      summary.skipped.push({ uid, summary: title, reason });
+      continue;
+    }
+
+    const outcome = await withTransaction(pool, async client => {
+      if (await ownedByOther(client, uid, importedBy)) return null;
+      return importEvent(client, events, occurrences, { importedBy, ...window });
+    });
+    if (!outcome) {
+      summary.skipped.push({ uid, summary: title, reason: 'scheduled by another user' });
+      continue;
+    }
+    for (const key of ['created', 'updated', 'unchanged', 'cancelled']) summary[key] += outcome[key];
+    summary.meetings.push(...outcome.meetings);
+  }
+
+  summary.meetings.sort((a, b) => a.scheduled_start - b.scheduled_start);
+  return summary;
+}
+
+module.exports = { importCalendar, fetchCalendar };
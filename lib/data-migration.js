@@ -0,0 +1,392 @@
+/**
+ * Data migration: Supabase → Render PostgreSQL
+ *
+ * Copies the Cogito tables from one Postgres database to another (Supabase's
+ * direct connection string as the source) in primary key order, a batch at a
+ * time. Each batch is upserted in one target transaction together with its
+ * checkpoint in public.data_migration_checkpoints, so a run that stops part
+ * way resumes after the last committed batch, and copying a row twice is
+ * harmless. Tables are copied parents first.
+ *
+ * Only the columns both sides have are copied; target-only columns take
+ * their defaults. Rows travel as JSON and are converted to the target's
+ * column types by Postgres. The target table's own triggers (updated_at
+ * stamps and the like) are off while a batch is written, so rows arrive as
+ * they were. verify() compares row counts and a checksum of every table on
+ * both sides.
+ */
+
+const DEFAULT_BATCH_SIZE = 1000;
+
+// Parents before children; schemas are the defaults, overridable per table or per schema
+const TABLES = [
+  { name: 'users', source: 'client_mgmt', target: 'client_mgmt', key: ['id'] },
+  { name: 'participants', source: 'conversation', target: 'conversation', key: ['id'] },
+  { name: 'blocks', source: 'conversation', target: 'conversation', key: ['block_id'] },
+  { name: 'turns', source: 'conversation', target: 'conversation', key: ['turn_id'] },
+  { name: 'block_turns', source: 'conversation', target: 'conversation', key: ['block_id', 'turn_id'] },
+  // Moved to public by migration 018
+  { name: 'block_meetings', source: 'public', target: 'public', key: ['block_id'] },
+  { name: 'block_attendees', source: 'public', target: 'public', key: ['id'] }
+];
+
+class DataMigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DataMigrationError';
+  }
+}
+
+function ident(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function qualified(schema, table) {
+  return `${ident(schema)}.${ident(table)}`;
+}
+
+/**
+ * The tables to copy with their schemas resolved. schemas maps a table name
+ * or a default schema name to the schema to use instead ({ conversation:
+ * 'public' } moves every conversation table, { block_meetings: 'conversation' }
+ * one table); table names win. only limits the run to the named tables.
+ */
+function resolveTables({ only = null, sourceSchemas = {}, targetSchemas = {} } = {}) {
+  const unknown = (only || []).filter(name => !TABLES.some(table => table.name === name));
+  if (unknown.length > 0) {
+    throw new DataMigrationError(`Unknown table "${unknown[0]}"; expected one of ${TABLES.map(table => table.name).join(', ')}`);
+  }
+  return TABLES
+    .filter(table => !only || only.includes(table.name))
+    .map(table => ({
+      ...table,
+      source: sourceSchemas[table.name] || sourceSchemas[table.source] || table.source,
+      target: targetSchemas[table.name] || targetSchemas[table.target] || table.target
+    }));
+}
+
+// A table's columns (generated ones flagged), or null when it doesn't exist
+async function describe(db, schema, table) {
+  const result = await db.query(
+    `SELECT column_name, data_type, udt_name, is_generated
+     FROM information_schema.columns
+     WHERE table_schema = $1 AND table_name = $2
+     ORDER BY ordinal_position`,
+    [schema, table]
+  );
+  if (result.rows.length === 0) return null;
+  return result.rows.map(column => ({
+    name: column.column_name,
+    type: column.data_type === 'USER-DEFINED' || column.data_type === 'ARRAY' ? column.udt_name : column.data_type,
+    generated: column.is_generated === 'ALWAYS'
+  }));
+}
+
+/**
+ * Work out what copying a table involves: the columns copied, the source
+ * columns left behind and the target columns left to their defaults.
+ * missing names the side the table doesn't exist on.
+ */
+async function planTable(source, target, table) {
+  const [sourceColumns, targetColumns] = await Promise.all([
+    describe(source, table.source, table.name),
+    describe(target, table.target, table.name)
+  ]);
+  const plan = {
+    table,
+    sourceTable: qualified(table.source, table.name),
+    targetTable: qualified(table.target, table.name),
+    missing: !sourceColumns ? 'source' : !targetColumns ? 'target' : null
+  };
+  if (plan.missing) return plan;
+
+  const writable = new Map(targetColumns.filter(column => !column.generated).map(column => [column.name, column]));
+  plan.columns = sourceColumns.filter(column => writable.has(column.name)).map(column => column.name);
+  plan.skipped = sourceColumns.filter(column => !writable.has(column.name)).map(column => column.name);
+  plan.defaulted = targetColumns
+    .filter(column => !column.generated && !sourceColumns.some(other => other.name === column.name))
+    .map(column => column.name);
+  // Columns whose types differ can't be compared by checksum (their text forms differ)
+  plan.compared = sourceColumns
+    .filter(column => writable.has(column.name) && writable.get(column.name).type === column.type)
+    .map(column => column.name);
+
+  const missingKey = table.key.filter(column => !plan.columns.includes(column));
+  if (missingKey.length > 0) {
+    throw new DataMigrationError(`${table.name}: key column ${missingKey[0]} is not on both sides`);
+  }
+  return plan;
+}
+
+// Row count and a checksum of the given columns over all rows in key order
+async function tableChecksum(db, tableSql, columns, key) {
+  const result = await db.query(
+    `SELECT COUNT(*)::bigint AS row_count,
+            md5(COALESCE(string_agg(md5(jsonb_build_array(${columns.map(ident).join(', ')})::text), '' ORDER BY ${key.map(ident).join(', ')}), '')) AS checksum
+     FROM ${tableSql}`
+  );
+  return { rows: Number(result.rows[0].row_count), checksum: result.rows[0].checksum };
+}
+
+/**
+ * source and target are pg pools. Work happens on one client from each, so
+ * session settings and the migration lock hold for the whole run.
+ */
+function createDataMigration({ source, target, tables = resolveTables(), batchSize = DEFAULT_BATCH_SIZE, log = console.log }) {
+  async function withClients(fn) {
+    const sourceClient = await source.connect();
+    try {
+      const targetClient = await target.connect();
+      try {
+        // Timestamps render the same on both sides, so checksums and JSON rows agree
+        await sourceClient.query("SET TimeZone = 'UTC'");
+        await targetClient.query("SET TimeZone = 'UTC'");
+        return await fn(sourceClient, targetClient);
+      } finally {
+        targetClient.release();
+      }
+    } finally {
+      sourceClient.release();
+    }
+  }
+
+  async function checkpointsExist(db) {
+    const result = await db.query("SELECT to_regclass('public.data_migration_checkpoints') IS NOT NULL AS present");
+    return result.rows[0].present;
+  }
+
+  async function createCheckpoints(db) {
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS public.data_migration_checkpoints (
+         table_name TEXT PRIMARY KEY,
+         source_table TEXT NOT NULL,
+         target_table TEXT NOT NULL,
+         last_key JSONB, -- key columns of the last row copied; NULL before the first batch
+         rows_copied BIGINT NOT NULL DEFAULT 0,
+         completed_at TIMESTAMPTZ,
+         updated_at TIMESTAMPTZ DEFAULT NOW()
+       )`
+    );
+  }
+
+  async function loadCheckpoints(db) {
+    if (!(await checkpointsExist(db))) return new Map();
+    const result = await db.query('SELECT * FROM public.data_migration_checkpoints');
+    return new Map(result.rows.map(row => [row.table_name, row]));
+  }
+
+  // Where a table's copy stands; a checkpoint for other schemas doesn't count
+  function checkpointFor(checkpoints, plan) {
+    const checkpoint = checkpoints.get(plan.table.name);
+    if (!checkpoint) return null;
+    if (checkpoint.source_table !== plan.sourceTable || checkpoint.target_table !== plan.targetTable) return null;
+    return checkpoint;
+  }
+
+  async function readBatch(sourceClient, plan, lastKey) {
+    const key = plan.table.key.map(ident);
+    const after = lastKey
+      ? `WHERE (${key.map(column => `s.${column}`).join(', ')}) >
+               (SELECT ${key.map(column => `c.${column}`).join(', ')}
+                FROM json_populate_record(NULL::${plan.sourceTable}, $2::json) c)`
+      : '';
+    const result = await sourceClient.query(
+      `WITH batch AS (
+         SELECT ${plan.columns.map(column => `s.${ident(column)}`).join(', ')}
+         FROM ${plan.sourceTable} s
+         ${after}
+         ORDER BY ${key.map(column => `s.${column}`).join(', ')}
+         LIMIT $1
+       )
+       SELECT COUNT(*)::int AS row_count,
+              json_agg(batch ORDER BY ${key.join(', ')})::text AS rows,
+              (SELECT json_build_object(${plan.table.key.map(column => `'${column}', b.${ident(column)}`).join(', ')})::text
+               FROM batch b ORDER BY ${key.map(column => `b.${column}`).join(', ')} DESC LIMIT 1) AS last_key
+       FROM batch`,
+      lastKey ? [batchSize, JSON.stringify(lastKey)] : [batchSize]
+    );
+    const row = result.rows[0];
+    return { count: row.row_count, rows: row.rows, lastKey: row.last_key && JSON.parse(row.last_key) };
+  }
+
+  async function writeBatch(client, plan, batch, rowsCopied) {
+    const columns = plan.columns.map(ident).join(', ');
+    const updates = plan.columns
+      .filter(column => !plan.table.key.includes(column))
+      .map(column => `${ident(column)} = EXCLUDED.${ident(column)}`);
+
+    await client.query('BEGIN');
+    try {
+      await client.query(`ALTER TABLE ${plan.targetTable} DISABLE TRIGGER USER`);
+      await client.query(
+        `INSERT INTO ${plan.targetTable} (${columns}) OVERRIDING SYSTEM VALUE
+         SELECT ${columns} FROM json_populate_recordset(NULL::${plan.targetTable}, $1::json)
+         ON CONFLICT (${plan.table.key.map(ident).join(', ')}) DO ${updates.length > 0 ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}`,
+        [batch.rows]
+      );
+      await client.query(`ALTER TABLE ${plan.targetTable} ENABLE TRIGGER USER`);
+      await client.query(
+        `INSERT INTO public.data_migration_checkpoints (table_name, source_table, target_table, last_key, rows_copied, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT (table_name) DO UPDATE
+           SET source_table = EXCLUDED.source_table, target_table = EXCLUDED.target_table,
+               last_key = EXCLUDED.last_key, rows_copied = EXCLUDED.rows_copied,
+               completed_at = NULL, updated_at = NOW()`,
+        [plan.table.name, plan.sourceTable, plan.targetTable, JSON.stringify(batch.lastKey), rowsCopied]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new DataMigrationError(`${plan.table.name}: batch after ${rowsCopied - batch.count} rows failed: ${error.message}`);
+    }
+  }
+
+  // Serial columns continue after the copied ids
+  async function resetSequences(client, plan) {
+    for (const column of plan.columns) {
+      const result = await client.query('SELECT pg_get_serial_sequence($1, $2) AS sequence', [plan.targetTable, column]);
+      const sequence = result.rows[0].sequence;
+      if (!sequence) continue;
+      await client.query(
+        `SELECT setval($1, COALESCE((SELECT MAX(${ident(column)}) FROM ${plan.targetTable}), 0) + 1, false)`,
+        [sequence]
+      );
+    }
+  }
+
+  async function copyTable(sourceClient, client, plan, checkpoint) {
+    if (checkpoint && checkpoint.completed_at) {
+      log(`${plan.table.name}: already copied (${checkpoint.rows_copied} rows), skipping`);
+      return Number(checkpoint.rows_copied);
+    }
+
+    let lastKey = checkpoint ? checkpoint.last_key : null;
+    let rowsCopied = checkpoint ? Number(checkpoint.rows_copied) : 0;
+    if (lastKey) log(`${plan.table.name}: resuming after ${rowsCopied} rows`);
+
+    for (;;) {
+      const batch = await readBatch(sourceClient, plan, lastKey);
+      if (batch.count === 0) break;
+      rowsCopied += batch.count;
+      await writeBatch(client, plan, batch, rowsCopied);
+      lastKey = batch.lastKey;
+      log(`${plan.table.name}: ${rowsCopied} rows copied`);
+    }
+
+    await resetSequences(client, plan);
+    await client.query(
+      `INSERT INTO public.data_migration_checkpoints (table_name, source_table, target_table, last_key, rows_copied, completed_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (table_name) DO UPDATE
+         SET source_table = EXCLUDED.source_table, target_table = EXCLUDED.target_table,
+             rows_copied = EXCLUDED.rows_copied, completed_at = NOW(), updated_at = NOW()`,
+      [plan.table.name, plan.sourceTable, plan.targetTable, lastKey && JSON.stringify(lastKey), rowsCopied]
+    );
+    log(`${plan.table.name}: done, ${rowsCopied} rows`);
+    return rowsCopied;
+  }
+
+  async function plans(sourceClient, targetClient) {
+    const result = [];
+    for (const table of tables) result.push(await planTable(sourceClient, targetClient, table));
+    return result;
+  }
+
+  /**
+   * Copy every table, resuming from the checkpoints (restart discards them
+   * first). With dryRun nothing is written: each table's plan, source row
+   * count and resume point is logged and returned instead. Resolves to
+   * [{ table, rows }] (or the plans).
+   */
+  function run({ dryRun = false, restart = false } = {}) {
+    return withClients((sourceClient, client) => copyAll(sourceClient, client, { dryRun, restart }));
+  }
+
+  async function copyAll(sourceClient, client, { dryRun, restart }) {
+    const tablePlans = await plans(sourceClient, client);
+    const missingTarget = tablePlans.filter(plan => plan.missing === 'target');
+    if (missingTarget.length > 0) {
+      throw new DataMigrationError(`Target is missing ${missingTarget.map(plan => plan.targetTable).join(', ')}; run the schema migrations first`);
+    }
+
+    if (dryRun) {
+      const checkpoints = restart ? new Map() : await loadCheckpoints(client);
+      for (const plan of tablePlans) {
+        if (plan.missing) {
+          log(`${plan.table.name}: ${plan.sourceTable} not found in source, would skip`);
+          continue;
+        }
+        const count = await sourceClient.query(`SELECT COUNT(*)::bigint AS n FROM ${plan.sourceTable}`);
+        const checkpoint = checkpointFor(checkpoints, plan);
+        plan.sourceRows = Number(count.rows[0].n);
+        plan.checkpoint = checkpoint;
+        const position = !checkpoint ? 'from the start'
+          : checkpoint.completed_at ? 'already copied, would skip'
+            : `resuming after ${checkpoint.rows_copied} rows`;
+        log(`${plan.table.name}: ${plan.sourceRows} rows ${plan.sourceTable} → ${plan.targetTable}, ${position}`);
+        log(`  columns: ${plan.columns.join(', ')}`);
+        if (plan.skipped.length > 0) log(`  not in target, left behind: ${plan.skipped.join(', ')}`);
+        if (plan.defaulted.length > 0) log(`  not in source, left to defaults: ${plan.defaulted.join(', ')}`);
+      }
+      return tablePlans;
+    }
+
+    await client.query('SELECT pg_advisory_lock(hashtext($1))', ['data_migration']);
+    try {
+      await createCheckpoints(client);
+      if (restart) {
+        await client.query('DELETE FROM public.data_migration_checkpoints WHERE table_name = ANY($1)', [tablePlans.map(plan => plan.table.name)]);
+      }
+      const checkpoints = await loadCheckpoints(client);
+
+      const copied = [];
+      for (const plan of tablePlans) {
+        if (plan.missing) {
+          log(`${plan.table.name}: ${plan.sourceTable} not found in source, skipping`);
+          continue;
+        }
+        copied.push({ table: plan.table.name, rows: await copyTable(sourceClient, client, plan, checkpointFor(checkpoints, plan)) });
+      }
+      return copied;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', ['data_migration']);
+    }
+  }
+
+  /**
+   * Compare every table on both sides. Resolves to one entry per table:
+   * { table, source_rows, target_rows, checksum_match, not_compared, status }
+   * where status is ok, mismatch, missing_source or missing_target.
+   */
+  function verify() {
+    return withClients(compareAll);
+  }
+
+  async function compareAll(sourceClient, targetClient) {
+    const report = [];
+    for (const plan of await plans(sourceClient, targetClient)) {
+      if (plan.missing) {
+        report.push({ table: plan.table.name, status: `missing_${plan.missing}` });
+        continue;
+      }
+      const [sourceSum, targetSum] = await Promise.all([
+        tableChecksum(sourceClient, plan.sourceTable, plan.compared, plan.table.key),
+        tableChecksum(targetClient, plan.targetTable, plan.compared, plan.table.key)
+      ]);
+      const checksumMatch = sourceSum.checksum === targetSum.checksum;
+      report.push({
+        table: plan.table.name,
+        source_rows: sourceSum.rows,
+        target_rows: targetSum.rows,
+        checksum_match: checksumMatch,
+        not_compared: plan.columns.filter(column => !plan.compared.includes(column)),
+        status: sourceSum.rows === targetSum.rows && checksumMatch ? 'ok' : 'mismatch'
+      });
+    }
+    return report;
+  }
+
+  return { run, verify };
+}
+
+module.exports = { createDataMigration, resolveTables, TABLES, DataMigrationError };
@@ -0,0 +1,22 @@
+/**
+ * Shared database helpers
+ */
+
+// Run fn inside a transaction on a dedicated pool client.
+// Commits when fn resolves, rolls back and rethrows when it rejects.
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { withTransaction };
@@ -0,0 +1,172 @@
+/**
+ * Scheduled bot dispatch
+ *
+ * Every intervalMs the scheduler looks for scheduled meetings with a
+ * meeting_url that start within leadMinutes and sends a bot to each. A
+ * meeting is claimed in the database (dispatch_status = 'dispatching') before
+ * the bot is requested, and the meeting row the bot gets is linked back by a
+ * unique scheduled_meeting_id, so neither a second server instance nor a
+ * restart can dispatch the same scheduled meeting twice. Expected attendees
+ * come from meetings.meeting_participants.
+ */
+
+const { MeetingInProgressError } = require('./bot-dispatch');
+const { MeetingUrlError } = require('./meeting-urls');
+
+const DEFAULT_LEAD_MINUTES = 2;
+const DEFAULT_INTERVAL_MS = 30000;
+const STALE_CLAIM_MINUTES = 10; // a claim this old belongs to a crashed dispatch
+const MAX_ATTEMPTS = 3;
+const BATCH_SIZE = 20;
+
+const CLAIMABLE = `meeting_url IS NOT NULL
+  AND scheduled_start - make_interval(mins => $1) <= NOW()
+  AND scheduled_end > NOW()
+  AND (dispatch_status = 'pending'
+       OR (dispatch_status = 'dispatching' AND dispatch_claimed_at < NOW() - make_interval(mins => $2)))`;
+
+function createDispatchScheduler({
+  pool,
+  botDispatcher,
+  leadMinutes = DEFAULT_LEAD_MINUTES,
+  intervalMs = DEFAULT_INTERVAL_MS
+}) {
+  let timer = null;
+  let running = null;
+
+  async function setOutcome(id, status, error = null) {
+    await pool.query(
+      `UPDATE meetings.scheduled_meetings
+       SET dispatch_status = $2,
+           dispatch_error = $3,
+           dispatched_at = CASE WHEN $4 THEN NOW() ELSE dispatched_at END
+       WHERE id = $1`,
+      [id, status, error, status === 'dispatched']
+    );
+  }
+
+  async function expectedAttendees(scheduledId) {
+    const result = await pool.query(
+      `SELECT mp.participant_name, mp.participant_email, u.email AS user_email,
+              COALESCE(mp.user_id, by_email.id) AS user_id
+       FROM meetings.meeting_participants mp
+       LEFT JOIN client_mgmt.users u ON u.id = mp.user_id
+       LEFT JOIN client_mgmt.users by_email
+         ON mp.user_id IS NULL AND lower(by_email.email) = lower(mp.participant_email)
+       WHERE mp.meeting_id = $1 AND mp.rsvp_status IS DISTINCT FROM 'declined'
+       ORDER BY mp.id`,
+      [scheduledId]
+    );
+
+    const seen = new Set();
+    const attendees = [];
+    for (const row of result.rows) {
+      const email = row.participant_email || row.user_email || null;
+      const name = row.participant_name || email;
+      if (!name || seen.has(name.toLowerCase())) continue;
+      seen.add(name.toLowerCase());
+      attendees.push({ name, email, userId: row.user_id });
+    }
+    return attendees;
+  }
+
+  async function dispatchScheduled(scheduled) {
+    // Re-claimed after a crash: if the meeting row made it, the bot may already be on its way
+    const existing = await pool.query(
+      'SELECT block_id, recall_bot_id FROM block_meetings WHERE scheduled_meeting_id = $1',
+      [scheduled.id]
+    );
+    if (existing.rows[0]) {
+      const dispatched = Boolean(existing.rows[0].recall_bot_id);
+      await setOutcome(scheduled.id, dispatched ? 'dispatched' : 'failed',
+        dispatched ? null : 'Dispatch was interrupted before the provider confirmed the bot');
+      return;
+    }
+
+    try {
+      const { block, bot } = await botDispatcher.dispatch({
+        meetingUrl: scheduled.meeting_url,
+        meetingName: scheduled.title,
+        invitedByUserId: scheduled.organizer_id,
+        scheduledMeetingId: scheduled.id,
+        expectedAttendees: await expectedAttendees(scheduled.id)
+      });
+      await setOutcome(scheduled.id, 'dispatched');
+      console.log(`Dispatched bot ${bot.id} for scheduled meeting ${scheduled.id} (block ${block.block_id})`);
+    } catch (error) {
+      // Unique link violated: another dispatch for this scheduled meeting already created its meeting row
+      if (error.code === '23505') {
+        await setOutcome(scheduled.id, 'dispatched');
+        return;
+      }
+      // Someone already sent a bot to this meeting by hand
+      if (error instanceof MeetingInProgressError) {
+        await setOutcome(scheduled.id, 'skipped', error.message);
+        return;
+      }
+      // Retrying won't fix the link
+      if (error instanceof MeetingUrlError) {
+        await setOutcome(scheduled.id, 'failed', error.message);
+        return;
+      }
+      const status = scheduled.dispatch_attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+      console.error(`Dispatch for scheduled meeting ${scheduled.id} failed (attempt ${scheduled.dispatch_attempts}):`, error.message);
+      await setOutcome(scheduled.id, status, error.message);
+    }
+  }
+
+  async function runTick() {
+    // Meetings that ended before a bot could be sent are not worth retrying
+    await pool.query(
+      `UPDATE meetings.scheduled_meetings SET dispatch_status = 'skipped'
+       WHERE dispatch_status = 'pending' AND meeting_url IS NOT NULL AND scheduled_end <= NOW()`
+    );
+
+    const due = await pool.query(
+      `SELECT id FROM meetings.scheduled_meetings
+       WHERE ${CLAIMABLE}
+       ORDER BY scheduled_start
+       LIMIT ${BATCH_SIZE}`,
+      [leadMinutes, STALE_CLAIM_MINUTES]
+    );
+
+    for (const { id } of due.rows) {
+      const claimed = await pool.query(
+        `UPDATE meetings.scheduled_meetings
+         SET dispatch_status = 'dispatching', dispatch_claimed_at = NOW(), dispatch_attempts = dispatch_attempts + 1
+         WHERE id = $3 AND ${CLAIMABLE}
+         RETURNING *`,
+        [leadMinutes, STALE_CLAIM_MINUTES, id]
+      );
+      // Another instance got there first
+      if (claimed.rows[0]) await dispatchScheduled(claimed.rows[0]);
+    }
+  }
+
+  // One pass over due meetings; overlapping calls share the pass in flight
+  function tick() {
+    if (!running) {
+      running = runTick()
+        .catch(error => console.error('Scheduled dispatch pass failed:', error.message))
+        .finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+  }
+
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (running) await running;
+  }
+
+  return { tick, start, stop };
+}
+
+module.exports = { createDispatchScheduler };
@@ -0,0 +1,95 @@
+/**
+ * Due-date phrases
+ *
+ * Turns phrases like "by Friday", "tomorrow", "end of the month" or
+ * "March 5th" into a calendar date, relative to when the meeting was held.
+ * Weekdays mean the next such day after the meeting ("Friday" said on a
+ * Friday is a week later); dates without a year roll into next year once
+ * past. Unrecognised phrases yield null.
+ */
+
+const { WEEKDAYS, MONTHS } = require('./text');
+
+function utcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next;
+}
+
+function nextWeekday(from, weekday) {
+  const ahead = (weekday - from.getUTCDay() + 7) % 7 || 7;
+  return addDays(from, ahead);
+}
+
+function monthIndex(word) {
+  if (!word || word.length < 3) return -1;
+  return MONTHS.findIndex(month => month.startsWith(word.toLowerCase()));
+}
+
+function dayOfMonth(from, day, month = null) {
+  const year = from.getUTCFullYear();
+  let candidate = month === null
+    ? new Date(Date.UTC(year, from.getUTCMonth(), day))
+    : new Date(Date.UTC(year, month, day));
+
+  if (candidate < from) {
+    candidate = month === null
+      ? new Date(Date.UTC(year, from.getUTCMonth() + 1, day))
+      : new Date(Date.UTC(year + 1, month, day));
+  }
+  return candidate;
+}
+
+/**
+ * Resolve a due phrase to a Date at UTC midnight (or null).
+ * reference is when the phrase was said.
+ */
+function parseDueDate(phrase, reference = new Date()) {
+  if (!phrase) return null;
+  const text = phrase.toLowerCase().replace(/[.,!?]/g, ' ').replace(/\s+/g, ' ').trim();
+  const today = utcDay(new Date(reference));
+  let match;
+
+  if (/\b(today|tonight|eod|end of (the )?day)\b/.test(text)) return today;
+  if (/\btomorrow\b/.test(text)) return addDays(today, 1);
+  if (/\b(eow|this week|end of (the )?week)\b/.test(text)) {
+    return today.getUTCDay() === 5 ? today : nextWeekday(today, 5);
+  }
+  if (/\bend of (the )?month\b/.test(text)) {
+    return new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0));
+  }
+  if (/\bnext week\b/.test(text)) return nextWeekday(today, 1);
+
+  if ((match = text.match(/\b(next )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/))) {
+    const day = nextWeekday(today, WEEKDAYS.indexOf(match[2]));
+    // "next Friday" said early in the week means the one after this week's
+    const sameWeek = day.getUTCDay() > today.getUTCDay() && today.getUTCDay() !== 0;
+    return match[1] && sameWeek ? addDays(day, 7) : day;
+  }
+
+  // "the 15th of March", "15 March"
+  if ((match = text.match(/\b(\d{1,2})(st|nd|rd|th)?( of)? ([a-z]+)\b/)) && monthIndex(match[4]) >= 0) {
+    return dayOfMonth(today, Number(match[1]), monthIndex(match[4]));
+  }
+  // "March 15th"
+  if ((match = text.match(/\b([a-z]+) (\d{1,2})(st|nd|rd|th)?\b/)) && monthIndex(match[1]) >= 0) {
+    return dayOfMonth(today, Number(match[2]), monthIndex(match[1]));
+  }
+  // "by the 15th"
+  if ((match = text.match(/\b(\d{1,2})(st|nd|rd|th)\b/))) {
+    return dayOfMonth(today, Number(match[1]));
+  }
+
+  return null;
+}
+
+// YYYY-MM-DD for a DATE column
+function formatDate(date) {
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+module.exports = { parseDueDate, formatDate };
@@ -0,0 +1,38 @@
+/**
+ * Embedder selection
+ *
+ * An embedder is an object with:
+ *   name              - identifier
+ *   model             - stored with each embedding; embeddings from another model are
+ *                       recomputed rather than compared
+ *   dimensions        - always 1536, the width of the vector(1536) columns
+ *   embed(texts)      - resolves to one unit-length vector (array of numbers) per text
+ *
+ * EMBEDDER=local (default) is deterministic and offline.
+ * EMBEDDER=openai uses OPENAI_API_KEY against OPENAI_API_URL / OPENAI_EMBEDDING_MODEL.
+ */
+
+const { createLocalEmbedder } = require('./local');
+const { createOpenAIEmbedder } = require('./openai');
+
+const DIMENSIONS = 1536;
+
+function createEmbedder(name = process.env.EMBEDDER || 'local') {
+  switch (name) {
+    case 'local':
+      return createLocalEmbedder({ dimensions: DIMENSIONS });
+
+    case 'openai':
+      return createOpenAIEmbedder({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_API_URL,
+        model: process.env.OPENAI_EMBEDDING_MODEL,
+        dimensions: DIMENSIONS
+      });
+
+    default:
+      throw new Error(`Unknown embedder "${name}"`);
+  }
+}
+
+module.exports = { createEmbedder, DIMENSIONS };
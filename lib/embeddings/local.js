@@ -0,0 +1,72 @@
+/**
+ * Deterministic local embedder
+ *
+ * Hashes a text's words and adjacent word pairs into a fixed number of
+ * buckets (the "hashing trick"), so the same text always gets the same
+ * vector and texts sharing vocabulary end up close. It knows nothing about
+ * synonyms; it exists so semantic search works, and can be tested, without
+ * network access.
+ */
+
+const { STOPWORDS } = require('../text');
+
+// Bumped whenever the vectors change (v2: the shared stopword list), so the index is rebuilt
+const MODEL = 'local-hash-v2';
+const PAIR_WEIGHT = 0.5;
+
+// FNV-1a, 32 bit
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Crude suffix stripping so "budgets", "budgeted" and "budgeting" share a bucket
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  for (const suffix of ['ing', 'ed', 'es', 's']) {
+    if (word.length - suffix.length >= 3 && word.endsWith(suffix)) return word.slice(0, -suffix.length);
+  }
+  return word;
+}
+
+function terms(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+    .map(word => word.replace(/^'+|'+$/g, ''))
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+function createLocalEmbedder({ dimensions }) {
+  function embedOne(text) {
+    const vector = new Array(dimensions).fill(0);
+    const words = terms(text);
+    const features = words.map(word => [word, 1]);
+    for (let i = 1; i < words.length; i++) features.push([`${words[i - 1]} ${words[i]}`, PAIR_WEIGHT]);
+    // Texts with nothing to go on still get a (shared) unit vector
+    if (features.length === 0) features.push(['', 1]);
+
+    for (const [feature, weight] of features) {
+      const h = hash(feature);
+      vector[h % dimensions] += h & 0x80000000 ? -weight : weight;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  return {
+    name: 'local',
+    model: MODEL,
+    dimensions,
+
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+module.exports = { createLocalEmbedder };
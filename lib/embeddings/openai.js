@@ -0,0 +1,52 @@
+/**
+ * OpenAI-compatible embedder
+ * Embeds texts with the /embeddings API. Works against any endpoint speaking
+ * it by pointing baseUrl at it; the model must produce (or, like the
+ * text-embedding-3 models, be able to shorten to) 1536 dimensions.
+ */
+
+const fetch = require('node-fetch');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'text-embedding-3-small';
+const MAX_INPUT_LENGTH = 8000;
+
+function createOpenAIEmbedder({ apiKey, baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL, dimensions } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  return {
+    name: 'openai',
+    model,
+    dimensions,
+
+    async embed(texts) {
+      if (texts.length === 0) return [];
+
+      const response = await fetch(`${root}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model,
+          input: texts.map(text => String(text || ' ').slice(0, MAX_INPUT_LENGTH)),
+          ...(model.startsWith('text-embedding-3') ? { dimensions } : {})
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Embedding request failed (${response.status}): ${await response.text()}`);
+      }
+
+      const body = await response.json();
+      const vectors = body.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+      if (vectors.some(vector => vector.length !== dimensions)) {
+        throw new Error(`Embedding model ${model} did not return ${dimensions} dimensions`);
+      }
+      return vectors;
+    }
+  };
+}
+
+module.exports = { createOpenAIEmbedder };
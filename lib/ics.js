@@ -0,0 +1,507 @@
+/**
+ * iCalendar (RFC 5545) parsing
+ *
+ * Reads the VEVENTs of a calendar file or feed and expands recurring events
+ * into occurrences. Times are resolved to UTC: TZID parameters are looked up
+ * as IANA zones (or the Windows zone names Outlook writes), floating times
+ * use the calendar's X-WR-TIMEZONE. Recurrences are expanded in the event's
+ * own wall-clock time, so a 9:00 weekly meeting stays at 9:00 across DST.
+ *
+ * Supported RRULE parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+ * COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH and BYSETPOS, plus EXDATE, RDATE
+ * and RECURRENCE-ID overrides.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DURATION_MS = 60 * 60 * 1000; // DTSTART with neither DTEND nor DURATION
+const MAX_PERIODS = 10000; // stops runaway rules
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Windows time zone names (as written by Outlook and Exchange) → IANA
+const WINDOWS_ZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'FLE Standard Time': 'Europe/Kiev',
+  'Russian Standard Time': 'Europe/Moscow',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'E. South America Standard Time': 'America/Sao_Paulo'
+};
+
+/**
+ * Raised for a calendar that can't be read: not iCalendar, or a feed that
+ * couldn't be fetched. status is the HTTP status a route should answer with.
+ */
+class CalendarError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CalendarError';
+    this.status = status;
+  }
+}
+
+const formatters = new Map();
+
+function zoneFormatter(zone) {
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(zone);
+}
+
+// IANA name for a TZID, or null when it can't be resolved
+function resolveZone(tzid) {
+  if (!tzid) return null;
+  const name = tzid.replace(/^\/+/, '').trim();
+  const zone = WINDOWS_ZONES[name] || name;
+  try {
+    zoneFormatter(zone);
+    return zone;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function zoneOffset(utcMs, zone) {
+  const parts = {};
+  for (const { type, value } of zoneFormatter(zone).formatToParts(new Date(utcMs))) {
+    parts[type] = Number(value);
+  }
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (utcMs - (utcMs % 1000));
+}
+
+// Wall-clock time (milliseconds, as if it were UTC) in zone → real UTC milliseconds
+function toUtc(wallMs, zone) {
+  if (!zone || zone === 'UTC') return wallMs;
+  const guess = wallMs - zoneOffset(wallMs, zone);
+  return wallMs - zoneOffset(guess, zone);
+}
+
+function utcOf({ wall, zone }) {
+  return toUtc(wall, zone);
+}
+
+function unfold(text) {
+  return String(text)
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+}
+
+// NAME;PARAM=a;PARAM="b:c":value
+function parseLine(line) {
+  let i = 0;
+  let quoted = false;
+  const fields = [];
+  let current = '';
+  for (; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === ':') break;
+    if (!quoted && ch === ';') {
+      fields.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  fields.push(current);
+
+  const params = {};
+  for (const field of fields.slice(1)) {
+    const eq = field.indexOf('=');
+    if (eq < 0) continue;
+    params[field.slice(0, eq).toUpperCase()] = field.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: fields[0].toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+// 20250310T090000Z, 20250310T090000 or 20250310 → { wall, zone, allDay }
+function parseDateTime(value, params, defaultZone) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) throw new CalendarError(`Invalid date "${value}"`);
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const allDay = params.VALUE === 'DATE' || hour === undefined;
+  const wall = Date.UTC(Number(year), Number(month) - 1, Number(day),
+    Number(hour || 0), Number(minute || 0), Number(second || 0));
+  const zone = utc ? 'UTC' : (resolveZone(params.TZID) || defaultZone);
+  return { wall, zone, allDay };
+}
+
+function parseDateList(value, params, defaultZone) {
+  return value.split(',').filter(Boolean).map(item => parseDateTime(item, params, defaultZone));
+}
+
+// P1W, PT1H30M, -P1DT2H → milliseconds
+function parseDuration(value) {
+  const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 24 * 3600 +
+    Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+function parseRule(value, defaultZone) {
+  const parts = {};
+  for (const pair of value.split(';')) {
+    const [key, part] = pair.split('=');
+    if (key && part !== undefined) parts[key.toUpperCase()] = part.toUpperCase();
+  }
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) return null;
+
+  const numbers = text => (text ? text.split(',').map(Number).filter(n => Number.isInteger(n) && n !== 0) : []);
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    until: parts.UNTIL ? parseDateTime(parts.UNTIL, {}, defaultZone) : null,
+    byDay: (parts.BYDAY ? parts.BYDAY.split(',') : [])
+      .map(item => item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/))
+      .filter(Boolean)
+      .map(([, n, day]) => ({ n: n ? Number(n) : 0, day: WEEKDAYS.indexOf(day) })),
+    byMonthDay: numbers(parts.BYMONTHDAY),
+    byMonth: numbers(parts.BYMONTH),
+    bySetPos: numbers(parts.BYSETPOS)
+  };
+}
+
+function mailbox(value) {
+  return value.replace(/^mailto:/i, '').trim().toLowerCase() || null;
+}
+
+function propValue(props, name) {
+  return props.find(entry => entry.name === name) || null;
+}
+
+function textValue(props, name) {
+  const prop = propValue(props, name);
+  return prop ? unescapeText(prop.value).trim() || null : null;
+}
+
+function buildEvent(props, defaultZone) {
+  const uid = textValue(props, 'UID');
+  const dtstart = propValue(props, 'DTSTART');
+  if (!uid || !dtstart) return null;
+
+  const start = parseDateTime(dtstart.value, dtstart.params, defaultZone);
+  const dtend = propValue(props, 'DTEND');
+  const duration = propValue(props, 'DURATION');
+  const startUtc = utcOf(start);
+  let durationMs = start.allDay ? DAY_MS : DEFAULT_DURATION_MS;
+  if (dtend) {
+    durationMs = utcOf(parseDateTime(dtend.value, dtend.params, defaultZone)) - startUtc;
+  } else if (duration) {
+    durationMs = parseDuration(duration.value) || durationMs;
+  }
+
+  const recurrenceId = propValue(props, 'RECURRENCE-ID');
+  const organizer = propValue(props, 'ORGANIZER');
+  const rrule = propValue(props, 'RRULE');
+
+  return {
+    uid,
+    sequence: Number(textValue(props, 'SEQUENCE')) || 0,
+    status: (textValue(props, 'STATUS') || 'CONFIRMED').toUpperCase(),
+    summary: textValue(props, 'SUMMARY'),
+    description: textValue(props, 'DESCRIPTION'),
+    location: textValue(props, 'LOCATION'),
+    url: textValue(props, 'URL'),
+    // Conference links some calendars keep outside the description
+    conference: props
+      .filter(prop => ['X-GOOGLE-CONFERENCE', 'X-MICROSOFT-ONLINEMEETINGURL',
+        'X-MICROSOFT-SKYPETEAMSMEETINGURL', 'CONFERENCE'].includes(prop.name))
+      .map(prop => unescapeText(prop.value)),
+    start,
+    durationMs,
+    rrule: rrule ? parseRule(rrule.value, start.zone) : null,
+    exdates: props
+      .filter(prop => prop.name === 'EXDATE')
+      .flatMap(prop => parseDateList(prop.value, prop.params, defaultZone))
+      .map(utcOf),
+    rdates: props
+      .filter(prop => prop.name === 'RDATE' && prop.params.VALUE !== 'PERIOD')
+      .flatMap(prop => parseDateList(prop.value, prop.params, defaultZone)),
+    recurrenceId: recurrenceId ? utcOf(parseDateTime(recurrenceId.value, recurrenceId.params, start.zone)) : null,
+    organizer: organizer
+      ? { email: mailbox(organizer.value), name: organizer.params.CN || null }
+      : null,
+    attendees: props
+      .filter(prop => prop.name === 'ATTENDEE')
+      .map(prop => ({
+        email: mailbox(prop.value),
+        name: prop.params.CN || null,
+        role: (prop.params.ROLE || 'REQ-PARTICIPANT').toUpperCase(),
+        partstat: (prop.params.PARTSTAT || 'NEEDS-ACTION').toUpperCase(),
+        cutype: (prop.params.CUTYPE || 'INDIVIDUAL').toUpperCase()
+      }))
+  };
+}
+
+/**
+ * Parse an iCalendar document. Resolves to { name, timeZone, events }, one
+ * event per VEVENT (overrides of recurring events included, with
+ * recurrenceId set). Throws CalendarError for input that isn't a calendar.
+ */
+function parseCalendar(text) {
+  const lines = unfold(text);
+  if (lines.length === 0 || !/^BEGIN:VCALENDAR$/i.test(lines[0].trim())) {
+    throw new CalendarError('Not an iCalendar file (expected BEGIN:VCALENDAR)');
+  }
+
+  const calendarProps = [];
+  const rawEvents = [];
+  const stack = [];
+  let eventProps = null;
+
+  for (const line of lines) {
+    const prop = parseLine(line);
+    if (prop.name === 'BEGIN') {
+      const component = prop.value.trim().toUpperCase();
+      stack.push(component);
+      if (component === 'VEVENT') eventProps = [];
+    } else if (prop.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT') {
+        rawEvents.push(eventProps);
+        eventProps = null;
+      }
+    } else if (stack[stack.length - 1] === 'VEVENT') {
+      eventProps.push(prop);
+    } else if (stack.length === 1) {
+      calendarProps.push(prop);
+    }
+  }
+
+  const timeZone = resolveZone(textValue(calendarProps, 'X-WR-TIMEZONE')) || 'UTC';
+  const events = [];
+  for (const props of rawEvents) {
+    const event = buildEvent(props, timeZone);
+    if (event) events.push(event);
+  }
+
+  return { name: textValue(calendarProps, 'X-WR-CALNAME'), timeZone, events };
+}
+
+function wallParts(wall) {
+  const date = new Date(wall);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth(),
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+    timeOfDay: wall - Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Days (1-based) of a month matching the rule's BYDAY / BYMONTHDAY, or the start's day
+function monthDays(rule, year, month, startDay) {
+  const length = daysInMonth(year, month);
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const weekdayOf = day => (firstWeekday + day - 1) % 7;
+  let days;
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay.map(n => (n > 0 ? n : length + n + 1)).filter(day => day >= 1 && day <= length);
+    if (rule.byDay.length > 0) {
+      days = days.filter(day => rule.byDay.some(({ day: weekday }) => weekday === weekdayOf(day)));
+    }
+  } else if (rule.byDay.length > 0) {
+    days = [];
+    for (const { n, day: weekday } of rule.byDay) {
+      const matching = [];
+      for (let day = 1; day <= length; day++) {
+        if (weekdayOf(day) === weekday) matching.push(day);
+      }
+      if (n === 0) days.push(...matching);
+      else if (n > 0 && matching[n - 1]) days.push(matching[n - 1]);
+      else if (n < 0 && matching[matching.length + n]) days.push(matching[matching.length + n]);
+    }
+  } else {
+    days = startDay <= length ? [startDay] : [];
+  }
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// Candidate wall times for the k-th period of the rule, sorted
+function periodCandidates(rule, start, k) {
+  const { year, month, day, weekday, timeOfDay } = start;
+  const at = (y, m, d) => Date.UTC(y, m, d) + timeOfDay;
+  let candidates;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const wall = at(year, month, day + k * rule.interval);
+      const parts = wallParts(wall);
+      const matches = (rule.byMonth.length === 0 || rule.byMonth.includes(parts.month + 1)) &&
+        (rule.byDay.length === 0 || rule.byDay.some(entry => entry.day === parts.weekday)) &&
+        (rule.byMonthDay.length === 0 || rule.byMonthDay.includes(parts.day));
+      candidates = matches ? [wall] : [];
+      break;
+    }
+    case 'WEEKLY': {
+      const weekStart = day - ((weekday + 6) % 7) + k * 7 * rule.interval; // weeks start on Monday
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(entry => entry.day) : [weekday];
+      candidates = weekdays.map(wd => at(year, month, weekStart + ((wd + 6) % 7)));
+      if (rule.byMonth.length > 0) {
+        candidates = candidates.filter(wall => rule.byMonth.includes(wallParts(wall).month + 1));
+      }
+      break;
+    }
+    case 'MONTHLY': {
+      const first = new Date(Date.UTC(year, month + k * rule.interval, 1));
+      const y = first.getUTCFullYear();
+      const m = first.getUTCMonth();
+      candidates = rule.byMonth.length > 0 && !rule.byMonth.includes(m + 1)
+        ? []
+        : monthDays(rule, y, m, day).map(d => at(y, m, d));
+      break;
+    }
+    case 'YEARLY': {
+      const y = year + k * rule.interval;
+      const months = rule.byMonth.length > 0 ? rule.byMonth.map(n => n - 1) : [month];
+      candidates = months.flatMap(m => monthDays(rule, y, m, day).map(d => at(y, m, d)));
+      break;
+    }
+    default:
+      candidates = [];
+  }
+
+  candidates = [...new Set(candidates)].sort((a, b) => a - b);
+  if (rule.bySetPos.length > 0) {
+    candidates = rule.bySetPos
+      .map(pos => candidates[pos > 0 ? pos - 1 : candidates.length + pos])
+      .filter(wall => wall !== undefined)
+      .sort((a, b) => a - b);
+  }
+  return candidates;
+}
+
+// Index of a period ending no later than wall, so expansion can skip the periods before a window
+function periodBefore(rule, start, wall) {
+  const target = wallParts(wall);
+  const days = (Date.UTC(target.year, target.month, target.day) - Date.UTC(start.year, start.month, start.day)) / DAY_MS;
+  const periods = {
+    DAILY: days,
+    WEEKLY: Math.floor(days / 7),
+    MONTHLY: (target.year - start.year) * 12 + target.month - start.month,
+    YEARLY: target.year - start.year
+  }[rule.freq] || 0;
+  return Math.max(0, Math.floor(periods / rule.interval) - 1);
+}
+
+// UTC start times of a recurring event up to `to` (DTSTART always counts as the first).
+// Without a COUNT, the periods ending before `from` are skipped rather than walked, so
+// an old DTSTART doesn't use up MAX_PERIODS before the window is reached; a COUNT rule
+// has to be counted from DTSTART.
+function ruleOccurrences(event, from, to) {
+  const { rrule: rule, start } = event;
+  const zone = start.zone;
+  const until = rule.until ? utcOf(rule.until) : Infinity;
+  const starts = [utcOf(start)];
+  const parts = wallParts(start.wall);
+  // A day of margin covers the offset between wall and UTC time
+  const skipTo = from - event.durationMs - DAY_MS;
+  const first = rule.count === null && skipTo > start.wall ? periodBefore(rule, parts, skipTo) : 0;
+  let count = 1;
+
+  for (let k = first; k < first + MAX_PERIODS; k++) {
+    for (const wall of periodCandidates(rule, parts, k)) {
+      if (wall <= start.wall) continue;
+      const utc = toUtc(wall, zone);
+      if (utc > until || utc > to || (rule.count !== null && count >= rule.count)) return starts;
+      starts.push(utc);
+      count++;
+    }
+  }
+  return starts;
+}
+
+/**
+ * Occurrences of the events sharing one UID that overlap [from, to].
+ * Resolves to [{ instance, start, end, event, cancelled }], where instance
+ * is '' for a single event and the ISO original start of a recurring
+ * occurrence; event is the override for that occurrence when there is one.
+ */
+function expandEvent(events, { from, to }) {
+  const master = events.find(event => event.recurrenceId === null) || null;
+  const overrides = new Map(events
+    .filter(event => event.recurrenceId !== null)
+    .map(event => [event.recurrenceId, event]));
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+  const occurrences = [];
+
+  const add = (start, event, instance) => {
+    const end = start + event.durationMs;
+    if (end <= fromMs || start > toMs) return;
+    occurrences.push({
+      instance,
+      start: new Date(start),
+      end: new Date(end),
+      event,
+      cancelled: event.status === 'CANCELLED' || (master !== null && master.status === 'CANCELLED')
+    });
+  };
+  const startOf = event => utcOf(event.start);
+
+  if (master && !master.rrule && master.rdates.length === 0) {
+    add(startOf(master), master, '');
+  } else if (master) {
+    const excluded = new Set(master.exdates);
+    const starts = master.rrule ? ruleOccurrences(master, fromMs, toMs) : [startOf(master)];
+    starts.push(...master.rdates.map(utcOf));
+
+    for (const start of [...new Set(starts)].sort((a, b) => a - b)) {
+      if (excluded.has(start) || overrides.has(start)) continue;
+      add(start, master, new Date(start).toISOString());
+    }
+  }
+
+  for (const [originalStart, override] of overrides) {
+    if (master && master.exdates.includes(originalStart)) continue;
+    add(startOf(override), override, new Date(originalStart).toISOString());
+  }
+
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+module.exports = { parseCalendar, expandEvent, CalendarError };
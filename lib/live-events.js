@@ -0,0 +1,189 @@
+/**
+ * Live meeting events
+ *
+ * Server-Sent Events for UI clients following a meeting: committed turns,
+ * attendees heard for the first time, status changes and detected insights.
+ * The transcript writer, the webhook handler and the bot controls publish
+ * them; every client subscribed to the meeting gets them as they happen.
+ *
+ * Turn events carry their turn_id as the SSE event id, so a client
+ * reconnecting with Last-Event-ID (or ?after=<sequence_order>) is sent the
+ * turns it missed from Postgres before the live ones, with nothing lost or
+ * repeated in between. The id is resolved to the turn's sequence_order on
+ * reconnect: reconciliation renumbers block_turns, so a sequence_order the
+ * client saw before may point at another turn by then. Other events aren't
+ * replayed; the `meeting` event sent on every connect carries the current
+ * status instead.
+ *
+ * Subscribers are kept in memory: a client sees the events handled by the
+ * server instance it is connected to.
+ */
+
+const { getMeetingTurns } = require('./meeting-queries');
+
+const DEFAULT_HEARTBEAT_MS = 15000;
+const REPLAY_PAGE_SIZE = 500;
+
+// A committed turn from the transcript writer, in the shape /turns returns
+function turnEvent(turn) {
+  return {
+    turn_id: turn.turn_id,
+    sequence_order: turn.sequence_order,
+    speaker: turn.attendee.name,
+    attendee_id: turn.attendee.id,
+    participant_id: turn.participant_id,
+    content: turn.content,
+    source_type: 'recall_bot',
+    timestamp: turn.metadata.timestamp || new Date().toISOString(),
+    start_time: turn.metadata.start_time !== undefined ? turn.metadata.start_time : null,
+    end_time: turn.metadata.end_time !== undefined ? turn.metadata.end_time : null
+  };
+}
+
+function attendeeEvent(attendee) {
+  return {
+    id: attendee.id,
+    name: attendee.name,
+    email: attendee.email,
+    user_id: attendee.user_id,
+    participant_id: attendee.participant_id
+  };
+}
+
+function createLiveEvents({ pool, heartbeatMs = DEFAULT_HEARTBEAT_MS }) {
+  const subscribers = new Map(); // block_id → Set of subscribers
+  let totalConnections = 0;
+
+  function publish(blockId, event, data) {
+    const meetingSubscribers = subscribers.get(blockId);
+    if (!meetingSubscribers) return;
+    for (const subscriber of meetingSubscribers) subscriber.deliver(event, data);
+  }
+
+  /**
+   * Publish what a transcript writer commit produced: its turns, the
+   * attendees first heard in it, and the insights detected on it.
+   */
+  function publishCommit(blockId, turns, { joined = [], insights = [] } = {}) {
+    if (!subscribers.has(blockId)) return;
+    joined.forEach(attendee => publish(blockId, 'attendee', attendeeEvent(attendee)));
+    turns.forEach(turn => publish(blockId, 'turn', turnEvent(turn)));
+    insights.forEach(insight => publish(blockId, 'insight', insight));
+  }
+
+  // { from, to, source } of an accepted lifecycle transition
+  function publishStatus(blockId, { from, to, source, occurredAt = new Date() }) {
+    publish(blockId, 'status', { from, to, source, occurred_at: occurredAt });
+  }
+
+  /**
+   * Serve the event stream for a meeting the request's user may read. The
+   * client's last turn is lastTurnId, or after as a sequence_order (neither
+   * to start with new turns).
+   */
+  async function stream(req, res, blockId, { after = null, lastTurnId = null } = {}) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let replaying = true;
+    let lastSequence = after || 0;
+    const pending = [];
+
+    function write(event, data, id) {
+      if (closed) return;
+      res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Turns at or before what the client already has are dropped
+    function send(event, data) {
+      if (event !== 'turn') return write(event, data);
+      if (data.sequence_order <= lastSequence) return;
+      lastSequence = data.sequence_order;
+      write(event, data, data.turn_id);
+    }
+
+    const subscriber = {
+      deliver(event, data) {
+        if (replaying) pending.push([event, data]);
+        else send(event, data);
+      }
+    };
+
+    if (!subscribers.has(blockId)) subscribers.set(blockId, new Set());
+    subscribers.get(blockId).add(subscriber);
+    totalConnections++;
+    const heartbeat = setInterval(() => {
+      if (!closed) res.write(': ping\n\n');
+    }, heartbeatMs);
+
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      const meetingSubscribers = subscribers.get(blockId);
+      meetingSubscribers.delete(subscriber);
+      if (meetingSubscribers.size === 0) subscribers.delete(blockId);
+    });
+
+    try {
+      // Subscribed before reading, so turns committed meanwhile wait in pending
+      const result = await pool.query(
+        `SELECT bm.status,
+                (SELECT COALESCE(MAX(sequence_order), 0) FROM block_turns WHERE block_id = bm.block_id) AS last_sequence
+         FROM block_meetings bm
+         WHERE bm.block_id = $1`,
+        [blockId]
+      );
+      const meeting = result.rows[0];
+      write('meeting', { block_id: blockId, status: meeting.status, last_sequence: Number(meeting.last_sequence) });
+
+      let resumeFrom = after;
+      if (lastTurnId !== null) {
+        const turnResult = await pool.query(
+          'SELECT sequence_order FROM block_turns WHERE block_id = $1 AND turn_id = $2',
+          [blockId, lastTurnId]
+        );
+        if (turnResult.rows.length === 0) {
+          write('stream_error', { error: 'Last-Event-ID is not a turn of this meeting' });
+          return res.end();
+        }
+        resumeFrom = turnResult.rows[0].sequence_order;
+      }
+
+      if (resumeFrom === null) {
+        lastSequence = Number(meeting.last_sequence);
+      } else {
+        lastSequence = resumeFrom;
+        let page = { next_after: resumeFrom };
+        while (page.next_after !== null && !closed) {
+          page = await getMeetingTurns(pool, blockId, { after: page.next_after, limit: REPLAY_PAGE_SIZE });
+          page.turns.forEach(turn => send('turn', turn));
+        }
+      }
+    } catch (error) {
+      console.error('Error starting live event stream:', error.message);
+      write('stream_error', { error: 'Internal server error', details: error.message });
+      return res.end();
+    }
+
+    replaying = false;
+    pending.splice(0).forEach(([event, data]) => send(event, data));
+  }
+
+  function getMetrics() {
+    let active = 0;
+    subscribers.forEach(meetingSubscribers => {
+      active += meetingSubscribers.size;
+    });
+    return { connections: totalConnections, active, meetings: subscribers.size };
+  }
+
+  return { publish, publishCommit, publishStatus, stream, getMetrics };
+}
+
+module.exports = { createLiveEvents };
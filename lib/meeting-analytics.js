@@ -0,0 +1,322 @@
+/**
+ * Speaking-time and turn-taking analytics
+ *
+ * Everything is derived from the turns' word timestamps (metadata.start_time /
+ * end_time, in seconds from the start of the recording). Turns without
+ * timing still count towards turns and words but not towards durations.
+ *
+ * Per-meeting numbers are computed on demand; per-participant rollups over
+ * day/week/month windows are stored in events.event_aggregations when a
+ * meeting completes.
+ */
+
+const AGGREGATION_TYPE = 'meeting_participation';
+const TIME_WINDOWS = ['day', 'week', 'month'];
+
+// A turn starting this much before the previous speaker finished is an interruption
+const INTERRUPTION_OVERLAP_SECONDS = 0.25;
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function hasTiming(turn) {
+  return typeof turn.start_time === 'number' && typeof turn.end_time === 'number' && turn.end_time >= turn.start_time;
+}
+
+function countWords(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Recompute block_attendees.speaking_time_seconds from the turns each
+ * attendee spoke in the meeting (all attendees when attendeeIds is omitted).
+ */
+async function refreshSpeakingTime(client, blockId, attendeeIds = null) {
+  await client.query(
+    `UPDATE block_attendees ba SET speaking_time_seconds = COALESCE((
+       SELECT ROUND(SUM((t.metadata->>'end_time')::numeric - (t.metadata->>'start_time')::numeric))
+       FROM block_turns bt
+       JOIN turns t ON t.turn_id = bt.turn_id
+       WHERE bt.block_id = ba.block_id
+         AND t.metadata->>'attendee_id' = ba.id::text
+         AND jsonb_typeof(t.metadata->'start_time') = 'number'
+         AND jsonb_typeof(t.metadata->'end_time') = 'number'
+     ), 0)
+     WHERE ba.block_id = $1 AND ($2::bigint[] IS NULL OR ba.id = ANY($2))`,
+    [blockId, attendeeIds]
+  );
+}
+
+async function loadMeetingTurns(db, blockId) {
+  const result = await db.query(
+    `SELECT t.content, t.participant_id, t.metadata, ba.id AS attendee_id, ba.name AS speaker
+     FROM block_turns bt
+     JOIN turns t ON t.turn_id = bt.turn_id
+     LEFT JOIN block_attendees ba ON ba.id::text = t.metadata->>'attendee_id'
+     WHERE bt.block_id = $1
+     ORDER BY bt.sequence_order`,
+    [blockId]
+  );
+  return result.rows.map(row => ({
+    attendee_id: row.attendee_id,
+    speaker: row.speaker || 'Unknown speaker',
+    participant_id: row.participant_id === null ? null : Number(row.participant_id),
+    words: countWords(row.content),
+    start_time: row.metadata && row.metadata.start_time,
+    end_time: row.metadata && row.metadata.end_time
+  }));
+}
+
+/**
+ * Turn-taking analytics for an ordered list of turns.
+ * Returns meeting totals and one entry per speaker.
+ */
+function computeAnalytics(turns) {
+  const speakers = new Map();
+  const latencies = new Map();
+  let speakerSwitches = 0;
+  let totalSpeaking = 0;
+  let monologue = null;
+
+  function statsFor(turn) {
+    const key = turn.attendee_id || turn.speaker;
+    if (!speakers.has(key)) {
+      speakers.set(key, {
+        attendee_id: turn.attendee_id,
+        name: turn.speaker,
+        participant_id: turn.participant_id,
+        turns: 0,
+        words: 0,
+        speaking_seconds: 0,
+        talk_share: 0,
+        interruptions_made: 0,
+        times_interrupted: 0,
+        longest_monologue_seconds: 0,
+        longest_monologue_words: 0,
+        responses: 0,
+        avg_response_latency_seconds: null
+      });
+      latencies.set(key, []);
+    }
+    return speakers.get(key);
+  }
+
+  function closeMonologue() {
+    if (!monologue) return;
+    const stats = monologue.stats;
+    stats.longest_monologue_seconds = Math.max(stats.longest_monologue_seconds, round(monologue.seconds));
+    stats.longest_monologue_words = Math.max(stats.longest_monologue_words, monologue.words);
+  }
+
+  let previous = null;
+  for (const turn of turns) {
+    const stats = statsFor(turn);
+    const timed = hasTiming(turn);
+    const duration = timed ? turn.end_time - turn.start_time : 0;
+
+    stats.turns++;
+    stats.words += turn.words;
+    stats.speaking_seconds += duration;
+    totalSpeaking += duration;
+
+    const sameSpeaker = previous && statsFor(previous) === stats;
+    if (previous && !sameSpeaker) {
+      speakerSwitches++;
+      if (timed && hasTiming(previous)) {
+        const gap = turn.start_time - previous.end_time;
+        if (gap < -INTERRUPTION_OVERLAP_SECONDS) {
+          stats.interruptions_made++;
+          statsFor(previous).times_interrupted++;
+        } else {
+          latencies.get(turn.attendee_id || turn.speaker).push(Math.max(gap, 0));
+        }
+      }
+    }
+
+    if (sameSpeaker && monologue) {
+      monologue.words += turn.words;
+      if (timed) {
+        monologue.start = monologue.start === null ? turn.start_time : monologue.start;
+        monologue.seconds = turn.end_time - monologue.start;
+      }
+    } else {
+      closeMonologue();
+      monologue = {
+        stats,
+        words: turn.words,
+        start: timed ? turn.start_time : null,
+        seconds: duration
+      };
+    }
+
+    previous = turn;
+  }
+  closeMonologue();
+
+  const timedTurns = turns.filter(hasTiming);
+  const duration = timedTurns.length > 0
+    ? Math.max(...timedTurns.map(turn => turn.end_time)) - Math.min(...timedTurns.map(turn => turn.start_time))
+    : 0;
+
+  for (const [key, stats] of speakers) {
+    const responseLatencies = latencies.get(key);
+    stats.speaking_seconds = round(stats.speaking_seconds);
+    stats.talk_share = totalSpeaking > 0 ? round(stats.speaking_seconds / totalSpeaking, 4) : 0;
+    stats.responses = responseLatencies.length;
+    if (responseLatencies.length > 0) {
+      stats.avg_response_latency_seconds = round(
+        responseLatencies.reduce((sum, latency) => sum + latency, 0) / responseLatencies.length
+      );
+    }
+  }
+
+  return {
+    turns: turns.length,
+    words: turns.reduce((sum, turn) => sum + turn.words, 0),
+    duration_seconds: round(duration),
+    speaking_seconds: round(totalSpeaking),
+    speaker_switches: speakerSwitches,
+    interruptions: [...speakers.values()].reduce((sum, stats) => sum + stats.interruptions_made, 0),
+    speakers: [...speakers.values()].sort((a, b) => b.speaking_seconds - a.speaking_seconds)
+  };
+}
+
+// Analytics for one meeting; null when the meeting doesn't exist
+async function getMeetingAnalytics(db, blockId) {
+  const meetingResult = await db.query(
+    'SELECT block_id, status, started_at, ended_at FROM block_meetings WHERE block_id = $1',
+    [blockId]
+  );
+  const meeting = meetingResult.rows[0];
+  if (!meeting) return null;
+
+  const turns = await loadMeetingTurns(db, blockId);
+  return { ...meeting, ...computeAnalytics(turns) };
+}
+
+// Fold one participant's per-attendee stats from several meetings into rollup metrics
+function participantMetrics(participantId, meetings) {
+  const metrics = {
+    meetings: 0,
+    turns: 0,
+    words: 0,
+    speaking_seconds: 0,
+    meeting_speaking_seconds: 0,
+    talk_share: 0,
+    interruptions_made: 0,
+    times_interrupted: 0,
+    longest_monologue_seconds: 0,
+    responses: 0,
+    avg_response_latency_seconds: null
+  };
+  let latencyTotal = 0;
+
+  for (const analytics of meetings) {
+    const entries = analytics.speakers.filter(stats => stats.participant_id === participantId);
+    if (entries.length === 0) continue;
+
+    metrics.meetings++;
+    metrics.meeting_speaking_seconds += analytics.speaking_seconds;
+    for (const stats of entries) {
+      metrics.turns += stats.turns;
+      metrics.words += stats.words;
+      metrics.speaking_seconds += stats.speaking_seconds;
+      metrics.interruptions_made += stats.interruptions_made;
+      metrics.times_interrupted += stats.times_interrupted;
+      metrics.longest_monologue_seconds = Math.max(metrics.longest_monologue_seconds, stats.longest_monologue_seconds);
+      metrics.responses += stats.responses;
+      latencyTotal += (stats.avg_response_latency_seconds || 0) * stats.responses;
+    }
+  }
+
+  metrics.speaking_seconds = round(metrics.speaking_seconds);
+  metrics.meeting_speaking_seconds = round(metrics.meeting_speaking_seconds);
+  if (metrics.meeting_speaking_seconds > 0) {
+    metrics.talk_share = round(metrics.speaking_seconds / metrics.meeting_speaking_seconds, 4);
+  }
+  if (metrics.responses > 0) {
+    metrics.avg_response_latency_seconds = round(latencyTotal / metrics.responses);
+  }
+  return metrics;
+}
+
+/**
+ * Recompute the day/week/month rollups covering a meeting for everyone who
+ * spoke in it. Each window is rebuilt from all meetings the participant spoke
+ * in during that period, so re-running is idempotent.
+ */
+async function rollUpMeeting(pool, blockId) {
+  const meetingResult = await pool.query(
+    'SELECT COALESCE(started_at, created_at) AS held_at FROM block_meetings WHERE block_id = $1',
+    [blockId]
+  );
+  if (meetingResult.rows.length === 0) return [];
+  const heldAt = meetingResult.rows[0].held_at;
+
+  const participantResult = await pool.query(
+    `SELECT DISTINCT t.participant_id
+     FROM block_turns bt
+     JOIN turns t ON t.turn_id = bt.turn_id
+     WHERE bt.block_id = $1 AND t.participant_id IS NOT NULL`,
+    [blockId]
+  );
+  const participantIds = participantResult.rows.map(row => Number(row.participant_id));
+
+  const analyticsCache = new Map(); // block_id → analytics
+  const rollups = [];
+
+  for (const timeWindow of TIME_WINDOWS) {
+    const periodResult = await pool.query(
+      `SELECT date_trunc($1, $2::timestamptz) AS period_start,
+              date_trunc($1, $2::timestamptz) + ('1 ' || $1)::interval AS period_end`,
+      [timeWindow, heldAt]
+    );
+    const { period_start: periodStart, period_end: periodEnd } = periodResult.rows[0];
+
+    for (const participantId of participantIds) {
+      const meetingsResult = await pool.query(
+        `SELECT DISTINCT bm.block_id
+         FROM block_meetings bm
+         JOIN block_turns bt ON bt.block_id = bm.block_id
+         JOIN turns t ON t.turn_id = bt.turn_id
+         WHERE t.participant_id = $1
+           AND COALESCE(bm.started_at, bm.created_at) >= $2
+           AND COALESCE(bm.started_at, bm.created_at) < $3`,
+        [participantId, periodStart, periodEnd]
+      );
+
+      const meetings = [];
+      for (const { block_id: meetingId } of meetingsResult.rows) {
+        if (!analyticsCache.has(meetingId)) {
+          analyticsCache.set(meetingId, computeAnalytics(await loadMeetingTurns(pool, meetingId)));
+        }
+        meetings.push(analyticsCache.get(meetingId));
+      }
+
+      const metrics = participantMetrics(participantId, meetings);
+      const result = await pool.query(
+        `INSERT INTO events.event_aggregations
+           (aggregation_type, time_window, participant_id, metrics, period_start, period_end)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (aggregation_type, time_window, participant_id, period_start)
+         DO UPDATE SET metrics = EXCLUDED.metrics, period_end = EXCLUDED.period_end, created_at = NOW()
+         RETURNING *`,
+        [AGGREGATION_TYPE, timeWindow, participantId, metrics, periodStart, periodEnd]
+      );
+      rollups.push(result.rows[0]);
+    }
+  }
+
+  return rollups;
+}
+
+module.exports = {
+  AGGREGATION_TYPE,
+  TIME_WINDOWS,
+  refreshSpeakingTime,
+  computeAnalytics,
+  getMeetingAnalytics,
+  rollUpMeeting
+};
@@ -0,0 +1,202 @@
+/**
+ * Meeting lifecycle state machine
+ *
+ *   joining → in_waiting_room → in_call → recording → call_ended → completed
+ *
+ * Any non-terminal state may also move to failed, and a bot that hasn't
+ * got into the call yet can be cancelled. Transitions that go backwards,
+ * skip into an unrelated state, or arrive older than the last recorded
+ * transition are rejected, so a late "joining" can never overwrite
+ * "completed".
+ *
+ * The one way back is a retry: a failed meeting starts over at joining with
+ * a new bot. Only changeMeetingStatus() (the API) makes that move, never a
+ * webhook.
+ */
+
+const { withTransaction } = require('./db');
+
+const TRANSITIONS = {
+  joining: ['in_waiting_room', 'in_call', 'recording', 'call_ended', 'failed', 'cancelled'],
+  in_waiting_room: ['in_call', 'recording', 'call_ended', 'failed', 'cancelled'],
+  in_call: ['recording', 'call_ended', 'failed'],
+  recording: ['call_ended', 'failed'],
+  call_ended: ['completed', 'failed'],
+  completed: [],
+  failed: [],
+  cancelled: []
+};
+
+// Moves only a retry may make
+const RESTARTS = { failed: ['joining'] };
+
+const STATUSES = Object.keys(TRANSITIONS);
+const TERMINAL_STATUSES = STATUSES.filter(status => TRANSITIONS[status].length === 0);
+
+// Recall.ai status codes and legacy values mapped onto our lifecycle
+const STATUS_ALIASES = {
+  joining_call: 'joining',
+  in_call_not_recording: 'in_call',
+  in_call_recording: 'recording',
+  in_progress: 'in_call',
+  done: 'completed',
+  fatal: 'failed'
+};
+
+function normalizeStatus(status) {
+  if (!status) return null;
+  const code = typeof status === 'object' ? status.code : status;
+  const normalized = STATUS_ALIASES[code] || code;
+  return TRANSITIONS[normalized] ? normalized : null;
+}
+
+function canTransition(from, to) {
+  if (from === null) return to === 'joining';
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+async function recordTransition(client, blockId, fromStatus, toStatus, { source, details, occurredAt }) {
+  const result = await client.query(
+    `INSERT INTO block_meeting_status_history (block_id, from_status, to_status, source, details, occurred_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [blockId, fromStatus, toStatus, source, details || {}, occurredAt]
+  );
+  return result.rows[0].id;
+}
+
+// Set the meeting's status and call times, and record the transition; resolves to its history id
+async function writeTransition(client, blockId, from, to, { source, details, occurredAt }) {
+  // started_at marks the bot getting into the call, ended_at the call ending.
+  // A meeting that fails or completes without those transitions still gets an ended_at;
+  // a restarted meeting is open again.
+  const entersCall = ['in_call', 'recording'].includes(to);
+  const endsCall = to === 'call_ended' || TERMINAL_STATUSES.includes(to);
+  const restarts = (RESTARTS[from] || []).includes(to);
+
+  await client.query(
+    `UPDATE block_meetings SET
+       status = $2,
+       started_at = CASE WHEN $3 THEN COALESCE(started_at, $5) ELSE started_at END,
+       ended_at = CASE WHEN $4 THEN COALESCE(ended_at, $5) WHEN $6 THEN NULL ELSE ended_at END
+     WHERE block_id = $1`,
+    [blockId, to, entersCall, endsCall, occurredAt, restarts]
+  );
+  return recordTransition(client, blockId, from, to, { source, details, occurredAt });
+}
+
+// Record the initial 'joining' status for a freshly created meeting row
+async function recordInitialStatus(client, blockId, { source = 'api', details, occurredAt = new Date() } = {}) {
+  await recordTransition(client, blockId, null, 'joining', { source, details, occurredAt });
+}
+
+/**
+ * Apply a status change for the meeting behind a bot.
+ * Resolves to { applied, blockId, from, to, reason }; applied is false when
+ * the meeting is unknown (unknownBot is then set) or the transition was rejected.
+ */
+async function applyStatusChange(pool, botId, status, { source = 'webhook', details, occurredAt } = {}) {
+  const to = normalizeStatus(status);
+  const at = occurredAt ? new Date(occurredAt) : new Date();
+
+  if (!to) {
+    return { applied: false, from: null, to: null, reason: `unknown status ${JSON.stringify(status)}` };
+  }
+  if (Number.isNaN(at.getTime())) {
+    return { applied: false, from: null, to, reason: `invalid timestamp ${occurredAt}` };
+  }
+
+  return withTransaction(pool, async client => {
+    const meetingResult = await client.query(
+      'SELECT block_id, status FROM block_meetings WHERE recall_bot_id = $1 FOR UPDATE',
+      [botId]
+    );
+    const meeting = meetingResult.rows[0];
+
+    if (!meeting) {
+      // A bot a retry has since replaced
+      const replaced = await client.query(
+        'SELECT block_id FROM block_meeting_bots WHERE recall_bot_id = $1',
+        [botId]
+      );
+      if (replaced.rows[0]) {
+        return { applied: false, blockId: replaced.rows[0].block_id, from: null, to, reason: 'bot was replaced by a retry' };
+      }
+      return { applied: false, unknownBot: true, from: null, to, reason: 'no meeting for bot' };
+    }
+
+    const from = normalizeStatus(meeting.status);
+    const result = { applied: false, blockId: meeting.block_id, from, to };
+
+    if (from === to) {
+      return { ...result, reason: 'duplicate status' };
+    }
+    if (!canTransition(from, to)) {
+      return { ...result, reason: `illegal transition ${from} → ${to}` };
+    }
+
+    const lastResult = await client.query(
+      'SELECT MAX(occurred_at) AS last_at FROM block_meeting_status_history WHERE block_id = $1',
+      [meeting.block_id]
+    );
+    const lastAt = lastResult.rows[0].last_at;
+    if (lastAt && at < lastAt) {
+      return { ...result, reason: `out of order (${at.toISOString()} is before ${lastAt.toISOString()})` };
+    }
+
+    await writeTransition(client, meeting.block_id, from, to, { source, details, occurredAt: at });
+
+    return { ...result, applied: true };
+  });
+}
+
+/**
+ * Status change asked for through the API (cancelling or retrying a bot) on
+ * a block_meetings row the caller holds FOR UPDATE. Resolves to the id of
+ * the recorded transition, or null when the meeting's status doesn't allow it.
+ */
+async function changeMeetingStatus(client, meeting, to, { details, occurredAt = new Date() } = {}) {
+  const from = normalizeStatus(meeting.status);
+  if (!canTransition(from, to) && !(RESTARTS[from] || []).includes(to)) return null;
+  return writeTransition(client, meeting.block_id, from, to, { source: 'api', details, occurredAt });
+}
+
+/**
+ * Undo a changeMeetingStatus() the provider then refused: meeting is the row
+ * as it was before. Left alone if a webhook has moved the meeting on since.
+ */
+async function revertStatusChange(client, meeting, transitionId) {
+  const reverted = await client.query(
+    `UPDATE block_meetings bm SET status = $2, ended_at = $3
+     FROM block_meeting_status_history h
+     WHERE bm.block_id = $1 AND h.id = $4 AND bm.status = h.to_status
+     RETURNING bm.block_id`,
+    [meeting.block_id, meeting.status, meeting.ended_at, transitionId]
+  );
+  if (reverted.rows[0]) {
+    await client.query('DELETE FROM block_meeting_status_history WHERE id = $1', [transitionId]);
+  }
+}
+
+async function getStatusHistory(pool, blockId) {
+  const result = await pool.query(
+    `SELECT from_status, to_status, source, details, occurred_at, recorded_at
+     FROM block_meeting_status_history
+     WHERE block_id = $1
+     ORDER BY occurred_at, id`,
+    [blockId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  STATUSES,
+  TERMINAL_STATUSES,
+  normalizeStatus,
+  canTransition,
+  recordInitialStatus,
+  applyStatusChange,
+  changeMeetingStatus,
+  revertStatusChange,
+  getStatusHistory
+};
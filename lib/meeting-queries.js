@@ -0,0 +1,213 @@
+/**
+ * Meeting queries
+ *
+ * Read side of the meeting record for API clients: the meetings a user can
+ * see (newest first, with cursor pagination), one meeting with its attendees
+ * and status history, and a meeting's turns with speaker names resolved.
+ *
+ * Speaker names come from the attendee the turn was written for
+ * (metadata.attendee_id), falling back to the turn's participant.
+ */
+
+const { STATUSES, getStatusHistory } = require('./meeting-lifecycle');
+const { CAN_ACCESS } = require('./access');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DEFAULT_TURN_PAGE_SIZE = 500;
+const MAX_TURN_PAGE_SIZE = 2000;
+
+const MEETING_COLUMNS = `bm.block_id, b.name, b.description, bm.meeting_url, bm.platform, bm.source, bm.status,
+  bm.invited_by_user_id, bm.recall_bot_id, bm.scheduled_meeting_id,
+  bm.started_at, bm.ended_at, bm.created_at, b.summarized_at`;
+
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?([+-]\d{2}(:?\d{2})?|Z)?$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// A meeting is dated by when the bot got in, or when it was created if it never did
+const HELD_AT = 'COALESCE(bm.started_at, bm.created_at)';
+
+function pageSize(value, fallback, max) {
+  const size = Number(value);
+  return Number.isInteger(size) && size > 0 ? Math.min(size, max) : fallback;
+}
+
+// cursor_at is the held-at time as Postgres text, keeping the microseconds a Date would drop
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.cursor_at, row.block_id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [heldAt, blockId] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!TIMESTAMP.test(heldAt) || !UUID.test(blockId)) return null;
+    return { heldAt, blockId };
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+/**
+ * Validate list query parameters: status (comma separated), from, to
+ * (ISO dates), invited_by (user id or "me"), attendee (user id, email or
+ * name), cursor and limit. Resolves to { filters } or { error }.
+ */
+function parseMeetingFilters(query, user) {
+  const filters = { limit: pageSize(query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE) };
+
+  if (query.status) {
+    filters.statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+    const unknown = filters.statuses.filter(status => !STATUSES.includes(status));
+    if (unknown.length > 0) {
+      return { error: `Unknown status "${unknown[0]}"; expected one of ${STATUSES.join(', ')}` };
+    }
+  }
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined) continue;
+    filters[key] = parseDate(query[key]);
+    if (!filters[key]) return { error: `${key} must be an ISO 8601 date` };
+  }
+  if (query.invited_by !== undefined) {
+    filters.invitedBy = query.invited_by === 'me' ? user.id : Number(query.invited_by);
+    if (!Number.isInteger(filters.invitedBy)) return { error: 'invited_by must be a user id or "me"' };
+  }
+  if (query.attendee !== undefined) {
+    filters.attendee = String(query.attendee).trim();
+    if (!filters.attendee) return { error: 'attendee must not be empty' };
+  }
+  if (query.cursor !== undefined) {
+    filters.cursor = decodeCursor(query.cursor);
+    if (!filters.cursor) return { error: 'Invalid cursor' };
+  }
+  return { filters };
+}
+
+/**
+ * Meetings the user can access, newest first. Resolves to
+ * { meetings, next_cursor }; next_cursor is null on the last page.
+ */
+async function listMeetings(pool, user, { statuses, from, to, invitedBy, attendee, cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const params = [user.id, user.email];
+  const where = [CAN_ACCESS];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (statuses) where.push(`bm.status = ANY(${param(statuses)}::text[])`);
+  if (from) where.push(`${HELD_AT} >= ${param(from)}`);
+  if (to) where.push(`${HELD_AT} < ${param(to)}`);
+  if (invitedBy !== undefined) where.push(`bm.invited_by_user_id = ${param(invitedBy)}`);
+  if (attendee) {
+    // A user id, an email, or part of a name
+    let match;
+    if (/^\d+$/.test(attendee)) {
+      match = `ba.user_id = ${param(Number(attendee))}`;
+    } else if (attendee.includes('@')) {
+      const email = param(attendee);
+      match = `(lower(ba.email) = lower(${email}) OR lower(p.email) = lower(${email}))`;
+    } else {
+      match = `ba.name ILIKE ${param(`%${attendee.replace(/[\\%_]/g, '\\$&')}%`)}`;
+    }
+    where.push(`EXISTS (
+      SELECT 1 FROM block_attendees ba
+      LEFT JOIN conversation.participants p ON p.id = ba.participant_id
+      WHERE ba.block_id = bm.block_id AND ${match}
+    )`);
+  }
+  if (cursor) {
+    where.push(`(${HELD_AT}, bm.block_id) < (${param(cursor.heldAt)}::timestamptz, ${param(cursor.blockId)}::uuid)`);
+  }
+
+  const result = await pool.query(
+    `SELECT ${MEETING_COLUMNS}, ${HELD_AT} AS held_at, ${HELD_AT}::text AS cursor_at,
+            (SELECT COUNT(*)::int FROM block_attendees ba WHERE ba.block_id = bm.block_id) AS attendee_count,
+            (SELECT COUNT(*)::int FROM block_turns bt WHERE bt.block_id = bm.block_id) AS turn_count
+     FROM block_meetings bm
+     JOIN blocks b ON b.block_id = bm.block_id
+     WHERE ${where.join('\n       AND ')}
+     ORDER BY ${HELD_AT} DESC, bm.block_id DESC
+     LIMIT ${param(limit + 1)}`,
+    params
+  );
+
+  const rows = result.rows.slice(0, limit);
+  const more = result.rows.length > limit;
+  return {
+    meetings: rows.map(({ cursor_at, ...meeting }) => meeting),
+    next_cursor: more ? encodeCursor(rows[rows.length - 1]) : null
+  };
+}
+
+/**
+ * One meeting with its attendees (and the participant each is linked to)
+ * and its status history; null when unknown.
+ */
+async function getMeeting(pool, blockId) {
+  const result = await pool.query(
+    `SELECT ${MEETING_COLUMNS}
+     FROM block_meetings bm
+     JOIN blocks b ON b.block_id = bm.block_id
+     WHERE bm.block_id = $1`,
+    [blockId]
+  );
+  const meeting = result.rows[0];
+  if (!meeting) return null;
+
+  const attendees = await pool.query(
+    `SELECT ba.id, ba.name, ba.email, ba.user_id, ba.participant_id, p.name AS participant_name,
+            ba.speaking_time_seconds, ba.created_at
+     FROM block_attendees ba
+     LEFT JOIN conversation.participants p ON p.id = ba.participant_id
+     WHERE ba.block_id = $1
+     ORDER BY ba.created_at, ba.id`,
+    [blockId]
+  );
+
+  return {
+    ...meeting,
+    attendees: attendees.rows,
+    status_history: await getStatusHistory(pool, blockId)
+  };
+}
+
+/**
+ * A meeting's turns in order, after sequence_order `after`. Word timings are
+ * left out unless words is set. Resolves to { turns, next_after } (null on
+ * the last page), or null when the meeting is unknown.
+ */
+async function getMeetingTurns(pool, blockId, { after = 0, limit = DEFAULT_TURN_PAGE_SIZE, words = false } = {}) {
+  const meeting = await pool.query('SELECT 1 FROM block_meetings WHERE block_id = $1', [blockId]);
+  if (meeting.rows.length === 0) return null;
+
+  const size = pageSize(limit, DEFAULT_TURN_PAGE_SIZE, MAX_TURN_PAGE_SIZE);
+  const result = await pool.query(
+    `SELECT t.turn_id, bt.sequence_order,
+            COALESCE(ba.name, p.name, 'Unknown speaker') AS speaker,
+            ba.id AS attendee_id, t.participant_id, t.content, t.source_type, t.timestamp,
+            (t.metadata->>'start_time')::float AS start_time,
+            (t.metadata->>'end_time')::float AS end_time
+            ${words ? ", COALESCE(t.metadata->'words', '[]'::jsonb) AS words" : ''}
+     FROM block_turns bt
+     JOIN turns t ON t.turn_id = bt.turn_id
+     LEFT JOIN block_attendees ba ON ba.id::text = t.metadata->>'attendee_id'
+     LEFT JOIN conversation.participants p ON p.id = t.participant_id
+     WHERE bt.block_id = $1 AND bt.sequence_order > $2
+     ORDER BY bt.sequence_order
+     LIMIT $3`,
+    [blockId, Number(after) || 0, size + 1]
+  );
+
+  const turns = result.rows.slice(0, size);
+  return {
+    turns,
+    next_after: result.rows.length > size ? turns[turns.length - 1].sequence_order : null
+  };
+}
+
+module.exports = { parseMeetingFilters, listMeetings, getMeeting, getMeetingTurns };
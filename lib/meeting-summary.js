@@ -0,0 +1,158 @@
+/**
+ * Post-meeting summary
+ *
+ * The structure is extracted from the turns and their detected patterns:
+ *   sections       - stretches of the meeting between topic shifts, titled by their keywords
+ *   decisions      - turns flagged as decisions
+ *   open_questions - questions nobody else took up in the next couple of turns
+ *   action_items   - commitments, owned by whoever made them
+ * The summarizer then writes the narrative from that structure. Both are
+ * stored on the meeting's blocks row (summary, story, summarized_at).
+ */
+
+const { contentWords, DUE_PHRASES } = require('./text');
+
+const SECTION_TITLE_WORDS = 3;
+const ANSWER_WINDOW_TURNS = 2;
+
+function keywords(turns, limit) {
+  const counts = new Map();
+  for (const turn of turns) {
+    for (const word of contentWords(turn.content)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .slice(0, limit)
+    .map(([word]) => word);
+}
+
+async function loadTurns(db, blockId) {
+  const result = await db.query(
+    `SELECT t.turn_id, t.content, t.participant_id, t.metadata, bt.sequence_order,
+            ba.id AS attendee_id, COALESCE(ba.name, 'Unknown speaker') AS speaker
+     FROM block_turns bt
+     JOIN turns t ON t.turn_id = bt.turn_id
+     LEFT JOIN block_attendees ba ON ba.id::text = t.metadata->>'attendee_id'
+     WHERE bt.block_id = $1
+     ORDER BY bt.sequence_order`,
+    [blockId]
+  );
+  return result.rows;
+}
+
+function turnRef(turn) {
+  return {
+    turn_id: turn.turn_id,
+    sequence_order: turn.sequence_order,
+    speaker: turn.speaker,
+    participant_id: turn.participant_id === null ? null : Number(turn.participant_id),
+    text: turn.content
+  };
+}
+
+// Build the structured summary from ordered turns and their meeting_insights rows
+function extractSummary(turns, insights) {
+  const patternsByTurn = new Map();
+  for (const insight of insights) {
+    if (!patternsByTurn.has(insight.turn_id)) patternsByTurn.set(insight.turn_id, new Set());
+    patternsByTurn.get(insight.turn_id).add(insight.pattern);
+  }
+  const has = (turn, pattern) => (patternsByTurn.get(turn.turn_id) || new Set()).has(pattern);
+
+  const sections = [];
+  let current = [];
+  turns.forEach((turn, i) => {
+    if (i > 0 && has(turn, 'topic_shift') && current.length > 0) {
+      sections.push(current);
+      current = [];
+    }
+    current.push(turn);
+  });
+  if (current.length > 0) sections.push(current);
+
+  const decisions = turns.filter(turn => has(turn, 'decision')).map(turnRef);
+
+  const openQuestions = turns
+    .map((turn, i) => ({ turn, i }))
+    .filter(({ turn }) => has(turn, 'question'))
+    .filter(({ turn, i }) => !turns
+      .slice(i + 1, i + 1 + ANSWER_WINDOW_TURNS)
+      .some(next => next.speaker !== turn.speaker && !has(next, 'question')))
+    .map(({ turn }) => turnRef(turn));
+
+  const actionItems = turns
+    .filter(turn => has(turn, 'commitment'))
+    .map(turn => {
+      const due = turn.content.match(DUE_PHRASES);
+      return {
+        ...turnRef(turn),
+        owner: turn.speaker,
+        owner_attendee_id: turn.attendee_id,
+        due_hint: due ? due[0] : null
+      };
+    });
+
+  return {
+    sections: sections.map(sectionTurns => ({
+      title: keywords(sectionTurns, SECTION_TITLE_WORDS).join(', ') || 'General discussion',
+      start_sequence: sectionTurns[0].sequence_order,
+      end_sequence: sectionTurns[sectionTurns.length - 1].sequence_order,
+      turns: sectionTurns.length,
+      speakers: [...new Set(sectionTurns.map(turn => turn.speaker))]
+    })),
+    decisions,
+    open_questions: openQuestions,
+    action_items: actionItems,
+    speakers: [...new Set(turns.map(turn => turn.speaker))],
+    turns: turns.length
+  };
+}
+
+/**
+ * Generate (or regenerate) a meeting's summary and narrative and store them
+ * on its blocks row. Resolves to the updated block, or null for an unknown meeting.
+ */
+async function summarizeMeeting(pool, summarizer, blockId) {
+  const meetingResult = await pool.query(
+    `SELECT b.block_id, b.name, bm.started_at, bm.ended_at
+     FROM blocks b
+     JOIN block_meetings bm ON bm.block_id = b.block_id
+     WHERE b.block_id = $1`,
+    [blockId]
+  );
+  const meeting = meetingResult.rows[0];
+  if (!meeting) return null;
+
+  const turns = await loadTurns(pool, blockId);
+  const insightsResult = await pool.query(
+    'SELECT turn_id, pattern FROM meeting_insights WHERE block_id = $1',
+    [blockId]
+  );
+
+  const summary = extractSummary(turns, insightsResult.rows);
+  const { story } = await summarizer.summarizeMeeting({ meeting, summary, turns });
+  summary.summarizer = summarizer.name;
+
+  const result = await pool.query(
+    `UPDATE blocks SET summary = $2, story = $3, summarized_at = NOW(), updated_at = NOW()
+     WHERE block_id = $1
+     RETURNING block_id, name, summary, story, summarized_at`,
+    [blockId, summary, story]
+  );
+  return result.rows[0];
+}
+
+async function getMeetingSummary(pool, blockId) {
+  const result = await pool.query(
+    `SELECT b.block_id, b.name, b.summary, b.story, b.summarized_at
+     FROM blocks b
+     JOIN block_meetings bm ON bm.block_id = b.block_id
+     WHERE b.block_id = $1`,
+    [blockId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = { extractSummary, summarizeMeeting, getMeetingSummary };
@@ -0,0 +1,209 @@
+/**
+ * Meeting URLs
+ *
+ * Recognizes Zoom, Google Meet, Microsoft Teams and Webex links and reduces
+ * each to a normalized join URL plus a key identifying the meeting, so the
+ * same meeting reached through different links (vanity subdomains, tracking
+ * parameters, Outlook safe-links or Google redirect wrappers) is recognized
+ * as one. Passcodes carried in the link (Zoom pwd, Teams p) are kept in the
+ * join URL since the bot needs them to get in.
+ */
+
+const PLATFORMS = {
+  zoom: 'Zoom',
+  google_meet: 'Google Meet',
+  teams: 'Microsoft Teams',
+  webex: 'Webex'
+};
+
+const MAX_UNWRAP = 3; // nested redirect wrappers
+const URL_IN_TEXT = /https?:\/\/[^\s<>"'\\]+/gi;
+
+/**
+ * Raised for a meeting URL that's malformed or on an unsupported platform.
+ * The message is written for the API caller.
+ */
+class MeetingUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MeetingUrlError';
+    this.status = 400;
+  }
+}
+
+function hostIs(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+// Outlook safe-links and Google redirects → the URL they wrap
+function unwrap(url) {
+  const host = url.hostname.toLowerCase();
+  let target = null;
+  if (hostIs(host, 'safelinks.protection.outlook.com')) target = url.searchParams.get('url');
+  if ((host === 'www.google.com' || host === 'google.com') && url.pathname === '/url') {
+    target = url.searchParams.get('q') || url.searchParams.get('url');
+  }
+  return target;
+}
+
+function zoom(url, host) {
+  const path = url.pathname.replace(/\/+$/, '');
+  const passcode = url.searchParams.get('pwd');
+  const query = passcode ? `?pwd=${encodeURIComponent(passcode)}` : '';
+
+  // /j/<id>, /w/<id> (webinar), /s/<id> (host start), /wc/join/<id>, /wc/<id>/join
+  const match = path.match(/^\/(?:j|w|s|wc\/join)\/(\d{9,12})$/) || path.match(/^\/wc\/(\d{9,12})(?:\/join)?$/);
+  if (match) {
+    return { key: `zoom:${match[1]}`, url: `https://${host}/j/${match[1]}${query}`, passcode };
+  }
+  const personal = path.match(/^\/my\/([\w.-]+)$/i);
+  if (personal) {
+    const room = personal[1].toLowerCase();
+    return { key: `zoom:my:${room}`, url: `https://${host}/my/${room}${query}`, passcode };
+  }
+  throw new MeetingUrlError('Not a Zoom meeting link: expected /j/<meeting id> or /my/<personal link>');
+}
+
+function googleMeet(url) {
+  const code = url.pathname.replace(/^\/+|\/+$/g, '').toLowerCase();
+  const match = code.match(/^([a-z]{3})-?([a-z]{4})-?([a-z]{3})$/);
+  if (match) {
+    const normalized = `${match[1]}-${match[2]}-${match[3]}`;
+    return { key: `google_meet:${normalized}`, url: `https://meet.google.com/${normalized}`, passcode: null };
+  }
+  const lookup = code.match(/^lookup\/([\w-]+)$/);
+  if (lookup) {
+    return { key: `google_meet:lookup:${lookup[1]}`, url: `https://meet.google.com/lookup/${lookup[1]}`, passcode: null };
+  }
+  throw new MeetingUrlError('Not a Google Meet link: expected meet.google.com/abc-defg-hij');
+}
+
+function teams(url, host) {
+  // Launcher pages carry the real link in ?url=/_#/l/meetup-join/...
+  let path = url.pathname;
+  let search = url.search;
+  if (/^\/dl\/launcher\//.test(path) && url.searchParams.get('url')) {
+    let inner;
+    try {
+      inner = new URL(url.searchParams.get('url').replace(/^\/_#/, ''), `https://${host}`);
+    } catch (error) {
+      throw new MeetingUrlError('The meeting link inside this Teams launcher URL is not a valid URL');
+    }
+    path = inner.pathname;
+    search = inner.search;
+  }
+
+  const join = path.match(/^\/l\/meetup-join\/([^/]+)\/([^/]+)/);
+  if (join) {
+    let thread;
+    try {
+      thread = decodeURIComponent(join[1]);
+    } catch (error) {
+      throw new MeetingUrlError('Not a Microsoft Teams meeting link: the meeting id is not valid');
+    }
+    return {
+      key: `teams:${thread.toLowerCase()}`,
+      url: `https://${host}/l/meetup-join/${encodeURIComponent(thread)}/${join[2]}${search}`,
+      passcode: null
+    };
+  }
+  const meet = path.match(/^\/meet\/(\d+)\/?$/);
+  if (meet) {
+    const passcode = new URLSearchParams(search).get('p');
+    const query = passcode ? `?p=${encodeURIComponent(passcode)}` : '';
+    return { key: `teams:meet:${meet[1]}`, url: `https://${host}/meet/${meet[1]}${query}`, passcode };
+  }
+  throw new MeetingUrlError('Not a Microsoft Teams meeting link: expected /l/meetup-join/... or /meet/<id>');
+}
+
+function webex(url, host) {
+  const path = url.pathname.replace(/\/+$/, '');
+  const mtid = url.searchParams.get('MTID') || url.searchParams.get('mtid');
+  if (/\/j\.php$/i.test(path) && mtid) {
+    return { key: `webex:${mtid.toLowerCase()}`, url: `https://${host}${path}?MTID=${encodeURIComponent(mtid)}`, passcode: null };
+  }
+  const room = path.match(/^\/(?:meet|join)\/([\w.-]+)$/i) || path.match(/^\/[\w-]+\/(?:meet|join)\/([\w.-]+)$/i);
+  if (room) {
+    const name = room[1].toLowerCase();
+    return { key: `webex:${host}:${name}`, url: `https://${host}${path.replace(/[^/]+$/, name)}`, passcode: null };
+  }
+  const meeting = path.match(/\/meeting\/download\/([0-9a-f]+)$/i);
+  if (meeting) {
+    return { key: `webex:${meeting[1].toLowerCase()}`, url: `https://${host}${path}`, passcode: null };
+  }
+  throw new MeetingUrlError('Not a Webex meeting link: expected j.php?MTID=..., /meet/<room> or /join/<room>');
+}
+
+/**
+ * Parse a meeting link. Resolves to { platform, url, key, passcode }:
+ * platform is zoom, google_meet, teams or webex; url the normalized join
+ * URL; key identifies the meeting across link variants. Throws
+ * MeetingUrlError for malformed or unsupported links.
+ */
+function parseMeetingUrl(input) {
+  const text = String(input || '').trim();
+  if (!text) throw new MeetingUrlError('Meeting URL is empty');
+
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    throw new MeetingUrlError(`"${text}" is not a valid URL`);
+  }
+
+  for (let depth = 0; depth < MAX_UNWRAP; depth++) {
+    const target = unwrap(url);
+    if (!target) break;
+    try {
+      url = new URL(target);
+    } catch (error) {
+      throw new MeetingUrlError('The wrapped link inside this redirect URL is not a valid URL');
+    }
+  }
+
+  if (!['https:', 'http:'].includes(url.protocol)) {
+    throw new MeetingUrlError(`Meeting URL must be an https link, not ${url.protocol.replace(/:$/, '')}`);
+  }
+
+  const host = url.hostname.toLowerCase();
+  let parsed;
+  let platform;
+  if (hostIs(host, 'zoom.us') || hostIs(host, 'zoomgov.com') || hostIs(host, 'zoom.com')) {
+    platform = 'zoom';
+    parsed = zoom(url, host);
+  } else if (host === 'meet.google.com') {
+    platform = 'google_meet';
+    parsed = googleMeet(url);
+  } else if (hostIs(host, 'teams.microsoft.com') || hostIs(host, 'teams.live.com') || hostIs(host, 'teams.microsoft.us')) {
+    platform = 'teams';
+    parsed = teams(url, host);
+  } else if (hostIs(host, 'webex.com')) {
+    platform = 'webex';
+    parsed = webex(url, host);
+  } else {
+    throw new MeetingUrlError(
+      `Unsupported meeting platform (${host}); use a ${Object.values(PLATFORMS).join(', ').replace(/, ([^,]+)$/, ' or $1')} link`
+    );
+  }
+
+  return { platform, ...parsed };
+}
+
+/**
+ * The first supported meeting link in any of the texts (calendar locations,
+ * descriptions), parsed; null when there is none.
+ */
+function findMeetingUrl(...texts) {
+  for (const text of texts) {
+    for (const candidate of String(text || '').match(URL_IN_TEXT) || []) {
+      try {
+        return parseMeetingUrl(candidate.replace(/[.,;)\]>]+$/, ''));
+      } catch (error) {
+        // Not a meeting link; keep looking
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { parseMeetingUrl, findMeetingUrl, MeetingUrlError, PLATFORMS };
@@ -0,0 +1,244 @@
+/**
+ * Schema migrator
+ *
+ * Applies the numbered SQL files in migrations/ (NNN_description.sql) in
+ * order, each in its own transaction together with its row in the
+ * public.schema_migrations ledger, so a failed migration leaves nothing
+ * behind and an applied one is never run again. The ledger keeps a checksum
+ * of every applied file: editing a migration after it ran is reported, and
+ * blocks further migrations until the edit is undone (or moved into a new
+ * migration).
+ *
+ * Databases set up before the ledger existed are adopted with baseline(),
+ * which records the migrations they already have without running them.
+ * One migrator runs at a time; others wait on an advisory lock.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_[\w-]+\.sql$/;
+const LOCK_KEY = 'schema_migrations';
+
+// Same search path the server uses; older migrations rely on it
+const SEARCH_PATH = 'SET search_path = public, conversation, client_mgmt';
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+// Line endings don't count as an edit
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+// The "-- Migration: Title" header, or the first comment line of older files
+function title(sql) {
+  const match = sql.match(/^--\s*(?:Migration:\s*)?(.+)$/m);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * The migration files in order: { version, name, title, checksum, sql }.
+ * Two files with the same number are an error.
+ */
+function discoverMigrations(dir = DEFAULT_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => {
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      return { version: file.match(FILE_PATTERN)[1], name: file, title: title(sql), checksum: checksum(sql), sql };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version) || a.name.localeCompare(b.name));
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+      throw new MigrationError(`Migrations ${migrations[i - 1].name} and ${migrations[i].name} share version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+function createMigrator({ pool, dir = DEFAULT_DIR, log = console.log }) {
+  async function ledgerExists(db) {
+    const result = await db.query("SELECT to_regclass('public.schema_migrations') IS NOT NULL AS present");
+    return result.rows[0].present;
+  }
+
+  async function createLedger(db) {
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS public.schema_migrations (
+         version TEXT PRIMARY KEY,
+         name TEXT NOT NULL,
+         checksum TEXT NOT NULL,
+         baseline BOOLEAN NOT NULL DEFAULT FALSE, -- recorded by baseline, not run
+         execution_ms INTEGER,
+         applied_at TIMESTAMPTZ DEFAULT NOW()
+       )`
+    );
+  }
+
+  // Ledger rows by version; empty when the ledger hasn't been created yet
+  async function appliedMigrations(db) {
+    if (!(await ledgerExists(db))) return new Map();
+    const result = await db.query('SELECT * FROM public.schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [Number(row.version), row]));
+  }
+
+  /**
+   * Every migration file and ledger row with its state: applied, pending,
+   * changed (edited since it was applied) or missing (applied, but the file
+   * is gone).
+   */
+  async function status(db = pool) {
+    const files = discoverMigrations(dir);
+    const applied = await appliedMigrations(db);
+
+    const entries = files.map(file => {
+      const row = applied.get(Number(file.version));
+      applied.delete(Number(file.version));
+      if (!row) return { ...file, state: 'pending', applied_at: null };
+      return {
+        ...file,
+        state: row.checksum === file.checksum ? 'applied' : 'changed',
+        baseline: row.baseline,
+        applied_at: row.applied_at
+      };
+    });
+    for (const row of applied.values()) {
+      entries.push({ version: row.version, name: row.name, title: '', state: 'missing', baseline: row.baseline, applied_at: row.applied_at });
+    }
+    return entries.sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  // Run fn on a dedicated client holding the migration lock
+  async function withLock(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query(SEARCH_PATH);
+      await client.query('SELECT pg_advisory_lock(hashtext($1))', [LOCK_KEY]);
+      try {
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  function checkUnchanged(entries) {
+    const changed = entries.filter(entry => entry.state === 'changed');
+    if (changed.length > 0) {
+      throw new MigrationError(
+        `Applied migrations were edited: ${changed.map(entry => entry.name).join(', ')}. ` +
+        'Restore them and put further changes in a new migration.'
+      );
+    }
+  }
+
+  async function apply(client, migration) {
+    const started = Date.now();
+    await client.query('BEGIN');
+    try {
+      await client.query(migration.sql);
+      await client.query(
+        `INSERT INTO public.schema_migrations (version, name, checksum, execution_ms)
+         VALUES ($1, $2, $3, $4)`,
+        [migration.version, migration.name, migration.checksum, Date.now() - started]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new MigrationError(`${migration.name} failed: ${error.message}`);
+    } finally {
+      // Migrations may change the search path; later ones expect the usual one
+      await client.query(SEARCH_PATH);
+    }
+    return Date.now() - started;
+  }
+
+  /**
+   * Apply pending migrations in order, up to and including version `to`
+   * (all of them by default). With dryRun nothing is written; the plan is
+   * logged and returned. Resolves to the migrations applied (or planned).
+   */
+  async function up({ to = null, dryRun = false } = {}) {
+    const pendingOf = entries => entries
+      .filter(entry => entry.state === 'pending')
+      .filter(entry => to === null || Number(entry.version) <= Number(to));
+
+    if (dryRun) {
+      const entries = await status();
+      checkUnchanged(entries);
+      const pending = pendingOf(entries);
+      if (pending.length === 0) log('Nothing to migrate');
+      pending.forEach(migration => {
+        log(`Would apply ${migration.name}${migration.title ? ` (${migration.title})` : ''} [${migration.checksum.slice(0, 12)}]`);
+      });
+      return pending;
+    }
+
+    return withLock(async client => {
+      await createLedger(client);
+      const entries = await status(client);
+      checkUnchanged(entries);
+      const pending = pendingOf(entries);
+      if (pending.length === 0) log('Nothing to migrate');
+
+      const applied = [];
+      for (const migration of pending) {
+        log(`Applying ${migration.name}...`);
+        const ms = await apply(client, migration);
+        log(`Applied ${migration.name} in ${ms}ms`);
+        applied.push(migration);
+      }
+      return applied;
+    });
+  }
+
+  /**
+   * Record every migration up to and including version `to` as applied
+   * without running it, for databases whose schema predates the ledger.
+   * Migrations already in the ledger are left alone. Resolves to those recorded.
+   */
+  async function baseline(to, { dryRun = false } = {}) {
+    const selected = discoverMigrations(dir).filter(migration => Number(migration.version) <= Number(to));
+    if (selected.length === 0) {
+      throw new MigrationError(`No migrations at or below version ${to}`);
+    }
+
+    const record = async db => {
+      const applied = await appliedMigrations(db);
+      const recorded = selected.filter(migration => !applied.has(Number(migration.version)));
+      for (const migration of recorded) {
+        if (dryRun) {
+          log(`Would record ${migration.name} as applied`);
+          continue;
+        }
+        await db.query(
+          `INSERT INTO public.schema_migrations (version, name, checksum, baseline)
+           VALUES ($1, $2, $3, TRUE)`,
+          [migration.version, migration.name, migration.checksum]
+        );
+        log(`Recorded ${migration.name} as applied`);
+      }
+      return recorded;
+    };
+
+    if (dryRun) return record(pool);
+    return withLock(async client => {
+      await createLedger(client);
+      return record(client);
+    });
+  }
+
+  return { status, up, baseline };
+}
+
+module.exports = { createMigrator, discoverMigrations, MigrationError };
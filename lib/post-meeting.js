@@ -0,0 +1,108 @@
+/**
+ * Post-meeting processing
+ *
+ * Once a meeting is completed, its final transcript is fetched and
+ * reconciled and the meeting analysed; an imported meeting is analysed once
+ * its transcript is stored. The webhook reporting the completion (or the
+ * import request) only commits the meeting; this job does the rest. Every intervalMs
+ * (and whenever tick() is called) completed meetings whose processing hasn't
+ * finished are claimed in the database (processing_status = 'processing')
+ * and handed to processMeeting(meeting, { attempt, lastAttempt }). A meeting
+ * whose processing throws is tried again on a later pass, up to MAX_ATTEMPTS
+ * times; a claim older than STALE_CLAIM_MINUTES belongs to a crashed
+ * instance and is taken over.
+ *
+ * Live frames are buffered in memory by the instance holding the meeting's
+ * transcript channel, so committing the last of them before reconciliation
+ * only reaches that instance's buffers when it is the one running the job.
+ * With several instances, frames still buffered elsewhere are committed by
+ * that instance's own flush, which can land after reconciliation has filled
+ * the same speech in from the final transcript.
+ */
+
+const DEFAULT_INTERVAL_MS = 30000;
+const STALE_CLAIM_MINUTES = 15;
+const MAX_ATTEMPTS = 3;
+const BATCH_SIZE = 10;
+
+const CLAIMABLE = `status = 'completed'
+  AND (processing_status IS NULL
+       OR processing_status = 'pending'
+       OR (processing_status = 'processing' AND processing_claimed_at < NOW() - make_interval(mins => $1)))`;
+
+function createPostMeetingProcessor({ pool, processMeeting, intervalMs = DEFAULT_INTERVAL_MS }) {
+  let timer = null;
+  let running = null;
+
+  async function setOutcome(blockId, status, error = null) {
+    await pool.query(
+      `UPDATE block_meetings
+       SET processing_status = $2,
+           processing_error = $3,
+           processed_at = CASE WHEN $4 THEN NOW() ELSE processed_at END
+       WHERE block_id = $1`,
+      [blockId, status, error, status === 'processed']
+    );
+  }
+
+  async function processClaimed(meeting) {
+    const attempt = meeting.processing_attempts;
+    try {
+      await processMeeting(meeting, { attempt, lastAttempt: attempt >= MAX_ATTEMPTS });
+      await setOutcome(meeting.block_id, 'processed');
+    } catch (error) {
+      const status = attempt >= MAX_ATTEMPTS ? 'failed' : 'pending';
+      console.error(`Processing meeting ${meeting.block_id} failed (attempt ${attempt}):`, error.message);
+      await setOutcome(meeting.block_id, status, error.message);
+    }
+  }
+
+  async function runTick() {
+    const due = await pool.query(
+      `SELECT block_id FROM block_meetings
+       WHERE ${CLAIMABLE}
+       ORDER BY ended_at NULLS FIRST
+       LIMIT ${BATCH_SIZE}`,
+      [STALE_CLAIM_MINUTES]
+    );
+
+    for (const { block_id: blockId } of due.rows) {
+      const claimed = await pool.query(
+        `UPDATE block_meetings
+         SET processing_status = 'processing', processing_claimed_at = NOW(), processing_attempts = processing_attempts + 1
+         WHERE block_id = $2 AND ${CLAIMABLE}
+         RETURNING *`,
+        [STALE_CLAIM_MINUTES, blockId]
+      );
+      // Another instance got there first
+      if (claimed.rows[0]) await processClaimed(claimed.rows[0]);
+    }
+  }
+
+  // One pass over completed meetings; overlapping calls share the pass in flight
+  function tick() {
+    if (!running) {
+      running = runTick()
+        .catch(error => console.error('Post-meeting processing pass failed:', error.message))
+        .finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+  }
+
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (running) await running;
+  }
+
+  return { tick, start, stop };
+}
+
+module.exports = { createPostMeetingProcessor };
@@ -0,0 +1,15 @@
+/**
+ * Error raised when a meeting provider call fails.
+ * Carries the upstream HTTP status and response body so routes can pass them on.
+ */
+
+class ProviderError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { ProviderError };
@@ -0,0 +1,54 @@
+/**
+ * Meeting provider selection
+ *
+ * A provider is an object with:
+ *   name                      - identifier used in logs
+ *   createBot(options)        - send a bot to { meetingUrl, botName, websocketUrl, webhookUrl }, resolves to the bot ({ id, ... })
+ *   getTranscript(botId)      - resolves to the provider's full transcript for the bot
+ *   leaveMeeting(botId)       - asks the bot to leave the call
+ *   getStatus(botId)          - resolves to { botId, status, raw }
+ *   webhookSecret             - secret the provider signs webhooks with
+ *
+ * MEETING_PROVIDER=recall (default) talks to Recall.ai.
+ * MEETING_PROVIDER=local starts the bundled stand-in server in-process so the
+ * whole bot flow runs offline. Without RECALL_WEBHOOK_SECRET it signs with a
+ * random per-process secret.
+ */
+
+const crypto = require('crypto');
+const { createRecallProvider } = require('./recall');
+const { createLocalRecallServer } = require('./local-recall-server');
+const { ProviderError } = require('./errors');
+
+async function createMeetingProvider(name = process.env.MEETING_PROVIDER || 'recall') {
+  switch (name) {
+    case 'recall': {
+      const provider = createRecallProvider({
+        apiKey: process.env.RECALL_API_KEY,
+        baseUrl: process.env.RECALL_API_URL
+      });
+      provider.webhookSecret = process.env.RECALL_WEBHOOK_SECRET;
+      return provider;
+    }
+
+    case 'local': {
+      const webhookSecret = process.env.RECALL_WEBHOOK_SECRET || crypto.randomBytes(24).toString('hex');
+      const local = await createLocalRecallServer({
+        port: process.env.LOCAL_RECALL_PORT || 0,
+        stepMs: Number(process.env.LOCAL_RECALL_STEP_MS) || 1000,
+        webhookSecret
+      }).start();
+      console.log(`🧪 Local Recall.ai stand-in running at ${local.url}`);
+
+      const provider = createRecallProvider({ apiKey: 'local', baseUrl: local.url, name: 'local' });
+      provider.webhookSecret = webhookSecret;
+      provider.close = () => local.stop();
+      return provider;
+    }
+
+    default:
+      throw new Error(`Unknown meeting provider: ${name}`);
+  }
+}
+
+module.exports = { createMeetingProvider, ProviderError };
@@ -0,0 +1,226 @@
+/**
+ * Local stand-in for the Recall.ai bot API
+ * Speaks enough of the Recall HTTP API for the recall provider to run against it,
+ * then plays a scripted meeting: status webhooks to the bot's webhook_url and
+ * transcript frames over a WebSocket to its realtime endpoint. Webhooks are
+ * signed with webhookSecret the same way Recall.ai signs them.
+ *
+ * Run standalone with: node lib/providers/local-recall-server.js
+ */
+
+const express = require('express');
+const http = require('http');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const WebSocket = require('ws');
+const { signWebhook } = require('../webhooks');
+
+const LIFECYCLE = ['joining', 'in_waiting_room', 'in_call', 'recording'];
+
+const DEFAULT_SCRIPT = [
+  { speaker: 'Alice Chen', text: 'Thanks everyone for joining, let us start with the roadmap.' },
+  { speaker: 'Bob Martinez', text: 'I can give a quick update on the billing migration.' },
+  { speaker: 'Alice Chen', text: 'Great, go ahead.' },
+  { speaker: 'Bob Martinez', text: 'We finished the schema work and will cut over next Tuesday.' },
+  { speaker: 'Carol Osei', text: 'Do we have a rollback plan if the cutover fails?' },
+  { speaker: 'Bob Martinez', text: 'Yes, I will write it up and share it by Friday.' },
+  { speaker: 'Alice Chen', text: 'Perfect. Let us move on to hiring.' }
+];
+
+function toWords(text, startSeconds) {
+  let cursor = startSeconds;
+  return text.split(/\s+/).filter(Boolean).map(word => {
+    const duration = 0.25 + word.length * 0.04;
+    const entry = { text: word, start_time: cursor, end_time: cursor + duration };
+    cursor += duration + 0.05;
+    return entry;
+  });
+}
+
+function createLocalRecallServer({ port = 0, script = DEFAULT_SCRIPT, stepMs = 1000, webhookSecret } = {}) {
+  const app = express();
+  const server = http.createServer(app);
+  const bots = new Map();
+
+  app.use(express.json());
+
+  function publicBot(bot) {
+    return {
+      id: bot.id,
+      meeting_url: bot.meeting_url,
+      bot_name: bot.bot_name,
+      status_changes: bot.status_changes,
+      created_at: bot.created_at
+    };
+  }
+
+  async function sendWebhook(bot, status) {
+    bot.status_changes.push({ code: status, created_at: new Date().toISOString() });
+    if (!bot.webhook_url) return;
+
+    const body = JSON.stringify({
+      event: 'bot.status_change',
+      bot_id: bot.id,
+      status,
+      timestamp: new Date().toISOString()
+    });
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (webhookSecret) {
+      const id = `msg_${crypto.randomBytes(12).toString('hex')}`;
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      headers['webhook-id'] = id;
+      headers['webhook-timestamp'] = timestamp;
+      headers['webhook-signature'] = signWebhook(webhookSecret, id, timestamp, body);
+    }
+
+    try {
+      await fetch(bot.webhook_url, { method: 'POST', headers, body });
+    } catch (error) {
+      console.error(`[local-recall] webhook to ${bot.webhook_url} failed:`, error.message);
+    }
+  }
+
+  function openTranscriptSocket(bot) {
+    const endpoint = (bot.realtime_endpoints || []).find(e => e.type === 'websocket');
+    if (!endpoint) return null;
+
+    const socket = new WebSocket(endpoint.url);
+    socket.on('error', error => {
+      console.error(`[local-recall] transcript socket for ${bot.id} failed:`, error.message);
+    });
+    return socket;
+  }
+
+  function send(socket, frame) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(frame));
+    }
+  }
+
+  // Each line goes out as a couple of growing interim hypotheses, then the final text
+  function sendLine(bot, socket, line) {
+    const words = toWords(line.text, bot.clock);
+    const segmentId = `${bot.id}-${bot.transcript.length + 1}`;
+    bot.clock = words[words.length - 1].end_time + 0.6;
+    bot.transcript.push({ speaker: line.speaker, words });
+
+    const frame = (partialWords, isFinal) => ({
+      bot_id: bot.id,
+      speaker: line.speaker,
+      text: partialWords.map(word => word.text).join(' '),
+      words: partialWords,
+      segment_id: segmentId,
+      is_final: isFinal,
+      timestamp: new Date().toISOString()
+    });
+
+    [Math.ceil(words.length / 3), Math.ceil((words.length * 2) / 3)]
+      .filter(count => count < words.length)
+      .forEach(count => send(socket, frame(words.slice(0, count), false)));
+    send(socket, frame(words, true));
+  }
+
+  async function endCall(bot) {
+    if (bot.ended) return;
+    bot.ended = true;
+    bot.timers.forEach(clearTimeout);
+    if (bot.socket) bot.socket.close();
+
+    await sendWebhook(bot, 'call_ended');
+    await sendWebhook(bot, 'completed');
+  }
+
+  function playMeeting(bot) {
+    const schedule = (delay, fn) => bot.timers.push(setTimeout(fn, delay));
+    let delay = 0;
+
+    LIFECYCLE.forEach(status => {
+      schedule(delay, () => sendWebhook(bot, status));
+      delay += stepMs;
+    });
+
+    schedule(delay, () => {
+      bot.socket = openTranscriptSocket(bot);
+    });
+    delay += stepMs;
+
+    script.forEach(line => {
+      schedule(delay, () => sendLine(bot, bot.socket, line));
+      delay += stepMs;
+    });
+
+    schedule(delay, () => endCall(bot));
+  }
+
+  app.post('/api/v1/bot/', (req, res) => {
+    const { meeting_url, bot_name, webhook_url, recording_config = {} } = req.body;
+
+    if (!meeting_url) {
+      return res.status(400).json({ meeting_url: ['This field is required.'] });
+    }
+
+    const bot = {
+      id: crypto.randomUUID(),
+      meeting_url,
+      bot_name: bot_name || 'Bot',
+      webhook_url,
+      realtime_endpoints: recording_config.realtime_endpoints,
+      status_changes: [],
+      transcript: [],
+      timers: [],
+      clock: 0,
+      created_at: new Date().toISOString()
+    };
+    bots.set(bot.id, bot);
+    playMeeting(bot);
+
+    res.status(201).json(publicBot(bot));
+  });
+
+  app.get('/api/v1/bot/:id/', (req, res) => {
+    const bot = bots.get(req.params.id);
+    if (!bot) return res.status(404).json({ detail: 'Not found.' });
+    res.json(publicBot(bot));
+  });
+
+  app.get('/api/v1/bot/:id/transcript/', (req, res) => {
+    const bot = bots.get(req.params.id);
+    if (!bot) return res.status(404).json({ detail: 'Not found.' });
+    res.json(bot.transcript);
+  });
+
+  app.post('/api/v1/bot/:id/leave_call/', async (req, res) => {
+    const bot = bots.get(req.params.id);
+    if (!bot) return res.status(404).json({ detail: 'Not found.' });
+    await endCall(bot);
+    res.json(publicBot(bot));
+  });
+
+  return {
+    get url() {
+      return `http://localhost:${server.address().port}/api/v1`;
+    },
+
+    start() {
+      return new Promise(resolve => server.listen(port, () => resolve(this)));
+    },
+
+    stop() {
+      bots.forEach(bot => {
+        bot.timers.forEach(clearTimeout);
+        if (bot.socket) bot.socket.close();
+      });
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+if (require.main === module) {
+  const port = process.env.LOCAL_RECALL_PORT || 8090;
+  createLocalRecallServer({ port, webhookSecret: process.env.RECALL_WEBHOOK_SECRET }).start().then(local => {
+    console.log(`Local Recall.ai stand-in running at ${local.url}`);
+  });
+}
+
+module.exports = { createLocalRecallServer, DEFAULT_SCRIPT };
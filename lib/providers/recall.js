@@ -0,0 +1,75 @@
+/**
+ * Recall.ai meeting provider
+ * Thin client over the Recall.ai bot API. Also used against the local
+ * stand-in server (see local-recall-server.js) by pointing baseUrl at it.
+ */
+
+const fetch = require('node-fetch');
+const { ProviderError } = require('./errors');
+
+const DEFAULT_BASE_URL = 'https://us-west-2.recall.ai/api/v1';
+
+function createRecallProvider({ apiKey, baseUrl = DEFAULT_BASE_URL, name = 'recall' } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  async function request(method, path, body) {
+    const response = await fetch(`${root}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Token ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const details = await response.text();
+      throw new ProviderError(`${name} ${method} ${path} failed`, response.status, details);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  return {
+    name,
+
+    async createBot({ meetingUrl, botName = 'Cogito', websocketUrl, webhookUrl }) {
+      return request('POST', '/bot/', {
+        meeting_url: meetingUrl,
+        bot_name: botName,
+        recording_config: {
+          transcript: {
+            provider: {
+              meeting_captions: {}
+            }
+          },
+          realtime_endpoints: websocketUrl
+            ? [{ type: 'websocket', url: websocketUrl, events: ['transcript.data', 'transcript.partial_data'] }]
+            : []
+        },
+        webhook_url: webhookUrl
+      });
+    },
+
+    async getTranscript(botId) {
+      return request('GET', `/bot/${botId}/transcript/`);
+    },
+
+    async leaveMeeting(botId) {
+      return request('POST', `/bot/${botId}/leave_call/`);
+    },
+
+    async getStatus(botId) {
+      const bot = await request('GET', `/bot/${botId}/`);
+      const changes = bot.status_changes || [];
+      return {
+        botId: bot.id,
+        status: changes.length > 0 ? changes[changes.length - 1].code : null,
+        raw: bot
+      };
+    }
+  };
+}
+
+module.exports = { createRecallProvider, DEFAULT_BASE_URL };
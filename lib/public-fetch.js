@@ -0,0 +1,105 @@
+/**
+ * Fetching user-supplied URLs
+ *
+ * A URL a user hands us (a calendar feed, say) must not reach the server's
+ * own network: loopback, private, link-local (cloud metadata endpoints),
+ * carrier-grade NAT, multicast and reserved addresses are refused. Host names
+ * are checked as they are resolved for the connection, so a name can't
+ * resolve to a public address for the check and a private one for the
+ * request. Redirects are followed by hand, each hop checked the same way.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+class PublicFetchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PublicFetchError';
+    this.code = 'ENOTPUBLIC';
+  }
+}
+
+// True for an IP address on the public internet (IPv4-mapped IPv6 counts as its IPv4 address)
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup that fails for non-public addresses; used for every connection the agents open
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new PublicFetchError(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+// An http(s) URL whose host, when it is an IP address, is public
+function checkUrl(url) {
+  if (!agents[url.protocol]) {
+    throw new PublicFetchError(`${url.protocol} URLs are not supported`);
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new PublicFetchError(`${host} is not a public address`);
+  }
+}
+
+/**
+ * fetch() for a URL from a user. Throws PublicFetchError when the URL, or a
+ * redirect, leads to a non-public address; other failures are node-fetch's.
+ * options are passed to node-fetch (headers, timeout, size).
+ */
+async function fetchPublic(url, options = {}) {
+  let current = new URL(url);
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    checkUrl(current);
+    let response;
+    try {
+      response = await fetch(current.toString(), {
+        ...options,
+        redirect: 'manual',
+        agent: agents[current.protocol]
+      });
+    } catch (error) {
+      // The lookup's refusal arrives wrapped in node-fetch's FetchError, which keeps its code
+      if (error.code === 'ENOTPUBLIC') throw new PublicFetchError(error.message.replace(/^.*reason: /, ''));
+      throw error;
+    }
+    if (!REDIRECT_STATUSES.includes(response.status) || !response.headers.get('location')) {
+      return response;
+    }
+    current = new URL(response.headers.get('location'), current);
+  }
+  throw new PublicFetchError(`More than ${MAX_REDIRECTS} redirects`);
+}
+
+module.exports = { fetchPublic, isPublicAddress, PublicFetchError };
@@ -0,0 +1,164 @@
+/**
+ * Search indexer
+ *
+ * Keeps the embeddings semantic search compares against up to date: one per
+ * turn in turn_embeddings, and each attendee's block_attendees.story_embedding.
+ * Meetings with newly committed turns are indexed on a timer, and once more
+ * when a meeting's transcript is final (after reconciliation and the last
+ * story fold). Turns whose content changed, stories that were rewritten, and
+ * anything embedded by another model are embedded again.
+ *
+ * Full-text search needs no indexing here; it runs off a GIN index on the
+ * turn content (migration 034).
+ */
+
+const DEFAULT_INTERVAL_MS = 60000;
+const BATCH_SIZE = 64;
+
+// pgvector's text form
+function toVector(values) {
+  return `[${values.join(',')}]`;
+}
+
+function createSearchIndexer({ pool, embedder, intervalMs = DEFAULT_INTERVAL_MS }) {
+  const pending = new Set(); // block_ids with turns committed since they were last indexed
+  const indexing = new Map(); // block_id → in-flight run
+  let timer = null;
+
+  async function indexTurns(blockId) {
+    let count = 0;
+    for (;;) {
+      const result = await pool.query(
+        `SELECT t.turn_id, t.content, md5(t.content) AS content_hash
+         FROM block_turns bt
+         JOIN turns t ON t.turn_id = bt.turn_id
+         LEFT JOIN turn_embeddings e ON e.turn_id = t.turn_id
+         WHERE bt.block_id = $1
+           AND (e.turn_id IS NULL OR e.model <> $2 OR e.content_hash <> md5(t.content))
+         ORDER BY bt.sequence_order
+         LIMIT $3`,
+        [blockId, embedder.model, BATCH_SIZE]
+      );
+      if (result.rows.length === 0) return count;
+
+      const vectors = await embedder.embed(result.rows.map(turn => turn.content));
+      await pool.query(
+        `INSERT INTO turn_embeddings (turn_id, model, content_hash, embedding)
+         SELECT x.turn_id, $4, x.content_hash, x.embedding::vector
+         FROM unnest($1::uuid[], $2::text[], $3::text[]) AS x(turn_id, content_hash, embedding)
+         ON CONFLICT (turn_id) DO UPDATE
+           SET model = EXCLUDED.model,
+               content_hash = EXCLUDED.content_hash,
+               embedding = EXCLUDED.embedding,
+               created_at = NOW()`,
+        [
+          result.rows.map(turn => turn.turn_id),
+          result.rows.map(turn => turn.content_hash),
+          vectors.map(toVector),
+          embedder.model
+        ]
+      );
+      count += result.rows.length;
+    }
+  }
+
+  async function indexStories(blockId) {
+    const result = await pool.query(
+      `SELECT id, story, md5($2 || ':' || story) AS story_hash
+       FROM block_attendees
+       WHERE block_id = $1
+         AND story <> ''
+         AND story_embedding_hash IS DISTINCT FROM md5($2 || ':' || story)`,
+      [blockId, embedder.model]
+    );
+    if (result.rows.length === 0) return 0;
+
+    const vectors = await embedder.embed(result.rows.map(attendee => attendee.story));
+    for (const [i, attendee] of result.rows.entries()) {
+      // A story rewritten meanwhile is left for the next run
+      await pool.query(
+        `UPDATE block_attendees SET story_embedding = $2::vector, story_embedding_hash = $3
+         WHERE id = $1 AND md5($4 || ':' || story) = $3`,
+        [attendee.id, toVector(vectors[i]), attendee.story_hash, embedder.model]
+      );
+    }
+    return result.rows.length;
+  }
+
+  async function runIndex(blockId) {
+    const turns = await indexTurns(blockId);
+    const stories = await indexStories(blockId);
+    return { turns, stories };
+  }
+
+  /**
+   * Embed a meeting's new and changed turns and stories now. Resolves to the
+   * number of each embedded. Runs for the same meeting happen one after another.
+   */
+  function indexMeeting(blockId) {
+    pending.delete(blockId);
+    const previous = indexing.get(blockId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => runIndex(blockId));
+    indexing.set(blockId, next);
+    next.catch(() => {}).then(() => {
+      if (indexing.get(blockId) === next) indexing.delete(blockId);
+    });
+    return next;
+  }
+
+  // Mark a meeting as having new turns for the next periodic run
+  function noteTurns(blockId) {
+    pending.add(blockId);
+  }
+
+  async function tick() {
+    for (const blockId of [...pending]) {
+      try {
+        await indexMeeting(blockId);
+      } catch (error) {
+        console.error(`Search indexing for ${blockId} failed:`, error.message);
+        pending.add(blockId);
+      }
+    }
+  }
+
+  // Queue every meeting with turns or stories not embedded by the current model
+  async function queueBacklog() {
+    const result = await pool.query(
+      `SELECT DISTINCT bt.block_id
+       FROM block_turns bt
+       JOIN turns t ON t.turn_id = bt.turn_id
+       LEFT JOIN turn_embeddings e ON e.turn_id = t.turn_id
+       WHERE e.turn_id IS NULL OR e.model <> $1 OR e.content_hash <> md5(t.content)
+       UNION
+       SELECT block_id FROM block_attendees
+       WHERE story <> '' AND story_embedding_hash IS DISTINCT FROM md5($1 || ':' || story)`,
+      [embedder.model]
+    );
+    result.rows.forEach(row => pending.add(row.block_id));
+    return result.rows.length;
+  }
+
+  // Start the timer; meetings embedded before (or by another model) are caught up on the first runs
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    queueBacklog()
+      .then(count => {
+        if (count > 0) console.log(`Queued ${count} meetings for search indexing`);
+      })
+      .catch(error => console.error('Error finding meetings to index:', error.message));
+  }
+
+  // Stop the timer and wait for runs in flight
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    await Promise.all([...indexing.values()].map(run => run.catch(() => {})));
+  }
+
+  return { noteTurns, indexMeeting, start, stop };
+}
+
+module.exports = { createSearchIndexer, toVector };
@@ -0,0 +1,196 @@
+/**
+ * Speaker identity resolution
+ *
+ * Meeting attendees are per-meeting rows in block_attendees; the people behind
+ * them are conversation.participants, which is what turns.participant_id points
+ * at. A speaker is resolved by alias first, then through find_participant_id()
+ * by email and by name, and a participant is created when nobody matches.
+ *
+ * Speakers the provider couldn't name share one UNKNOWN_SPEAKER attendee per
+ * meeting. That attendee is never linked to a participant: the name says
+ * nothing about who spoke, so linking it would join every unnamed speaker of
+ * every meeting into one person.
+ */
+
+const { withTransaction } = require('./db');
+
+const UNKNOWN_SPEAKER = 'Unknown speaker';
+
+async function findParticipant(client, { name, email }) {
+  if (name) {
+    const aliasResult = await client.query(
+      'SELECT participant_id FROM participant_aliases WHERE lower(alias) = lower($1)',
+      [name]
+    );
+    if (aliasResult.rows.length > 0) return aliasResult.rows[0].participant_id;
+  }
+
+  for (const identifier of [email, name]) {
+    if (!identifier) continue;
+    const result = await client.query('SELECT find_participant_id($1) AS id', [identifier]);
+    if (result.rows[0].id) return result.rows[0].id;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a speaker to a conversation.participants id, creating the
+ * participant when unknown. Must run inside a transaction: the advisory lock
+ * keeps two meetings from creating the same person twice.
+ */
+async function resolveParticipant(client, { name, email }) {
+  await client.query('SELECT pg_advisory_xact_lock(hashtext(lower($1)))', [email || name]);
+
+  const existing = await findParticipant(client, { name, email });
+  if (existing) return Number(existing);
+
+  const result = await client.query(
+    `INSERT INTO conversation.participants (name, type, email, metadata)
+     VALUES ($1, 'human', $2, $3) RETURNING id`,
+    [name, email || null, { source: 'meeting_attendee' }]
+  );
+  console.log(`Created participant ${result.rows[0].id} for speaker ${name}`);
+  return Number(result.rows[0].id);
+}
+
+// Make sure an attendee row is linked to its participant; returns the updated row
+async function linkAttendeeParticipant(client, attendee) {
+  if (attendee.participant_id || attendee.name === UNKNOWN_SPEAKER) return attendee;
+
+  const participantId = await resolveParticipant(client, { name: attendee.name, email: attendee.email });
+  const result = await client.query(
+    'UPDATE block_attendees SET participant_id = $2 WHERE id = $1 RETURNING *',
+    [attendee.id, participantId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get (or create) the attendee row for a speaker in a meeting, linked to its
+ * participant. A speaker without a name gets the meeting's UNKNOWN_SPEAKER
+ * attendee. A single upsert, so two writers racing on a new speaker get the
+ * same row.
+ */
+async function getOrCreateAttendee(client, blockId, speaker) {
+  const speakerName = speaker || UNKNOWN_SPEAKER;
+  const result = await client.query(
+    `INSERT INTO block_attendees (block_id, name, story)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (block_id, name) DO UPDATE SET name = EXCLUDED.name
+     RETURNING *`,
+    [blockId, speakerName, `${speakerName} joined the meeting.`]
+  );
+  return linkAttendeeParticipant(client, result.rows[0]);
+}
+
+async function addAlias(client, participantId, alias) {
+  await client.query(
+    `INSERT INTO participant_aliases (participant_id, alias)
+     VALUES ($1, $2)
+     ON CONFLICT (lower(alias)) DO UPDATE SET participant_id = EXCLUDED.participant_id`,
+    [participantId, alias]
+  );
+}
+
+/**
+ * Attribute an attendee (and the turns they spoke in that meeting) to another
+ * participant, remembering the attendee's display name as an alias so later
+ * meetings resolve straight to that participant.
+ */
+async function reassignAttendee(pool, attendeeId, participantId) {
+  return withTransaction(pool, async client => {
+    const attendeeResult = await client.query(
+      'SELECT * FROM block_attendees WHERE id = $1 FOR UPDATE',
+      [attendeeId]
+    );
+    const attendee = attendeeResult.rows[0];
+    if (!attendee) return null;
+
+    const participantResult = await client.query(
+      'SELECT id FROM conversation.participants WHERE id = $1 AND is_active = true',
+      [participantId]
+    );
+    if (participantResult.rows.length === 0) return null;
+
+    await client.query(
+      `UPDATE conversation.turns t SET participant_id = $3
+       FROM block_turns bt
+       WHERE bt.turn_id = t.turn_id AND bt.block_id = $1 AND t.metadata->>'attendee_id' = $2`,
+      [attendee.block_id, String(attendee.id), participantId]
+    );
+    if (attendee.name !== UNKNOWN_SPEAKER) await addAlias(client, participantId, attendee.name);
+
+    const updated = await client.query(
+      'UPDATE block_attendees SET participant_id = $2 WHERE id = $1 RETURNING *',
+      [attendeeId, participantId]
+    );
+    return updated.rows[0];
+  });
+}
+
+/**
+ * Merge one participant into another: attendees, turns, aliases and patterns
+ * move over, the old name becomes an alias, and the merged participant is
+ * deactivated (kept for history, with metadata.merged_into set).
+ */
+async function mergeParticipants(pool, fromId, intoId) {
+  if (Number(fromId) === Number(intoId)) {
+    throw new Error('Cannot merge a participant into itself');
+  }
+
+  return withTransaction(pool, async client => {
+    const result = await client.query(
+      'SELECT * FROM conversation.participants WHERE id = ANY($1) AND is_active = true FOR UPDATE',
+      [[fromId, intoId]]
+    );
+    const from = result.rows.find(row => Number(row.id) === Number(fromId));
+    const into = result.rows.find(row => Number(row.id) === Number(intoId));
+    if (!from || !into) return null;
+
+    const attendees = await client.query(
+      'UPDATE block_attendees SET participant_id = $2 WHERE participant_id = $1',
+      [fromId, intoId]
+    );
+    const turns = await client.query(
+      'UPDATE conversation.turns SET participant_id = $2 WHERE participant_id = $1',
+      [fromId, intoId]
+    );
+    await client.query(
+      'UPDATE participant_aliases SET participant_id = $2 WHERE participant_id = $1',
+      [fromId, intoId]
+    );
+    await addAlias(client, intoId, from.name);
+
+    await client.query(
+      `UPDATE conversation.participants
+       SET patterns = COALESCE($2::jsonb, '{}') || COALESCE(patterns, '{}'),
+           email = COALESCE(email, $3)
+       WHERE id = $1`,
+      [intoId, from.patterns || {}, from.email]
+    );
+    await client.query(
+      `UPDATE conversation.participants
+       SET is_active = false,
+           metadata = COALESCE(metadata, '{}') || jsonb_build_object('merged_into', $2::bigint)
+       WHERE id = $1`,
+      [fromId, intoId]
+    );
+
+    return {
+      participant_id: Number(intoId),
+      merged_participant_id: Number(fromId),
+      attendees_moved: attendees.rowCount,
+      turns_moved: turns.rowCount
+    };
+  });
+}
+
+module.exports = {
+  UNKNOWN_SPEAKER,
+  resolveParticipant,
+  linkAttendeeParticipant,
+  getOrCreateAttendee,
+  reassignAttendee,
+  mergeParticipants
+};
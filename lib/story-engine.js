@@ -0,0 +1,261 @@
+/**
+ * Attendee story engine
+ *
+ * Meetings with newly committed turns are folded on a timer: for each
+ * attendee, the turns not yet part of any story version (and the patterns
+ * detected in them) go to the summarizer together with the latest story, and
+ * the result becomes a new version in attendee_story_versions and the
+ * attendee's block_attendees.story. An attendee's first version in a meeting
+ * starts from the participant's latest story in an earlier meeting, so a
+ * person's story follows them from meeting to meeting, as far as the
+ * meeting's inviter can see those earlier meetings.
+ */
+
+const { withTransaction } = require('./db');
+const { CAN_ACCESS } = require('./access');
+
+const DEFAULT_INTERVAL_MS = 60000;
+
+// SQL condition: attendee alias ba is linked to its participant by email or user, not just by name
+const IDENTIFIED = `EXISTS (
+  SELECT 1 FROM conversation.participants identity_p
+  LEFT JOIN client_mgmt.users identity_u ON identity_u.id = ba.user_id
+  WHERE identity_p.id = ba.participant_id
+    AND (lower(identity_p.email) = lower(ba.email) OR lower(identity_p.email) = lower(identity_u.email))
+)`;
+
+/**
+ * The participant's latest version in another meeting that may seed this
+ * attendee's story. A story carries the quotes and meeting names of every
+ * meeting it was carried through, so it only moves into a meeting whose
+ * inviter can access all of them, and only between attendees identified by
+ * email or user: a name alone can be two different people.
+ */
+async function carriedVersion(db, attendee) {
+  const currentResult = await db.query(
+    `SELECT u.id AS inviter_id, u.email AS inviter_email, ${IDENTIFIED} AS identified
+     FROM block_attendees ba
+     JOIN block_meetings bm ON bm.block_id = ba.block_id
+     JOIN client_mgmt.users u ON u.id = bm.invited_by_user_id
+     WHERE ba.id = $1`,
+    [attendee.id]
+  );
+  const current = currentResult.rows[0];
+  if (!current || !current.identified) return null;
+
+  // The latest version in each other meeting, with the meetings it was carried through
+  const candidates = await db.query(
+    `WITH RECURSIVE chain (head, attendee_id, block_id) AS (
+       SELECT v.id, v.attendee_id, v.block_id
+       FROM attendee_story_versions v
+       WHERE v.id IN (
+         SELECT DISTINCT ON (attendee_id) id FROM attendee_story_versions
+         WHERE participant_id = $1 AND block_id <> $2
+         ORDER BY attendee_id, version DESC
+       )
+       UNION
+       SELECT chain.head, origin.attendee_id, origin.block_id
+       FROM chain
+       JOIN attendee_story_versions first ON first.attendee_id = chain.attendee_id AND first.version = 1
+       JOIN attendee_story_versions origin ON origin.id = first.carried_from
+     )
+     SELECT v.*, sources.block_ids AS source_block_ids, sources.identified
+     FROM attendee_story_versions v
+     JOIN (
+       SELECT chain.head, array_agg(DISTINCT chain.block_id) AS block_ids, bool_and(${IDENTIFIED}) AS identified
+       FROM chain
+       JOIN block_attendees ba ON ba.id = chain.attendee_id
+       GROUP BY chain.head
+     ) sources ON sources.head = v.id
+     ORDER BY v.created_at DESC, v.id DESC`,
+    [attendee.participant_id, attendee.block_id]
+  );
+  if (candidates.rows.length === 0) return null;
+
+  const blockIds = [...new Set(candidates.rows.flatMap(candidate => candidate.source_block_ids))];
+  const accessible = await db.query(
+    `SELECT bm.block_id FROM block_meetings bm WHERE bm.block_id = ANY($3::uuid[]) AND ${CAN_ACCESS}`,
+    [current.inviter_id, current.inviter_email, blockIds]
+  );
+  const visible = new Set(accessible.rows.map(row => row.block_id));
+
+  const carried = candidates.rows.find(candidate =>
+    candidate.identified && candidate.source_block_ids.every(blockId => visible.has(blockId)));
+  if (!carried) return null;
+  const { source_block_ids, identified, ...version } = carried;
+  return version;
+}
+
+async function latestVersion(db, attendee) {
+  const ownResult = await db.query(
+    `SELECT * FROM attendee_story_versions
+     WHERE attendee_id = $1
+     ORDER BY version DESC
+     LIMIT 1`,
+    [attendee.id]
+  );
+  if (ownResult.rows[0]) return { version: ownResult.rows[0], carried: false };
+  if (!attendee.participant_id) return { version: null, carried: false };
+
+  return { version: await carriedVersion(db, attendee), carried: true };
+}
+
+// Turns the attendee spoke in the meeting that no story version has folded in yet
+async function unfoldedTurns(db, attendee) {
+  const result = await db.query(
+    `SELECT t.turn_id, t.content, t.metadata, bt.sequence_order
+     FROM block_turns bt
+     JOIN turns t ON t.turn_id = bt.turn_id
+     WHERE bt.block_id = $1
+       AND t.metadata->>'attendee_id' = $2
+       AND NOT EXISTS (
+         SELECT 1 FROM attendee_story_versions v
+         WHERE v.attendee_id = $3 AND t.turn_id = ANY(v.turn_ids)
+       )
+     ORDER BY bt.sequence_order`,
+    [attendee.block_id, String(attendee.id), attendee.id]
+  );
+  return result.rows;
+}
+
+function createStoryEngine({ pool, summarizer, intervalMs = DEFAULT_INTERVAL_MS }) {
+  const pending = new Set(); // block_ids with turns committed since their last fold
+  const folding = new Map(); // block_id → in-flight fold
+  let timer = null;
+
+  async function foldAttendee(meeting, attendee) {
+    const turns = await unfoldedTurns(pool, attendee);
+    if (turns.length === 0) return null;
+
+    const { version: previous, carried } = await latestVersion(pool, attendee);
+    const insightsResult = await pool.query(
+      'SELECT turn_id, pattern, confidence FROM meeting_insights WHERE turn_id = ANY($1::uuid[])',
+      [turns.map(turn => turn.turn_id)]
+    );
+
+    const { story, state } = await summarizer.summarizeAttendee({
+      attendee,
+      meeting,
+      previous: previous && { story: previous.story, state: previous.state },
+      turns,
+      insights: insightsResult.rows
+    });
+
+    return withTransaction(pool, async client => {
+      const inserted = await client.query(
+        `INSERT INTO attendee_story_versions
+           (attendee_id, block_id, participant_id, version, story, state, turn_ids, carried_from, summarizer)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (attendee_id, version) DO NOTHING
+         RETURNING *`,
+        [
+          attendee.id,
+          attendee.block_id,
+          attendee.participant_id,
+          carried || !previous ? 1 : previous.version + 1,
+          story,
+          state,
+          turns.map(turn => turn.turn_id),
+          carried && previous ? previous.id : null,
+          summarizer.name
+        ]
+      );
+      // Another fold got there first
+      if (inserted.rows.length === 0) return null;
+
+      await client.query(
+        'UPDATE block_attendees SET story = $2, updated_at = NOW() WHERE id = $1',
+        [attendee.id, story]
+      );
+      return inserted.rows[0];
+    });
+  }
+
+  async function runFold(blockId) {
+    const meetingResult = await pool.query('SELECT block_id, name FROM blocks WHERE block_id = $1', [blockId]);
+    const meeting = meetingResult.rows[0];
+    if (!meeting) return [];
+
+    const attendeesResult = await pool.query(
+      'SELECT * FROM block_attendees WHERE block_id = $1 ORDER BY id',
+      [blockId]
+    );
+
+    const versions = [];
+    for (const attendee of attendeesResult.rows) {
+      const version = await foldAttendee(meeting, attendee);
+      if (version) versions.push(version);
+    }
+    return versions;
+  }
+
+  /**
+   * Fold a meeting's new turns into its attendees' stories now.
+   * Folds of the same meeting run one after another.
+   */
+  function foldMeeting(blockId) {
+    pending.delete(blockId);
+    const previous = folding.get(blockId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => runFold(blockId));
+    folding.set(blockId, next);
+    next.catch(() => {}).then(() => {
+      if (folding.get(blockId) === next) folding.delete(blockId);
+    });
+    return next;
+  }
+
+  // Mark a meeting as having new turns for the next periodic fold
+  function noteTurns(blockId) {
+    pending.add(blockId);
+  }
+
+  async function tick() {
+    for (const blockId of [...pending]) {
+      try {
+        const versions = await foldMeeting(blockId);
+        if (versions.length > 0) {
+          console.log(`Updated ${versions.length} attendee stories for meeting ${blockId}`);
+        }
+      } catch (error) {
+        console.error(`Story fold for ${blockId} failed:`, error.message);
+        pending.add(blockId);
+      }
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+  }
+
+  // Stop the timer and wait for folds in flight
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    await Promise.all([...folding.values()].map(fold => fold.catch(() => {})));
+  }
+
+  return { noteTurns, foldMeeting, start, stop };
+}
+
+// An attendee's current story and every version, newest first; null for an unknown attendee
+async function getAttendeeStory(pool, attendeeId) {
+  const attendeeResult = await pool.query(
+    'SELECT id, block_id, name, participant_id, story FROM block_attendees WHERE id = $1',
+    [attendeeId]
+  );
+  const attendee = attendeeResult.rows[0];
+  if (!attendee) return null;
+
+  const versionsResult = await pool.query(
+    `SELECT id, version, story, carried_from, summarizer, cardinality(turn_ids) AS turns_folded, created_at
+     FROM attendee_story_versions
+     WHERE attendee_id = $1
+     ORDER BY version DESC`,
+    [attendeeId]
+  );
+  return { ...attendee, versions: versionsResult.rows };
+}
+
+module.exports = { createStoryEngine, getAttendeeStory };
@@ -0,0 +1,39 @@
+/**
+ * Summarizer selection
+ *
+ * A summarizer is an object with:
+ *   name                                  - identifier stored with each story version
+ *   summarizeAttendee({ attendee, meeting, previous, turns, insights })
+ *                                         - folds an attendee's new turns (and the
+ *                                           patterns detected in them) into their story;
+ *                                           previous is the last { story, state } or null.
+ *                                           Resolves to { story, state }
+ *   summarizeMeeting({ meeting, summary, turns })
+ *                                         - writes the meeting narrative from the extracted
+ *                                           summary (see meeting-summary.js); resolves to { story }
+ *
+ * SUMMARIZER=local (default) is deterministic and offline.
+ * SUMMARIZER=openai uses OPENAI_API_KEY against OPENAI_API_URL / OPENAI_MODEL.
+ */
+
+const { createLocalSummarizer } = require('./local');
+const { createOpenAISummarizer } = require('./openai');
+
+function createSummarizer(name = process.env.SUMMARIZER || 'local') {
+  switch (name) {
+    case 'local':
+      return createLocalSummarizer();
+
+    case 'openai':
+      return createOpenAISummarizer({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_API_URL,
+        model: process.env.OPENAI_MODEL
+      });
+
+    default:
+      throw new Error(`Unknown summarizer "${name}"`);
+  }
+}
+
+module.exports = { createSummarizer };
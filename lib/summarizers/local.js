@@ -0,0 +1,140 @@
+/**
+ * Deterministic local summarizer
+ *
+ * Builds stories from the pattern detections and word frequencies alone, so
+ * the same turns always produce the same story. Needs no network access,
+ * which makes it the default for development and tests.
+ */
+
+const { contentWords } = require('../text');
+
+const MAX_ITEMS = 5;
+const MAX_MEETINGS = 5;
+const MAX_TOPICS = 4;
+const MAX_ITEM_LENGTH = 120;
+
+// Pattern → section of the attendee's meeting record
+const SECTIONS = {
+  question: 'raised',
+  commitment: 'committed',
+  disagreement: 'objected',
+  decision: 'decided'
+};
+
+function clip(text) {
+  const trimmed = String(text || '').trim().replace(/\s+/g, ' ');
+  return trimmed.length > MAX_ITEM_LENGTH ? `${trimmed.slice(0, MAX_ITEM_LENGTH - 1)}…` : trimmed;
+}
+
+function names(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+function list(items) {
+  return names(items.map(item => `"${item}"`));
+}
+
+function topTopics(counts) {
+  return Object.entries(counts)
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .slice(0, MAX_TOPICS)
+    .map(([word]) => word);
+}
+
+function emptyMeeting(meeting) {
+  return { block_id: meeting.block_id, name: meeting.name, raised: [], committed: [], objected: [], decided: [], topics: {} };
+}
+
+function renderMeeting(name, record) {
+  const sentences = [];
+  const title = record.name ? `In "${record.name}"` : 'In a meeting';
+  const topics = topTopics(record.topics);
+
+  sentences.push(topics.length > 0
+    ? `${title}, ${name} mostly talked about ${topics.join(', ')}.`
+    : `${title}, ${name} took part.`);
+  if (record.raised.length > 0) sentences.push(`They asked ${list(record.raised)}.`);
+  if (record.committed.length > 0) sentences.push(`They committed to ${list(record.committed)}.`);
+  if (record.objected.length > 0) sentences.push(`They objected: ${list(record.objected)}.`);
+  if (record.decided.length > 0) sentences.push(`They called decisions: ${list(record.decided)}.`);
+
+  return sentences.join(' ');
+}
+
+function renderMeetingStory(meeting, summary) {
+  const title = meeting.name ? `"${meeting.name}"` : 'The meeting';
+  const paragraphs = [];
+
+  paragraphs.push(summary.speakers.length > 0
+    ? `${title} brought together ${names(summary.speakers)} over ${summary.turns} turns.`
+    : `${title} had no recorded conversation.`);
+
+  if (summary.sections.length > 1) {
+    paragraphs.push(`The conversation moved through ${summary.sections.length} parts: ` +
+      `${summary.sections.map(section => section.title).join('; then ')}.`);
+  } else if (summary.sections.length === 1) {
+    paragraphs.push(`The conversation centred on ${summary.sections[0].title}.`);
+  }
+
+  if (summary.decisions.length > 0) {
+    paragraphs.push(`Decided: ${summary.decisions.map(item => `${item.speaker}: "${clip(item.text)}"`).join('; ')}.`);
+  }
+  if (summary.open_questions.length > 0) {
+    paragraphs.push(`Still open: ${summary.open_questions.map(item => `"${clip(item.text)}" (${item.speaker})`).join('; ')}.`);
+  }
+  if (summary.action_items.length > 0) {
+    paragraphs.push(`Action items: ${summary.action_items
+      .map(item => `${item.owner}: "${clip(item.text)}"${item.due_hint ? ` (${item.due_hint})` : ''}`)
+      .join('; ')}.`);
+  }
+
+  return paragraphs.join('\n\n');
+}
+
+function createLocalSummarizer() {
+  return {
+    name: 'local',
+
+    /**
+     * previous.state is the structured record this summarizer returned last
+     * time (possibly from the attendee's previous meeting); the story text is
+     * re-rendered from it so repeated folds never duplicate sentences.
+     */
+    async summarizeAttendee({ attendee, meeting, previous, turns, insights }) {
+      const meetings = ((previous && previous.state && previous.state.meetings) || [])
+        .map(record => ({ ...record, topics: { ...record.topics } }));
+      let record = meetings.find(entry => entry.block_id === meeting.block_id);
+      if (!record) {
+        record = emptyMeeting(meeting);
+        meetings.push(record);
+      }
+
+      const texts = new Map(turns.map(turn => [turn.turn_id, turn.content]));
+      for (const insight of insights) {
+        const section = SECTIONS[insight.pattern];
+        const text = texts.get(insight.turn_id);
+        if (!section || !text) continue;
+        record[section] = [...record[section].filter(item => item !== clip(text)), clip(text)].slice(-MAX_ITEMS);
+      }
+
+      for (const turn of turns) {
+        for (const word of contentWords(turn.content, 3)) {
+          record.topics[word] = (record.topics[word] || 0) + 1;
+        }
+      }
+
+      const kept = meetings.slice(-MAX_MEETINGS);
+      return {
+        story: kept.map(entry => renderMeeting(attendee.name, entry)).join('\n\n'),
+        state: { meetings: kept }
+      };
+    },
+
+    async summarizeMeeting({ meeting, summary }) {
+      return { story: renderMeetingStory(meeting, summary) };
+    }
+  };
+}
+
+module.exports = { createLocalSummarizer };
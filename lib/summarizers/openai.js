@@ -0,0 +1,92 @@
+/**
+ * OpenAI-compatible summarizer
+ * Folds new turns into a story with a chat completion. Works against any
+ * endpoint speaking the /chat/completions API by pointing baseUrl at it.
+ */
+
+const fetch = require('node-fetch');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+function createOpenAISummarizer({ apiKey, baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  async function complete(system, user) {
+    const response = await fetch(`${root}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model,
+        temperature: 0.2,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user }
+        ]
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Summarizer request failed (${response.status}): ${await response.text()}`);
+    }
+
+    const body = await response.json();
+    return body.choices[0].message.content.trim();
+  }
+
+  return {
+    name: 'openai',
+
+    async summarizeAttendee({ attendee, meeting, previous, turns, insights }) {
+      const patterns = new Map();
+      for (const insight of insights) {
+        patterns.set(insight.turn_id, [...(patterns.get(insight.turn_id) || []), insight.pattern]);
+      }
+      const lines = turns.map(turn => {
+        const tags = patterns.get(turn.turn_id);
+        return tags ? `- ${turn.content} [${tags.join(', ')}]` : `- ${turn.content}`;
+      });
+
+      const story = await complete(
+        'You keep a running narrative of one person across meetings: what they raised, ' +
+        'committed to and objected to, and what they care about. Update the story with the ' +
+        'new material, keep what still matters from before, and answer with the story only ' +
+        '(at most three short paragraphs, third person).',
+        [
+          `Person: ${attendee.name}`,
+          `Meeting: ${meeting.name || meeting.block_id}`,
+          `Story so far:\n${(previous && previous.story) || '(none yet)'}`,
+          `New things they said:\n${lines.join('\n')}`
+        ].join('\n\n')
+      );
+
+      return { story, state: null };
+    },
+
+    async summarizeMeeting({ meeting, summary, turns }) {
+      const transcript = turns.map(turn => `${turn.speaker}: ${turn.content}`).join('\n');
+      const story = await complete(
+        'You write the story of a meeting for people who missed it: how the conversation ' +
+        'unfolded, what was decided, what is still open and who owes what. Use the extracted ' +
+        'structure as the backbone and the transcript for substance. Answer with the story only.',
+        [
+          `Meeting: ${meeting.name || meeting.block_id}`,
+          `Extracted structure:\n${JSON.stringify({
+            sections: summary.sections.map(section => section.title),
+            decisions: summary.decisions.map(item => `${item.speaker}: ${item.text}`),
+            open_questions: summary.open_questions.map(item => `${item.speaker}: ${item.text}`),
+            action_items: summary.action_items.map(item => `${item.owner}: ${item.text}`)
+          }, null, 2)}`,
+          `Transcript:\n${transcript}`
+        ].join('\n\n')
+      );
+
+      return { story };
+    }
+  };
+}
+
+module.exports = { createOpenAISummarizer };
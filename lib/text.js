@@ -0,0 +1,38 @@
+/**
+ * Shared text vocabulary
+ *
+ * The word lists the heuristics agree on: stopwords for picking out a turn's
+ * content words (topic shifts, section titles, story topics, local
+ * embeddings) and the calendar words due phrases are made of (spotting a
+ * due phrase in a commitment, and resolving it to a date).
+ */
+
+const STOPWORDS = new Set(('a an the and or but so if then than to of in on at for with from by as is are was were be been ' +
+  'it this that these those i you he she we they me him her us them my your our their its do does did ' +
+  'have has had will would can could should not no yes just like really very okay ok um uh yeah right ' +
+  'well also there here what which who when where why how all some any about into out up down over ' +
+  "think know going get got want need i'll i'm i've we'll we're let's don't that's it's").split(' '));
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+// "by Friday", "tomorrow", "end of the month", "March 5th": what parseDueDate() understands
+const DUE_PHRASES = new RegExp(
+  '\\b(today|tonight|tomorrow|' +
+  `(by|before|on|until) (the )?(end of (the )?(day|week|month)|${WEEKDAYS.join('|')}|next week|` +
+  '\\d{1,2}(st|nd|rd|th)?( of \\w+)?|\\w+ \\d{1,2}(st|nd|rd|th)?)|' +
+  `next (week|${WEEKDAYS.slice(1, 6).join('|')})|this week|eod|eow)\\b`,
+  'i'
+);
+
+// Lowercased words of a text, minus stopwords and words of minLength letters or fewer
+function contentWords(text, minLength = 2) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > minLength && !STOPWORDS.has(word));
+}
+
+module.exports = { STOPWORDS, WEEKDAYS, MONTHS, DUE_PHRASES, contentWords };
@@ -0,0 +1,211 @@
+/**
+ * Transcript export
+ *
+ * Renders a meeting's turns (block_turns + turns, speakers resolved through
+ * block_attendees) as SubRip, WebVTT, Markdown, plain text or JSON.
+ *
+ * Cue times are the provider's seconds from when the bot started listening
+ * (turns.metadata start_time / end_time). Turns without them are placed by
+ * their timestamp relative to the meeting start. When the clock jumps back
+ * (a retried meeting's new bot starts again at zero) later cues are shifted
+ * so times keep increasing.
+ */
+
+const { getMeeting, getMeetingTurns } = require('./meeting-queries');
+
+const TURN_PAGE_SIZE = 2000;
+const DEFAULT_CUE_SECONDS = 2;
+const JSON_SCHEMA_VERSION = 1;
+
+function pad(number, width = 2) {
+  return String(number).padStart(width, '0');
+}
+
+// 3725.5 → 01:02:05 plus milliseconds after `separator` (SRT uses a comma, WebVTT a dot)
+function clock(seconds, separator = null) {
+  const ms = Math.round(Math.max(seconds, 0) * 1000);
+  const hms = `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}`;
+  return separator ? `${hms}${separator}${pad(ms % 1000, 3)}` : hms;
+}
+
+// Seconds on the turn's own clock, falling back to its timestamp
+function turnTimes(turn, meetingStart) {
+  const fallback = meetingStart && turn.timestamp
+    ? (new Date(turn.timestamp) - meetingStart) / 1000
+    : null;
+  const start = turn.start_time !== null ? turn.start_time : fallback;
+  const end = turn.end_time !== null ? turn.end_time : null;
+  return { start, end };
+}
+
+// Give every turn a start and end that never go backwards
+function timeline(turns, meetingStart) {
+  let offset = 0;
+  let lastEnd = 0;
+  const segments = turns.map(turn => ({ turn, ...turnTimes(turn, meetingStart) }));
+
+  return segments.map((segment, i) => {
+    let start = segment.start === null ? lastEnd : segment.start + offset;
+    if (start < lastEnd - 1 && segment.start !== null) {
+      offset += lastEnd - start;
+      start = lastEnd;
+    }
+    start = Math.max(start, 0);
+
+    let end = segment.end === null ? null : segment.end + offset;
+    if (end === null || end <= start) {
+      const next = segments[i + 1];
+      const nextStart = next && next.start !== null ? next.start + offset : null;
+      end = nextStart !== null && nextStart > start ? nextStart : start + DEFAULT_CUE_SECONDS;
+    }
+
+    lastEnd = Math.max(lastEnd, end);
+    return { ...segment.turn, start, end };
+  });
+}
+
+// Consecutive turns by the same speaker, for the prose formats
+function groupBySpeaker(segments) {
+  const groups = [];
+  for (const segment of segments) {
+    const last = groups[groups.length - 1];
+    if (last && last.speaker === segment.speaker) {
+      last.texts.push(segment.content);
+      last.end = segment.end;
+    } else {
+      groups.push({ speaker: segment.speaker, start: segment.start, end: segment.end, texts: [segment.content] });
+    }
+  }
+  return groups;
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function meetingDate(meeting) {
+  const at = meeting.started_at || meeting.created_at;
+  return at ? new Date(at).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC') : null;
+}
+
+function renderSrt({ segments }) {
+  return segments.map((segment, i) => [
+    i + 1,
+    `${clock(segment.start, ',')} --> ${clock(segment.end, ',')}`,
+    `${segment.speaker}: ${segment.content}`
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+function renderVtt({ meeting, segments }) {
+  const cues = segments.map((segment, i) => [
+    i + 1,
+    `${clock(segment.start, '.')} --> ${clock(segment.end, '.')}`,
+    `<v ${escapeVtt(segment.speaker)}>${escapeVtt(segment.content)}`
+  ].join('\n'));
+  const header = `WEBVTT - ${meeting.name.replace(/\r?\n|-->/g, ' ')}`;
+  return [header, ...cues].join('\n\n') + '\n';
+}
+
+function renderMarkdown({ meeting, attendees, segments }) {
+  const lines = [`# ${meeting.name}`, ''];
+  const date = meetingDate(meeting);
+  if (date) lines.push(`**Date:** ${date}  `);
+  if (meeting.meeting_url) lines.push(`**Meeting:** ${meeting.meeting_url}  `);
+  if (attendees.length > 0) lines.push(`**Attendees:** ${attendees.map(attendee => attendee.name).join(', ')}`);
+  lines.push('', '## Transcript', '');
+
+  for (const group of groupBySpeaker(segments)) {
+    lines.push(`**${group.speaker}** [${clock(group.start)}]`, '', group.texts.join(' '), '');
+  }
+  return lines.join('\n');
+}
+
+function renderText({ meeting, segments }) {
+  const lines = [meeting.name];
+  const date = meetingDate(meeting);
+  if (date) lines.push(date);
+  lines.push('');
+
+  for (const group of groupBySpeaker(segments)) {
+    lines.push(`[${clock(group.start)}] ${group.speaker}: ${group.texts.join(' ')}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function renderJson({ meeting, attendees, segments }) {
+  return JSON.stringify({
+    version: JSON_SCHEMA_VERSION,
+    meeting: {
+      id: meeting.block_id,
+      name: meeting.name,
+      platform: meeting.platform,
+      url: meeting.meeting_url,
+      status: meeting.status,
+      started_at: meeting.started_at,
+      ended_at: meeting.ended_at
+    },
+    speakers: attendees.map(attendee => ({
+      id: attendee.id,
+      name: attendee.name,
+      email: attendee.email,
+      participant_id: attendee.participant_id
+    })),
+    segments: segments.map((segment, i) => ({
+      index: i + 1,
+      id: segment.turn_id,
+      speaker: segment.speaker,
+      speaker_id: segment.attendee_id,
+      start: Number(segment.start.toFixed(3)),
+      end: Number(segment.end.toFixed(3)),
+      text: segment.content,
+      spoken_at: segment.timestamp
+    }))
+  }, null, 2) + '\n';
+}
+
+const FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip', render: renderSrt },
+  vtt: { extension: 'vtt', contentType: 'text/vtt', render: renderVtt },
+  markdown: { extension: 'md', contentType: 'text/markdown', render: renderMarkdown },
+  text: { extension: 'txt', contentType: 'text/plain', render: renderText },
+  json: { extension: 'json', contentType: 'application/json', render: renderJson }
+};
+
+const FORMAT_ALIASES = { md: 'markdown', txt: 'text', webvtt: 'vtt', subrip: 'srt' };
+
+function resolveFormat(format) {
+  const name = String(format || 'json').toLowerCase();
+  const resolved = FORMAT_ALIASES[name] || name;
+  return FORMATS[resolved] ? resolved : null;
+}
+
+/**
+ * Render a meeting's transcript. format is one of srt, vtt, markdown (md),
+ * text (txt) or json. Resolves to { filename, contentType, body }, or null
+ * when the meeting is unknown.
+ */
+async function exportTranscript(pool, blockId, format) {
+  const spec = FORMATS[format];
+  const meeting = await getMeeting(pool, blockId);
+  if (!meeting) return null;
+
+  const turns = [];
+  let after = 0;
+  do {
+    const page = await getMeetingTurns(pool, blockId, { after, limit: TURN_PAGE_SIZE });
+    turns.push(...page.turns);
+    after = page.next_after;
+  } while (after !== null);
+
+  const meetingStart = meeting.started_at || (turns[0] && turns[0].timestamp) || null;
+  const segments = timeline(turns, meetingStart && new Date(meetingStart));
+  const slug = meeting.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'transcript';
+
+  return {
+    filename: `${slug}.${spec.extension}`,
+    contentType: spec.contentType,
+    body: spec.render({ meeting, attendees: meeting.attendees, segments })
+  };
+}
+
+module.exports = { exportTranscript, resolveFormat, FORMATS };
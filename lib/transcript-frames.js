@@ -0,0 +1,60 @@
+/**
+ * Transcript frame parsing
+ * Normalizes the frames we receive over the transcript WebSocket into
+ * { botId, speaker, text, words, timestamp, isFinal, segmentId }.
+ *
+ * Accepted shapes:
+ *   Recall.ai realtime events: { event: 'transcript.data' | 'transcript.partial_data',
+ *                                data: { data: { words, participant }, bot: { id } } }
+ *   Flat frames (local stand-in, older bots): { bot_id, speaker, text, words, timestamp, is_final, segment_id }
+ *
+ * Frames are final unless marked otherwise. Interim hypotheses for the same
+ * utterance share a segmentId; when the provider sends none, the speaker is
+ * used, since a speaker has at most one utterance in progress.
+ */
+
+function seconds(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  return typeof value.relative === 'number' ? value.relative : null;
+}
+
+function normalizeWords(words) {
+  return (words || []).map(word => ({
+    text: word.text,
+    start_time: seconds(word.start_time !== undefined ? word.start_time : word.start_timestamp),
+    end_time: seconds(word.end_time !== undefined ? word.end_time : word.end_timestamp)
+  }));
+}
+
+function parseTranscriptFrame(raw) {
+  const message = typeof raw === 'string' ? JSON.parse(raw) : raw;
+
+  if (message.event && message.data && message.data.data) {
+    const payload = message.data.data;
+    const participant = payload.participant || {};
+    const words = normalizeWords(payload.words);
+    return {
+      botId: message.data.bot ? message.data.bot.id : null,
+      speaker: participant.name || null,
+      text: words.map(word => word.text).join(' '),
+      words,
+      timestamp: new Date().toISOString(),
+      isFinal: message.event !== 'transcript.partial_data',
+      segmentId: String(payload.segment_id || participant.id || participant.name || 'unknown')
+    };
+  }
+
+  const words = normalizeWords(message.words);
+  return {
+    botId: message.bot_id || null,
+    speaker: message.speaker || null,
+    text: message.text || words.map(word => word.text).join(' '),
+    words,
+    timestamp: message.timestamp || new Date().toISOString(),
+    isFinal: message.is_final !== false,
+    segmentId: String(message.segment_id || message.speaker || 'unknown')
+  };
+}
+
+module.exports = { parseTranscriptFrame, normalizeWords };
@@ -0,0 +1,389 @@
+/**
+ * Transcript import
+ *
+ * Loads a meeting recorded without the bot from a transcript file: WebVTT
+ * or SubRip captions, a Zoom or Teams transcript saved as text, or a JSON
+ * array of turns. The meeting gets the same rows a bot-recorded one ends up
+ * with (blocks, block_meetings, block_attendees, turns, block_turns), marked
+ * completed with block_meetings.source = 'import'.
+ *
+ * Caption files split speech across many cues, so consecutive cues from the
+ * same speaker become one turn. Times are seconds from the start of the
+ * recording; text exports only give a start time (sometimes the time of
+ * day), so their times count from the first turn and a turn is taken to last
+ * until the next one starts.
+ */
+
+const crypto = require('crypto');
+const { withTransaction } = require('./db');
+const { getOrCreateAttendee, UNKNOWN_SPEAKER } = require('./speaker-identity');
+const { refreshSpeakingTime } = require('./meeting-analytics');
+const { parseMeetingUrl } = require('./meeting-urls');
+
+const MAX_SPEAKER_LENGTH = 60;
+const INSERT_BATCH_SIZE = 500;
+
+const FORMAT_NAMES = { vtt: 'WebVTT', srt: 'SubRip', text: 'text', json: 'JSON' };
+
+/**
+ * Raised for a transcript that can't be read or imported.
+ */
+class TranscriptImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TranscriptImportError';
+    this.status = status;
+  }
+}
+
+// 01:02:03.500, 01:02:03,500, 02:03.5 or 2:03 → seconds
+function parseTime(value) {
+  const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(`0.${fraction}`);
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+// "Alice Chen: text" → ["Alice Chen", "text"], only when the prefix looks like a name
+function splitSpeakerPrefix(text) {
+  const match = text.match(/^([^:\n]{1,60}?):\s+([\s\S]+)$/);
+  if (!match || /[.!?]|^\d/.test(match[1].trim())) return [null, text];
+  return [match[1].trim(), match[2]];
+}
+
+function cleanSpeaker(name) {
+  const speaker = (name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_SPEAKER_LENGTH);
+  return speaker || null;
+}
+
+// Caption blocks (WebVTT or SubRip) → cues with speaker, text, start and end
+function parseCaptions(text, format) {
+  const cues = [];
+  const blocks = text.split(/\n\s*\n/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [from, to] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+    const start = parseTime(from);
+    const end = parseTime(to);
+    if (start === null || end === null) {
+      throw new TranscriptImportError(`Invalid cue timing "${lines[timingIndex]}"`);
+    }
+
+    let body = lines.slice(timingIndex + 1).join('\n');
+    let speaker = null;
+    const voice = body.match(/^<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+    if (voice) speaker = voice[1];
+    body = decodeEntities(body.replace(/<[^>]+>/g, '')).replace(/\s*\n\s*/g, ' ').trim();
+    if (!body) continue;
+
+    if (!speaker) {
+      const bracketed = body.match(/^\[([^\]]{1,60})\]\s*([\s\S]+)$/);
+      if (bracketed) {
+        [, speaker, body] = bracketed;
+      } else {
+        [speaker, body] = splitSpeakerPrefix(body);
+      }
+    }
+    cues.push({ speaker: cleanSpeaker(speaker), text: body, start, end });
+  }
+
+  if (cues.length === 0) {
+    throw new TranscriptImportError(`No cues found in the ${FORMAT_NAMES[format]} file`);
+  }
+  return mergeCues(cues);
+}
+
+// Consecutive cues from one speaker become one turn
+function mergeCues(cues) {
+  const turns = [];
+  for (const cue of cues) {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === cue.speaker) {
+      last.text = `${last.text} ${cue.text}`;
+      last.end = Math.max(last.end, cue.end);
+    } else {
+      turns.push({ ...cue });
+    }
+  }
+  return turns;
+}
+
+/**
+ * Transcripts saved as text:
+ *   [Alice Chen] 00:01:02      (Zoom; the turn's text on the following lines)
+ *   Alice Chen   1:02          (Teams; likewise, after a blank line)
+ *   00:01:02 Alice Chen: text  (one line per turn)
+ *   Alice Chen: text           (no times)
+ */
+function parseText(text) {
+  const turns = [];
+  let current = null;
+  let previousBlank = true;
+  // Inside a Zoom or Teams turn a line is body text, colons and all, until the next header
+  let underHeader = false;
+
+  const begin = (speaker, start, firstLine = '', header = false) => {
+    current = { speaker: cleanSpeaker(speaker), text: firstLine.trim(), start, end: null };
+    turns.push(current);
+    underHeader = header;
+  };
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) {
+      previousBlank = true;
+      continue;
+    }
+
+    const zoom = line.match(/^\[([^\]]{1,60})\]\s+(\d{1,2}:\d{2}(?::\d{2})?(?:[.,]\d+)?)$/);
+    const timed = line.match(/^(\d{1,2}:\d{2}(?::\d{2})?(?:[.,]\d+)?)\s+(?:From\s+)?([^:]{1,60}?):\s+(.+)$/);
+    const teams = previousBlank && line.match(/^(.{1,60}?)\s+(\d{1,2}:\d{2}(?::\d{2})?)$/);
+    previousBlank = false;
+
+    if (zoom) {
+      begin(zoom[1], parseTime(zoom[2]), '', true);
+    } else if (timed) {
+      begin(timed[2], parseTime(timed[1]), timed[3]);
+    } else if (teams && !/[.!?,]$/.test(teams[1])) {
+      begin(teams[1], parseTime(teams[2]), '', true);
+    } else {
+      const [speaker, rest] = underHeader ? [null, line] : splitSpeakerPrefix(line);
+      if (speaker) {
+        begin(speaker, null, rest);
+      } else if (current) {
+        current.text = current.text ? `${current.text} ${line}` : line;
+      } else {
+        begin(null, null, line);
+      }
+    }
+  }
+
+  const spoken = turns.filter(turn => turn.text);
+  if (spoken.length === 0) {
+    throw new TranscriptImportError('No turns found in the transcript');
+  }
+
+  // Zoom writes the time of day, so times count from the first turn
+  const first = spoken.find(turn => turn.start !== null);
+  const origin = first ? first.start : 0;
+  spoken.forEach(turn => {
+    if (turn.start !== null) turn.start = Math.max(turn.start - origin, 0);
+  });
+  spoken.forEach((turn, i) => {
+    const next = spoken[i + 1];
+    if (turn.start !== null && next && next.start !== null && next.start >= turn.start) turn.end = next.start;
+  });
+  return spoken;
+}
+
+// [{ speaker, text, start, end }], also accepting name/content/start_time/end_time
+function parseJsonTurns(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      throw new TranscriptImportError(`Invalid JSON: ${error.message}`);
+    }
+  }
+  // { turns } or { segments } (this service's own JSON export) wrap the array
+  if (data && !Array.isArray(data)) data = data.turns || data.segments;
+  if (!Array.isArray(data)) {
+    throw new TranscriptImportError('JSON transcripts must be an array of turns');
+  }
+
+  const seconds = value => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = typeof value === 'number' ? value : parseTime(value);
+    if (number === null || !Number.isFinite(number) || number < 0) {
+      throw new TranscriptImportError(`Invalid time ${JSON.stringify(value)}`);
+    }
+    return number;
+  };
+
+  const turns = data.map((turn, i) => {
+    const text = turn && (turn.text !== undefined ? turn.text : turn.content);
+    if (typeof text !== 'string') {
+      throw new TranscriptImportError(`Turn ${i + 1} has no text`);
+    }
+    return {
+      speaker: cleanSpeaker(turn.speaker || turn.name),
+      text: text.trim(),
+      start: seconds(turn.start !== undefined ? turn.start : turn.start_time),
+      end: seconds(turn.end !== undefined ? turn.end : turn.end_time)
+    };
+  }).filter(turn => turn.text);
+
+  if (turns.length === 0) {
+    throw new TranscriptImportError('No turns found in the transcript');
+  }
+  return turns;
+}
+
+function detectFormat(text) {
+  const head = text.slice(0, 2000);
+  if (/^WEBVTT/.test(head)) return 'vtt';
+  if (/^\s*(\{|\[\s*[{\]])/.test(head)) return 'json';
+  if (/^\s*\d+\s*\n\s*\d{1,2}:\d{2}:\d{2},\d{1,3}\s*-->/.test(head)) return 'srt';
+  return 'text';
+}
+
+/**
+ * Parse a transcript into turns ({ speaker, text, start, end }; speaker and
+ * times may be null). format is vtt, srt, text or json, detected from the
+ * content when left out. input may also be an already parsed JSON array.
+ * Throws TranscriptImportError for unreadable input.
+ */
+function parseTranscript(input, format = null) {
+  if (typeof input !== 'string') {
+    return { format: 'json', turns: parseJsonTurns(input) };
+  }
+
+  const text = input.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const resolved = format || detectFormat(text);
+  switch (resolved) {
+    case 'vtt':
+    case 'srt':
+      return { format: resolved, turns: parseCaptions(text, resolved) };
+    case 'text':
+      return { format: resolved, turns: parseText(text) };
+    case 'json':
+      return { format: resolved, turns: parseJsonTurns(text) };
+    default:
+      throw new TranscriptImportError(`Unknown transcript format "${format}"; expected vtt, srt, text or json`);
+  }
+}
+
+async function insertTurns(client, blockId, turns) {
+  for (let offset = 0; offset < turns.length; offset += INSERT_BATCH_SIZE) {
+    const batch = turns.slice(offset, offset + INSERT_BATCH_SIZE);
+
+    const turnValues = [];
+    const turnRows = batch.map((turn, i) => {
+      turnValues.push(turn.turn_id, turn.participant_id, turn.content, 'transcript_import', turn.metadata, turn.timestamp);
+      const p = i * 6;
+      return `($${p + 1}, $${p + 2}, $${p + 3}, $${p + 4}, $${p + 5}, $${p + 6})`;
+    });
+    await client.query(
+      `INSERT INTO turns (turn_id, participant_id, content, source_type, metadata, timestamp) VALUES ${turnRows.join(', ')}`,
+      turnValues
+    );
+
+    const linkValues = [blockId];
+    const linkRows = batch.map((turn, i) => {
+      linkValues.push(turn.turn_id, turn.sequence_order);
+      return `($1, $${i * 2 + 2}, $${i * 2 + 3})`;
+    });
+    await client.query(
+      `INSERT INTO block_turns (block_id, turn_id, sequence_order) VALUES ${linkRows.join(', ')}`,
+      linkValues
+    );
+  }
+}
+
+/**
+ * Create a completed meeting from a transcript. Options: format (detected
+ * when left out), name, startedAt (when the recording began; defaults to
+ * now), meetingUrl, invitedByUserId. Resolves to { block, meeting, attendees,
+ * turns } where turns are the committed turns in order. Throws
+ * TranscriptImportError for unreadable input and MeetingUrlError for a bad
+ * meetingUrl.
+ */
+async function importTranscript(pool, input, { format = null, name = null, startedAt = null, meetingUrl = null, invitedByUserId = null } = {}) {
+  const parsed = parseTranscript(input, format);
+  const link = meetingUrl ? parseMeetingUrl(meetingUrl) : null;
+  const start = startedAt ? new Date(startedAt) : new Date();
+  if (Number.isNaN(start.getTime())) {
+    throw new TranscriptImportError('started_at must be an ISO 8601 date');
+  }
+
+  const lastSecond = Math.max(0, ...parsed.turns.map(turn => turn.end !== null ? turn.end : (turn.start || 0)));
+  const end = new Date(start.getTime() + lastSecond * 1000);
+  const at = seconds => new Date(start.getTime() + (seconds || 0) * 1000);
+  const blockId = crypto.randomUUID();
+
+  return withTransaction(pool, async client => {
+    const block = await client.query(
+      `INSERT INTO blocks (block_id, name, description, block_type, metadata)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        blockId,
+        name || `Imported meeting ${start.toISOString()}`,
+        `Imported from a ${FORMAT_NAMES[parsed.format]} transcript`,
+        'meeting',
+        { created_by: 'transcript_import', format: parsed.format }
+      ]
+    );
+    const meeting = await client.query(
+      `INSERT INTO block_meetings
+         (block_id, meeting_url, platform, meeting_key, invited_by_user_id, status, started_at, ended_at, source)
+       VALUES ($1, $2, $3, $4, $5, 'completed', $6, $7, 'import')
+       RETURNING *`,
+      [blockId, link && link.url, link && link.platform, link && link.key, invitedByUserId, start, end]
+    );
+
+    const attendees = new Map();
+    for (const speaker of new Set(parsed.turns.map(turn => turn.speaker || UNKNOWN_SPEAKER))) {
+      attendees.set(speaker, await getOrCreateAttendee(client, blockId, speaker));
+    }
+
+    const turns = parsed.turns.map((turn, i) => {
+      const attendee = attendees.get(turn.speaker || UNKNOWN_SPEAKER);
+      const metadata = { attendee_id: attendee.id, imported_from: parsed.format };
+      if (turn.start !== null) metadata.start_time = turn.start;
+      if (turn.end !== null) metadata.end_time = turn.end;
+      return {
+        turn_id: crypto.randomUUID(),
+        sequence_order: i + 1,
+        attendee,
+        participant_id: attendee.participant_id,
+        content: turn.text,
+        metadata,
+        timestamp: at(turn.start)
+      };
+    });
+    await insertTurns(client, blockId, turns);
+    await refreshSpeakingTime(client, blockId);
+
+    console.log(`Imported ${turns.length} turns (${parsed.format}) into meeting ${blockId}`);
+    return {
+      block: block.rows[0],
+      meeting: meeting.rows[0],
+      attendees: [...attendees.values()],
+      turns
+    };
+  });
+}
+
+/**
+ * The turns of an imported meeting in order, shaped like importTranscript's
+ * (turn_id, participant_id, content, metadata, attendee), for the analysis
+ * that runs after the import.
+ */
+async function getImportedTurns(pool, blockId) {
+  const result = await pool.query(
+    `SELECT t.turn_id, t.participant_id, t.content, t.metadata, bt.sequence_order, to_jsonb(ba) AS attendee
+     FROM block_turns bt
+     JOIN turns t ON t.turn_id = bt.turn_id
+     LEFT JOIN block_attendees ba ON ba.id = (t.metadata->>'attendee_id')::bigint
+     WHERE bt.block_id = $1
+     ORDER BY bt.sequence_order`,
+    [blockId]
+  );
+  return result.rows;
+}
+
+module.exports = { importTranscript, parseTranscript, getImportedTurns, TranscriptImportError };
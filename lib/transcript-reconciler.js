@@ -0,0 +1,302 @@
+/**
+ * Live turns vs. the provider's final transcript
+ *
+ * When a meeting completes, the provider's full transcript is authoritative.
+ * The live turns (built from WebSocket frames) are aligned against it in
+ * order, scoring pairs by word overlap and, when both sides carry word
+ * timestamps, time overlap. Matched turns get their text and speaker
+ * corrected, final segments with no live turn (dropped frames) are inserted
+ * as new turns, and block_turns is renumbered to follow the aligned order.
+ * Every run stores a diff summary in transcript_reconciliations.
+ */
+
+const crypto = require('crypto');
+const { withTransaction } = require('./db');
+const { normalizeWords } = require('./transcript-frames');
+const { getOrCreateAttendee, UNKNOWN_SPEAKER } = require('./speaker-identity');
+const { refreshSpeakingTime } = require('./meeting-analytics');
+
+const MIN_TEXT_SIMILARITY = 0.4;
+const MIN_TEXT_SIMILARITY_WITH_TIME = 0.2;
+const TIME_OVERLAP_BONUS = 0.25;
+
+function tokens(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Dice coefficient over the longest common token subsequence
+function textSimilarity(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+
+  let previous = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Array(b.length + 1).fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1] + 1
+        : Math.max(previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+  return (2 * previous[b.length]) / (a.length + b.length);
+}
+
+function timesOverlap(a, b) {
+  if ([a.start_time, a.end_time, b.start_time, b.end_time].some(t => typeof t !== 'number')) {
+    return false;
+  }
+  return a.start_time <= b.end_time && b.start_time <= a.end_time;
+}
+
+// Flatten the provider transcript into segments: { speaker, text, words, start_time, end_time }
+function finalSegments(fullTranscript) {
+  const entries = Array.isArray(fullTranscript)
+    ? fullTranscript
+    : (fullTranscript && fullTranscript.segments) || [];
+
+  return entries
+    .map(entry => {
+      const words = normalizeWords(entry.words);
+      const participant = entry.participant || {};
+      return {
+        speaker: entry.speaker || participant.name || UNKNOWN_SPEAKER,
+        text: entry.text || words.map(word => word.text).join(' '),
+        words,
+        start_time: words.length > 0 ? words[0].start_time : null,
+        end_time: words.length > 0 ? words[words.length - 1].end_time : null
+      };
+    })
+    .filter(segment => segment.text.trim());
+}
+
+function pairScore(live, final) {
+  const similarity = textSimilarity(live.tokens, final.tokens);
+  const overlap = timesOverlap(live, final);
+  const threshold = overlap ? MIN_TEXT_SIMILARITY_WITH_TIME : MIN_TEXT_SIMILARITY;
+  if (similarity < threshold) return null;
+  return similarity + (overlap ? TIME_OVERLAP_BONUS : 0);
+}
+
+/**
+ * Order-preserving alignment maximizing the summed pair score (gaps are free).
+ * Only cells within a band around the diagonal are scored and stored, so time
+ * and memory grow with the meeting's length times the band, not with the
+ * product of the two transcripts' lengths.
+ * Returns a list of { live, final } steps where either side may be null.
+ */
+function align(liveTurns, segments) {
+  const n = liveTurns.length;
+  const m = segments.length;
+  const band = 25 + Math.abs(n - m);
+
+  // Row i keeps columns from[i]..to[i]; cells outside the band are unreachable
+  const from = new Int32Array(n + 1);
+  const to = new Int32Array(n + 1);
+  const score = [];
+  const move = []; // 1 match, 2 live only, 3 final only
+  for (let i = 0; i <= n; i++) {
+    const center = Math.round((i * m) / Math.max(n, 1));
+    from[i] = Math.max(0, center - band);
+    to[i] = Math.min(m, center + band);
+    score.push(new Float64Array(to[i] - from[i] + 1));
+    move.push(new Uint8Array(to[i] - from[i] + 1));
+  }
+  const scoreAt = (i, j) => (j >= from[i] && j <= to[i] ? score[i][j - from[i]] : -Infinity);
+
+  for (let i = 0; i <= n; i++) {
+    for (let j = from[i]; j <= to[i]; j++) {
+      if (i === 0 && j === 0) continue;
+      let best = -Infinity;
+      let bestMove = 0;
+
+      if (i > 0 && j > 0) {
+        const diagonal = scoreAt(i - 1, j - 1);
+        const pair = diagonal > -Infinity ? pairScore(liveTurns[i - 1], segments[j - 1]) : null;
+        if (pair !== null && diagonal + pair > best) {
+          best = diagonal + pair;
+          bestMove = 1;
+        }
+      }
+      if (i > 0 && scoreAt(i - 1, j) > best) {
+        best = scoreAt(i - 1, j);
+        bestMove = 2;
+      }
+      if (j > 0 && scoreAt(i, j - 1) > best) {
+        best = scoreAt(i, j - 1);
+        bestMove = 3;
+      }
+
+      score[i][j - from[i]] = best;
+      move[i][j - from[i]] = bestMove;
+    }
+  }
+
+  const steps = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const step = move[i][j - from[i]];
+    if (step === 1) {
+      steps.push({ live: liveTurns[--i], final: segments[--j] });
+    } else if (step === 2) {
+      steps.push({ live: liveTurns[--i], final: null });
+    } else {
+      steps.push({ live: null, final: segments[--j] });
+    }
+  }
+  return steps.reverse();
+}
+
+async function loadLiveTurns(client, blockId) {
+  const result = await client.query(
+    `SELECT t.turn_id, t.content, t.metadata, bt.sequence_order, ba.name AS speaker
+     FROM block_turns bt
+     JOIN turns t ON t.turn_id = bt.turn_id
+     LEFT JOIN block_attendees ba ON ba.id::text = t.metadata->>'attendee_id'
+     WHERE bt.block_id = $1
+     ORDER BY bt.sequence_order`,
+    [blockId]
+  );
+  return result.rows.map(row => ({
+    ...row,
+    tokens: tokens(row.content),
+    start_time: row.metadata && row.metadata.start_time,
+    end_time: row.metadata && row.metadata.end_time
+  }));
+}
+
+/**
+ * Reconcile a meeting's live turns against its stored full_transcript.
+ * Resolves to the stored report, or null when the meeting has no final transcript.
+ */
+async function reconcileMeeting(pool, blockId) {
+  return withTransaction(pool, async client => {
+    // Same lock the transcript writer takes, so no batch lands mid-reconciliation
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [blockId]);
+
+    const meetingResult = await client.query(
+      'SELECT recall_bot_id, full_transcript FROM block_meetings WHERE block_id = $1',
+      [blockId]
+    );
+    const meeting = meetingResult.rows[0];
+    if (!meeting || !meeting.full_transcript) return null;
+
+    const segments = finalSegments(meeting.full_transcript).map(segment => ({
+      ...segment,
+      tokens: tokens(segment.text)
+    }));
+    const liveTurns = await loadLiveTurns(client, blockId);
+    const steps = align(liveTurns, segments);
+
+    const summary = {
+      final_segments: segments.length,
+      live_turns: liveTurns.length,
+      matched: 0,
+      text_corrected: 0,
+      speaker_corrected: 0,
+      gaps_filled: 0,
+      unmatched_live: 0
+    };
+    const changes = [];
+    const order = [];
+
+    for (const { live, final } of steps) {
+      if (live && !final) {
+        summary.unmatched_live++;
+        changes.push({ type: 'unmatched_live', turn_id: live.turn_id, text: live.content });
+        order.push(live.turn_id);
+        continue;
+      }
+
+      if (!live) {
+        const attendee = await getOrCreateAttendee(client, blockId, final.speaker);
+        const turnId = crypto.randomUUID();
+        await client.query(
+          `INSERT INTO turns (turn_id, participant_id, content, source_type, metadata)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [turnId, attendee.participant_id, final.text, 'recall_transcript', {
+            bot_id: meeting.recall_bot_id,
+            attendee_id: attendee.id,
+            words: final.words,
+            start_time: final.start_time,
+            end_time: final.end_time,
+            reconciled: true
+          }]
+        );
+        await client.query(
+          'INSERT INTO block_turns (block_id, turn_id, sequence_order) VALUES ($1, $2, $3)',
+          [blockId, turnId, 0]
+        );
+        summary.gaps_filled++;
+        changes.push({ type: 'gap_filled', turn_id: turnId, speaker: final.speaker, text: final.text });
+        order.push(turnId);
+        continue;
+      }
+
+      summary.matched++;
+      order.push(live.turn_id);
+
+      const textChanged = live.content !== final.text;
+      // A final segment nobody could name doesn't take the turn from its live speaker
+      const speakerChanged = final.speaker !== UNKNOWN_SPEAKER &&
+        (live.speaker || '').toLowerCase() !== final.speaker.toLowerCase();
+      if (!textChanged && !speakerChanged) continue;
+
+      const metadata = { ...live.metadata, words: final.words, start_time: final.start_time, end_time: final.end_time, reconciled: true };
+      let participantUpdate = null;
+
+      if (textChanged) {
+        summary.text_corrected++;
+        metadata.live_content = metadata.live_content || live.content;
+        changes.push({ type: 'text_corrected', turn_id: live.turn_id, from: live.content, to: final.text });
+      }
+      if (speakerChanged) {
+        const attendee = await getOrCreateAttendee(client, blockId, final.speaker);
+        summary.speaker_corrected++;
+        metadata.live_speaker = metadata.live_speaker || live.speaker;
+        metadata.attendee_id = attendee.id;
+        participantUpdate = attendee.participant_id;
+        changes.push({ type: 'speaker_corrected', turn_id: live.turn_id, from: live.speaker, to: final.speaker });
+      }
+
+      await client.query(
+        `UPDATE turns SET content = $2, metadata = $3, participant_id = COALESCE($4, participant_id)
+         WHERE turn_id = $1`,
+        [live.turn_id, final.text, metadata, participantUpdate]
+      );
+    }
+
+    await client.query(
+      `UPDATE block_turns bt SET sequence_order = v.sequence_order
+       FROM unnest($2::uuid[], $3::int[]) AS v(turn_id, sequence_order)
+       WHERE bt.block_id = $1 AND bt.turn_id = v.turn_id`,
+      [blockId, order, order.map((turnId, i) => i + 1)]
+    );
+    await refreshSpeakingTime(client, blockId);
+
+    const reportResult = await client.query(
+      `INSERT INTO transcript_reconciliations (block_id, summary, changes)
+       VALUES ($1, $2, $3) RETURNING *`,
+      [blockId, summary, JSON.stringify(changes)]
+    );
+    return reportResult.rows[0];
+  });
+}
+
+async function getLatestReconciliation(pool, blockId) {
+  const result = await pool.query(
+    `SELECT * FROM transcript_reconciliations
+     WHERE block_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1`,
+    [blockId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = { reconcileMeeting, getLatestReconciliation, finalSegments, align, textSimilarity };
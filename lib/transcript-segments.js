@@ -0,0 +1,91 @@
+/**
+ * Partial vs. final transcript segments
+ *
+ * Real-time transcription streams interim hypotheses that are revised until
+ * the utterance is final. Partials are kept in memory, one entry per segment
+ * and replaced by each newer hypothesis; only final text is handed on to be
+ * committed as a turn. A segment that stops receiving updates without ever
+ * going final (dropped connection, call ended mid-sentence) is committed from
+ * its last hypothesis after staleAfterMs.
+ */
+
+const DEFAULT_STALE_AFTER_MS = 15000;
+
+function createSegmentTracker({ onFinal, staleAfterMs = DEFAULT_STALE_AFTER_MS }) {
+  const meetings = new Map(); // block_id → Map(segmentId → { meeting, frame, revisions, firstSeenAt, timer })
+
+  function segmentsFor(blockId) {
+    if (!meetings.has(blockId)) meetings.set(blockId, new Map());
+    return meetings.get(blockId);
+  }
+
+  function commit(meeting, frame, segment, extra = {}) {
+    onFinal(meeting, {
+      ...frame,
+      isFinal: true,
+      revisions: segment ? segment.revisions : 0,
+      startedAt: segment ? segment.firstSeenAt : frame.timestamp,
+      ...extra
+    });
+  }
+
+  function remove(blockId, segmentId) {
+    const segments = meetings.get(blockId);
+    if (!segments) return null;
+
+    const segment = segments.get(segmentId);
+    if (segment) {
+      clearTimeout(segment.timer);
+      segments.delete(segmentId);
+    }
+    if (segments.size === 0) meetings.delete(blockId);
+    return segment || null;
+  }
+
+  function expire(blockId, segmentId) {
+    const segment = remove(blockId, segmentId);
+    if (!segment) return;
+
+    console.warn(`Committing stale partial segment ${segmentId} for meeting ${blockId}`);
+    commit(segment.meeting, segment.frame, segment, { finalizedFromPartial: true });
+  }
+
+  // Take one parsed frame: partials update their segment, finals commit it
+  function accept(meeting, frame) {
+    const blockId = meeting.block_id;
+
+    if (frame.isFinal) {
+      const segment = remove(blockId, frame.segmentId);
+      if (frame.text && frame.text.trim()) {
+        commit(meeting, frame, segment);
+      }
+      return;
+    }
+
+    const segments = segmentsFor(blockId);
+    const existing = segments.get(frame.segmentId);
+    if (existing) clearTimeout(existing.timer);
+
+    segments.set(frame.segmentId, {
+      meeting,
+      frame,
+      revisions: existing ? existing.revisions + 1 : 1,
+      firstSeenAt: existing ? existing.firstSeenAt : frame.timestamp,
+      timer: setTimeout(() => expire(blockId, frame.segmentId), staleAfterMs)
+    });
+  }
+
+  // Commit every open segment of a meeting (or of all meetings) from its last hypothesis
+  function finalize(blockId) {
+    const blockIds = blockId ? [blockId] : [...meetings.keys()];
+    blockIds.forEach(id => {
+      const segments = meetings.get(id);
+      if (!segments) return;
+      [...segments.keys()].forEach(segmentId => expire(id, segmentId));
+    });
+  }
+
+  return { accept, finalize };
+}
+
+module.exports = { createSegmentTracker };
@@ -0,0 +1,190 @@
+/**
+ * Authenticated transcript WebSocket channels
+ *
+ * Each meeting gets its own channel at /transcript/<blockId>?token=<token>.
+ * The token is an HMAC of the block id and an expiry, handed to the provider
+ * inside the websocket URL when the bot is created. Upgrades to any other
+ * path, or with a missing, forged or expired token, are refused before the
+ * WebSocket handshake. Frames are only accepted when their bot_id matches the
+ * bot of the authenticated channel, and are handled one at a time per channel,
+ * in the order they arrived.
+ */
+
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { parseTranscriptFrame } = require('./transcript-frames');
+
+const CHANNEL_PATH = /^\/transcript\/([0-9a-f-]{36})\/?$/i;
+const DEFAULT_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+
+function tokenSignature(secret, blockId, expiresAt) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${blockId}.${expiresAt}`)
+    .digest('base64url');
+}
+
+function createChannelToken(secret, blockId, ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${expiresAt}.${tokenSignature(secret, blockId, expiresAt)}`;
+}
+
+function verifyChannelToken(secret, blockId, token) {
+  const [expiresAt, signature] = String(token || '').split('.');
+  if (!expiresAt || !signature) return false;
+  if (Number(expiresAt) < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(tokenSignature(secret, blockId, expiresAt));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function refuseUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Create the transcript channel server.
+ * onFrame(meeting, frame) is called for every accepted frame, with meeting
+ * being the block_meetings row ({ block_id, recall_bot_id }) of the channel.
+ */
+function createTranscriptChannels({ pool, secret, tokenTtlSeconds = DEFAULT_TOKEN_TTL_SECONDS, onFrame }) {
+  const wss = new WebSocketServer({ noServer: true });
+  const connections = new Set();
+  const totals = {
+    connections: 0,
+    refusedUpgrades: 0,
+    failedChannels: 0,
+    framesAccepted: 0,
+    framesRejected: 0
+  };
+
+  function channelUrl(baseUrl, blockId) {
+    const token = createChannelToken(secret, blockId, tokenTtlSeconds);
+    return `${baseUrl}/transcript/${blockId}?token=${encodeURIComponent(token)}`;
+  }
+
+  function rejectFrame(connection) {
+    connection.framesRejected++;
+    totals.framesRejected++;
+  }
+
+  async function handleMessage(connection, data) {
+    let frame;
+    try {
+      frame = parseTranscriptFrame(data.toString());
+    } catch (error) {
+      rejectFrame(connection);
+      console.warn(`Unparseable transcript frame on ${connection.blockId}`);
+      return;
+    }
+
+    // The channel can open before the dispatcher has stored the bot id
+    if (!connection.meeting.recall_bot_id) {
+      const result = await pool.query(
+        'SELECT block_id, recall_bot_id FROM block_meetings WHERE block_id = $1',
+        [connection.blockId]
+      );
+      if (result.rows[0]) connection.meeting = result.rows[0];
+    }
+
+    if (frame.botId && frame.botId !== connection.meeting.recall_bot_id) {
+      rejectFrame(connection);
+      console.warn(`Rejected frame for bot ${frame.botId} on channel of bot ${connection.meeting.recall_bot_id}`);
+      return;
+    }
+
+    connection.framesAccepted++;
+    totals.framesAccepted++;
+
+    try {
+      await onFrame(connection.meeting, { ...frame, botId: connection.meeting.recall_bot_id });
+    } catch (error) {
+      console.error('Error processing transcript:', error);
+    }
+  }
+
+  wss.on('connection', (ws, req, meeting) => {
+    const connection = {
+      blockId: meeting.block_id,
+      meeting,
+      framesAccepted: 0,
+      framesRejected: 0,
+      handling: Promise.resolve(), // the last frame queued on this channel
+      failed: false
+    };
+    connections.add(connection);
+    totals.connections++;
+    console.log(`Transcript channel opened for meeting ${meeting.block_id}`);
+
+    // Frames wait for the one before them, so a meeting's turns are written in
+    // the order they were spoken. A frame that can't be handled (the database
+    // is unreachable, say) closes this channel with an internal error and the
+    // frames queued behind it are dropped; the provider reconnects
+    ws.on('message', data => {
+      connection.handling = connection.handling.then(async () => {
+        if (connection.failed) return;
+        try {
+          await handleMessage(connection, data);
+        } catch (error) {
+          connection.failed = true;
+          rejectFrame(connection);
+          totals.failedChannels++;
+          console.error(`Error handling transcript frame on ${connection.blockId}:`, error.message);
+          ws.close(1011, 'Internal error');
+        }
+      });
+    });
+
+    ws.on('close', () => {
+      connections.delete(connection);
+      console.log(`Transcript channel closed for meeting ${meeting.block_id} ` +
+        `(${connection.framesAccepted} frames accepted, ${connection.framesRejected} rejected)`);
+    });
+
+    ws.on('error', error => {
+      console.error('WebSocket error:', error);
+    });
+  });
+
+  // Returns false when the request is not for a transcript channel,
+  // so the caller can route it elsewhere
+  function handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(CHANNEL_PATH);
+    if (!match) return false;
+
+    const blockId = match[1].toLowerCase();
+    if (!verifyChannelToken(secret, blockId, url.searchParams.get('token'))) {
+      totals.refusedUpgrades++;
+      console.warn(`Refused transcript connection for ${blockId}: invalid token`);
+      refuseUpgrade(socket, 401, 'Unauthorized');
+      return true;
+    }
+
+    pool.query('SELECT block_id, recall_bot_id FROM block_meetings WHERE block_id = $1', [blockId])
+      .then(result => {
+        const meeting = result.rows[0];
+        if (!meeting) {
+          totals.refusedUpgrades++;
+          return refuseUpgrade(socket, 404, 'Not Found');
+        }
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req, meeting));
+      })
+      .catch(error => {
+        console.error('Error opening transcript channel:', error.message);
+        refuseUpgrade(socket, 500, 'Internal Server Error');
+      });
+    return true;
+  }
+
+  // Counts only: channel details (meetings, bots, addresses) aren't for public eyes
+  function getMetrics() {
+    return { ...totals, active: connections.size };
+  }
+
+  return { channelUrl, handleUpgrade, getMetrics };
+}
+
+module.exports = { createTranscriptChannels, createChannelToken, verifyChannelToken };
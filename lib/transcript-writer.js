@@ -0,0 +1,222 @@
+/**
+ * Batched, transactional transcript persistence
+ *
+ * Frames are buffered per meeting and flushed together: one transaction
+ * creates any new attendees, inserts the turns and links them into
+ * block_turns with sequence numbers taken under a per-block advisory lock,
+ * so concurrent flushes (or server instances) never hand out the same
+ * sequence_order and a crash never leaves a turn without its block_turns row.
+ * Attendees' speaking_time_seconds is refreshed in the same transaction.
+ * Speaker → attendee lookups (including the attendee's participant link)
+ * are cached once committed.
+ *
+ * onCommit(blockId, turns, { joined }) runs after each batch; joined lists
+ * the attendees heard in the meeting for the first time.
+ */
+
+const crypto = require('crypto');
+const { withTransaction } = require('./db');
+const { getOrCreateAttendee, UNKNOWN_SPEAKER } = require('./speaker-identity');
+const { refreshSpeakingTime } = require('./meeting-analytics');
+
+const DEFAULT_FLUSH_INTERVAL_MS = 500;
+const DEFAULT_MAX_BATCH_SIZE = 50;
+const MAX_FLUSH_ATTEMPTS = 3;
+
+// Words with their timestamps ride along in the turn so analysis can use timing
+function turnMetadata(frame, attendee) {
+  const words = frame.words || [];
+  const metadata = {
+    timestamp: frame.timestamp,
+    bot_id: frame.botId,
+    attendee_id: attendee.id,
+    segment_id: frame.segmentId,
+    words
+  };
+
+  if (words.length > 0) {
+    metadata.start_time = words[0].start_time;
+    metadata.end_time = words[words.length - 1].end_time;
+  }
+  if (frame.revisions) metadata.revisions = frame.revisions;
+  if (frame.finalizedFromPartial) metadata.finalized_from_partial = true;
+
+  return metadata;
+}
+
+function createTranscriptWriter({
+  pool,
+  flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS,
+  maxBatchSize = DEFAULT_MAX_BATCH_SIZE,
+  onCommit
+}) {
+  const buffers = new Map(); // block_id → { frames, timer, flushing, attempts }
+  const attendeeCache = new Map(); // `${block_id}:${speaker}` → attendee row
+
+  function bufferFor(blockId) {
+    if (!buffers.has(blockId)) {
+      buffers.set(blockId, { frames: [], timer: null, flushing: null, attempts: 0 });
+    }
+    return buffers.get(blockId);
+  }
+
+  // Resolves to { attendees: speaker → attendee, joined: attendees with no turns yet }
+  async function resolveAttendees(client, blockId, speakers) {
+    const resolved = new Map();
+    const joined = [];
+    for (const speaker of speakers) {
+      const cached = attendeeCache.get(`${blockId}:${speaker}`);
+      if (cached) {
+        resolved.set(speaker, cached);
+        continue;
+      }
+
+      const attendee = await getOrCreateAttendee(client, blockId, speaker);
+      const spoken = await client.query(
+        `SELECT 1 FROM block_turns bt
+         JOIN turns t ON t.turn_id = bt.turn_id
+         WHERE bt.block_id = $1 AND t.metadata->>'attendee_id' = $2
+         LIMIT 1`,
+        [blockId, String(attendee.id)]
+      );
+      if (spoken.rows.length === 0) joined.push(attendee);
+      resolved.set(speaker, attendee);
+    }
+    return { attendees: resolved, joined };
+  }
+
+  async function writeBatch(blockId, frames) {
+    const speakers = [...new Set(frames.map(frame => frame.speaker || UNKNOWN_SPEAKER))];
+
+    const committed = await withTransaction(pool, async client => {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [blockId]);
+
+      const { attendees, joined } = await resolveAttendees(client, blockId, speakers);
+      const sequenceResult = await client.query(
+        'SELECT COALESCE(MAX(sequence_order), 0) AS last_order FROM block_turns WHERE block_id = $1',
+        [blockId]
+      );
+      const firstOrder = Number(sequenceResult.rows[0].last_order) + 1;
+
+      const turns = frames.map((frame, i) => {
+        const attendee = attendees.get(frame.speaker || UNKNOWN_SPEAKER);
+        return {
+          turn_id: crypto.randomUUID(),
+          sequence_order: firstOrder + i,
+          attendee,
+          participant_id: attendee.participant_id,
+          content: frame.text,
+          metadata: turnMetadata(frame, attendee)
+        };
+      });
+
+      const turnValues = [];
+      const turnRows = turns.map((turn, i) => {
+        turnValues.push(turn.turn_id, turn.participant_id, turn.content, 'recall_bot', turn.metadata);
+        const p = i * 5;
+        return `($${p + 1}, $${p + 2}, $${p + 3}, $${p + 4}, $${p + 5})`;
+      });
+      await client.query(
+        `INSERT INTO turns (turn_id, participant_id, content, source_type, metadata) VALUES ${turnRows.join(', ')}`,
+        turnValues
+      );
+
+      const linkValues = [blockId];
+      const linkRows = turns.map((turn, i) => {
+        linkValues.push(turn.turn_id, turn.sequence_order);
+        return `($1, $${i * 2 + 2}, $${i * 2 + 3})`;
+      });
+      await client.query(
+        `INSERT INTO block_turns (block_id, turn_id, sequence_order) VALUES ${linkRows.join(', ')}`,
+        linkValues
+      );
+
+      const spokeIds = [...new Set(turns.map(turn => turn.attendee.id))];
+      await refreshSpeakingTime(client, blockId, spokeIds);
+
+      return { turns, attendees, joined };
+    });
+
+    committed.attendees.forEach((attendee, speaker) => {
+      attendeeCache.set(`${blockId}:${speaker}`, attendee);
+    });
+    return committed;
+  }
+
+  async function flush(blockId) {
+    const buffer = buffers.get(blockId);
+    if (!buffer) return;
+    if (buffer.flushing) {
+      await buffer.flushing;
+      if (buffer.frames.length > 0) return flush(blockId);
+      return;
+    }
+
+    clearTimeout(buffer.timer);
+    buffer.timer = null;
+    if (buffer.frames.length === 0) return;
+
+    const frames = buffer.frames.splice(0, maxBatchSize);
+    buffer.flushing = (async () => {
+      try {
+        const { turns, joined } = await writeBatch(blockId, frames);
+        buffer.attempts = 0;
+        if (onCommit) {
+          await Promise.resolve(onCommit(blockId, turns, { joined })).catch(error => {
+            console.error('Error after committing turns:', error);
+          });
+        }
+      } catch (error) {
+        buffer.attempts++;
+        if (buffer.attempts < MAX_FLUSH_ATTEMPTS) {
+          console.error(`Transcript flush for ${blockId} failed (attempt ${buffer.attempts}), retrying:`, error.message);
+          buffer.frames.unshift(...frames);
+        } else {
+          console.error(`Transcript flush for ${blockId} failed ${buffer.attempts} times, dropping ${frames.length} frames:`, error);
+          buffer.attempts = 0;
+        }
+      }
+    })();
+
+    await buffer.flushing;
+    buffer.flushing = null;
+
+    if (buffer.frames.length > 0) {
+      schedule(blockId);
+    } else {
+      buffers.delete(blockId);
+    }
+  }
+
+  function schedule(blockId) {
+    const buffer = bufferFor(blockId);
+    if (buffer.frames.length >= maxBatchSize) {
+      flush(blockId);
+    } else if (!buffer.timer && !buffer.flushing) {
+      buffer.timer = setTimeout(() => flush(blockId), flushIntervalMs);
+    }
+  }
+
+  // Queue a parsed frame for the meeting's next batch
+  function enqueue(meeting, frame) {
+    bufferFor(meeting.block_id).frames.push(frame);
+    schedule(meeting.block_id);
+  }
+
+  // Flush everything still buffered (used on shutdown)
+  async function close() {
+    await Promise.all([...buffers.keys()].map(flush));
+  }
+
+  // Drop cached attendees for one meeting, or for all meetings when no id is given
+  function forgetMeeting(blockId) {
+    if (!blockId) return attendeeCache.clear();
+    for (const key of attendeeCache.keys()) {
+      if (key.startsWith(`${blockId}:`)) attendeeCache.delete(key);
+    }
+  }
+
+  return { enqueue, flush, close, forgetMeeting };
+}
+
+module.exports = { createTranscriptWriter };
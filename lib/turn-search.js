@@ -0,0 +1,215 @@
+/**
+ * Turn search
+ *
+ * Searches the turns of the meetings a user can access. Text mode is
+ * Postgres full-text search (english configuration, web search syntax:
+ * quoted phrases, OR, -word), ranked with ts_rank_cd. Semantic mode embeds
+ * the query and ranks turns by cosine similarity to their turn_embeddings,
+ * and also returns the attendee stories closest to it.
+ *
+ * Every result carries a headline: the part of the turn around the match,
+ * HTML escaped, with the query's words wrapped in <mark>.
+ */
+
+const { CAN_ACCESS } = require('./access');
+const { toVector } = require('./search-indexer');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const STORY_LIMIT = 5;
+const MODES = ['text', 'semantic'];
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Must match the expression indexed in migration 034
+const TURN_DOCUMENT = "to_tsvector('english', t.content)";
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15';
+
+function escapeHtml(column) {
+  return `replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+}
+
+function parseDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+/**
+ * Validate search query parameters: q, mode (text or semantic), meeting
+ * (block id), speaker (participant id, email or name), from, to (ISO
+ * dates), min_similarity (semantic only), limit and offset.
+ * Resolves to { search } or { error }.
+ */
+function parseSearchQuery(query) {
+  const text = String(query.q || '').trim();
+  if (!text) return { error: 'q is required' };
+
+  const limit = Number(query.limit);
+  const offset = Number(query.offset);
+  const search = {
+    text,
+    mode: query.mode ? String(query.mode) : 'text',
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT,
+    offset: Number.isInteger(offset) && offset > 0 ? offset : 0
+  };
+
+  if (!MODES.includes(search.mode)) {
+    return { error: `Unknown mode "${search.mode}"; expected one of ${MODES.join(', ')}` };
+  }
+  if (query.meeting !== undefined) {
+    search.meeting = String(query.meeting);
+    if (!UUID.test(search.meeting)) return { error: 'meeting must be a meeting id' };
+  }
+  if (query.speaker !== undefined) {
+    search.speaker = String(query.speaker).trim();
+    if (!search.speaker) return { error: 'speaker must not be empty' };
+  }
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined) continue;
+    search[key] = parseDate(query[key]);
+    if (!search[key]) return { error: `${key} must be an ISO 8601 date` };
+  }
+  if (query.min_similarity !== undefined) {
+    search.minSimilarity = Number(query.min_similarity);
+    if (Number.isNaN(search.minSimilarity) || search.minSimilarity < -1 || search.minSimilarity > 1) {
+      return { error: 'min_similarity must be a number between -1 and 1' };
+    }
+  }
+  return { search };
+}
+
+// Conditions shared by turn and story results (attendee ba, participant p, dated by `at`)
+function filterConditions(search, param, at) {
+  const where = [CAN_ACCESS];
+  if (search.meeting) where.push(`bm.block_id = ${param(search.meeting)}`);
+  if (search.from) where.push(`${at} >= ${param(search.from)}`);
+  if (search.to) where.push(`${at} < ${param(search.to)}`);
+  if (search.speaker) {
+    // A participant id, an email, or part of a name
+    const speaker = search.speaker;
+    if (/^\d+$/.test(speaker)) {
+      where.push(`p.id = ${param(Number(speaker))}`);
+    } else if (speaker.includes('@')) {
+      const email = param(speaker);
+      where.push(`(lower(ba.email) = lower(${email}) OR lower(p.email) = lower(${email}))`);
+    } else {
+      where.push(`COALESCE(ba.name, p.name) ILIKE ${param(`%${speaker.replace(/[\\%_]/g, '\\$&')}%`)}`);
+    }
+  }
+  return where;
+}
+
+function queryBuilder(user) {
+  const params = [user.id, user.email];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  return { params, param };
+}
+
+const TURN_COLUMNS = `t.turn_id, bt.block_id, b.name AS meeting_name, bt.sequence_order,
+  COALESCE(ba.name, p.name, 'Unknown speaker') AS speaker,
+  ba.id AS attendee_id, t.participant_id, t.content, t.timestamp,
+  (t.metadata->>'start_time')::float AS start_time`;
+
+const TURN_JOINS = `FROM turns t
+     JOIN block_turns bt ON bt.turn_id = t.turn_id
+     JOIN block_meetings bm ON bm.block_id = bt.block_id
+     JOIN blocks b ON b.block_id = bm.block_id
+     LEFT JOIN block_attendees ba ON ba.id::text = t.metadata->>'attendee_id'
+     LEFT JOIN conversation.participants p ON p.id = t.participant_id`;
+
+function page(rows, { limit, offset }) {
+  return {
+    results: rows.slice(0, limit),
+    next_offset: rows.length > limit ? offset + limit : null
+  };
+}
+
+async function textSearch(pool, user, search) {
+  const { params, param } = queryBuilder(user);
+  const tsquery = `websearch_to_tsquery('english', ${param(search.text)})`;
+  const where = filterConditions(search, param, 't.timestamp');
+  where.push(`${TURN_DOCUMENT} @@ ${tsquery}`);
+
+  const result = await pool.query(
+    `SELECT ${TURN_COLUMNS},
+            ts_rank_cd(${TURN_DOCUMENT}, ${tsquery}) AS rank,
+            ts_headline('english', ${escapeHtml('t.content')}, ${tsquery}, '${HEADLINE_OPTIONS}') AS headline
+     ${TURN_JOINS}
+     WHERE ${where.join('\n       AND ')}
+     ORDER BY rank DESC, t.timestamp DESC, t.turn_id
+     LIMIT ${param(search.limit + 1)} OFFSET ${param(search.offset)}`,
+    params
+  );
+  return { mode: 'text', ...page(result.rows, search) };
+}
+
+async function semanticSearch(pool, user, embedder, search) {
+  const [vector] = await embedder.embed([search.text]);
+
+  const turns = queryBuilder(user);
+  const embedding = `${turns.param(toVector(vector))}::vector`;
+  const tsquery = `plainto_tsquery('english', ${turns.param(search.text)})`;
+  const turnWhere = filterConditions(search, turns.param, 't.timestamp');
+  // Only embeddings of the turn as it reads now (edited turns wait for the indexer)
+  turnWhere.push(`e.model = ${turns.param(embedder.model)}`, 'e.content_hash = md5(t.content)');
+  if (search.minSimilarity !== undefined) {
+    turnWhere.push(`1 - (e.embedding <=> ${embedding}) >= ${turns.param(search.minSimilarity)}`);
+  }
+
+  const turnResult = await pool.query(
+    `SELECT ${TURN_COLUMNS},
+            1 - (e.embedding <=> ${embedding}) AS similarity,
+            ts_headline('english', ${escapeHtml('t.content')}, ${tsquery}, '${HEADLINE_OPTIONS}') AS headline
+     ${TURN_JOINS}
+     JOIN turn_embeddings e ON e.turn_id = t.turn_id
+     WHERE ${turnWhere.join('\n       AND ')}
+     ORDER BY e.embedding <=> ${embedding}, t.turn_id
+     LIMIT ${turns.param(search.limit + 1)} OFFSET ${turns.param(search.offset)}`,
+    turns.params
+  );
+
+  // Stories are dated by their meeting; the closest few come with the first page
+  let stories = [];
+  if (search.offset === 0) {
+    const storyQuery = queryBuilder(user);
+    const storyEmbedding = `${storyQuery.param(toVector(vector))}::vector`;
+    const storyWhere = filterConditions(search, storyQuery.param, 'COALESCE(bm.started_at, bm.created_at)');
+    storyWhere.push(`ba.story_embedding_hash = md5(${storyQuery.param(embedder.model)} || ':' || ba.story)`);
+    if (search.minSimilarity !== undefined) {
+      storyWhere.push(`1 - (ba.story_embedding <=> ${storyEmbedding}) >= ${storyQuery.param(search.minSimilarity)}`);
+    }
+
+    const storyResult = await pool.query(
+      `SELECT ba.id AS attendee_id, ba.block_id, b.name AS meeting_name, ba.name AS speaker,
+              ba.participant_id, ba.story,
+              1 - (ba.story_embedding <=> ${storyEmbedding}) AS similarity
+       FROM block_attendees ba
+       JOIN block_meetings bm ON bm.block_id = ba.block_id
+       JOIN blocks b ON b.block_id = bm.block_id
+       LEFT JOIN conversation.participants p ON p.id = ba.participant_id
+       WHERE ${storyWhere.join('\n         AND ')}
+       ORDER BY ba.story_embedding <=> ${storyEmbedding}, ba.id
+       LIMIT ${storyQuery.param(STORY_LIMIT)}`,
+      storyQuery.params
+    );
+    stories = storyResult.rows;
+  }
+
+  return { mode: 'semantic', ...page(turnResult.rows, search), stories };
+}
+
+/**
+ * Search the turns of meetings the user can access, best match first.
+ * Resolves to { mode, results, next_offset } (null on the last page), plus
+ * stories in semantic mode.
+ */
+async function searchTurns(pool, user, search, { embedder } = {}) {
+  if (search.mode === 'semantic') return semanticSearch(pool, user, embedder, search);
+  return textSearch(pool, user, search);
+}
+
+module.exports = { parseSearchQuery, searchTurns };
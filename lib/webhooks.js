@@ -0,0 +1,117 @@
+/**
+ * Webhook verification and replay protection
+ *
+ * Recall.ai signs webhooks the Svix way: HMAC-SHA256 over
+ * "<webhook-id>.<webhook-timestamp>.<raw body>" with the endpoint secret,
+ * sent base64 encoded as "v1,<signature>" in the webhook-signature header
+ * (svix-* header names are accepted too). Secrets prefixed with "whsec_"
+ * are base64; anything else is used as raw text.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+function secretKey(secret) {
+  return secret.startsWith('whsec_')
+    ? Buffer.from(secret.slice('whsec_'.length), 'base64')
+    : Buffer.from(secret, 'utf8');
+}
+
+function signWebhook(secret, id, timestamp, body) {
+  const signature = crypto
+    .createHmac('sha256', secretKey(secret))
+    .update(`${id}.${timestamp}.${body}`)
+    .digest('base64');
+  return `v1,${signature}`;
+}
+
+function header(req, name) {
+  return req.get(`webhook-${name}`) || req.get(`svix-${name}`);
+}
+
+/**
+ * Check a request's signature headers against the raw body.
+ * Returns { valid, id, timestamp, reason }.
+ */
+function verifyWebhookSignature(req, secret, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const id = header(req, 'id');
+  const timestamp = header(req, 'timestamp');
+  const signatures = header(req, 'signature');
+
+  if (!id || !timestamp || !signatures) {
+    return { valid: false, reason: 'missing signature headers' };
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(now / 1000 - sentAt) > toleranceSeconds) {
+    return { valid: false, id, reason: 'timestamp outside tolerance window' };
+  }
+
+  const expected = Buffer.from(signWebhook(secret, id, timestamp, req.rawBody || ''));
+  const matches = signatures.split(' ').some(candidate => {
+    const given = Buffer.from(candidate);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+
+  return matches
+    ? { valid: true, id, timestamp: sentAt }
+    : { valid: false, id, reason: 'signature mismatch' };
+}
+
+// Express middleware rejecting webhooks that are unsigned, forged or stale.
+// getSecret is called per request so the secret can be set up after the route is registered.
+function requireWebhookSignature(getSecret, options) {
+  return (req, res, next) => {
+    const secret = getSecret();
+    if (!secret) {
+      console.error('Webhook rejected: no webhook secret configured');
+      return res.status(503).send('Webhook verification not configured');
+    }
+
+    const result = verifyWebhookSignature(req, secret, options);
+    if (!result.valid) {
+      console.warn(`Webhook rejected: ${result.reason}`);
+      return res.status(401).send('Invalid webhook signature');
+    }
+
+    req.webhookId = result.id;
+    next();
+  };
+}
+
+/**
+ * Claim an event id in the idempotency store.
+ * Resolves to true the first time an id is seen, false for replays and duplicates.
+ */
+async function claimWebhookEvent(pool, eventId, { botId, eventType } = {}) {
+  const result = await pool.query(
+    `INSERT INTO webhook_events (event_id, bot_id, event_type)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (event_id) DO NOTHING
+     RETURNING event_id`,
+    [eventId, botId || null, eventType || null]
+  );
+  return result.rows.length > 0;
+}
+
+async function completeWebhookEvent(pool, eventId, outcome) {
+  await pool.query(
+    'UPDATE webhook_events SET processed_at = NOW(), outcome = $2 WHERE event_id = $1',
+    [eventId, outcome]
+  );
+}
+
+// Forget a claimed event whose processing failed so the provider's retry is handled
+async function releaseWebhookEvent(pool, eventId) {
+  await pool.query('DELETE FROM webhook_events WHERE event_id = $1', [eventId]);
+}
+
+module.exports = {
+  signWebhook,
+  verifyWebhookSignature,
+  requireWebhookSignature,
+  claimWebhookEvent,
+  completeWebhookEvent,
+  releaseWebhookEvent
+};
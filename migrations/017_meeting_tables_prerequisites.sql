@@ -0,0 +1,22 @@
+-- Migration: Prerequisites for moving the meeting tables to public
+-- 018 was written against Supabase: it declares vector columns, copies
+-- conversation.block_attendees.story_embedding (which 001 leaves commented
+-- out) and grants to the authenticated role. On plain Postgres none of those
+-- exist, so 018 can't run there; this migration provides them first.
+--
+-- Numbered to run before 018 on a new database. Databases that already have
+-- 018 get it as a pending migration on their next run, where it changes
+-- nothing that isn't already there.
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+ALTER TABLE conversation.block_attendees
+  ADD COLUMN IF NOT EXISTS story_embedding vector(1536);
+
+-- Supabase's role for signed-in REST clients; a role that can't log in elsewhere
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+    CREATE ROLE authenticated NOLOGIN;
+  END IF;
+END $$;
@@ -0,0 +1,25 @@
+-- Migration: Meeting lifecycle tracking
+-- Every accepted status transition of a meeting bot is recorded here, and
+-- started_at / ended_at are set from the transitions instead of row defaults.
+
+CREATE TABLE IF NOT EXISTS public.block_meeting_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  block_id uuid NOT NULL REFERENCES public.block_meetings(block_id) ON DELETE CASCADE,
+  from_status TEXT, -- NULL for the initial status
+  to_status TEXT NOT NULL,
+  source TEXT NOT NULL DEFAULT 'webhook', -- webhook, api, system
+  details JSONB DEFAULT '{}',
+  occurred_at TIMESTAMPTZ NOT NULL, -- When the provider says it happened
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_block_meeting_status_history_block
+  ON public.block_meeting_status_history(block_id, occurred_at);
+
+-- started_at is now set when the bot actually gets into the call
+ALTER TABLE public.block_meetings ALTER COLUMN started_at DROP DEFAULT;
+
+-- Rows written before the lifecycle model used 'in_progress'
+UPDATE public.block_meetings SET status = 'in_call' WHERE status = 'in_progress';
+
+COMMENT ON TABLE public.block_meeting_status_history IS 'Accepted meeting bot status transitions in order';
@@ -0,0 +1,17 @@
+-- Migration: Webhook idempotency store
+-- One row per delivered webhook id, so replayed or duplicated deliveries are
+-- recognised and skipped.
+
+CREATE TABLE IF NOT EXISTS public.webhook_events (
+  event_id TEXT PRIMARY KEY, -- webhook-id header from the provider
+  bot_id TEXT,
+  event_type TEXT,
+  outcome TEXT, -- applied, ignored
+  received_at TIMESTAMPTZ DEFAULT NOW(),
+  processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_bot_id ON public.webhook_events(bot_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at ON public.webhook_events(received_at);
+
+COMMENT ON TABLE public.webhook_events IS 'Delivered webhook ids for replay protection';
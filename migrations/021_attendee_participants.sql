@@ -0,0 +1,40 @@
+-- Migration: Link meeting attendees to conversation participants
+-- turns.participant_id references conversation.participants, so every attendee
+-- is resolved to a participant and the link is stored on block_attendees.
+-- Aliases let one participant be recognised under several display names.
+
+ALTER TABLE public.block_attendees
+  ADD COLUMN IF NOT EXISTS participant_id BIGINT REFERENCES conversation.participants(id),
+  ADD COLUMN IF NOT EXISTS email TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_public_block_attendees_participant_id ON public.block_attendees(participant_id);
+
+CREATE TABLE IF NOT EXISTS public.participant_aliases (
+  id BIGSERIAL PRIMARY KEY,
+  participant_id BIGINT NOT NULL REFERENCES conversation.participants(id) ON DELETE CASCADE,
+  alias TEXT NOT NULL, -- Display name the participant has appeared under
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_participant_aliases_alias ON public.participant_aliases(lower(alias));
+CREATE INDEX IF NOT EXISTS idx_participant_aliases_participant ON public.participant_aliases(participant_id);
+
+-- Link existing attendees to participants that already carry their name
+UPDATE public.block_attendees
+SET participant_id = find_participant_id(name)
+WHERE participant_id IS NULL;
+
+-- Turns written by the bot stored the attendee id as participant_id; re-point
+-- the ones whose attendee could be linked, keeping the attendee id in metadata
+UPDATE conversation.turns t
+SET participant_id = ba.participant_id,
+    metadata = COALESCE(t.metadata, '{}') || jsonb_build_object('attendee_id', ba.id)
+FROM conversation.block_turns bt
+JOIN public.block_attendees ba ON ba.block_id = bt.block_id
+WHERE bt.turn_id = t.turn_id
+  AND t.source_type = 'recall_bot'
+  AND ba.id = t.participant_id
+  AND ba.participant_id IS NOT NULL
+  AND NOT (COALESCE(t.metadata, '{}') ? 'attendee_id');
+
+COMMENT ON TABLE public.participant_aliases IS 'Alternative display names for conversation participants';
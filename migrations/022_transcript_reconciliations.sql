@@ -0,0 +1,16 @@
+-- Migration: Transcript reconciliation reports
+-- One row per reconciliation run of a meeting's live turns against the
+-- provider's final transcript.
+
+CREATE TABLE IF NOT EXISTS public.transcript_reconciliations (
+  id BIGSERIAL PRIMARY KEY,
+  block_id uuid NOT NULL REFERENCES public.block_meetings(block_id) ON DELETE CASCADE,
+  summary JSONB NOT NULL, -- Counts: matched, text_corrected, speaker_corrected, gaps_filled, unmatched_live
+  changes JSONB NOT NULL DEFAULT '[]', -- Per-turn diff entries
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transcript_reconciliations_block
+  ON public.transcript_reconciliations(block_id, created_at);
+
+COMMENT ON TABLE public.transcript_reconciliations IS 'Diff summaries from aligning live turns with the final transcript';
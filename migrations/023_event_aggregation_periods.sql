@@ -0,0 +1,6 @@
+-- Migration: One aggregation row per participant and period
+-- Meeting analytics rollups are recomputed in place, so each
+-- (type, window, participant, period) gets a single row.
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_aggregations_period_unique
+  ON events.event_aggregations(aggregation_type, time_window, participant_id, period_start);
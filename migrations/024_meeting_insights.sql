@@ -0,0 +1,21 @@
+-- Migration: Meeting insights
+-- Patterns detected in committed turns (questions, decisions, commitments,
+-- disagreements, topic shifts), one row per turn and pattern.
+
+CREATE TABLE IF NOT EXISTS public.meeting_insights (
+  id BIGSERIAL PRIMARY KEY,
+  block_id uuid NOT NULL REFERENCES public.block_meetings(block_id) ON DELETE CASCADE,
+  turn_id uuid NOT NULL REFERENCES conversation.turns(turn_id) ON DELETE CASCADE,
+  participant_id BIGINT REFERENCES conversation.participants(id),
+  pattern VARCHAR(50) NOT NULL,
+  analyzer VARCHAR(50) NOT NULL, -- Analyzer that produced the detection
+  confidence REAL NOT NULL,
+  details JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (turn_id, pattern)
+);
+
+CREATE INDEX IF NOT EXISTS idx_meeting_insights_block ON public.meeting_insights(block_id);
+CREATE INDEX IF NOT EXISTS idx_meeting_insights_participant ON public.meeting_insights(participant_id, pattern);
+
+COMMENT ON TABLE public.meeting_insights IS 'Per-meeting pattern detections from the turn analyzers';
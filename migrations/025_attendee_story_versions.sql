@@ -0,0 +1,24 @@
+-- Migration: Versioned attendee stories
+-- Every time new turns are folded into an attendee's story a snapshot is
+-- kept. The first version in a meeting starts from the participant's latest
+-- story from an earlier meeting (carried_from).
+
+CREATE TABLE IF NOT EXISTS public.attendee_story_versions (
+  id BIGSERIAL PRIMARY KEY,
+  attendee_id BIGINT NOT NULL REFERENCES public.block_attendees(id) ON DELETE CASCADE,
+  block_id uuid NOT NULL,
+  participant_id BIGINT REFERENCES conversation.participants(id),
+  version INTEGER NOT NULL,
+  story TEXT NOT NULL,
+  state JSONB, -- Summarizer-specific working state, handed back on the next fold
+  turn_ids uuid[] NOT NULL DEFAULT '{}', -- Turns folded in by this version
+  carried_from BIGINT REFERENCES public.attendee_story_versions(id) ON DELETE SET NULL,
+  summarizer VARCHAR(50) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (attendee_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendee_story_versions_participant
+  ON public.attendee_story_versions(participant_id, created_at);
+
+COMMENT ON TABLE public.attendee_story_versions IS 'Snapshots of each attendee''s evolving story';
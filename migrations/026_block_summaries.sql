@@ -0,0 +1,8 @@
+-- Migration: Meeting summaries on blocks
+-- The structured post-meeting summary (sections, decisions, open questions,
+-- action items) and the narrative written from it.
+
+ALTER TABLE conversation.blocks
+  ADD COLUMN IF NOT EXISTS summary JSONB,
+  ADD COLUMN IF NOT EXISTS story TEXT,
+  ADD COLUMN IF NOT EXISTS summarized_at TIMESTAMPTZ;
@@ -0,0 +1,26 @@
+-- Migration: Action item proposals
+-- Action items extracted from a meeting wait here for review; approving one
+-- creates a kanban card on the inviter's meeting board.
+
+CREATE TABLE IF NOT EXISTS public.action_item_proposals (
+  id BIGSERIAL PRIMARY KEY,
+  block_id uuid NOT NULL REFERENCES public.block_meetings(block_id) ON DELETE CASCADE,
+  turn_id uuid NOT NULL UNIQUE REFERENCES conversation.turns(turn_id) ON DELETE CASCADE, -- Source turn
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  owner_attendee_id BIGINT REFERENCES public.block_attendees(id) ON DELETE SET NULL,
+  owner_name TEXT,
+  assignee_user_id BIGINT REFERENCES client_mgmt.users(id),
+  board_owner_id BIGINT REFERENCES client_mgmt.users(id), -- Meeting inviter
+  due_date DATE,
+  due_hint TEXT, -- Phrase the due date was parsed from
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  card_id BIGINT REFERENCES kanban.cards(id) ON DELETE SET NULL,
+  reviewed_by BIGINT REFERENCES client_mgmt.users(id),
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_item_proposals_block ON public.action_item_proposals(block_id, status);
+
+COMMENT ON TABLE public.action_item_proposals IS 'Meeting action items awaiting review before becoming kanban cards';
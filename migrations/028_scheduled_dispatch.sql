@@ -0,0 +1,21 @@
+-- Migration: Scheduled bot dispatch
+-- Scheduled meetings carry their dispatch state so the scheduler can claim
+-- one at a time and pick up where it left off after a restart; the meeting
+-- row created for the bot points back at its scheduled meeting (at most one).
+
+ALTER TABLE meetings.scheduled_meetings
+  ADD COLUMN IF NOT EXISTS dispatch_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (dispatch_status IN ('pending', 'dispatching', 'dispatched', 'failed', 'skipped')),
+  ADD COLUMN IF NOT EXISTS dispatch_claimed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS dispatch_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS dispatch_error TEXT,
+  ADD COLUMN IF NOT EXISTS dispatched_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_meetings_dispatch
+  ON meetings.scheduled_meetings(dispatch_status, scheduled_start);
+
+ALTER TABLE public.block_meetings
+  ADD COLUMN IF NOT EXISTS scheduled_meeting_id BIGINT REFERENCES meetings.scheduled_meetings(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_block_meetings_scheduled_meeting
+  ON public.block_meetings(scheduled_meeting_id) WHERE scheduled_meeting_id IS NOT NULL;
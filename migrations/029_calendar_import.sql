@@ -0,0 +1,17 @@
+-- Migration: Calendar import
+-- Scheduled meetings imported from iCalendar remember the event they came
+-- from, so re-importing a calendar (or the same invite from another
+-- attendee's calendar) updates the meeting instead of adding a second one.
+-- ical_instance is '' for a single event and the original start of the
+-- occurrence (ISO 8601, UTC) for an occurrence of a recurring event.
+
+ALTER TABLE meetings.scheduled_meetings
+  ADD COLUMN IF NOT EXISTS ical_uid TEXT,
+  ADD COLUMN IF NOT EXISTS ical_instance TEXT NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS ical_sequence INTEGER NOT NULL DEFAULT 0;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_meetings_ical
+  ON meetings.scheduled_meetings(ical_uid, ical_instance) WHERE ical_uid IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_meeting_participants_email
+  ON meetings.meeting_participants(meeting_id, lower(participant_email));
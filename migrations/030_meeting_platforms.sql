@@ -0,0 +1,24 @@
+-- Migration: Meeting platforms
+-- block_meetings records which platform a meeting is on and a key that
+-- identifies the meeting across link variants (see lib/meeting-urls.js).
+-- At most one bot is active per meeting key; once a meeting has ended (or
+-- failed) the same link can be joined again, which recurring meetings need.
+
+ALTER TABLE public.block_meetings
+  ADD COLUMN IF NOT EXISTS platform TEXT CHECK (platform IN ('zoom', 'google_meet', 'teams', 'webex')),
+  ADD COLUMN IF NOT EXISTS meeting_key TEXT;
+
+UPDATE public.block_meetings
+SET platform = CASE
+  WHEN meeting_url ~* '^(https?://)?([a-z0-9-]+\.)*(zoom\.us|zoomgov\.com|zoom\.com)/' THEN 'zoom'
+  WHEN meeting_url ~* '^(https?://)?meet\.google\.com/' THEN 'google_meet'
+  WHEN meeting_url ~* '^(https?://)?([a-z0-9-]+\.)*(teams\.microsoft\.com|teams\.live\.com|teams\.microsoft\.us)/' THEN 'teams'
+  WHEN meeting_url ~* '^(https?://)?([a-z0-9-]+\.)*webex\.com/' THEN 'webex'
+END
+WHERE platform IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_block_meetings_active_meeting
+  ON public.block_meetings(meeting_key)
+  WHERE meeting_key IS NOT NULL AND status NOT IN ('call_ended', 'completed', 'failed');
+
+CREATE INDEX IF NOT EXISTS idx_block_meetings_platform ON public.block_meetings(platform);
@@ -0,0 +1,10 @@
+-- Migration: Refresh tokens belong to a session
+-- A login creates one auth.sessions row (holding the current access token)
+-- and a chain of single-use refresh tokens. Logging out, or presenting a
+-- refresh token twice, deletes the session and with it every refresh token
+-- issued for it.
+
+ALTER TABLE auth.refresh_tokens
+  ADD COLUMN IF NOT EXISTS session_id uuid REFERENCES auth.sessions(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_auth_refresh_tokens_session ON auth.refresh_tokens(session_id);
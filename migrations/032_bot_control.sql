@@ -0,0 +1,29 @@
+-- Migration: Bot control
+-- Bots can be cancelled before they get into the call (status 'cancelled')
+-- and a failed meeting can be retried with a new bot on the same block.
+-- block_meeting_bots records every bot sent to a meeting, so webhooks from a
+-- bot a retry replaced are recognised and ignored.
+
+CREATE TABLE IF NOT EXISTS public.block_meeting_bots (
+  recall_bot_id TEXT PRIMARY KEY,
+  block_id uuid NOT NULL REFERENCES public.block_meetings(block_id) ON DELETE CASCADE,
+  attempt INTEGER NOT NULL DEFAULT 1, -- 1 for the first bot, then one more per retry
+  dispatched_by_user_id BIGINT REFERENCES client_mgmt.users(id) ON DELETE SET NULL,
+  dispatched_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_block_meeting_bots_block ON public.block_meeting_bots(block_id, attempt);
+
+INSERT INTO public.block_meeting_bots (recall_bot_id, block_id, attempt, dispatched_by_user_id, dispatched_at)
+SELECT recall_bot_id, block_id, 1, invited_by_user_id, created_at
+FROM public.block_meetings
+WHERE recall_bot_id IS NOT NULL
+ON CONFLICT (recall_bot_id) DO NOTHING;
+
+-- A cancelled bot no longer holds its meeting
+DROP INDEX IF EXISTS public.idx_block_meetings_active_meeting;
+CREATE UNIQUE INDEX idx_block_meetings_active_meeting
+  ON public.block_meetings(meeting_key)
+  WHERE meeting_key IS NOT NULL AND status NOT IN ('call_ended', 'completed', 'failed', 'cancelled');
+
+COMMENT ON TABLE public.block_meeting_bots IS 'Every bot sent to a meeting, including ones a retry replaced';
@@ -0,0 +1,10 @@
+-- Migration: Transcript import
+-- Meetings can be loaded from a transcript file instead of recorded by a
+-- bot. block_meetings.source says which; imported meetings may not have a
+-- meeting link at all.
+
+ALTER TABLE public.block_meetings
+  ALTER COLUMN meeting_url DROP NOT NULL,
+  ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'bot' CHECK (source IN ('bot', 'import'));
+
+CREATE INDEX IF NOT EXISTS idx_block_meetings_source ON public.block_meetings(source);
@@ -0,0 +1,30 @@
+-- Migration: Turn search
+-- Full-text search over conversation.turns content (english configuration;
+-- lib/turn-search.js must use the same expression for the index to apply),
+-- and embeddings for semantic search: one per turn in turn_embeddings, plus
+-- the existing block_attendees.story_embedding for attendee stories.
+-- content_hash / story_embedding_hash record what was embedded and by which
+-- model, so edited turns and rewritten stories are embedded again.
+-- The vector indexes are HNSW rather than IVFFlat: they are created while
+-- the tables are (nearly) empty, which leaves IVFFlat without useful lists.
+
+CREATE INDEX IF NOT EXISTS idx_turns_content_search
+  ON conversation.turns USING GIN (to_tsvector('english', content));
+
+CREATE TABLE IF NOT EXISTS public.turn_embeddings (
+  turn_id uuid PRIMARY KEY REFERENCES conversation.turns(turn_id) ON DELETE CASCADE,
+  model TEXT NOT NULL,
+  content_hash TEXT NOT NULL, -- md5 of the turn content that was embedded
+  embedding vector(1536) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_turn_embeddings_embedding
+  ON public.turn_embeddings USING hnsw (embedding vector_cosine_ops);
+
+ALTER TABLE public.block_attendees
+  ADD COLUMN IF NOT EXISTS story_embedding_hash TEXT; -- md5 of '<model>:<story>' that was embedded
+
+DROP INDEX IF EXISTS public.idx_public_block_attendees_story_embedding;
+CREATE INDEX IF NOT EXISTS idx_public_block_attendees_story_embedding
+  ON public.block_attendees USING hnsw (story_embedding vector_cosine_ops);
@@ -0,0 +1,23 @@
+-- Migration: Post-meeting processing
+-- Fetching the final transcript, reconciling and analysing a completed
+-- meeting runs as a background job instead of inside the webhook request.
+-- A meeting is due once its status is completed and its processing hasn't
+-- finished; the columns below let one server instance claim it at a time,
+-- retry it after a failure and pick up a claim left by a crashed instance.
+
+ALTER TABLE public.block_meetings
+  ADD COLUMN IF NOT EXISTS processing_status VARCHAR(20)
+    CHECK (processing_status IN ('pending', 'processing', 'processed', 'failed')),
+  ADD COLUMN IF NOT EXISTS processing_claimed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS processing_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS processing_error TEXT,
+  ADD COLUMN IF NOT EXISTS processed_at TIMESTAMPTZ;
+
+-- Meetings completed before this migration were processed by the webhook
+UPDATE public.block_meetings
+SET processing_status = 'processed', processed_at = COALESCE(ended_at, NOW())
+WHERE status = 'completed' AND processing_status IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_block_meetings_processing
+  ON public.block_meetings(processing_status)
+  WHERE status = 'completed';
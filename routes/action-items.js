@@ -0,0 +1,84 @@
+/**
+ * Action item endpoints
+ * Review the action items picked up in a meeting before they land on a board.
+ */
+
+const {
+  proposeActionItems,
+  parseApprovalOverrides,
+  approveProposal,
+  rejectProposal,
+  listProposals
+} = require('../lib/action-items');
+const { canManageProposal } = require('../lib/access');
+
+const REVIEWERS_ONLY = "Only the board's owner or the meeting's inviter can review its action items";
+
+function addActionItemRoutes(app, { pool, autoApprove }) {
+  // Proposals for a meeting, in transcript order
+  app.get('/api/meetings/:blockId/action-items', async (req, res) => {
+    try {
+      const proposals = await listProposals(pool, req.params.blockId);
+      res.json({ action_items: proposals });
+    } catch (error) {
+      console.error('Error listing action items:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Propose any action items in the meeting's current summary that aren't proposed yet
+  app.post('/api/meetings/:blockId/action-items', async (req, res) => {
+    try {
+      const proposals = await proposeActionItems(pool, req.params.blockId, { autoApprove });
+      res.json({ action_items: proposals });
+    } catch (error) {
+      console.error('Error proposing action items:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Approve a proposal, optionally adjusting title, assignee_user_id or due_date, and create its card
+  app.post('/api/action-items/:proposalId/approve', async (req, res) => {
+    try {
+      if (!(await canManageProposal(pool, req.user, req.params.proposalId))) {
+        return res.status(403).json({ error: REVIEWERS_ONLY });
+      }
+      const { overrides, error } = parseApprovalOverrides(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const result = await approveProposal(pool, req.params.proposalId, overrides, req.user.id);
+      if (!result) {
+        return res.status(404).json({ error: 'Action item not found' });
+      }
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ action_item: result });
+    } catch (error) {
+      console.error('Error approving action item:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  app.post('/api/action-items/:proposalId/reject', async (req, res) => {
+    try {
+      if (!(await canManageProposal(pool, req.user, req.params.proposalId))) {
+        return res.status(403).json({ error: REVIEWERS_ONLY });
+      }
+      const result = await rejectProposal(pool, req.params.proposalId, req.user.id);
+      if (!result) {
+        return res.status(404).json({ error: 'Action item not found' });
+      }
+      if (result.error) {
+        return res.status(409).json({ error: result.error });
+      }
+      res.json({ action_item: result });
+    } catch (error) {
+      console.error('Error rejecting action item:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+}
+
+module.exports = { addActionItemRoutes };
@@ -0,0 +1,62 @@
+/**
+ * Authentication endpoints
+ * Log in for a bearer access token, trade refresh tokens for new ones, log out.
+ */
+
+function addAuthRoutes(app, { auth }) {
+  app.post('/api/auth/login', async (req, res) => {
+    try {
+      const { email, password } = req.body || {};
+      if (!email || !password) {
+        return res.status(400).json({ error: 'email and password are required' });
+      }
+
+      const tokens = await auth.login(email, password, {
+        ipAddress: req.ip || null,
+        userAgent: req.get('user-agent') || null
+      });
+      if (!tokens) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+      res.json(tokens);
+    } catch (error) {
+      console.error('Error logging in:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  app.post('/api/auth/refresh', async (req, res) => {
+    try {
+      const { refresh_token } = req.body || {};
+      if (!refresh_token) {
+        return res.status(400).json({ error: 'refresh_token is required' });
+      }
+
+      const tokens = await auth.refresh(refresh_token);
+      if (!tokens) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+      }
+      res.json(tokens);
+    } catch (error) {
+      console.error('Error refreshing token:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Ends the session behind the bearer token
+  app.post('/api/auth/logout', async (req, res) => {
+    try {
+      await auth.logout(req.user.sessionId);
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error logging out:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  app.get('/api/auth/me', (req, res) => {
+    res.json({ user: { id: req.user.id, email: req.user.email } });
+  });
+}
+
+module.exports = { addAuthRoutes };
@@ -0,0 +1,76 @@
+/**
+ * Bot control endpoints
+ * Pull a bot out of its call, cancel one that hasn't joined yet, or retry a
+ * failed one on the same meeting.
+ */
+
+const { ProviderError } = require('../lib/providers');
+const { BotStateError, MeetingInProgressError } = require('../lib/bot-dispatch');
+const { canManageMeeting } = require('../lib/access');
+
+const INVITER_ONLY = "Only the meeting's inviter can control its bot";
+
+// 409 for actions that don't fit the bot's state, the provider's status for refusals
+function sendControlError(res, error, action) {
+  if (error instanceof BotStateError || error instanceof MeetingInProgressError) {
+    return res.status(409).json({ error: error.message, meeting: error.meeting });
+  }
+  if (error instanceof ProviderError) {
+    console.error(`Provider error trying to ${action} bot:`, error.details);
+    return res.status(error.status).json({ error: `Failed to ${action} bot`, details: error.details });
+  }
+  console.error(`Error trying to ${action} bot:`, error.message);
+  res.status(500).json({ error: 'Internal server error', details: error.message });
+}
+
+function addBotRoutes(app, { pool, botDispatcher }) {
+  // Ask the bot to leave the call; the meeting then completes as usual
+  app.post('/api/meetings/:blockId/leave', async (req, res) => {
+    try {
+      if (!(await canManageMeeting(pool, req.user, req.params.blockId))) {
+        return res.status(403).json({ error: INVITER_ONLY });
+      }
+      const meeting = await botDispatcher.leave(req.params.blockId);
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      res.status(202).json({ meeting });
+    } catch (error) {
+      sendControlError(res, error, 'remove');
+    }
+  });
+
+  // Cancel a bot that is still joining or waiting to be let in
+  app.delete('/api/meetings/:blockId', async (req, res) => {
+    try {
+      if (!(await canManageMeeting(pool, req.user, req.params.blockId))) {
+        return res.status(403).json({ error: INVITER_ONLY });
+      }
+      const meeting = await botDispatcher.cancel(req.params.blockId, { userId: req.user.id });
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      res.json({ meeting });
+    } catch (error) {
+      sendControlError(res, error, 'cancel');
+    }
+  });
+
+  // Send a new bot to a failed meeting; its turns are appended to the same block
+  app.post('/api/meetings/:blockId/retry', async (req, res) => {
+    try {
+      if (!(await canManageMeeting(pool, req.user, req.params.blockId))) {
+        return res.status(403).json({ error: INVITER_ONLY });
+      }
+      const result = await botDispatcher.retry(req.params.blockId, { userId: req.user.id });
+      if (!result) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      res.json(result);
+    } catch (error) {
+      sendControlError(res, error, 'retry');
+    }
+  });
+}
+
+module.exports = { addBotRoutes };
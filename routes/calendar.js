@@ -0,0 +1,44 @@
+/**
+ * Calendar endpoints
+ * Schedule meetings (and their bots) from iCalendar files and feeds.
+ */
+
+const express = require('express');
+const { importCalendar, fetchCalendar } = require('../lib/calendar-import');
+const { CalendarError } = require('../lib/ics');
+
+const MAX_CALENDAR_SIZE = '5mb';
+
+function addCalendarRoutes(app, { pool }) {
+  // Accepts a raw text/calendar body, or JSON with `ics` (file contents) or `url` (http/https/webcal feed).
+  // days (import window, default 60) comes from the JSON body or the query string. The event's
+  // organizer, when a known user, organizes the meetings; otherwise the signed-in user does.
+  app.post('/api/calendar/import', express.text({ type: 'text/calendar', limit: MAX_CALENDAR_SIZE }), async (req, res) => {
+    try {
+      const raw = typeof req.body === 'string';
+      const options = raw ? req.query : (req.body || {});
+      let ics = raw ? req.body : options.ics;
+
+      if (!ics && options.url) {
+        ics = await fetchCalendar(options.url);
+      }
+      if (!ics) {
+        return res.status(400).json({ error: 'An iCalendar body, ics or url is required' });
+      }
+
+      const result = await importCalendar(pool, ics, {
+        importedBy: req.user.id,
+        days: options.days
+      });
+      res.json(result);
+    } catch (error) {
+      if (error instanceof CalendarError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error importing calendar:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+}
+
+module.exports = { addCalendarRoutes };
@@ -0,0 +1,233 @@
+/**
+ * Meeting endpoints
+ * Read meetings and their turns back (also live), import and export transcripts,
+ * maintain a meeting's transcript record after the fact, and serve its
+ * analytics, insights and summary.
+ */
+
+const express = require('express');
+const { reconcileMeeting, getLatestReconciliation } = require('../lib/transcript-reconciler');
+const { getMeetingAnalytics } = require('../lib/meeting-analytics');
+const { getMeetingInsights } = require('../lib/analyzers');
+const { summarizeMeeting, getMeetingSummary } = require('../lib/meeting-summary');
+const { parseMeetingFilters, listMeetings, getMeeting, getMeetingTurns } = require('../lib/meeting-queries');
+const { exportTranscript, resolveFormat, FORMATS } = require('../lib/transcript-export');
+const { importTranscript, TranscriptImportError } = require('../lib/transcript-import');
+const { MeetingUrlError } = require('../lib/meeting-urls');
+
+const IMPORT_PATH = '/api/meetings/import';
+const MAX_TRANSCRIPT_SIZE = '5mb';
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TRANSCRIPT_TYPES = ['text/vtt', 'application/x-subrip', 'text/srt', 'text/plain'];
+
+// Transcripts are bigger than the API's default JSON limit, whether raw or wrapped in JSON
+// (the app-wide JSON parser leaves IMPORT_PATH alone)
+const importBody = [
+  express.text({ type: TRANSCRIPT_TYPES, limit: MAX_TRANSCRIPT_SIZE }),
+  express.json({ limit: MAX_TRANSCRIPT_SIZE })
+];
+
+// onImport(blockId) is called once an imported meeting is committed, to start its analysis
+function addMeetingRoutes(app, { pool, summarizer, onImport, liveEvents }) {
+  // Meetings the signed-in user can see, newest first.
+  // Filters: status, from, to, invited_by (user id or "me"), attendee (user id, email or name); cursor, limit
+  app.get('/api/meetings', async (req, res) => {
+    try {
+      const { filters, error } = parseMeetingFilters(req.query, req.user);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      res.json(await listMeetings(pool, req.user, filters));
+    } catch (error) {
+      console.error('Error listing meetings:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Load a meeting recorded without the bot. Accepts a raw caption or transcript body (WebVTT,
+  // SubRip, Zoom/Teams text), or JSON with `transcript` (file contents) or `turns` (array).
+  // format, name, started_at and meeting_url come from the JSON body or the query string.
+  // Pattern detection and analysis run in the background once the meeting is stored.
+  app.post(IMPORT_PATH, importBody, async (req, res) => {
+    try {
+      const raw = typeof req.body === 'string';
+      const options = raw ? req.query : (req.body || {});
+      const transcript = raw ? req.body : (options.turns || options.transcript);
+      if (!transcript) {
+        return res.status(400).json({ error: 'A transcript body, transcript or turns is required' });
+      }
+
+      const { block, meeting, attendees, turns } = await importTranscript(pool, transcript, {
+        format: options.format || null,
+        name: options.name || null,
+        startedAt: options.started_at || null,
+        meetingUrl: options.meeting_url || null,
+        invitedByUserId: req.user.id
+      });
+      onImport(meeting.block_id);
+
+      res.status(201).json({ block, meeting, attendees, turn_count: turns.length });
+    } catch (error) {
+      if (error instanceof TranscriptImportError || error instanceof MeetingUrlError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error importing transcript:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // One meeting with its attendees and status history
+  app.get('/api/meetings/:blockId', async (req, res) => {
+    try {
+      const meeting = await getMeeting(pool, req.params.blockId);
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      res.json({ meeting });
+    } catch (error) {
+      console.error('Error fetching meeting:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Turns in order with speaker names; page with ?after=<sequence_order>&limit=, ?words=true for word timings
+  app.get('/api/meetings/:blockId/turns', async (req, res) => {
+    try {
+      const page = await getMeetingTurns(pool, req.params.blockId, {
+        after: req.query.after,
+        limit: req.query.limit,
+        words: req.query.words === 'true'
+      });
+      if (!page) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      res.json(page);
+    } catch (error) {
+      console.error('Error fetching meeting turns:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Server-Sent Events: turn, attendee, status and insight as they happen. Reconnecting clients
+  // resume with Last-Event-ID (or ?after=<sequence_order>) and get the turns they missed first.
+  app.get('/api/meetings/:blockId/live', (req, res) => {
+    const lastEventId = req.get('last-event-id');
+    if (lastEventId && UUID.test(lastEventId)) {
+      return liveEvents.stream(req, res, req.params.blockId, { lastTurnId: lastEventId });
+    }
+    // A sequence_order, from ?after or a client that connected before event ids were turn ids
+    const resumeFrom = lastEventId || req.query.after;
+    const after = resumeFrom === undefined ? null : Number(resumeFrom);
+    if (after !== null && !(Number.isInteger(after) && after >= 0)) {
+      return res.status(400).json({ error: 'Last-Event-ID must be a turn id, and after a turn sequence_order' });
+    }
+    liveEvents.stream(req, res, req.params.blockId, { after });
+  });
+
+  // Transcript as a file: ?format=srt, vtt, markdown, text or json (default)
+  app.get('/api/meetings/:blockId/export', async (req, res) => {
+    try {
+      const format = resolveFormat(req.query.format);
+      if (!format) {
+        return res.status(400).json({ error: `format must be one of ${Object.keys(FORMATS).join(', ')}` });
+      }
+
+      const file = await exportTranscript(pool, req.params.blockId, format);
+      if (!file) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      res.set('Content-Type', `${file.contentType}; charset=utf-8`);
+      res.attachment(file.filename);
+      res.send(file.body);
+    } catch (error) {
+      console.error('Error exporting transcript:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Re-run reconciliation of live turns against the stored final transcript
+  app.post('/api/meetings/:blockId/reconcile', async (req, res) => {
+    try {
+      const report = await reconcileMeeting(pool, req.params.blockId);
+      if (!report) {
+        return res.status(404).json({ error: 'Meeting or final transcript not found' });
+      }
+      res.json({ reconciliation: report });
+    } catch (error) {
+      console.error('Error reconciling transcript:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Latest reconciliation diff summary for a meeting
+  app.get('/api/meetings/:blockId/reconciliation', async (req, res) => {
+    try {
+      const report = await getLatestReconciliation(pool, req.params.blockId);
+      if (!report) {
+        return res.status(404).json({ error: 'No reconciliation for this meeting' });
+      }
+      res.json({ reconciliation: report });
+    } catch (error) {
+      console.error('Error fetching reconciliation:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Speaking time and turn-taking per attendee
+  app.get('/api/meetings/:blockId/analytics', async (req, res) => {
+    try {
+      const analytics = await getMeetingAnalytics(pool, req.params.blockId);
+      if (!analytics) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      res.json({ analytics });
+    } catch (error) {
+      console.error('Error computing meeting analytics:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Patterns detected in the meeting's turns
+  app.get('/api/meetings/:blockId/insights', async (req, res) => {
+    try {
+      const insights = await getMeetingInsights(pool, req.params.blockId);
+      if (!insights) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      res.json({ insights });
+    } catch (error) {
+      console.error('Error fetching meeting insights:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Regenerate the meeting's summary and narrative
+  app.post('/api/meetings/:blockId/summarize', async (req, res) => {
+    try {
+      const meeting = await summarizeMeeting(pool, summarizer, req.params.blockId);
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      res.json({ meeting });
+    } catch (error) {
+      console.error('Error summarizing meeting:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Latest stored summary and narrative
+  app.get('/api/meetings/:blockId/summary', async (req, res) => {
+    try {
+      const meeting = await getMeetingSummary(pool, req.params.blockId);
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      res.json({ meeting });
+    } catch (error) {
+      console.error('Error fetching meeting summary:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+}
+
+module.exports = { addMeetingRoutes, IMPORT_PATH };
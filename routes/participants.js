@@ -0,0 +1,95 @@
+/**
+ * Participant identity and story endpoints
+ * Fix up who said what when the same person shows up under different names,
+ * and read back the story each attendee has built up.
+ */
+
+const { reassignAttendee, mergeParticipants } = require('../lib/speaker-identity');
+const { getAttendeeStory } = require('../lib/story-engine');
+const { canAccessParticipant, canManageAttendee, canManageParticipant } = require('../lib/access');
+
+// 404/403 response for a participant named in the body, or null when the user may use it
+async function participantDenied(pool, user, participantId) {
+  const allowed = await canAccessParticipant(pool, user, participantId);
+  if (allowed === null) return { status: 404, error: 'Participant not found' };
+  if (!allowed) return { status: 403, error: 'You do not have access to this participant' };
+  return null;
+}
+
+function addParticipantRoutes(app, { pool, transcriptWriter }) {
+  // Attribute a meeting attendee to an existing participant; only the meeting's inviter may
+  app.post('/api/attendees/:attendeeId/participant', async (req, res) => {
+    try {
+      const { participant_id } = req.body;
+      if (!participant_id) {
+        return res.status(400).json({ error: 'participant_id is required' });
+      }
+      if (!(await canManageAttendee(pool, req.user, req.params.attendeeId))) {
+        return res.status(403).json({ error: "Only the meeting's inviter can reassign its speakers" });
+      }
+      const denied = await participantDenied(pool, req.user, participant_id);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+
+      const attendee = await reassignAttendee(pool, req.params.attendeeId, participant_id);
+      if (!attendee) {
+        return res.status(404).json({ error: 'Attendee or participant not found' });
+      }
+
+      transcriptWriter.forgetMeeting(attendee.block_id);
+      res.json({ attendee });
+    } catch (error) {
+      console.error('Error reassigning attendee:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // An attendee's current story and its version history
+  app.get('/api/attendees/:attendeeId/story', async (req, res) => {
+    try {
+      const story = await getAttendeeStory(pool, req.params.attendeeId);
+      if (!story) {
+        return res.status(404).json({ error: 'Attendee not found' });
+      }
+      res.json({ story });
+    } catch (error) {
+      console.error('Error fetching attendee story:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+
+  // Merge another participant into this one. The merged participant's attendees and turns
+  // all move, so the caller must have invited the bot to every meeting they were in
+  app.post('/api/participants/:participantId/merge', async (req, res) => {
+    try {
+      const { from_participant_id } = req.body;
+      if (!from_participant_id) {
+        return res.status(400).json({ error: 'from_participant_id is required' });
+      }
+      if (Number(from_participant_id) === Number(req.params.participantId)) {
+        return res.status(400).json({ error: 'Cannot merge a participant into itself' });
+      }
+      const denied = await participantDenied(pool, req.user, from_participant_id);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+      if (!(await canManageParticipant(pool, req.user, from_participant_id))) {
+        return res.status(403).json({ error: 'You must have invited the bot to every meeting this participant was in' });
+      }
+
+      const merge = await mergeParticipants(pool, from_participant_id, req.params.participantId);
+      if (!merge) {
+        return res.status(404).json({ error: 'Participant not found' });
+      }
+
+      transcriptWriter.forgetMeeting();
+      res.json(merge);
+    } catch (error) {
+      console.error('Error merging participants:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+}
+
+module.exports = { addParticipantRoutes };
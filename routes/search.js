@@ -0,0 +1,25 @@
+/**
+ * Search endpoint
+ * Full-text and semantic search over the turns of the meetings the
+ * signed-in user can access.
+ */
+
+const { parseSearchQuery, searchTurns } = require('../lib/turn-search');
+
+function addSearchRoutes(app, { pool, embedder }) {
+  // q, mode (text or semantic); filters: meeting, speaker, from, to; min_similarity, limit, offset
+  app.get('/api/search', async (req, res) => {
+    try {
+      const { search, error } = parseSearchQuery(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      res.json(await searchTurns(pool, req.user, search, { embedder }));
+    } catch (error) {
+      console.error('Error searching turns:', error.message);
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+  });
+}
+
+module.exports = { addSearchRoutes };
@@ -1,70 +1,60 @@
 /**
- * Migration runner for Render PostgreSQL
- * Runs the schema migration and then the data migration
+ * Schema migration CLI for Render PostgreSQL
+ *
+ *   node run-migration.js up [--to <version>] [--dry-run]
+ *   node run-migration.js status
+ *   node run-migration.js baseline <version> [--dry-run]
+ *
+ * up applies pending migrations from migrations/ in order; status lists
+ * every migration as applied, pending, changed or missing; baseline marks a
+ * database created before the ledger as having migrations up to <version>.
+ * Data from Supabase is copied separately with migrations/migrate-data.js.
  */
 
 const { Pool } = require('pg');
-const fs = require('fs');
-const path = require('path');
+const { createMigrator, MigrationError } = require('./lib/migrator');
 require('dotenv').config();
 
-async function runSchemaMigration() {
-  console.log('🔄 Running schema migration...');
-  
-  const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-  });
-
-  try {
-    // Read the schema migration file
-    const schemaSQL = fs.readFileSync(
-      path.join(__dirname, 'migrations', '001_full_cogito_schema.sql'), 
-      'utf8'
-    );
-
-    // Execute the schema migration
-    await pool.query(schemaSQL);
-    console.log('✅ Schema migration completed successfully');
-
-    // Test that tables were created
-    const result = await pool.query(`
-      SELECT table_name, table_schema 
-      FROM information_schema.tables 
-      WHERE table_schema IN ('client_mgmt', 'conversation', 'public')
-      ORDER BY table_schema, table_name
-    `);
-
-    console.log('\n📋 Created tables:');
-    result.rows.forEach(row => {
-      console.log(`   ${row.table_schema}.${row.table_name}`);
-    });
-
-    return true;
-
-  } catch (error) {
-    console.error('❌ Schema migration failed:', error.message);
-    return false;
-  } finally {
-    await pool.end();
+const USAGE = `Usage:
+  node run-migration.js up [--to <version>] [--dry-run]
+  node run-migration.js status
+  node run-migration.js baseline <version> [--dry-run]`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, dryRun: false, to: null, version: null };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--dry-run') options.dryRun = true;
+    else if (rest[i] === '--to') options.to = rest[++i];
+    else if (options.version === null) options.version = rest[i];
+    else return null;
   }
+  if (options.to !== null && !/^\d+$/.test(String(options.to))) return null;
+  if (options.version !== null && !/^\d+$/.test(options.version)) return null;
+  return options;
 }
 
-async function runDataMigration() {
-  console.log('\n🔄 Running data migration...');
-  
-  try {
-    const { main: migrateData } = require('./migrations/migrate-data.js');
-    await migrateData();
-    return true;
-  } catch (error) {
-    console.error('❌ Data migration failed:', error.message);
-    return false;
-  }
+function printStatus(entries) {
+  const width = Math.max(...entries.map(entry => entry.name.length));
+  entries.forEach(entry => {
+    const when = entry.applied_at ? new Date(entry.applied_at).toISOString() : '';
+    const note = entry.baseline ? ' (baseline)' : '';
+    console.log(`  ${entry.state.padEnd(8)} ${entry.name.padEnd(width)}  ${when}${note}`);
+  });
+  const counts = {};
+  entries.forEach(entry => {
+    counts[entry.state] = (counts[entry.state] || 0) + 1;
+  });
+  console.log(`\n${Object.entries(counts).map(([state, count]) => `${count} ${state}`).join(', ')}`);
 }
 
 async function main() {
-  console.log('🚀 Starting full migration to Render PostgreSQL...\n');
+  const options = parseArgs(process.argv.slice(2));
+  if (!options || !['up', 'status', 'baseline'].includes(options.command) ||
+      (options.command === 'baseline') !== (options.version !== null)) {
+    console.error(USAGE);
+    process.exit(2);
+  }
 
   if (!process.env.DATABASE_URL) {
     console.error('❌ DATABASE_URL environment variable is required');
@@ -74,33 +64,44 @@ async function main() {
 
   console.log(`📍 Target database: ${process.env.DATABASE_URL.split('@')[1]}`);
 
-  try {
-    // Step 1: Create schema
-    const schemaSuccess = await runSchemaMigration();
-    if (!schemaSuccess) {
-      console.error('Schema migration failed, stopping here.');
-      process.exit(1);
-    }
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+  const migrator = createMigrator({ pool });
 
-    // Step 2: Migrate data
-    const dataSuccess = await runDataMigration();
-    if (!dataSuccess) {
-      console.error('Data migration failed, but schema is ready.');
-      process.exit(1);
+  try {
+    switch (options.command) {
+      case 'status': {
+        const entries = await migrator.status();
+        printStatus(entries);
+        // Edited or deleted migrations need attention before the next deploy
+        if (entries.some(entry => entry.state === 'changed' || entry.state === 'missing')) process.exitCode = 1;
+        break;
+      }
+
+      case 'up': {
+        const applied = await migrator.up({ to: options.to, dryRun: options.dryRun });
+        if (!options.dryRun && applied.length > 0) {
+          console.log(`✅ Applied ${applied.length} migration${applied.length === 1 ? '' : 's'}`);
+        }
+        break;
+      }
+
+      case 'baseline': {
+        const recorded = await migrator.baseline(options.version, { dryRun: options.dryRun });
+        if (!options.dryRun) console.log(`✅ Recorded ${recorded.length} migrations as applied`);
+        break;
+      }
     }
-
-    console.log('\n🎉 Full migration completed successfully!');
-    console.log('Your Render database now has the complete Cogito schema and data.');
-    console.log('You can now deploy the updated recall-bot server.');
-
   } catch (error) {
-    console.error('\n❌ Migration failed:', error);
-    process.exit(1);
+    console.error(`❌ ${error instanceof MigrationError ? error.message : `Migration failed: ${error.message}`}`);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
   }
 }
 
 if (require.main === module) {
   main();
 }
-
-module.exports = { runSchemaMigration, runDataMigration };
\ No newline at end of file
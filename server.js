@@ -1,13 +1,56 @@
 require('dotenv').config();
 const express = require('express');
-const { WebSocketServer } = require('ws');
 const { Pool } = require('pg');
-const fetch = require('node-fetch');
 const crypto = require('crypto');
+const { createMeetingProvider, ProviderError } = require('./lib/providers');
+const { applyStatusChange, TERMINAL_STATUSES } = require('./lib/meeting-lifecycle');
+const { createBotDispatcher, MeetingInProgressError } = require('./lib/bot-dispatch');
+const { MeetingUrlError } = require('./lib/meeting-urls');
+const { createDispatchScheduler } = require('./lib/dispatch-scheduler');
+const {
+  requireWebhookSignature,
+  claimWebhookEvent,
+  completeWebhookEvent,
+  releaseWebhookEvent
+} = require('./lib/webhooks');
+const { createTranscriptChannels } = require('./lib/transcript-socket');
+const { createTranscriptWriter } = require('./lib/transcript-writer');
+const { createSegmentTracker } = require('./lib/transcript-segments');
+const { addParticipantRoutes } = require('./routes/participants');
+const { addMeetingRoutes, IMPORT_PATH } = require('./routes/meetings');
+const { addActionItemRoutes } = require('./routes/action-items');
+const { addCalendarRoutes } = require('./routes/calendar');
+const { addAuthRoutes } = require('./routes/auth');
+const { addBotRoutes } = require('./routes/bots');
+const { addSearchRoutes } = require('./routes/search');
+const { createAuth } = require('./lib/auth');
+const { registerAccessChecks } = require('./lib/access');
+const { createLiveEvents } = require('./lib/live-events');
+const { reconcileMeeting } = require('./lib/transcript-reconciler');
+const { getImportedTurns } = require('./lib/transcript-import');
+const { rollUpMeeting } = require('./lib/meeting-analytics');
+const { createPatternPipeline } = require('./lib/analyzers');
+const { createSummarizer } = require('./lib/summarizers');
+const { createStoryEngine } = require('./lib/story-engine');
+const { summarizeMeeting } = require('./lib/meeting-summary');
+const { proposeActionItems } = require('./lib/action-items');
+const { createEmbedder } = require('./lib/embeddings');
+const { createSearchIndexer } = require('./lib/search-indexer');
+const { createPostMeetingProcessor } = require('./lib/post-meeting');
 
 const app = express();
 const server = require('http').createServer(app);
-const wss = new WebSocketServer({ server });
+const PORT = process.env.PORT || 8080;
+
+// Meeting provider (Recall.ai or the local stand-in), set up before the server starts listening
+let meetingProvider;
+
+// Public base URLs the provider should call back on
+function externalUrl(secureProtocol, localProtocol) {
+  return process.env.RENDER_EXTERNAL_URL
+    ? `${secureProtocol}://${process.env.RENDER_EXTERNAL_URL}`
+    : `${localProtocol}://localhost:${PORT}`;
+}
 
 // Initialize PostgreSQL connection to Render database
 console.log('🔄 Connecting to Render PostgreSQL database');
@@ -35,112 +78,253 @@ pool.connect()
     console.error('❌ PostgreSQL connection failed:', err.message);
   });
 
-// Middleware
-app.use(express.json());
-
-// Temporary migration endpoint (remove after migration)
-const { addMigrationEndpoint } = require('./migrate-endpoint');
-addMigrationEndpoint(app);
+// Middleware (keep the raw body around for webhook signature checks). Transcript
+// imports parse their own, larger, bodies.
+app.use(express.json({
+  type: req => req.path !== IMPORT_PATH && Boolean(req.is('application/json')),
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', service: 'cogito-recall-bot', version: '1.1' });
 });
 
-// WebSocket handler for real-time transcription
-wss.on('connection', (ws, req) => {
-  console.log('Recall.ai bot connected for real-time transcription');
-  
-  ws.on('message', async (data) => {
-    try {
-      const transcript = JSON.parse(data.toString());
-      console.log('Received transcript:', transcript);
-      
-      // Find the meeting by recall_bot_id
-      const meetingResult = await pool.query(
-        'SELECT block_id FROM block_meetings WHERE recall_bot_id = $1',
-        [transcript.bot_id]
-      );
-      const meeting = meetingResult.rows[0];
-      
-      if (!meeting) {
-        console.error('No meeting found for bot:', transcript.bot_id);
-        return;
-      }
-      
-      // Get or create attendee for this speaker
-      const attendee = await getOrCreateAttendee(meeting.block_id, transcript.speaker);
-      
-      // Create a turn for this transcript
-      const turnResult = await pool.query(
-        `INSERT INTO turns (participant_id, content, source_type, metadata) 
-         VALUES ($1, $2, $3, $4) RETURNING turn_id`,
-        [
-          attendee.id,
-          transcript.text,
-          'recall_bot',
-          { 
-            timestamp: transcript.timestamp || new Date().toISOString(),
-            bot_id: transcript.bot_id 
-          }
-        ]
-      );
-      const turn = turnResult.rows[0];
-      
-      // Get next sequence order for this block
-      const sequenceResult = await pool.query(
-        'SELECT COALESCE(MAX(sequence_order), 0) + 1 as next_order FROM block_turns WHERE block_id = $1',
-        [meeting.block_id]
-      );
-      
-      // Link turn to the meeting block
-      await pool.query(
-        'INSERT INTO block_turns (block_id, turn_id, sequence_order) VALUES ($1, $2, $3)',
-        [meeting.block_id, turn.turn_id, sequenceResult.rows[0].next_order]
-      );
-      
-      // TODO: Add pattern analysis here
-      
-    } catch (error) {
-      console.error('Error processing transcript:', error);
+// Every /api route needs a bearer access token (except logging in and refreshing),
+// and routes naming a meeting, attendee, participant or action item check access to it
+const auth = createAuth({
+  pool,
+  accessTtlSeconds: Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || undefined,
+  refreshTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || undefined
+});
+app.use('/api', auth.requireAuth({
+  publicPaths: ['/auth/login', '/auth/refresh'],
+  queryTokenPaths: [/^\/meetings\/[^/]+\/live$/]
+}));
+registerAccessChecks(app, { pool });
+addAuthRoutes(app, { auth });
+
+// Rule-based detectors run over every committed turn
+const patternPipeline = createPatternPipeline({ pool });
+
+// Pushes turns, attendees, status changes and insights to UI clients at /api/meetings/<blockId>/live
+const liveEvents = createLiveEvents({ pool });
+
+// Writes attendee stories and meeting narratives (SUMMARIZER, default local)
+const summarizer = createSummarizer();
+
+// Folds new turns into each attendee's story every STORY_INTERVAL_MS
+const storyEngine = createStoryEngine({
+  pool,
+  summarizer,
+  intervalMs: Number(process.env.STORY_INTERVAL_MS) || undefined
+});
+
+// Embeds turns and attendee stories for semantic search (EMBEDDER, default local)
+// every SEARCH_INDEX_INTERVAL_MS, and once more when a meeting's transcript is final
+const embedder = createEmbedder();
+const searchIndexer = createSearchIndexer({
+  pool,
+  embedder,
+  intervalMs: Number(process.env.SEARCH_INDEX_INTERVAL_MS) || undefined
+});
+
+// Transcript writer: buffers frames per meeting and commits them in batches
+const transcriptWriter = createTranscriptWriter({
+  pool,
+  flushIntervalMs: Number(process.env.TRANSCRIPT_FLUSH_INTERVAL_MS) || undefined,
+  onCommit: async (blockId, turns, { joined }) => {
+    console.log(`Committed ${turns.length} turns for meeting ${blockId}`);
+    
+    const insights = await patternPipeline.processTurns(blockId, turns).catch(error => {
+      console.error('Error detecting patterns:', error.message);
+      return [];
+    });
+    if (insights.length > 0) {
+      console.log(`Detected ${insights.length} patterns in meeting ${blockId}`);
     }
-  });
-  
-  ws.on('close', () => {
-    console.log('Recall.ai bot disconnected');
-  });
-  
-  ws.on('error', (error) => {
-    console.error('WebSocket error:', error);
-  });
+    liveEvents.publishCommit(blockId, turns, { joined, insights });
+    storyEngine.noteTurns(blockId);
+    searchIndexer.noteTurns(blockId);
+  }
 });
 
-// Helper function to get or create attendee
-async function getOrCreateAttendee(blockId, speakerName) {
-  // Check if attendee already exists for this meeting
-  const attendeeResult = await pool.query(
-    'SELECT * FROM block_attendees WHERE block_id = $1 AND name = $2',
-    [blockId, speakerName]
-  );
-  
-  if (attendeeResult.rows.length > 0) {
-    return attendeeResult.rows[0];
+// Interim hypotheses stay in memory; only final segments become turns
+const segmentTracker = createSegmentTracker({
+  staleAfterMs: Number(process.env.PARTIAL_SEGMENT_TIMEOUT_MS) || undefined,
+  onFinal: (meeting, transcript) => {
+    transcriptWriter.enqueue(meeting, transcript);
+  }
+});
+
+// Transcript channels: one authenticated WebSocket per meeting at /transcript/<blockId>
+if (!process.env.TRANSCRIPT_TOKEN_SECRET) {
+  console.warn('⚠️  TRANSCRIPT_TOKEN_SECRET is not set; transcript URLs will not survive a restart');
+}
+
+const transcriptChannels = createTranscriptChannels({
+  pool,
+  secret: process.env.TRANSCRIPT_TOKEN_SECRET || crypto.randomBytes(32).toString('hex'),
+  tokenTtlSeconds: Number(process.env.TRANSCRIPT_TOKEN_TTL_SECONDS) || undefined,
+  onFrame: (meeting, transcript) => {
+    segmentTracker.accept(meeting, transcript);
   }
+});
+
+server.on('upgrade', (req, socket, head) => {
+  if (!transcriptChannels.handleUpgrade(req, socket, head)) {
+    socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+  }
+});
+
+// Connection counts for monitoring; public, so nothing identifying
+app.get('/metrics', (req, res) => {
+  res.json({ transcript: transcriptChannels.getMetrics(), live: liveEvents.getMetrics() });
+});
+
+// Sends bots into meetings with their transcript channel and webhook wired up
+const botDispatcher = createBotDispatcher({
+  pool,
+  getProvider: () => meetingProvider,
+  channelUrl: blockId => transcriptChannels.channelUrl(externalUrl('wss', 'ws'), blockId),
+  webhookUrl: `${externalUrl('https', 'http')}/webhook`,
+  onStatusChange: (blockId, change) => handleStatusChange(blockId, change)
+});
+
+// Sends bots to scheduled meetings BOT_DISPATCH_LEAD_MINUTES before they start
+const dispatchScheduler = createDispatchScheduler({
+  pool,
+  botDispatcher,
+  leadMinutes: process.env.BOT_DISPATCH_LEAD_MINUTES ? Number(process.env.BOT_DISPATCH_LEAD_MINUTES) : undefined,
+  intervalMs: Number(process.env.SCHEDULER_INTERVAL_MS) || undefined
+});
+
+// Attendee ↔ participant identity fixes
+addParticipantRoutes(app, { pool, transcriptWriter });
+
+// Meeting queries, transcript export and import, post-meeting transcript maintenance.
+// Imported meetings are processed in the background like completed ones.
+addMeetingRoutes(app, {
+  pool,
+  summarizer,
+  liveEvents,
+  onImport: () => postMeetingProcessor.tick()
+});
+
+// Action items go onto kanban boards once reviewed (or straight away with ACTION_ITEMS_AUTO_APPROVE)
+const autoApproveActionItems = process.env.ACTION_ITEMS_AUTO_APPROVE === 'true';
+addActionItemRoutes(app, { pool, autoApprove: autoApproveActionItems });
+
+// Scheduled meetings from iCalendar files and feeds
+addCalendarRoutes(app, { pool });
+
+// Leave, cancel and retry for dispatched bots
+addBotRoutes(app, { pool, botDispatcher });
+
+// Full-text and semantic search over meeting turns
+addSearchRoutes(app, { pool, embedder });
+
+// Stories, summary, action items and analytics once a meeting's transcript is final. Every
+// step can run again over the same meeting, so one that throws fails the analysis and the
+// post-meeting job tries the meeting again
+async function analyzeMeeting(blockId) {
+  // Bring every attendee's story up to date with the final turns
+  const versions = await storyEngine.foldMeeting(blockId);
+  console.log(`Updated ${versions.length} attendee stories for meeting ${blockId}`);
+
+  // Sections, decisions, open questions and action items, plus the meeting's story
+  await summarizeMeeting(pool, summarizer, blockId);
+  console.log('Stored meeting summary for:', blockId);
+
+  const proposals = await proposeActionItems(pool, blockId, { autoApprove: autoApproveActionItems });
+  console.log(`Proposed ${proposals.length} action items for meeting ${blockId}`);
+
+  // Roll speaking-time analytics up per participant
+  const rollups = await rollUpMeeting(pool, blockId);
+  console.log(`Updated ${rollups.length} analytics rollups for meeting ${blockId}`);
+
+  // Embed the final turns and stories for semantic search
+  const indexed = await searchIndexer.indexMeeting(blockId);
+  console.log(`Indexed ${indexed.turns} turns and ${indexed.stories} stories for meeting ${blockId}`);
+}
+
+// Commit whatever live frames are still open or buffered, then drop what's kept in memory for the meeting
+async function closeOutMeeting(blockId) {
+  segmentTracker.finalize(blockId);
+  await transcriptWriter.flush(blockId);
+  transcriptWriter.forgetMeeting(blockId);
+  patternPipeline.forgetMeeting(blockId);
+}
+
+// Status changes from webhooks and the bot routes. A completed meeting is processed in the
+// background (transcript, reconciliation, analysis, retried on their own); failed and
+// cancelled ones are just closed out.
+function handleStatusChange(blockId, change) {
+  liveEvents.publishStatus(blockId, change);
+  if (change.to === 'completed') {
+    postMeetingProcessor.tick();
+  } else if (TERMINAL_STATUSES.includes(change.to)) {
+    closeOutMeeting(blockId).catch(error => {
+      console.error(`Error closing out meeting ${blockId}:`, error.message);
+    });
+  }
+}
+
+// An imported meeting has no live frames or provider transcript: its turns go through
+// pattern detection in one pass, then the same analysis
+async function processImportedMeeting(blockId) {
+  const turns = await getImportedTurns(pool, blockId);
+  const insights = await patternPipeline.processTurns(blockId, turns);
+  patternPipeline.forgetMeeting(blockId);
+  console.log(`Detected ${insights.length} patterns in imported meeting ${blockId}`);
+  await analyzeMeeting(blockId);
+}
+
+// Everything after a meeting completes: commit the last live frames, fetch and reconcile
+// the final transcript, then analyse. Throwing leaves the meeting to be tried again.
+async function processCompletedMeeting(meeting, { lastAttempt }) {
+  const blockId = meeting.block_id;
+  if (meeting.source === 'import') {
+    return processImportedMeeting(blockId);
+  }
+  await closeOutMeeting(blockId);
   
-  // Create new attendee
-  const newAttendeeResult = await pool.query(
-    `INSERT INTO block_attendees (block_id, name, story) 
-     VALUES ($1, $2, $3) RETURNING *`,
-    [blockId, speakerName, `${speakerName} joined the meeting.`]
-  );
+  // Fetch the complete transcript from the meeting provider and align the live turns with it.
+  // Out of retries, the analysis goes ahead on the live turns as they are.
+  try {
+    const fullTranscript = await meetingProvider.getTranscript(meeting.recall_bot_id);
+    await pool.query(
+      'UPDATE block_meetings SET full_transcript = $2 WHERE block_id = $1',
+      [blockId, JSON.stringify(fullTranscript)]
+    );
+    console.log('Stored complete transcript for bot:', meeting.recall_bot_id);
+    
+    const report = await reconcileMeeting(pool, blockId);
+    if (report) {
+      console.log(`Reconciled meeting ${blockId}:`, report.summary);
+    }
+  } catch (error) {
+    if (!lastAttempt) throw error;
+    console.error(`Error fetching or reconciling the transcript of meeting ${blockId}, analysing live turns:`, error.message);
+  }
   
-  return newAttendeeResult.rows[0];
+  await analyzeMeeting(blockId);
 }
 
+// Processes completed meetings every POST_MEETING_INTERVAL_MS, and as soon as a webhook reports one
+const postMeetingProcessor = createPostMeetingProcessor({
+  pool,
+  processMeeting: processCompletedMeeting,
+  intervalMs: Number(process.env.POST_MEETING_INTERVAL_MS) || undefined
+});
+
 // API endpoint to create a meeting bot
 app.post('/api/create-bot', async (req, res) => {
   try {
-    const { meeting_url, client_id, meeting_name } = req.body;
+    const { meeting_url, meeting_name } = req.body;
     
     if (!meeting_url) {
       return res.status(400).json({ error: 'meeting_url is required' });
@@ -148,67 +332,11 @@ app.post('/api/create-bot', async (req, res) => {
     
     console.log('Creating bot for meeting:', meeting_url);
     
-    // Get the external URL for WebSocket connection
-    const websocketUrl = process.env.RENDER_EXTERNAL_URL 
-      ? `wss://${process.env.RENDER_EXTERNAL_URL}/transcript`
-      : `ws://localhost:${process.env.PORT || 8080}/transcript`;
-    
-    // Create bot with Recall.ai
-    const recallResponse = await fetch('https://us-west-2.recall.ai/api/v1/bot/', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Token ${process.env.RECALL_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        meeting_url: meeting_url,
-        bot_name: 'Cogito',
-        recording_config: {
-          transcript: {
-            provider: {
-              meeting_captions: {}
-            }
-          }
-        },
-        webhook_url: `https://${process.env.RENDER_EXTERNAL_URL}/webhook`
-      })
+    const { bot: botData, meeting, block } = await botDispatcher.dispatch({
+      meetingUrl: meeting_url,
+      meetingName: meeting_name,
+      invitedByUserId: req.user.id
     });
-    
-    if (!recallResponse.ok) {
-      const error = await recallResponse.text();
-      console.error('Recall.ai error:', error);
-      return res.status(recallResponse.status).json({ 
-        error: 'Failed to create bot', 
-        details: error 
-      });
-    }
-    
-    const botData = await recallResponse.json();
-    console.log('Bot created:', botData);
-    
-    console.log('Creating block and meeting record for bot:', botData.id);
-    
-    // Create a block for this meeting
-    const blockResult = await pool.query(
-      `INSERT INTO blocks (name, description, block_type, metadata) 
-       VALUES ($1, $2, $3, $4) RETURNING *`,
-      [
-        meeting_name || `Meeting ${new Date().toISOString()}`,
-        `Meeting from ${meeting_url}`,
-        'meeting',
-        { created_by: 'recall_bot', recall_bot_id: botData.id }
-      ]
-    );
-    const block = blockResult.rows[0];
-    console.log('Block created:', block.block_id);
-    
-    // Create meeting-specific data
-    const meetingResult = await pool.query(
-      `INSERT INTO block_meetings (block_id, recall_bot_id, meeting_url, invited_by_user_id, status) 
-       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [block.block_id, botData.id, meeting_url, client_id, 'joining']
-    );
-    const meeting = meetingResult.rows[0];
     console.log('Meeting record created:', meeting.block_id);
     
     res.json({
@@ -218,6 +346,20 @@ app.post('/api/create-bot', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof MeetingUrlError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof MeetingInProgressError) {
+      return res.status(409).json({ error: error.message, meeting: error.meeting });
+    }
+    if (error instanceof ProviderError) {
+      console.error(`${meetingProvider.name} error:`, error.details);
+      return res.status(error.status).json({ 
+        error: 'Failed to create bot', 
+        details: error.details 
+      });
+    }
+    
     console.error('Error creating bot:', error.message);
     console.error('Stack trace:', error.stack);
     res.status(500).json({ 
@@ -228,60 +370,98 @@ app.post('/api/create-bot', async (req, res) => {
 });
 
 // Webhook endpoint for bot status updates
-app.post('/webhook', async (req, res) => {
+// Only signed, fresh deliveries get through; each webhook id is processed once.
+const verifyWebhook = requireWebhookSignature(() => meetingProvider && meetingProvider.webhookSecret, {
+  toleranceSeconds: Number(process.env.WEBHOOK_TOLERANCE_SECONDS) || undefined
+});
+
+app.post('/webhook', verifyWebhook, async (req, res) => {
+  const event = req.body;
+  // Recall.ai nests bot_id and status under data; the local stand-in sends them flat
+  const data = event.data || event;
+  const botId = data.bot_id;
+  let claimed = false;
+  
   try {
-    const event = req.body;
-    console.log('Webhook received:', event);
+    console.log('Webhook received:', req.webhookId, event);
     
-    // Update meeting status
-    if (event.bot_id) {
-      const updateData = { 
-        status: event.status,
-        updated_at: new Date().toISOString()
-      };
-      
-      if (event.status === 'completed') {
-        updateData.ended_at = new Date().toISOString();
-        
-        // Fetch complete transcript from Recall.ai
-        try {
-          const transcriptResponse = await fetch(`https://us-west-2.recall.ai/api/v1/bot/${event.bot_id}/transcript/`, {
-            headers: {
-              'Authorization': `Token ${process.env.RECALL_API_KEY}`
-            }
-          });
-          
-          if (transcriptResponse.ok) {
-            const fullTranscript = await transcriptResponse.json();
-            updateData.full_transcript = fullTranscript;
-            console.log('Stored complete transcript for bot:', event.bot_id);
-          } else {
-            console.error('Failed to fetch transcript:', transcriptResponse.status);
-          }
-        } catch (error) {
-          console.error('Error fetching transcript:', error);
-        }
-      }
-      
-      const updateFields = Object.keys(updateData).map((key, i) => `${key} = $${i + 2}`).join(', ');
-      const updateValues = [event.bot_id, ...Object.values(updateData)];
-      
-      await pool.query(
-        `UPDATE block_meetings SET ${updateFields} WHERE recall_bot_id = $1`,
-        updateValues
-      );
+    claimed = await claimWebhookEvent(pool, req.webhookId, { botId, eventType: event.event });
+    if (!claimed) {
+      console.warn(`Duplicate webhook ${req.webhookId} skipped`);
+      return res.status(200).send('Duplicate');
+    }
+    
+    if (!botId) {
+      await completeWebhookEvent(pool, req.webhookId, 'ignored');
+      return res.status(200).send('Ignored');
     }
     
+    const status = data.status;
+    const transition = await applyStatusChange(pool, botId, status, {
+      source: 'webhook',
+      details: event,
+      occurredAt: event.timestamp || (status && status.created_at)
+    });
+    
+    if (transition.unknownBot) {
+      // The meeting row may not be committed yet; let the provider retry the delivery
+      console.warn(`Webhook for unknown bot ${botId}, asking for a retry`);
+      await releaseWebhookEvent(pool, req.webhookId);
+      return res.status(409).send('Unknown bot');
+    }
+    
+    if (!transition.applied) {
+      console.warn(`Ignored status for bot ${botId}: ${transition.reason}`);
+      await completeWebhookEvent(pool, req.webhookId, 'ignored');
+      return res.status(200).send('Ignored');
+    }
+    
+    console.log(`Meeting ${transition.blockId}: ${transition.from} → ${transition.to}`);
+    handleStatusChange(transition.blockId, { from: transition.from, to: transition.to, source: 'webhook' });
+    
+    await completeWebhookEvent(pool, req.webhookId, 'applied');
     res.status(200).send('OK');
   } catch (error) {
     console.error('Webhook error:', error);
+    if (claimed) {
+      await releaseWebhookEvent(pool, req.webhookId).catch(err => {
+        console.error('Failed to release webhook event:', err.message);
+      });
+    }
     res.status(500).send('Error processing webhook');
   }
 });
 
+// Commit buffered transcript frames before shutting down
+process.on('SIGTERM', async () => {
+  console.log('SIGTERM received, flushing transcript buffers');
+  await postMeetingProcessor.stop();
+  segmentTracker.finalize();
+  await transcriptWriter.close();
+  await storyEngine.stop();
+  await searchIndexer.stop();
+  await dispatchScheduler.stop();
+  process.exit(0);
+});
+
 // Start server
-const PORT = process.env.PORT || 8080;
-server.listen(PORT, () => {
-  console.log(`Cogito Recall Bot server running on port ${PORT}`);
-  console.log(`WebSocket endpoint: ws://localhost:${PORT}`);
-});
\ No newline at end of file
+createMeetingProvider()
+  .then(provider => {
+    meetingProvider = provider;
+    storyEngine.start();
+    searchIndexer.start();
+    dispatchScheduler.start();
+    postMeetingProcessor.start();
+    server.listen(PORT, () => {
+      console.log(`Cogito Recall Bot server running on port ${PORT}`);
+      console.log(`Meeting provider: ${meetingProvider.name}`);
+      if (!meetingProvider.webhookSecret) {
+        console.warn('⚠️  RECALL_WEBHOOK_SECRET is not set; /webhook will reject all deliveries');
+      }
+      console.log(`Transcript WebSocket endpoint: ws://localhost:${PORT}/transcript/<blockId>`);
+    });
+  })
+  .catch(err => {
+    console.error('❌ Failed to set up meeting provider:', err.message);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { parseApprovalOverrides } = require('../lib/action-items');
+const { addActionItemRoutes } = require('../routes/action-items');
+
+test('approval overrides are validated field by field', () => {
+  assert.deepEqual(parseApprovalOverrides({}), { overrides: {} });
+  assert.deepEqual(parseApprovalOverrides({ title: 'Send the job post', assignee_user_id: '7', due_date: '2026-10-23' }), {
+    overrides: { title: 'Send the job post', assignee_user_id: 7, due_date: '2026-10-23' }
+  });
+  assert.deepEqual(parseApprovalOverrides({ assignee_user_id: null, due_date: null }), {
+    overrides: { assignee_user_id: null, due_date: null }
+  });
+
+  assert.match(parseApprovalOverrides({ title: '  ' }).error, /title/);
+  assert.match(parseApprovalOverrides({ assignee_user_id: 0 }).error, /assignee_user_id/);
+  assert.match(parseApprovalOverrides({ assignee_user_id: 'bob' }).error, /assignee_user_id/);
+  assert.match(parseApprovalOverrides({ due_date: '2026-02-30' }).error, /due_date/);
+  assert.match(parseApprovalOverrides({ due_date: '23/10/2026' }).error, /due_date/);
+});
+
+// The action item routes for a signed-in user; proposal 5 is on user 1's board, from user 1's meeting
+async function startApi(userId) {
+  const updates = [];
+  const pool = {
+    async query(sql, params) {
+      if (sql.includes('aip.board_owner_id = $1 OR bm.invited_by_user_id = $1')) {
+        return { rows: params[1] === '5' ? [{ allowed: params[0] === 1 }] : [] };
+      }
+      if (sql.includes('UPDATE action_item_proposals')) {
+        updates.push(params);
+        return { rows: [{ id: 5, status: 'rejected', reviewed_by: params[1] }] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: userId, email: null };
+    next();
+  });
+  addActionItemRoutes(app, { pool, autoApprove: false });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://localhost:${server.address().port}/api/action-items`;
+  return {
+    updates,
+    post: path => fetch(`${base}${path}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: '{}' }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('only the board owner or inviter may review a proposal', async () => {
+  const attendee = await startApi(2);
+  try {
+    for (const action of ['approve', 'reject']) {
+      const response = await attendee.post(`/5/${action}`);
+      assert.equal(response.status, 403, action);
+      assert.match((await response.json()).error, /board's owner or the meeting's inviter/);
+    }
+    assert.deepEqual(attendee.updates, []);
+  } finally {
+    await attendee.close();
+  }
+
+  const owner = await startApi(1);
+  try {
+    const response = await owner.post('/5/reject');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).action_item.reviewed_by, 1);
+  } finally {
+    await owner.close();
+  }
+});
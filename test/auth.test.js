@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const { createAuth } = require('../lib/auth');
+
+const TOKEN = 'valid-access-token';
+const TOKEN_HASH = crypto.createHash('sha256').update(TOKEN).digest('hex');
+
+// An API behind requireAuth, mounted the way server.js mounts it; query answers the session lookup
+async function startApi(query) {
+  const auth = createAuth({ pool: { query } });
+  const app = express();
+  app.use('/api', auth.requireAuth({
+    publicPaths: ['/auth/login'],
+    queryTokenPaths: [/^\/meetings\/[^/]+\/live$/]
+  }));
+  app.all('/api/*', (req, res) => res.json({ user: req.user || null }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://localhost:${server.address().port}/api`;
+  return {
+    request: (path, options = {}) => fetch(`${base}${path}`, options),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Sessions are looked up by token hash; the raw token never reaches the database
+async function sessions(sql, [tokenHash]) {
+  return { rows: tokenHash === TOKEN_HASH ? [{ id: 7, email: 'alice@example.com', session_id: 'session-1' }] : [] };
+}
+
+const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+test('requests without a valid bearer token are refused', async () => {
+  const api = await startApi(sessions);
+  try {
+    const missing = await api.request('/meetings');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+    assert.deepEqual(await missing.json(), { error: 'Authentication required' });
+
+    const invalid = await api.request('/meetings', bearer('stolen'));
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.headers.get('www-authenticate'), 'Bearer error="invalid_token"');
+
+    const malformed = await api.request('/meetings', { headers: { authorization: `Basic ${TOKEN}` } });
+    assert.equal(malformed.status, 401);
+  } finally {
+    await api.close();
+  }
+});
+
+test('a valid token sets the request user', async () => {
+  const api = await startApi(sessions);
+  try {
+    const response = await api.request('/meetings', bearer(TOKEN));
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { user: { id: 7, email: 'alice@example.com', sessionId: 'session-1' } });
+    // Public paths need no token
+    assert.equal((await api.request('/auth/login', { method: 'POST' })).status, 200);
+  } finally {
+    await api.close();
+  }
+});
+
+test('query tokens are only accepted on GETs of the listed paths', async () => {
+  const api = await startApi(sessions);
+  try {
+    assert.equal((await api.request(`/meetings/abc/live?access_token=${TOKEN}`)).status, 200);
+    assert.equal((await api.request(`/meetings/abc/turns?access_token=${TOKEN}`)).status, 401);
+    assert.equal((await api.request(`/meetings/abc/live?access_token=${TOKEN}`, { method: 'POST' })).status, 401);
+  } finally {
+    await api.close();
+  }
+});
+
+test('a failing session lookup is a server error, not a pass', async t => {
+  t.mock.method(console, 'error', () => {});
+  const api = await startApi(async () => { throw new Error('connection terminated'); });
+  try {
+    const response = await api.request('/meetings', bearer(TOKEN));
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).error, 'Internal server error');
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,237 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createBotDispatcher, BotStateError, MeetingInProgressError } = require('../lib/bot-dispatch');
+const { addBotRoutes } = require('../routes/bots');
+
+const BLOCK_ID = '5f0c7a52-8d6e-4f43-9d1e-2b7f3a1c9e10';
+
+/**
+ * A pool holding one block_meetings row and its status history; activeBot is
+ * another meeting's row holding the same link, when there is one.
+ */
+function stubPool(meeting, { activeBot = null } = {}) {
+  const state = { meeting: { block_id: BLOCK_ID, ended_at: null, ...meeting }, history: [], bots: [], locks: [] };
+  let nextId = 1;
+
+  async function query(sql, params = []) {
+    if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql)) return { rows: [] };
+    if (sql.includes('pg_advisory_xact_lock')) {
+      state.locks.push(params[0]);
+      return { rows: [] };
+    }
+    if (sql.includes('SELECT meeting_key, meeting_url FROM block_meetings')) {
+      return { rows: [{ meeting_key: state.meeting.meeting_key, meeting_url: state.meeting.meeting_url }] };
+    }
+    if (sql.includes('SELECT * FROM block_meetings WHERE block_id = $1')) {
+      return { rows: params[0] === BLOCK_ID ? [{ ...state.meeting }] : [] };
+    }
+    if (sql.includes('WHERE meeting_key IS NULL')) return { rows: [] };
+    if (sql.includes('WHERE meeting_key = $1 AND status <> ALL')) return { rows: activeBot ? [activeBot] : [] };
+    if (sql.includes('INSERT INTO block_meeting_status_history')) {
+      const [, from, to, , details] = params;
+      state.history.push({ id: nextId, from, to, details });
+      return { rows: [{ id: nextId++ }] };
+    }
+    if (sql.includes('UPDATE block_meetings SET\n       status = $2')) {
+      state.meeting.status = params[1];
+      return { rows: [] };
+    }
+    if (sql.includes('UPDATE block_meetings bm SET status = $2')) {
+      const transition = state.history.find(entry => entry.id === params[3]);
+      if (!transition || state.meeting.status !== transition.to) return { rows: [] };
+      Object.assign(state.meeting, { status: params[1], ended_at: params[2] });
+      return { rows: [{ block_id: BLOCK_ID }] };
+    }
+    if (sql.includes('DELETE FROM block_meeting_status_history')) {
+      state.history = state.history.filter(entry => entry.id !== params[0]);
+      return { rows: [] };
+    }
+    if (sql.includes('SET recall_bot_id = NULL')) {
+      state.meeting.recall_bot_id = null;
+      return { rows: [] };
+    }
+    if (sql.includes('SET recall_bot_id = $2 WHERE block_id = $1 AND recall_bot_id IS NULL')) {
+      if (state.meeting.recall_bot_id === null) state.meeting.recall_bot_id = params[1];
+      return { rows: [] };
+    }
+    if (sql.includes('SET recall_bot_id = $2 WHERE block_id = $1 RETURNING *')) {
+      state.meeting.recall_bot_id = params[1];
+      return { rows: [{ ...state.meeting }] };
+    }
+    if (sql.includes('UPDATE blocks SET metadata')) return { rows: [{ block_id: BLOCK_ID }] };
+    if (sql.includes('INSERT INTO block_meeting_bots')) {
+      state.bots.push(params);
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+
+  return { state, query, connect: async () => ({ query, release() {} }) };
+}
+
+// A provider recording the bots it was asked to remove; refuse makes both calls fail
+function stubProvider({ refuse = false } = {}) {
+  const left = [];
+  const refusal = () => Object.assign(new Error('Provider refused'), { status: 502 });
+  return {
+    left,
+    name: 'stub',
+    async leaveMeeting(botId) {
+      if (refuse) throw refusal();
+      left.push(botId);
+    },
+    async createBot() {
+      if (refuse) throw refusal();
+      return { id: 'bot-2' };
+    }
+  };
+}
+
+function dispatcher(pool, provider) {
+  const changes = [];
+  const botDispatcher = createBotDispatcher({
+    pool,
+    getProvider: () => provider,
+    channelUrl: blockId => `wss://example.com/transcript/${blockId}`,
+    webhookUrl: 'https://example.com/webhook',
+    onStatusChange: (blockId, change) => changes.push(change)
+  });
+  return { botDispatcher, changes };
+}
+
+const quietly = t => t.mock.method(console, 'log', () => {});
+
+test('a bot that has not got in yet is cancelled', async t => {
+  quietly(t);
+  const pool = stubPool({ status: 'in_waiting_room', recall_bot_id: 'bot-1' });
+  const provider = stubProvider();
+  const { botDispatcher, changes } = dispatcher(pool, provider);
+
+  const meeting = await botDispatcher.cancel(BLOCK_ID, { userId: 7 });
+  assert.equal(meeting.status, 'cancelled');
+  assert.deepEqual(provider.left, ['bot-1']);
+  assert.deepEqual(pool.state.history.map(({ from, to, details }) => [from, to, details]), [
+    ['in_waiting_room', 'cancelled', { action: 'cancel', user_id: 7 }]
+  ]);
+  assert.deepEqual(changes, [{ from: 'in_waiting_room', to: 'cancelled', source: 'api' }]);
+  assert.equal(await botDispatcher.cancel('8b7e1c3a-0d52-4c7e-9f43-6a1d2e3b4c5d'), null);
+});
+
+test('a cancel the provider refuses is undone', async () => {
+  const pool = stubPool({ status: 'joining', recall_bot_id: 'bot-1' });
+  const { botDispatcher, changes } = dispatcher(pool, stubProvider({ refuse: true }));
+
+  await assert.rejects(botDispatcher.cancel(BLOCK_ID), /Provider refused/);
+  assert.equal(pool.state.meeting.status, 'joining');
+  assert.deepEqual(pool.state.history, []);
+  assert.deepEqual(changes, []);
+});
+
+test('cancel refuses bots that are in the call or not dispatched yet', async () => {
+  const inCall = stubPool({ status: 'in_call', recall_bot_id: 'bot-1' });
+  await assert.rejects(
+    dispatcher(inCall, stubProvider()).botDispatcher.cancel(BLOCK_ID),
+    error => error instanceof BotStateError && /ask it to leave instead/.test(error.message) && error.meeting.status === 'in_call'
+  );
+  const dispatching = stubPool({ status: 'joining', recall_bot_id: null });
+  await assert.rejects(dispatcher(dispatching, stubProvider()).botDispatcher.cancel(BLOCK_ID), /still being dispatched/);
+  assert.deepEqual(inCall.state.history, []);
+});
+
+test('a failed meeting is retried with a new bot on the same block', async t => {
+  quietly(t);
+  const pool = stubPool({ status: 'failed', recall_bot_id: 'bot-1', meeting_key: 'zoom:85712345678', meeting_url: 'https://zoom.us/j/85712345678' });
+  const { botDispatcher, changes } = dispatcher(pool, stubProvider());
+
+  const { bot, meeting } = await botDispatcher.retry(BLOCK_ID, { userId: 7 });
+  assert.equal(bot.id, 'bot-2');
+  assert.deepEqual([meeting.status, meeting.recall_bot_id], ['joining', 'bot-2']);
+  // Serialized with dispatches to the same link
+  assert.deepEqual(pool.state.locks, ['meeting:zoom:85712345678']);
+  assert.deepEqual(pool.state.history.map(({ from, to, details }) => [from, to, details]), [
+    ['failed', 'joining', { action: 'retry', user_id: 7, previous_bot_id: 'bot-1' }]
+  ]);
+  assert.deepEqual(pool.state.bots, [['bot-2', BLOCK_ID, 7]]);
+  assert.deepEqual(changes, [{ from: 'failed', to: 'joining', source: 'api' }]);
+});
+
+test('a retry the provider refuses puts the failed meeting back', async () => {
+  const pool = stubPool({ status: 'failed', recall_bot_id: 'bot-1', meeting_key: 'zoom:85712345678', meeting_url: 'https://zoom.us/j/85712345678' });
+  const { botDispatcher, changes } = dispatcher(pool, stubProvider({ refuse: true }));
+
+  await assert.rejects(botDispatcher.retry(BLOCK_ID), /Provider refused/);
+  assert.deepEqual([pool.state.meeting.status, pool.state.meeting.recall_bot_id], ['failed', 'bot-1']);
+  assert.deepEqual(pool.state.history, []);
+  assert.deepEqual(changes, []);
+});
+
+test('only a failed meeting with no other bot in it can be retried', async () => {
+  const completed = stubPool({ status: 'completed', recall_bot_id: 'bot-1', meeting_key: 'zoom:85712345678' });
+  await assert.rejects(
+    dispatcher(completed, stubProvider()).botDispatcher.retry(BLOCK_ID),
+    error => error instanceof BotStateError && /this one is completed/.test(error.message)
+  );
+
+  const other = { block_id: '8b7e1c3a-0d52-4c7e-9f43-6a1d2e3b4c5d', status: 'in_call' };
+  const taken = stubPool({ status: 'failed', recall_bot_id: 'bot-1', meeting_key: 'zoom:85712345678' }, { activeBot: other });
+  await assert.rejects(
+    dispatcher(taken, stubProvider()).botDispatcher.retry(BLOCK_ID),
+    error => error instanceof MeetingInProgressError && error.meeting === other
+  );
+  assert.equal(taken.state.meeting.status, 'failed');
+});
+
+test("only the meeting's inviter may control its bot", async () => {
+  const calls = [];
+  const botDispatcher = {
+    async leave(blockId) {
+      calls.push('leave');
+      return { block_id: blockId };
+    },
+    async cancel(blockId) {
+      calls.push('cancel');
+      return { block_id: blockId };
+    },
+    async retry(blockId) {
+      calls.push('retry');
+      return { meeting: { block_id: blockId } };
+    }
+  };
+  // User 1 invited the bot; user 2 attended
+  const pool = {
+    async query(sql, [userId, blockId]) {
+      assert.match(sql, /invited_by_user_id = \$1 AS allowed/);
+      return { rows: blockId === BLOCK_ID ? [{ allowed: userId === 1 }] : [] };
+    }
+  };
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: Number(req.headers['x-user']), email: null };
+    next();
+  });
+  addBotRoutes(app, { pool, botDispatcher });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const request = (method, path, user) => fetch(`http://localhost:${server.address().port}/api/meetings/${BLOCK_ID}${path}`, {
+    method,
+    headers: { 'x-user': String(user) }
+  });
+
+  try {
+    for (const [method, path] of [['POST', '/leave'], ['DELETE', ''], ['POST', '/retry']]) {
+      const denied = await request(method, path, 2);
+      assert.equal(denied.status, 403, `${method} ${path}`);
+      assert.deepEqual(await denied.json(), { error: "Only the meeting's inviter can control its bot" });
+    }
+    assert.deepEqual(calls, []);
+
+    assert.equal((await request('POST', '/leave', 1)).status, 202);
+    assert.equal((await request('DELETE', '', 1)).status, 200);
+    assert.equal((await request('POST', '/retry', 1)).status, 200);
+    assert.deepEqual(calls, ['leave', 'cancel', 'retry']);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { importCalendar } = require('../lib/calendar-import');
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:planning',
+  'DTSTART:20261021T150000Z',
+  'DTEND:20261021T160000Z',
+  'SUMMARY:Planning',
+  'LOCATION:https://us02web.zoom.us/j/85712345678',
+  'ORGANIZER;CN=Alice:mailto:alice@example.com',
+  'ATTENDEE;CN=Bob:mailto:bob@example.com',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+// A pool whose users are alice (1) and bob (2); records the scheduled meetings inserted
+function stubPool() {
+  const inserted = [];
+  const client = {
+    async query(sql, params) {
+      if (sql.includes('FROM client_mgmt.users')) {
+        return { rows: [{ id: 1, email: 'alice@example.com' }, { id: 2, email: 'bob@example.com' }] };
+      }
+      if (sql.includes('INSERT INTO meetings.scheduled_meetings')) {
+        inserted.push(params);
+        return { rows: [{ id: inserted.length, organizer_id: params[5], scheduled_start: params[2], inserted: true }] };
+      }
+      if (sql.includes('UPDATE meetings.meeting_participants')) return { rows: [{ id: 1 }] };
+      return { rows: [] };
+    },
+    release() {}
+  };
+  return { inserted, connect: async () => client };
+}
+
+test("the importer owns imported meetings, whatever the file's ORGANIZER says", async () => {
+  const pool = stubPool();
+  const result = await importCalendar(pool, ICS, { importedBy: 2, now: new Date('2026-10-19T00:00:00Z') });
+
+  assert.equal(result.created, 1);
+  assert.equal(result.meetings[0].organizer_id, 2);
+  assert.equal(pool.inserted[0][6].imported_by, 2);
+});
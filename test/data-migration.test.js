@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveTables, TABLES, DataMigrationError } = require('../lib/data-migration');
+
+const schemas = tables => tables.map(table => [table.name, table.source, table.target]);
+
+test('tables are copied parents first, meeting tables from public', () => {
+  assert.deepEqual(schemas(resolveTables()), [
+    ['users', 'client_mgmt', 'client_mgmt'],
+    ['participants', 'conversation', 'conversation'],
+    ['blocks', 'conversation', 'conversation'],
+    ['turns', 'conversation', 'conversation'],
+    ['block_turns', 'conversation', 'conversation'],
+    ['block_meetings', 'public', 'public'],
+    ['block_attendees', 'public', 'public']
+  ]);
+  assert.deepEqual(resolveTables().find(table => table.name === 'block_turns').key, ['block_id', 'turn_id']);
+});
+
+test('schemas can be overridden per schema, with table names winning', () => {
+  const tables = resolveTables({
+    sourceSchemas: { public: 'conversation', block_attendees: 'legacy' },
+    targetSchemas: { conversation: 'public' }
+  });
+  assert.deepEqual(schemas(tables).slice(3), [
+    ['turns', 'conversation', 'public'],
+    ['block_turns', 'conversation', 'public'],
+    ['block_meetings', 'conversation', 'public'],
+    ['block_attendees', 'legacy', 'public']
+  ]);
+  // The defaults are left as they were
+  assert.equal(TABLES.find(table => table.name === 'block_meetings').source, 'public');
+});
+
+test('a run can be limited to some tables, in copy order', () => {
+  assert.deepEqual(resolveTables({ only: ['turns', 'users'] }).map(table => table.name), ['users', 'turns']);
+  assert.throws(
+    () => resolveTables({ only: ['turns', 'meetings'] }),
+    error => error instanceof DataMigrationError && /Unknown table "meetings"/.test(error.message)
+  );
+});
@@ -0,0 +1,158 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDispatchScheduler } = require('../lib/dispatch-scheduler');
+const { MeetingInProgressError } = require('../lib/bot-dispatch');
+const { MeetingUrlError } = require('../lib/meeting-urls');
+
+/**
+ * A pool over scheduled meetings ({ id, title, due, dispatch_status,
+ * dispatch_attempts, stale }). due stands for the time window the SQL checks;
+ * a claim by another instance (claimedElsewhere) makes ours find nothing.
+ * meetings maps a scheduled id to the block_meetings row already linked to it.
+ */
+function stubPool({ scheduled, meetings = {}, participants = [], claimedElsewhere = [] }) {
+  const rows = new Map(scheduled.map(row => [row.id, {
+    meeting_url: `https://meet.google.com/abc-defg-h${row.id}`,
+    organizer_id: 1,
+    dispatch_status: 'pending',
+    dispatch_attempts: 0,
+    ...row
+  }]));
+  const queries = [];
+  const claimable = row => row.due && (row.dispatch_status === 'pending' || (row.dispatch_status === 'dispatching' && row.stale));
+
+  async function query(sql, params = []) {
+    queries.push([sql, params]);
+    if (sql.includes("SET dispatch_status = 'skipped'")) {
+      rows.forEach(row => {
+        if (row.dispatch_status === 'pending' && row.ended) row.dispatch_status = 'skipped';
+      });
+      return { rows: [] };
+    }
+    if (sql.includes('SELECT id FROM meetings.scheduled_meetings')) {
+      return { rows: [...rows.values()].filter(claimable).map(({ id }) => ({ id })) };
+    }
+    if (sql.includes("SET dispatch_status = 'dispatching'")) {
+      const row = rows.get(params[2]);
+      if (claimedElsewhere.includes(row.id) || !claimable(row)) return { rows: [] };
+      row.dispatch_status = 'dispatching';
+      row.dispatch_attempts++;
+      return { rows: [{ ...row }] };
+    }
+    if (sql.includes('FROM block_meetings WHERE scheduled_meeting_id')) {
+      return { rows: meetings[params[0]] ? [meetings[params[0]]] : [] };
+    }
+    if (sql.includes('FROM meetings.meeting_participants')) return { rows: participants };
+    if (sql.includes('SET dispatch_status = $2')) {
+      const row = rows.get(params[0]);
+      row.dispatch_status = params[1];
+      row.dispatch_error = params[2];
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+
+  return { rows, queries, query };
+}
+
+function stubDispatcher(fail = () => null) {
+  const dispatched = [];
+  return {
+    dispatched,
+    async dispatch(request) {
+      const error = fail(request);
+      if (error) throw error;
+      dispatched.push(request);
+      return { block: { block_id: `block-${request.scheduledMeetingId}` }, bot: { id: `bot-${request.scheduledMeetingId}` } };
+    }
+  };
+}
+
+const statuses = pool => Object.fromEntries([...pool.rows.values()].map(row => [row.id, row.dispatch_status]));
+
+test('due meetings get a bot with their expected attendees', async t => {
+  t.mock.method(console, 'log', () => {});
+  const pool = stubPool({
+    scheduled: [
+      { id: 1, title: 'Standup', due: true },
+      { id: 2, title: 'Later', due: false },
+      { id: 3, title: 'Over', due: false, ended: true },
+      { id: 4, title: 'Done', due: true, dispatch_status: 'dispatched' }
+    ],
+    participants: [
+      { participant_name: 'Alice', participant_email: 'alice@example.com', user_email: null, user_id: 7 },
+      { participant_name: null, participant_email: null, user_email: 'bob@example.com', user_id: 8 },
+      { participant_name: 'alice', participant_email: null, user_email: null, user_id: null },
+      { participant_name: null, participant_email: null, user_email: null, user_id: null }
+    ]
+  });
+  const botDispatcher = stubDispatcher();
+  const scheduler = createDispatchScheduler({ pool, botDispatcher, leadMinutes: 5 });
+
+  await scheduler.tick();
+
+  assert.deepEqual(botDispatcher.dispatched, [{
+    meetingUrl: 'https://meet.google.com/abc-defg-h1',
+    meetingName: 'Standup',
+    invitedByUserId: 1,
+    scheduledMeetingId: 1,
+    expectedAttendees: [
+      { name: 'Alice', email: 'alice@example.com', userId: 7 },
+      { name: 'bob@example.com', email: 'bob@example.com', userId: 8 }
+    ]
+  }]);
+  assert.deepEqual(statuses(pool), { 1: 'dispatched', 2: 'pending', 3: 'skipped', 4: 'dispatched' });
+  // The lead time and the stale-claim age go to the due query
+  const [, params] = pool.queries.find(([sql]) => sql.includes('SELECT id FROM meetings.scheduled_meetings'));
+  assert.deepEqual(params, [5, 10]);
+});
+
+test('a meeting claimed by another instance is left to it', async () => {
+  const pool = stubPool({ scheduled: [{ id: 1, title: 'Standup', due: true }], claimedElsewhere: [1] });
+  const botDispatcher = stubDispatcher();
+  await createDispatchScheduler({ pool, botDispatcher }).tick();
+
+  assert.deepEqual(botDispatcher.dispatched, []);
+  assert.equal(pool.queries.some(([sql]) => sql.includes('FROM block_meetings')), false);
+});
+
+test('a stale claim is taken over without sending a second bot', async () => {
+  const pool = stubPool({
+    scheduled: [
+      { id: 1, title: 'Confirmed', due: true, dispatch_status: 'dispatching', stale: true, dispatch_attempts: 1 },
+      { id: 2, title: 'Interrupted', due: true, dispatch_status: 'dispatching', stale: true, dispatch_attempts: 1 },
+      { id: 3, title: 'In flight', due: true, dispatch_status: 'dispatching', dispatch_attempts: 1 }
+    ],
+    meetings: {
+      1: { block_id: 'block-1', recall_bot_id: 'bot-1' },
+      2: { block_id: 'block-2', recall_bot_id: null }
+    }
+  });
+  const botDispatcher = stubDispatcher();
+  await createDispatchScheduler({ pool, botDispatcher }).tick();
+
+  assert.deepEqual(botDispatcher.dispatched, []);
+  assert.deepEqual(statuses(pool), { 1: 'dispatched', 2: 'failed', 3: 'dispatching' });
+  assert.match(pool.rows.get(2).dispatch_error, /interrupted/);
+});
+
+test('dispatch failures settle the meeting or leave it for a retry', async t => {
+  t.mock.method(console, 'error', () => {});
+  const duplicate = Object.assign(new Error('duplicate key'), { code: '23505' });
+  const failures = {
+    1: duplicate,
+    2: new MeetingInProgressError({ block_id: 'block-9' }),
+    3: new MeetingUrlError('Not a meeting link'),
+    4: new Error('provider unavailable'),
+    5: new Error('provider unavailable')
+  };
+  const pool = stubPool({
+    scheduled: [1, 2, 3, 4].map(id => ({ id, title: `Meeting ${id}`, due: true }))
+      .concat({ id: 5, title: 'Meeting 5', due: true, dispatch_attempts: 2 })
+  });
+  const botDispatcher = stubDispatcher(request => failures[request.scheduledMeetingId]);
+  await createDispatchScheduler({ pool, botDispatcher }).tick();
+
+  assert.deepEqual(statuses(pool), { 1: 'dispatched', 2: 'skipped', 3: 'failed', 4: 'pending', 5: 'failed' });
+  assert.equal(pool.rows.get(4).dispatch_error, 'provider unavailable');
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDueDate, formatDate } = require('../lib/due-dates');
+
+// Wednesday afternoon
+const WEDNESDAY = new Date('2026-10-14T15:30:00Z');
+
+const due = (phrase, reference = WEDNESDAY) => formatDate(parseDueDate(phrase, reference));
+
+test('relative days resolve against the meeting date', () => {
+  assert.equal(due('by end of day'), '2026-10-14');
+  assert.equal(due('tonight'), '2026-10-14');
+  assert.equal(due('Tomorrow.'), '2026-10-15');
+  assert.equal(due('by the end of the week'), '2026-10-16');
+  assert.equal(due('next week'), '2026-10-19');
+  assert.equal(due('end of the month'), '2026-10-31');
+  // Said on a Friday, "this week" is that day
+  assert.equal(due('this week', new Date('2026-10-16T09:00:00Z')), '2026-10-16');
+});
+
+test('weekdays mean the next such day', () => {
+  assert.equal(due('by Friday'), '2026-10-16');
+  assert.equal(due('on Monday'), '2026-10-19');
+  // The same weekday is a week out
+  assert.equal(due('Wednesday'), '2026-10-21');
+  // "next Friday" early in the week skips this week's
+  assert.equal(due('next Friday'), '2026-10-23');
+  assert.equal(due('next Tuesday'), '2026-10-20');
+  // On a Sunday the whole week is ahead
+  assert.equal(due('next Friday', new Date('2026-10-18T12:00:00Z')), '2026-10-23');
+});
+
+test('calendar dates roll forward once past', () => {
+  assert.equal(due('March 5th'), '2027-03-05');
+  assert.equal(due('by the 15th of December'), '2026-12-15');
+  assert.equal(due('20 Oct'), '2026-10-20');
+  assert.equal(due('by the 20th'), '2026-10-20');
+  assert.equal(due('by the 2nd'), '2026-11-02');
+});
+
+test('unrecognised phrases yield null', () => {
+  assert.equal(parseDueDate('soon', WEDNESDAY), null);
+  assert.equal(parseDueDate('in a bit, on 5', WEDNESDAY), null);
+  assert.equal(parseDueDate('', WEDNESDAY), null);
+  assert.equal(parseDueDate(null, WEDNESDAY), null);
+  assert.equal(formatDate(null), null);
+});
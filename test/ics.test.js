@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCalendar, expandEvent, CalendarError } = require('../lib/ics');
+
+function calendar(...lines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+}
+
+function vevent(...lines) {
+  return ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+}
+
+const WINDOW = { from: new Date('2026-10-01T00:00:00Z'), to: new Date('2027-01-01T00:00:00Z') };
+
+function starts(text, window = WINDOW) {
+  return expandEvent(parseCalendar(text).events, window).map(occurrence => occurrence.start.toISOString());
+}
+
+test('a VEVENT is read with its attendees, escapes and folded lines', () => {
+  const { name, timeZone, events } = parseCalendar(calendar(
+    'X-WR-CALNAME:Team',
+    'X-WR-TIMEZONE:Europe/Berlin',
+    ...vevent(
+      'UID:standup-1',
+      'DTSTART:20261020T090000',
+      'DURATION:PT30M',
+      'SUMMARY:Standup\\, daily',
+      'DESCRIPTION:Join at https://zoom.us/j/123456',
+      ' 789\\nSee you',
+      'ORGANIZER;CN=Alice Chen:mailto:Alice@Example.com',
+      'ATTENDEE;CN="Bob";PARTSTAT=ACCEPTED:mailto:bob@example.com',
+      'ATTENDEE;CUTYPE=ROOM:mailto:room-4@example.com',
+      'X-GOOGLE-CONFERENCE:https://meet.google.com/abc-defg-hij'
+    )
+  ));
+
+  assert.equal(name, 'Team');
+  assert.equal(timeZone, 'Europe/Berlin');
+  const [event] = events;
+  assert.equal(event.summary, 'Standup, daily');
+  assert.equal(event.description, 'Join at https://zoom.us/j/123456789\nSee you');
+  assert.equal(event.durationMs, 30 * 60 * 1000);
+  assert.deepEqual(event.organizer, { email: 'alice@example.com', name: 'Alice Chen' });
+  assert.deepEqual(event.attendees.map(attendee => [attendee.email, attendee.name, attendee.partstat, attendee.cutype]), [
+    ['bob@example.com', 'Bob', 'ACCEPTED', 'INDIVIDUAL'],
+    ['room-4@example.com', null, 'NEEDS-ACTION', 'ROOM']
+  ]);
+  assert.deepEqual(event.conference, ['https://meet.google.com/abc-defg-hij']);
+  // Floating times use the calendar's zone
+  assert.equal(starts(calendar('X-WR-TIMEZONE:Europe/Berlin', ...vevent('UID:a', 'DTSTART:20261020T090000')))[0],
+    '2026-10-20T07:00:00.000Z');
+});
+
+test('input that is not a calendar is refused', () => {
+  assert.throws(() => parseCalendar('<html></html>'), CalendarError);
+  assert.throws(() => parseCalendar(''), error => error instanceof CalendarError && error.status === 400);
+  // Events missing a UID or start are skipped
+  assert.deepEqual(parseCalendar(calendar(...vevent('SUMMARY:No uid', 'DTSTART:20261020T090000Z'))).events, []);
+});
+
+test('weekly recurrences keep their wall-clock time across DST', () => {
+  // US clocks go back on 1 November 2026
+  assert.deepEqual(starts(calendar(...vevent(
+    'UID:weekly',
+    'DTSTART;TZID=Eastern Standard Time:20261026T090000',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=3'
+  ))), ['2026-10-26T13:00:00.000Z', '2026-11-02T14:00:00.000Z', '2026-11-09T14:00:00.000Z']);
+});
+
+test('monthly rules honour BYDAY offsets and BYSETPOS', () => {
+  const lastFriday = calendar(...vevent(
+    'UID:retro',
+    'DTSTART:20261030T150000Z',
+    'RRULE:FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20261231T000000Z'
+  ));
+  assert.deepEqual(starts(lastFriday), ['2026-10-30T15:00:00.000Z', '2026-11-27T15:00:00.000Z', '2026-12-25T15:00:00.000Z']);
+
+  const lastWeekday = calendar(...vevent(
+    'UID:close',
+    'DTSTART:20261030T150000Z',
+    'RRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3'
+  ));
+  assert.deepEqual(starts(lastWeekday), ['2026-10-30T15:00:00.000Z', '2026-11-30T15:00:00.000Z', '2026-12-31T15:00:00.000Z']);
+});
+
+test('EXDATE, RDATE and moved occurrences shape the series', () => {
+  const text = calendar(
+    ...vevent(
+      'UID:sync',
+      'DTSTART:20261005T100000Z',
+      'DTEND:20261005T103000Z',
+      'RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=4',
+      'EXDATE:20261019T100000Z',
+      'RDATE:20261021T100000Z'
+    ),
+    ...vevent(
+      'UID:sync',
+      'RECURRENCE-ID:20261102T100000Z',
+      'DTSTART:20261103T160000Z',
+      'DTEND:20261103T170000Z',
+      'SUMMARY:Moved sync'
+    ),
+    ...vevent(
+      'UID:sync',
+      'RECURRENCE-ID:20261116T100000Z',
+      'DTSTART:20261116T100000Z',
+      'STATUS:CANCELLED'
+    )
+  );
+  const occurrences = expandEvent(parseCalendar(text).events, WINDOW);
+  assert.deepEqual(occurrences.map(occurrence => [occurrence.start.toISOString(), occurrence.instance, occurrence.cancelled]), [
+    ['2026-10-05T10:00:00.000Z', '2026-10-05T10:00:00.000Z', false],
+    ['2026-10-21T10:00:00.000Z', '2026-10-21T10:00:00.000Z', false],
+    ['2026-11-03T16:00:00.000Z', '2026-11-02T10:00:00.000Z', false],
+    ['2026-11-16T10:00:00.000Z', '2026-11-16T10:00:00.000Z', true]
+  ]);
+  assert.equal(occurrences[2].event.summary, 'Moved sync');
+  assert.equal(occurrences[2].end.toISOString(), '2026-11-03T17:00:00.000Z');
+});
+
+test('only occurrences overlapping the window are returned', () => {
+  const text = calendar(...vevent('UID:daily', 'DTSTART:20261001T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=DAILY'));
+  assert.deepEqual(starts(text, { from: new Date('2026-10-10T09:30:00Z'), to: new Date('2026-10-12T08:00:00Z') }),
+    ['2026-10-10T09:00:00.000Z', '2026-10-11T09:00:00.000Z']);
+  // A single all-day event
+  const allDay = calendar(...vevent('UID:offsite', 'DTSTART;VALUE=DATE:20261022'));
+  const [occurrence] = expandEvent(parseCalendar(allDay).events, WINDOW);
+  assert.equal(occurrence.instance, '');
+  assert.equal(occurrence.end - occurrence.start, 24 * 60 * 60 * 1000);
+});
+
+test('rules that started long before the window still reach it', () => {
+  const daily = calendar(...vevent('UID:standup', 'DTSTART;TZID=Europe/London:19900102T093000', 'RRULE:FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR'));
+  assert.deepEqual(starts(daily, { from: new Date('2026-10-22T00:00:00Z'), to: new Date('2026-10-27T00:00:00Z') }), [
+    '2026-10-22T08:30:00.000Z', '2026-10-23T08:30:00.000Z', '2026-10-26T09:30:00.000Z'
+  ]);
+
+  const weekly = calendar(...vevent('UID:one-to-one', 'DTSTART:19950104T140000Z', 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=WE'));
+  assert.deepEqual(starts(weekly, { from: new Date('2026-10-19T00:00:00Z'), to: new Date('2026-11-01T00:00:00Z') }), ['2026-10-28T14:00:00.000Z']);
+
+  const yearly = calendar(...vevent('UID:review', 'DTSTART;VALUE=DATE:19800215', 'RRULE:FREQ=YEARLY'));
+  assert.deepEqual(starts(yearly, { from: new Date('2027-01-01T00:00:00Z'), to: new Date('2028-01-01T00:00:00Z') }), ['2027-02-15T00:00:00.000Z']);
+});
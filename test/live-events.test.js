@@ -0,0 +1,186 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { createLiveEvents } = require('../lib/live-events');
+
+const BLOCK_ID = '5f0c7a52-8d6e-4f43-9d1e-2b7f3a1c9e10';
+
+// Stored turns as getMeetingTurns returns them
+const STORED = [1, 2, 3, 4].map(sequence => ({ turn_id: sequence, sequence_order: sequence, speaker: 'Alice', content: `Stored ${sequence}` }));
+
+// A committed turn as the transcript writer hands it to publishCommit
+function committed(sequence) {
+  return {
+    turn_id: sequence,
+    sequence_order: sequence,
+    participant_id: 101,
+    content: `Live ${sequence}`,
+    metadata: { timestamp: '2026-10-19T12:00:00.000Z', start_time: sequence },
+    attendee: { id: 11, name: 'Alice' }
+  };
+}
+
+// Answers the stream's status and replay lookups; turnsReady holds the replay back until it resolves.
+// renumbered maps a turn id to its sequence_order now
+function stubPool({ turnsReady = Promise.resolve(), fail = false, renumbered = {} } = {}) {
+  return {
+    async query(sql, params) {
+      if (fail) throw new Error('connection terminated');
+      if (sql.includes('AS last_sequence')) return { rows: [{ status: 'in_call', last_sequence: 4 }] };
+      if (sql.includes('SELECT 1 FROM block_meetings')) return { rows: [{}] };
+      if (sql.includes('AND turn_id = $2')) return { rows: renumbered[params[1]] ? [{ sequence_order: renumbered[params[1]] }] : [] };
+      await turnsReady;
+      const [, after, limit] = params;
+      return { rows: STORED.filter(turn => turn.sequence_order > after).slice(0, limit) };
+    }
+  };
+}
+
+async function startStream(liveEvents) {
+  const app = express();
+  app.get('/live', (req, res) => {
+    liveEvents.stream(req, res, BLOCK_ID, {
+      after: req.query.after === undefined ? null : Number(req.query.after),
+      lastTurnId: req.get('last-event-id') || null
+    });
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  return {
+    url: query => `http://localhost:${server.address().port}/live${query}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Opens the stream; events() resolves once count events (comments aside) have arrived, ended when the server closes it
+function subscribe(url, headers = {}) {
+  return new Promise(resolve => {
+    http.get(url, { headers }, res => {
+      const events = [];
+      let buffer = '';
+      let waiting = null;
+      const ended = new Promise(done => res.on('end', done));
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        for (const block of blocks) {
+          if (block.startsWith(':')) continue;
+          const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+          events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+        }
+        if (waiting && events.length >= waiting.count) waiting.resolve(events);
+      });
+      resolve({
+        res,
+        events: count => new Promise(done => {
+          if (events.length >= count) return done(events);
+          waiting = { count, resolve: done };
+        }),
+        ended,
+        close: () => res.destroy()
+      });
+    });
+  });
+}
+
+test('a new subscriber gets the meeting state, then live turns and status changes', async () => {
+  const liveEvents = createLiveEvents({ pool: stubPool() });
+  const server = await startStream(liveEvents);
+  const client = await subscribe(server.url(''));
+  try {
+    assert.match(client.res.headers['content-type'], /^text\/event-stream/);
+    await client.events(1);
+    assert.equal(liveEvents.getMetrics().active, 1);
+
+    liveEvents.publishCommit(BLOCK_ID, [committed(5)], { joined: [{ id: 12, name: 'Bob', email: null, user_id: null, participant_id: null }] });
+    liveEvents.publishStatus(BLOCK_ID, { from: 'in_call', to: 'call_ended', source: 'webhook', occurredAt: '2026-10-19T12:30:00.000Z' });
+    // Another meeting's events aren't sent
+    liveEvents.publishStatus('other-block', { from: 'joining', to: 'in_call', source: 'webhook' });
+
+    const events = await client.events(4);
+    assert.deepEqual(events.map(({ id, event }) => [id, event]), [
+      [undefined, 'meeting'], [undefined, 'attendee'], ['5', 'turn'], [undefined, 'status']
+    ]);
+    assert.deepEqual(events[0].data, { block_id: BLOCK_ID, status: 'in_call', last_sequence: 4 });
+    assert.equal(events[2].data.speaker, 'Alice');
+    assert.equal(events[2].data.start_time, 5);
+    assert.equal(events[3].data.to, 'call_ended');
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('a reconnecting client is sent the turns it missed once, in order', async () => {
+  let release;
+  const turnsReady = new Promise(resolve => { release = resolve; });
+  const liveEvents = createLiveEvents({ pool: stubPool({ turnsReady }) });
+  const server = await startStream(liveEvents);
+  const client = await subscribe(server.url('?after=2'));
+  try {
+    await client.events(1);
+    // Committed while the replay is still reading: turn 4 is also stored
+    liveEvents.publishCommit(BLOCK_ID, [committed(4), committed(5)]);
+    release();
+
+    const events = await client.events(4);
+    assert.deepEqual(events.slice(1).map(({ id, data }) => [id, data.content]), [
+      ['3', 'Stored 3'], ['4', 'Stored 4'], ['5', 'Live 5']
+    ]);
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('a reconnecting client resumes after its last turn wherever reconciliation moved it', async () => {
+  // A recovered turn was inserted ahead of turn 2, which is now third
+  const liveEvents = createLiveEvents({ pool: stubPool({ renumbered: { 2: 3 } }) });
+  const server = await startStream(liveEvents);
+  const client = await subscribe(server.url(''), { 'Last-Event-ID': '2' });
+  const stranger = await subscribe(server.url(''), { 'Last-Event-ID': '99' });
+  try {
+    const events = await client.events(2);
+    assert.deepEqual(events.slice(1).map(({ id, data }) => [id, data.content]), [['4', 'Stored 4']]);
+
+    const [, error] = await stranger.events(2);
+    assert.equal(error.event, 'stream_error');
+    await stranger.ended;
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('subscribers are dropped when they disconnect', async () => {
+  const liveEvents = createLiveEvents({ pool: stubPool() });
+  const server = await startStream(liveEvents);
+  try {
+    const client = await subscribe(server.url(''));
+    await client.events(1);
+    assert.deepEqual(liveEvents.getMetrics(), { connections: 1, active: 1, meetings: 1 });
+    client.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(liveEvents.getMetrics(), { connections: 1, active: 0, meetings: 0 });
+  } finally {
+    await server.close();
+  }
+});
+
+test('a failing lookup ends the stream with an error event', async t => {
+  t.mock.method(console, 'error', () => {});
+  const liveEvents = createLiveEvents({ pool: stubPool({ fail: true }) });
+  const server = await startStream(liveEvents);
+  try {
+    const client = await subscribe(server.url(''));
+    const [event] = await client.events(1);
+    assert.equal(event.event, 'stream_error');
+    await client.ended;
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { createLocalRecallServer } = require('../lib/providers/local-recall-server');
+const { createRecallProvider } = require('../lib/providers/recall');
+const { ProviderError } = require('../lib/providers/errors');
+
+const SCRIPT = [
+  { speaker: 'Alice Chen', text: 'Shall we start?' },
+  { speaker: 'Bob Martinez', text: 'Yes, go ahead.' }
+];
+
+// A webhook and transcript receiver standing in for this service
+async function startReceiver() {
+  const webhooks = [];
+  const frames = [];
+  let completed;
+  const done = new Promise(resolve => { completed = resolve; });
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const event = JSON.parse(body);
+      webhooks.push(event.status);
+      res.end();
+      if (event.status === 'completed') completed();
+    });
+  });
+  const wss = new WebSocketServer({ server });
+  wss.on('connection', ws => ws.on('message', data => frames.push(JSON.parse(data))));
+  await new Promise(resolve => server.listen(0, resolve));
+
+  const { port } = server.address();
+  return {
+    webhookUrl: `http://localhost:${port}/webhook`,
+    websocketUrl: `ws://localhost:${port}/transcript`,
+    webhooks,
+    frames,
+    done,
+    close: () => {
+      wss.close();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Steps long enough for the transcript socket to open before the first line
+test('plays a scripted meeting through the recall provider', async () => {
+  const local = await createLocalRecallServer({ script: SCRIPT, stepMs: 100 }).start();
+  const receiver = await startReceiver();
+  const provider = createRecallProvider({ apiKey: 'local', baseUrl: local.url, name: 'local' });
+
+  try {
+    const bot = await provider.createBot({
+      meetingUrl: 'https://zoom.us/j/1234567890',
+      webhookUrl: receiver.webhookUrl,
+      websocketUrl: receiver.websocketUrl
+    });
+    assert.ok(bot.id);
+    await receiver.done;
+
+    assert.deepEqual(receiver.webhooks, ['joining', 'in_waiting_room', 'in_call', 'recording', 'call_ended', 'completed']);
+
+    const finals = receiver.frames.filter(frame => frame.is_final);
+    assert.deepEqual(finals.map(frame => [frame.speaker, frame.text]), SCRIPT.map(line => [line.speaker, line.text]));
+    assert.ok(receiver.frames.every(frame => frame.bot_id === bot.id));
+    // Interim hypotheses share the final frame's segment id and grow towards it
+    const interim = receiver.frames.filter(frame => !frame.is_final && frame.segment_id === finals[0].segment_id);
+    assert.ok(interim.length > 0);
+    assert.ok(interim.every(frame => finals[0].text.startsWith(frame.text)));
+
+    const transcript = await provider.getTranscript(bot.id);
+    assert.deepEqual(transcript.map(entry => entry.speaker), ['Alice Chen', 'Bob Martinez']);
+    assert.equal(transcript[1].words.map(word => word.text).join(' '), 'Yes, go ahead.');
+    assert.ok(transcript[1].words[0].start_time > transcript[0].words[0].end_time);
+
+    assert.equal((await provider.getStatus(bot.id)).status, 'completed');
+  } finally {
+    await receiver.close();
+    await local.stop();
+  }
+});
+
+test('leaving the call ends the meeting early', async () => {
+  const local = await createLocalRecallServer({ script: SCRIPT, stepMs: 1000 }).start();
+  const provider = createRecallProvider({ apiKey: 'local', baseUrl: local.url });
+
+  try {
+    const bot = await provider.createBot({ meetingUrl: 'https://zoom.us/j/1234567890' });
+    await provider.leaveMeeting(bot.id);
+    const status = await provider.getStatus(bot.id);
+    assert.equal(status.status, 'completed');
+    assert.deepEqual(await provider.getTranscript(bot.id), []);
+  } finally {
+    await local.stop();
+  }
+});
+
+test('provider failures carry the upstream status', async () => {
+  const local = await createLocalRecallServer({ script: SCRIPT }).start();
+  const provider = createRecallProvider({ apiKey: 'local', baseUrl: local.url });
+
+  try {
+    await assert.rejects(provider.getStatus('no-such-bot'), error => {
+      assert.ok(error instanceof ProviderError);
+      assert.equal(error.status, 404);
+      return true;
+    });
+    await assert.rejects(provider.createBot({}), { name: 'ProviderError', status: 400 });
+  } finally {
+    await local.stop();
+  }
+});
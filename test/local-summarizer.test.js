@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLocalSummarizer } = require('../lib/summarizers/local');
+
+const ATTENDEE = { name: 'Alice' };
+const PLANNING = { block_id: 'block-1', name: 'Planning' };
+const REVIEW = { block_id: 'block-2', name: 'Review' };
+
+const TURNS = [
+  { turn_id: 1, content: 'The database migration needs a rollback plan.' },
+  { turn_id: 2, content: "I'll draft the database rollback plan tonight." },
+  { turn_id: 3, content: 'Can we freeze deploys during the migration?' }
+];
+const INSIGHTS = [
+  { turn_id: 2, pattern: 'commitment' },
+  { turn_id: 3, pattern: 'question' },
+  // Patterns without a story section are left out
+  { turn_id: 1, pattern: 'topic_shift' }
+];
+
+test('an attendee story records topics, questions and commitments', async () => {
+  const summarizer = createLocalSummarizer();
+  const { story, state } = await summarizer.summarizeAttendee({
+    attendee: ATTENDEE, meeting: PLANNING, previous: null, turns: TURNS, insights: INSIGHTS
+  });
+
+  assert.equal(story,
+    'In "Planning", Alice mostly talked about database, migration, plan, rollback. ' +
+    'They asked "Can we freeze deploys during the migration?". ' +
+    'They committed to "I\'ll draft the database rollback plan tonight.".');
+  assert.equal(state.meetings.length, 1);
+  assert.equal(state.meetings[0].block_id, 'block-1');
+});
+
+test('folding the same meeting again does not repeat items', async () => {
+  const summarizer = createLocalSummarizer();
+  const first = await summarizer.summarizeAttendee({
+    attendee: ATTENDEE, meeting: PLANNING, previous: null, turns: TURNS.slice(0, 2), insights: INSIGHTS
+  });
+  const second = await summarizer.summarizeAttendee({
+    attendee: ATTENDEE, meeting: PLANNING, previous: first, turns: TURNS.slice(1), insights: INSIGHTS
+  });
+
+  assert.equal(second.state.meetings.length, 1);
+  assert.deepEqual(second.state.meetings[0].committed, ["I'll draft the database rollback plan tonight."]);
+  assert.deepEqual(second.state.meetings[0].raised, ['Can we freeze deploys during the migration?']);
+  assert.equal(second.story.split('committed to').length, 2);
+  // The previous state is not modified in place
+  assert.deepEqual(first.state.meetings[0].raised, []);
+});
+
+test('later meetings are appended and old ones roll off', async () => {
+  const summarizer = createLocalSummarizer();
+  let previous = await summarizer.summarizeAttendee({
+    attendee: ATTENDEE, meeting: PLANNING, previous: null, turns: TURNS, insights: INSIGHTS
+  });
+  previous = await summarizer.summarizeAttendee({
+    attendee: ATTENDEE, meeting: REVIEW, previous, turns: [], insights: []
+  });
+  assert.deepEqual(previous.story.split('\n\n').map(paragraph => paragraph.slice(0, 12)), ['In "Planning', 'In "Review",']);
+  assert.match(previous.story, /In "Review", Alice took part\.$/);
+
+  for (let i = 3; i <= 7; i++) {
+    previous = await summarizer.summarizeAttendee({
+      attendee: ATTENDEE, meeting: { block_id: `block-${i}`, name: null }, previous, turns: [], insights: []
+    });
+  }
+  assert.deepEqual(previous.state.meetings.map(record => record.block_id), ['block-3', 'block-4', 'block-5', 'block-6', 'block-7']);
+  assert.match(previous.story, /^In a meeting, Alice took part\./);
+});
+
+test('long items are clipped', async () => {
+  const summarizer = createLocalSummarizer();
+  const content = `Can we ${'really '.repeat(30)}ship this?`;
+  const { state } = await summarizer.summarizeAttendee({
+    attendee: ATTENDEE, meeting: PLANNING, previous: null,
+    turns: [{ turn_id: 1, content }], insights: [{ turn_id: 1, pattern: 'question' }]
+  });
+  assert.equal(state.meetings[0].raised[0].length, 120);
+  assert.ok(state.meetings[0].raised[0].endsWith('…'));
+});
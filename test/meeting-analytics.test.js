@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeAnalytics } = require('../lib/meeting-analytics');
+
+// Turns as loadMeetingTurns() builds them
+function turn(attendeeId, speaker, words, start_time, end_time) {
+  return { attendee_id: attendeeId, speaker, participant_id: attendeeId * 10, words, start_time, end_time };
+}
+
+const speaker = (analytics, name) => analytics.speakers.find(entry => entry.name === name);
+
+test('speaking time, talk share and meeting totals', () => {
+  const analytics = computeAnalytics([
+    turn(1, 'Alice', 10, 0, 6),
+    turn(2, 'Bob', 5, 7, 9),
+    turn(1, 'Alice', 4, 10, 12)
+  ]);
+
+  assert.equal(analytics.turns, 3);
+  assert.equal(analytics.words, 19);
+  assert.equal(analytics.duration_seconds, 12);
+  assert.equal(analytics.speaking_seconds, 10);
+  assert.equal(analytics.speaker_switches, 2);
+  assert.equal(analytics.interruptions, 0);
+
+  const alice = speaker(analytics, 'Alice');
+  assert.equal(alice.turns, 2);
+  assert.equal(alice.speaking_seconds, 8);
+  assert.equal(alice.talk_share, 0.8);
+  assert.equal(alice.participant_id, 10);
+  // Speakers come most talkative first
+  assert.deepEqual(analytics.speakers.map(entry => entry.name), ['Alice', 'Bob']);
+});
+
+test('response latency is the gap before answering another speaker', () => {
+  const analytics = computeAnalytics([
+    turn(1, 'Alice', 3, 0, 2),
+    turn(2, 'Bob', 3, 3, 4),
+    turn(1, 'Alice', 3, 4.5, 5),
+    turn(2, 'Bob', 3, 7, 8)
+  ]);
+  const bob = speaker(analytics, 'Bob');
+  assert.equal(bob.responses, 2);
+  assert.equal(bob.avg_response_latency_seconds, 1.5);
+  assert.equal(speaker(analytics, 'Alice').avg_response_latency_seconds, 0.5);
+});
+
+test('starting well before the previous speaker finished is an interruption', () => {
+  const analytics = computeAnalytics([
+    turn(1, 'Alice', 20, 0, 10),
+    turn(2, 'Bob', 4, 8, 11),
+    // A slight overlap is just a quick reply
+    turn(1, 'Alice', 2, 10.9, 12)
+  ]);
+  assert.equal(analytics.interruptions, 1);
+  assert.equal(speaker(analytics, 'Bob').interruptions_made, 1);
+  assert.equal(speaker(analytics, 'Alice').times_interrupted, 1);
+  assert.equal(speaker(analytics, 'Alice').interruptions_made, 0);
+  assert.equal(speaker(analytics, 'Alice').responses, 1);
+});
+
+test('consecutive turns of one speaker form a monologue', () => {
+  const analytics = computeAnalytics([
+    turn(1, 'Alice', 10, 0, 5),
+    turn(1, 'Alice', 12, 6, 14),
+    turn(2, 'Bob', 3, 15, 16),
+    turn(1, 'Alice', 2, 17, 18)
+  ]);
+  const alice = speaker(analytics, 'Alice');
+  assert.equal(alice.longest_monologue_seconds, 14);
+  assert.equal(alice.longest_monologue_words, 22);
+  assert.equal(analytics.speaker_switches, 2);
+});
+
+test('turns without timing count words and turns but no time', () => {
+  const analytics = computeAnalytics([
+    turn(1, 'Alice', 5, undefined, undefined),
+    turn(2, 'Bob', 3, 2, 4),
+    { attendee_id: null, speaker: 'Unknown speaker', participant_id: null, words: 1, start_time: 5, end_time: 4 }
+  ]);
+  assert.equal(analytics.turns, 3);
+  assert.equal(analytics.words, 9);
+  assert.equal(analytics.speaking_seconds, 2);
+  assert.equal(analytics.duration_seconds, 2);
+  assert.equal(speaker(analytics, 'Alice').speaking_seconds, 0);
+  assert.equal(speaker(analytics, 'Alice').talk_share, 0);
+  assert.equal(speaker(analytics, 'Bob').talk_share, 1);
+  // No timing on either side: no latency
+  assert.equal(speaker(analytics, 'Bob').responses, 0);
+});
+
+test('an empty meeting has zeroed totals', () => {
+  assert.deepEqual(computeAnalytics([]), {
+    turns: 0,
+    words: 0,
+    duration_seconds: 0,
+    speaking_seconds: 0,
+    speaker_switches: 0,
+    interruptions: 0,
+    speakers: []
+  });
+});
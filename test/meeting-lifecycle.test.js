@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STATUSES,
+  TERMINAL_STATUSES,
+  normalizeStatus,
+  canTransition,
+  applyStatusChange
+} = require('../lib/meeting-lifecycle');
+
+test('normalizeStatus maps Recall.ai codes and legacy values onto the lifecycle', () => {
+  assert.equal(normalizeStatus('in_call_recording'), 'recording');
+  assert.equal(normalizeStatus('in_call_not_recording'), 'in_call');
+  assert.equal(normalizeStatus('joining_call'), 'joining');
+  assert.equal(normalizeStatus('in_progress'), 'in_call');
+  assert.equal(normalizeStatus('done'), 'completed');
+  assert.equal(normalizeStatus('fatal'), 'failed');
+  assert.equal(normalizeStatus({ code: 'call_ended', sub_code: null }), 'call_ended');
+  for (const status of STATUSES) assert.equal(normalizeStatus(status), status);
+});
+
+test('normalizeStatus returns null for anything else', () => {
+  assert.equal(normalizeStatus('media_expired'), null);
+  assert.equal(normalizeStatus(''), null);
+  assert.equal(normalizeStatus(null), null);
+  assert.equal(normalizeStatus({}), null);
+});
+
+test('meetings move forward through the lifecycle', () => {
+  const path = ['joining', 'in_waiting_room', 'in_call', 'recording', 'call_ended', 'completed'];
+  for (let i = 1; i < path.length; i++) {
+    assert.ok(canTransition(path[i - 1], path[i]), `${path[i - 1]} → ${path[i]}`);
+  }
+  // Skipping ahead is fine: not every meeting has a waiting room
+  assert.ok(canTransition('joining', 'recording'));
+  assert.ok(canTransition(null, 'joining'));
+});
+
+test('transitions backwards, out of terminal states or from nothing are rejected', () => {
+  assert.equal(canTransition('completed', 'joining'), false);
+  assert.equal(canTransition('recording', 'in_call'), false);
+  assert.equal(canTransition('call_ended', 'recording'), false);
+  assert.equal(canTransition('in_call', 'completed'), false);
+  assert.equal(canTransition(null, 'recording'), false);
+  assert.equal(canTransition('unknown', 'joining'), false);
+  for (const status of TERMINAL_STATUSES) {
+    for (const to of STATUSES) assert.equal(canTransition(status, to), false, `${status} → ${to}`);
+  }
+});
+
+test('only a bot that is not in the call yet can be cancelled', () => {
+  assert.ok(canTransition('joining', 'cancelled'));
+  assert.ok(canTransition('in_waiting_room', 'cancelled'));
+  assert.equal(canTransition('in_call', 'cancelled'), false);
+  assert.equal(canTransition('recording', 'cancelled'), false);
+});
+
+test('every non-terminal state can fail', () => {
+  for (const status of STATUSES.filter(status => !TERMINAL_STATUSES.includes(status))) {
+    assert.ok(canTransition(status, 'failed'), status);
+  }
+  assert.deepEqual([...TERMINAL_STATUSES].sort(), ['cancelled', 'completed', 'failed']);
+});
+
+test('applyStatusChange rejects unknown statuses and bad timestamps before touching the database', async () => {
+  const unknown = await applyStatusChange(null, 'bot-1', 'teleported');
+  assert.equal(unknown.applied, false);
+  assert.match(unknown.reason, /unknown status "teleported"/);
+
+  const badTime = await applyStatusChange(null, 'bot-1', 'in_call', { occurredAt: 'yesterday-ish' });
+  assert.equal(badTime.applied, false);
+  assert.equal(badTime.to, 'in_call');
+  assert.match(badTime.reason, /invalid timestamp/);
+});
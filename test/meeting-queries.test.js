@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMeetingFilters } = require('../lib/meeting-queries');
+
+const USER = { id: 7, email: 'alice@example.com' };
+const BLOCK_ID = '5f0c7a52-8d6e-4f43-9d1e-2b7f3a1c9e10';
+
+const cursor = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('list filters are parsed from the query string', () => {
+  const { filters } = parseMeetingFilters({
+    status: 'in_call, completed',
+    from: '2026-10-01',
+    to: '2026-10-19T12:00:00Z',
+    invited_by: 'me',
+    attendee: ' bob@example.com ',
+    limit: '20'
+  }, USER);
+
+  assert.deepEqual(filters, {
+    limit: 20,
+    statuses: ['in_call', 'completed'],
+    from: new Date('2026-10-01T00:00:00Z'),
+    to: new Date('2026-10-19T12:00:00Z'),
+    invitedBy: 7,
+    attendee: 'bob@example.com'
+  });
+  assert.equal(parseMeetingFilters({ invited_by: '12' }, USER).filters.invitedBy, 12);
+});
+
+test('page sizes fall back to the default and are capped', () => {
+  assert.equal(parseMeetingFilters({}, USER).filters.limit, 50);
+  assert.equal(parseMeetingFilters({ limit: '0' }, USER).filters.limit, 50);
+  assert.equal(parseMeetingFilters({ limit: 'ten' }, USER).filters.limit, 50);
+  assert.equal(parseMeetingFilters({ limit: '5000' }, USER).filters.limit, 200);
+});
+
+test('a cursor carries the held-at time with its microseconds', () => {
+  const { filters } = parseMeetingFilters({ cursor: cursor(['2026-10-19 12:00:00.123456+00', BLOCK_ID]) }, USER);
+  assert.deepEqual(filters.cursor, { heldAt: '2026-10-19 12:00:00.123456+00', blockId: BLOCK_ID });
+});
+
+test('invalid filters are reported to the caller', () => {
+  assert.match(parseMeetingFilters({ status: 'completed,finished' }, USER).error, /Unknown status "finished"/);
+  assert.equal(parseMeetingFilters({ from: 'last week' }, USER).error, 'from must be an ISO 8601 date');
+  assert.match(parseMeetingFilters({ invited_by: 'bob' }, USER).error, /invited_by/);
+  assert.match(parseMeetingFilters({ attendee: '  ' }, USER).error, /attendee/);
+
+  for (const bad of ['not-base64!', cursor(['yesterday', BLOCK_ID]), cursor(['2026-10-19 12:00:00+00', "x' OR 1=1"]), cursor({})]) {
+    assert.equal(parseMeetingFilters({ cursor: bad }, USER).error, 'Invalid cursor', bad);
+  }
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractSummary } = require('../lib/meeting-summary');
+const { createLocalSummarizer } = require('../lib/summarizers/local');
+
+// Turns as loadTurns() returns them
+function turns(lines) {
+  return lines.map(([speaker, content], i) => ({
+    turn_id: i + 1,
+    sequence_order: i + 1,
+    speaker,
+    attendee_id: speaker === 'Alice' ? 11 : 12,
+    participant_id: speaker === 'Alice' ? '101' : null,
+    content
+  }));
+}
+
+const MEETING = turns([
+  ['Alice', 'The database migration finished overnight.'],
+  ['Bob', 'Good, the migration looked clean.'],
+  ['Alice', "Let's go with a Tuesday cutover."],
+  ['Bob', "Moving on, hiring for the frontend role. I'll send the job post by Friday."],
+  ['Alice', 'Who owns the interview loop?'],
+  ['Alice', 'Who is on the panel?'],
+  ['Bob', 'Frontend hiring needs two more interviewers.']
+]);
+
+const INSIGHTS = [
+  { turn_id: 3, pattern: 'decision' },
+  { turn_id: 4, pattern: 'topic_shift' },
+  { turn_id: 4, pattern: 'commitment' },
+  { turn_id: 5, pattern: 'question' },
+  { turn_id: 6, pattern: 'question' }
+];
+
+test('topic shifts split the meeting into titled sections', () => {
+  const summary = extractSummary(MEETING, INSIGHTS);
+  assert.equal(summary.turns, 7);
+  assert.deepEqual(summary.speakers, ['Alice', 'Bob']);
+  assert.deepEqual(summary.sections.map(section => [section.title, section.start_sequence, section.end_sequence, section.turns]), [
+    ['migration, clean, cutover', 1, 3, 3],
+    ['frontend, hiring, friday', 4, 7, 4]
+  ]);
+  assert.deepEqual(summary.sections[1].speakers, ['Bob', 'Alice']);
+});
+
+test('decisions and commitments are lifted out with their speakers', () => {
+  const summary = extractSummary(MEETING, INSIGHTS);
+  assert.deepEqual(summary.decisions, [
+    { turn_id: 3, sequence_order: 3, speaker: 'Alice', participant_id: 101, text: "Let's go with a Tuesday cutover." }
+  ]);
+  assert.equal(summary.action_items.length, 1);
+  const [item] = summary.action_items;
+  assert.equal(item.owner, 'Bob');
+  assert.equal(item.owner_attendee_id, 12);
+  assert.equal(item.participant_id, null);
+  assert.equal(item.due_hint, 'by Friday');
+});
+
+test('a question is open unless someone else answers it within two turns', () => {
+  const summary = extractSummary(MEETING, INSIGHTS);
+  // Turn 5 is followed by another question from Alice, then Bob's answer; turn 6 is answered by Bob
+  assert.deepEqual(summary.open_questions, []);
+
+  const unanswered = turns([
+    ['Alice', 'Who owns the interview loop?'],
+    ['Alice', 'Anyone?'],
+    ['Alice', 'OK, I will find out.']
+  ]);
+  const open = extractSummary(unanswered, [{ turn_id: 1, pattern: 'question' }, { turn_id: 2, pattern: 'question' }]).open_questions;
+  assert.deepEqual(open.map(question => question.text), ['Who owns the interview loop?', 'Anyone?']);
+});
+
+test('a meeting without turns has no sections', () => {
+  assert.deepEqual(extractSummary([], []), {
+    sections: [], decisions: [], open_questions: [], action_items: [], speakers: [], turns: 0
+  });
+});
+
+test('the local summarizer narrates the extracted summary', async () => {
+  const summary = extractSummary(MEETING, INSIGHTS);
+  const { story } = await createLocalSummarizer().summarizeMeeting({ meeting: { name: 'Weekly sync' }, summary });
+  assert.equal(story, [
+    '"Weekly sync" brought together Alice and Bob over 7 turns.',
+    'The conversation moved through 2 parts: migration, clean, cutover; then frontend, hiring, friday.',
+    'Decided: Alice: "Let\'s go with a Tuesday cutover.".',
+    'Action items: Bob: "Moving on, hiring for the frontend role. I\'ll send the job post by Friday." (by Friday).'
+  ].join('\n\n'));
+
+  const empty = await createLocalSummarizer().summarizeMeeting({ meeting: { name: null }, summary: extractSummary([], []) });
+  assert.equal(empty.story, 'The meeting had no recorded conversation.');
+});
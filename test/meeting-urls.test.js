@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMeetingUrl, findMeetingUrl, MeetingUrlError } = require('../lib/meeting-urls');
+
+const TEAMS_THREAD = '19:meeting_NjQ2ZGE3@thread.v2';
+const TEAMS_JOIN = `https://teams.microsoft.com/l/meetup-join/${encodeURIComponent(TEAMS_THREAD)}/0?context=%7b%7d`;
+
+test('Zoom links normalize to one key per meeting', () => {
+  const direct = parseMeetingUrl('https://us02web.zoom.us/j/85712345678?pwd=abc123&uname=Alice');
+  assert.deepEqual(direct, {
+    platform: 'zoom',
+    key: 'zoom:85712345678',
+    url: 'https://us02web.zoom.us/j/85712345678?pwd=abc123',
+    passcode: 'abc123'
+  });
+  assert.equal(parseMeetingUrl('acme.zoom.us/wc/join/85712345678').key, direct.key);
+  assert.equal(parseMeetingUrl('https://zoom.us/wc/85712345678/join').key, direct.key);
+  assert.equal(parseMeetingUrl('https://acme.zoom.us/my/Alice.Chen').key, 'zoom:my:alice.chen');
+});
+
+test('Google Meet codes are normalized with or without dashes', () => {
+  const meet = parseMeetingUrl('https://meet.google.com/ABCDEFGHIJ?authuser=1');
+  assert.deepEqual(meet, {
+    platform: 'google_meet',
+    key: 'google_meet:abc-defg-hij',
+    url: 'https://meet.google.com/abc-defg-hij',
+    passcode: null
+  });
+  assert.equal(parseMeetingUrl('https://meet.google.com/lookup/team-sync').key, 'google_meet:lookup:team-sync');
+});
+
+test('Teams join, launcher and short links are recognized', () => {
+  const join = parseMeetingUrl(TEAMS_JOIN);
+  assert.equal(join.platform, 'teams');
+  assert.equal(join.key, `teams:${TEAMS_THREAD.toLowerCase()}`);
+
+  const launcher = parseMeetingUrl('https://teams.microsoft.com/dl/launcher/launcher.html?url=' +
+    encodeURIComponent(`/_#/l/meetup-join/${encodeURIComponent(TEAMS_THREAD)}/0?context=%7b%7d`) + '&type=meetup-join');
+  assert.equal(launcher.key, join.key);
+
+  const short = parseMeetingUrl('https://teams.microsoft.com/meet/2345678901234?p=XyZ123');
+  assert.deepEqual(short, {
+    platform: 'teams',
+    key: 'teams:meet:2345678901234',
+    url: 'https://teams.microsoft.com/meet/2345678901234?p=XyZ123',
+    passcode: 'XyZ123'
+  });
+});
+
+test('malformed Teams links are reported as bad meeting URLs', () => {
+  assert.throws(() => parseMeetingUrl('https://teams.microsoft.com/dl/launcher/launcher.html?url=http%3A%2F%2F%5B'), MeetingUrlError);
+  assert.throws(() => parseMeetingUrl('https://teams.microsoft.com/l/meetup-join/19%3A%E0%A4%A/0'), MeetingUrlError);
+  assert.throws(() => parseMeetingUrl('https://teams.microsoft.com/l/channel/abc'), MeetingUrlError);
+});
+
+test('Webex meeting and room links are recognized', () => {
+  assert.deepEqual(parseMeetingUrl('https://acme.webex.com/acme/j.php?MTID=m0123abcd&foo=1'), {
+    platform: 'webex',
+    key: 'webex:m0123abcd',
+    url: 'https://acme.webex.com/acme/j.php?MTID=m0123abcd',
+    passcode: null
+  });
+  assert.equal(parseMeetingUrl('https://acme.webex.com/meet/Alice.Chen').key, 'webex:acme.webex.com:alice.chen');
+});
+
+test('redirect wrappers are unwrapped', () => {
+  const safelink = 'https://nam02.safelinks.protection.outlook.com/?url=' +
+    encodeURIComponent('https://us02web.zoom.us/j/85712345678') + '&data=xyz';
+  assert.equal(parseMeetingUrl(safelink).key, 'zoom:85712345678');
+  const google = `https://www.google.com/url?q=${encodeURIComponent('https://meet.google.com/abc-defg-hij')}&sa=D`;
+  assert.equal(parseMeetingUrl(google).key, 'google_meet:abc-defg-hij');
+});
+
+test('empty, invalid and unsupported links are refused', () => {
+  for (const input of ['', '   ', 'http://', 'https://example.com/j/85712345678', 'ftp://zoom.us/j/85712345678',
+    'https://zoom.us/pricing', 'https://meet.google.com/not-a-code', 'https://zoom.us.evil.com/j/85712345678']) {
+    assert.throws(() => parseMeetingUrl(input), MeetingUrlError, input);
+  }
+  assert.throws(() => parseMeetingUrl('https://example.com'), /use a Zoom, Google Meet, Microsoft Teams or Webex link/);
+});
+
+test('findMeetingUrl picks the first meeting link out of free text', () => {
+  const found = findMeetingUrl(
+    'Room 4',
+    'Agenda: https://docs.example.com/agenda.\nJoin: <https://meet.google.com/abc-defg-hij>, or dial in.'
+  );
+  assert.equal(found.key, 'google_meet:abc-defg-hij');
+  assert.equal(findMeetingUrl(null, 'No link here', 'https://example.com'), null);
+  assert.equal(findMeetingUrl('Join (https://us02web.zoom.us/j/85712345678).').url, 'https://us02web.zoom.us/j/85712345678');
+});
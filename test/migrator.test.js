@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMigrator, discoverMigrations, MigrationError } = require('../lib/migrator');
+
+// A migrations directory holding files { name: sql }
+function migrationsDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, sql] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), sql);
+  return dir;
+}
+
+// Answers the ledger lookups of status() and dry runs from ledger rows
+function ledgerPool(rows) {
+  return {
+    async query(sql) {
+      if (sql.includes('to_regclass')) return { rows: [{ present: rows !== null }] };
+      if (sql.includes('FROM public.schema_migrations')) return { rows };
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+const FILES = {
+  '001_initial.sql': '-- Migration: Initial schema\nCREATE TABLE a (id INT);\n',
+  '002_add_b.sql': '-- Add table b\nCREATE TABLE b (id INT);\n',
+  '010_add_c.sql': 'CREATE TABLE c (id INT);\n',
+  'README.md': 'not a migration',
+  '3_notes.txt': 'not a migration either'
+};
+
+test('migration files are found in numeric order with titles and checksums', t => {
+  const migrations = discoverMigrations(migrationsDir(t, FILES));
+  assert.deepEqual(migrations.map(migration => [migration.version, migration.name, migration.title]), [
+    ['001', '001_initial.sql', 'Initial schema'],
+    ['002', '002_add_b.sql', 'Add table b'],
+    ['010', '010_add_c.sql', '']
+  ]);
+  // Line endings don't change the checksum
+  const crlf = discoverMigrations(migrationsDir(t, { '001_initial.sql': FILES['001_initial.sql'].replace(/\n/g, '\r\n') }));
+  assert.equal(crlf[0].checksum, migrations[0].checksum);
+});
+
+test('two files with one version are refused', t => {
+  const dir = migrationsDir(t, { '001_a.sql': 'SELECT 1;', '01_b.sql': 'SELECT 2;' });
+  assert.throws(() => discoverMigrations(dir), error => error instanceof MigrationError && /share version/.test(error.message));
+});
+
+test('the shipped migrations have unique versions, prerequisites first', () => {
+  const migrations = discoverMigrations();
+  const names = migrations.map(migration => migration.name);
+  assert.ok(names.includes('017_meeting_tables_prerequisites.sql'));
+  assert.ok(names.indexOf('017_meeting_tables_prerequisites.sql') < names.findIndex(name => name.startsWith('018_')));
+});
+
+test('status compares the ledger with the files', async t => {
+  const dir = migrationsDir(t, FILES);
+  const [initial, addB] = discoverMigrations(dir);
+  const migrator = createMigrator({
+    pool: ledgerPool([
+      { version: '001', name: initial.name, checksum: initial.checksum, baseline: true, applied_at: 'then' },
+      { version: '002', name: addB.name, checksum: 'edited', baseline: false, applied_at: 'then' },
+      { version: '005', name: '005_removed.sql', checksum: 'x', baseline: false, applied_at: 'then' }
+    ]),
+    dir
+  });
+
+  const entries = await migrator.status();
+  assert.deepEqual(entries.map(entry => [entry.name, entry.state]), [
+    ['001_initial.sql', 'applied'],
+    ['002_add_b.sql', 'changed'],
+    ['005_removed.sql', 'missing'],
+    ['010_add_c.sql', 'pending']
+  ]);
+  // An edited migration blocks the run
+  await assert.rejects(migrator.up({ dryRun: true }), /Applied migrations were edited: 002_add_b.sql/);
+});
+
+test('a dry run lists pending migrations, including ones numbered below applied ones', async t => {
+  const dir = migrationsDir(t, FILES);
+  const [, addB] = discoverMigrations(dir);
+  const logged = [];
+  const migrator = createMigrator({
+    pool: ledgerPool([{ version: '002', name: addB.name, checksum: addB.checksum, baseline: false, applied_at: 'then' }]),
+    dir,
+    log: line => logged.push(line)
+  });
+
+  const planned = await migrator.up({ dryRun: true });
+  assert.deepEqual(planned.map(migration => migration.name), ['001_initial.sql', '010_add_c.sql']);
+  assert.match(logged[0], /^Would apply 001_initial.sql \(Initial schema\) \[[0-9a-f]{12}\]$/);
+
+  assert.deepEqual((await migrator.up({ dryRun: true, to: 5 })).map(migration => migration.name), ['001_initial.sql']);
+
+  // Without a ledger everything is pending
+  const fresh = createMigrator({ pool: ledgerPool(null), dir, log: () => {} });
+  assert.equal((await fresh.up({ dryRun: true })).length, 3);
+});
+
+test('baseline refuses a version with nothing to record', async t => {
+  const migrator = createMigrator({ pool: ledgerPool(null), dir: migrationsDir(t, { '005_a.sql': 'SELECT 1;' }), log: () => {} });
+  await assert.rejects(migrator.baseline(3, { dryRun: true }), /No migrations at or below version 3/);
+  assert.deepEqual((await migrator.baseline(5, { dryRun: true })).map(migration => migration.name), ['005_a.sql']);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RULE_ANALYZERS } = require('../lib/analyzers/rules');
+
+const analyzer = name => RULE_ANALYZERS.find(entry => entry.name === name);
+
+function detect(name, content, recentTurns = []) {
+  return analyzer(name).analyze({ content }, { recentTurns: recentTurns.map(text => ({ content: text })) });
+}
+
+test('punctuated questions are picked out sentence by sentence', () => {
+  const [detection] = detect('questions', 'The schema is done. Can we cut over Tuesday? I think so.');
+  assert.equal(detection.pattern, 'question');
+  assert.equal(detection.confidence, 0.9);
+  assert.deepEqual(detection.details.questions, ['Can we cut over Tuesday?']);
+});
+
+test('unpunctuated questions are found with lower confidence', () => {
+  const [detection] = detect('questions', 'how long will the migration take');
+  assert.equal(detection.confidence, 0.5);
+  assert.deepEqual(detection.details.questions, ['how long will the migration take']);
+  // A statement ending in a period is not a question, whatever it starts with
+  assert.deepEqual(detect('questions', 'How we ship is up to the team.'), []);
+  assert.deepEqual(detect('questions', 'We shipped it'), []);
+});
+
+test('decision, commitment and disagreement phrases are detected', () => {
+  assert.deepEqual(detect('decisions', "OK, let's go with the managed database."), [
+    { pattern: 'decision', confidence: 0.7, details: { phrase: "let's go with" } }
+  ]);
+  assert.equal(detect('commitments', "I'll send the notes after the call.")[0].pattern, 'commitment');
+  assert.equal(detect('commitments', 'Let me follow up with legal.')[0].details.phrase, 'Let me follow up');
+  assert.equal(detect('disagreements', "Honestly, I'd push back on that timeline.")[0].pattern, 'disagreement');
+
+  assert.deepEqual(detect('decisions', 'We should decide next week.'), []);
+  assert.deepEqual(detect('commitments', 'Someone will send the notes.'), []);
+  assert.deepEqual(detect('disagreements', 'I agree completely.'), []);
+});
+
+test('explicit transition phrases mark a topic shift', () => {
+  const [detection] = detect('topic_shifts', 'Great. Moving on to hiring.');
+  assert.equal(detection.confidence, 0.8);
+  assert.equal(detection.details.phrase, 'Moving on');
+});
+
+test('a turn sharing no vocabulary with the recent conversation is a topic shift', () => {
+  const recent = [
+    'The database migration finished overnight',
+    'Did the migration touch the billing tables',
+    'Only the billing indexes were rebuilt',
+    'Then the database cutover can happen Tuesday',
+    'Tuesday works for the cutover window'
+  ];
+  const [detection] = detect('topic_shifts', 'Marketing wants new office furniture purchased quickly', recent);
+  assert.equal(detection.confidence, 0.5);
+  assert.equal(detection.details.overlap, 0);
+  assert.ok(detection.details.keywords.includes('marketing'));
+
+  // Sharing the conversation's words is not a shift
+  assert.deepEqual(detect('topic_shifts', 'The billing database cutover still needs a rollback plan', recent), []);
+  // Too little context, or too short a turn, to judge
+  assert.deepEqual(detect('topic_shifts', 'Marketing wants new office furniture purchased quickly', recent.slice(0, 3)), []);
+  assert.deepEqual(detect('topic_shifts', 'Sounds good', recent), []);
+});
@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchPublic, isPublicAddress, PublicFetchError } = require('../lib/public-fetch');
+
+test('only public addresses may be fetched', async () => {
+  assert.equal(isPublicAddress('8.8.8.8'), true);
+  assert.equal(isPublicAddress('2606:4700::1111'), true);
+  for (const address of ['127.0.0.1', '10.1.2.3', '169.254.169.254', '192.168.1.1', '100.64.0.1', '::1', 'fd00::1', '::ffff:127.0.0.1', 'example.com']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+
+  await assert.rejects(fetchPublic('http://169.254.169.254/latest/meta-data/'), PublicFetchError);
+  await assert.rejects(fetchPublic('http://[::1]:8080/'), PublicFetchError);
+  await assert.rejects(fetchPublic('file:///etc/passwd'), PublicFetchError);
+  // Names are checked as they resolve
+  await assert.rejects(fetchPublic('http://localhost:9/calendar.ics'), PublicFetchError);
+});
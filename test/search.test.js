@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEmbedder, DIMENSIONS } = require('../lib/embeddings');
+const { parseSearchQuery } = require('../lib/turn-search');
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+test('the local embedder is deterministic and unit length', async () => {
+  const embedder = createEmbedder('local');
+  assert.equal(embedder.model, 'local-hash-v2');
+  assert.equal(embedder.dimensions, DIMENSIONS);
+
+  const [a, b, empty] = await embedder.embed(['We approved the Q4 budget.', 'We approved the Q4 budget.', 'um, the, and']);
+  assert.equal(a.length, DIMENSIONS);
+  assert.deepEqual(a, b);
+  assert.ok(Math.abs(dot(a, a) - 1) < 1e-9);
+  // Nothing but stopwords still gives a unit vector
+  assert.ok(Math.abs(dot(empty, empty) - 1) < 1e-9);
+});
+
+test('texts sharing vocabulary embed closer than unrelated ones', async () => {
+  const [query, related, inflected, unrelated] = await createEmbedder('local').embed([
+    'budget for the marketing team',
+    'the marketing budget was approved',
+    'budgeting marketing teams',
+    'the office printer is jammed again'
+  ]);
+  assert.ok(dot(query, related) > dot(query, unrelated));
+  // Suffixes are stripped, so inflections share buckets
+  assert.ok(dot(query, inflected) > 0.5);
+  assert.ok(Math.abs(dot(query, unrelated)) < 0.2);
+});
+
+test('search queries are validated', () => {
+  assert.deepEqual(parseSearchQuery({ q: '  budget  ' }), { search: { text: 'budget', mode: 'text', limit: 20, offset: 0 } });
+
+  const { search } = parseSearchQuery({
+    q: 'budget',
+    mode: 'semantic',
+    meeting: '5f0c7a52-8d6e-4f43-9d1e-2b7f3a1c9e10',
+    speaker: 'alice@example.com',
+    from: '2026-10-01',
+    min_similarity: '0.3',
+    limit: '500',
+    offset: '40'
+  });
+  assert.equal(search.limit, 100);
+  assert.equal(search.offset, 40);
+  assert.equal(search.minSimilarity, 0.3);
+  assert.deepEqual(search.from, new Date('2026-10-01T00:00:00Z'));
+
+  assert.equal(parseSearchQuery({}).error, 'q is required');
+  assert.match(parseSearchQuery({ q: 'x', mode: 'fuzzy' }).error, /Unknown mode "fuzzy"/);
+  assert.equal(parseSearchQuery({ q: 'x', meeting: "1' OR '1'='1" }).error, 'meeting must be a meeting id');
+  assert.equal(parseSearchQuery({ q: 'x', speaker: ' ' }).error, 'speaker must not be empty');
+  assert.equal(parseSearchQuery({ q: 'x', to: 'soon' }).error, 'to must be an ISO 8601 date');
+  assert.match(parseSearchQuery({ q: 'x', min_similarity: '2' }).error, /between -1 and 1/);
+});
@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  UNKNOWN_SPEAKER,
+  resolveParticipant,
+  linkAttendeeParticipant,
+  getOrCreateAttendee,
+  reassignAttendee,
+  mergeParticipants
+} = require('../lib/speaker-identity');
+
+/**
+ * A client over known aliases (lower-cased alias → participant id) and
+ * participants ({ id, name, email }); find_participant_id() matches either.
+ * queries records every statement as [sql, params].
+ */
+function stubClient({ aliases = {}, participants = [] } = {}) {
+  const queries = [];
+  const attendees = [];
+  let nextParticipant = 500;
+
+  async function query(sql, params = []) {
+    queries.push([sql, params]);
+    if (sql.includes('FROM participant_aliases WHERE lower(alias)')) {
+      const id = aliases[params[0].toLowerCase()];
+      return { rows: id ? [{ participant_id: id }] : [] };
+    }
+    if (sql.includes('find_participant_id')) {
+      const identifier = params[0].toLowerCase();
+      const match = participants.find(p => p.name.toLowerCase() === identifier || (p.email || '').toLowerCase() === identifier);
+      return { rows: [{ id: match ? match.id : null }] };
+    }
+    if (sql.includes('INSERT INTO conversation.participants')) return { rows: [{ id: nextParticipant++ }] };
+    if (sql.includes('INSERT INTO block_attendees')) {
+      const [blockId, name] = params;
+      let attendee = attendees.find(row => row.block_id === blockId && row.name === name);
+      if (!attendee) {
+        attendee = { id: attendees.length + 1, block_id: blockId, name, email: null, participant_id: null };
+        attendees.push(attendee);
+      }
+      return { rows: [{ ...attendee }] };
+    }
+    if (sql.includes('UPDATE block_attendees SET participant_id = $2 WHERE id = $1')) {
+      const attendee = attendees.find(row => row.id === params[0]) || { id: params[0] };
+      attendee.participant_id = params[1];
+      return { rows: [{ ...attendee }] };
+    }
+    return { rows: [], rowCount: 0 };
+  }
+
+  return { queries, attendees, query, release() {} };
+}
+
+const ran = (client, fragment) => client.queries.filter(([sql]) => sql.includes(fragment));
+
+test('speakers resolve by alias, then by name, and are created when unknown', async t => {
+  t.mock.method(console, 'log', () => {});
+  const client = stubClient({
+    aliases: { 'al': 7 },
+    participants: [{ id: 8, name: 'Bob Martinez', email: null }]
+  });
+
+  assert.equal(await resolveParticipant(client, { name: 'Al' }), 7);
+  assert.equal(await resolveParticipant(client, { name: 'bob martinez' }), 8);
+  assert.equal(await resolveParticipant(client, { name: 'Carol' }), 500);
+  assert.deepEqual(ran(client, 'INSERT INTO conversation.participants')[0][1].slice(0, 2), ['Carol', null]);
+  // Each resolution holds the lock for its name
+  assert.deepEqual(ran(client, 'pg_advisory_xact_lock').map(([, params]) => params[0]), ['Al', 'bob martinez', 'Carol']);
+});
+
+test('an email identifies the speaker before their name does', async () => {
+  const client = stubClient({
+    participants: [{ id: 8, name: 'Alex', email: null }, { id: 9, name: 'Alexandra Ivanova', email: 'alex@example.com' }]
+  });
+
+  assert.equal(await resolveParticipant(client, { name: 'Alex', email: 'alex@example.com' }), 9);
+  assert.deepEqual(ran(client, 'find_participant_id').map(([, params]) => params[0]), ['alex@example.com']);
+  assert.deepEqual(ran(client, 'pg_advisory_xact_lock')[0][1], ['alex@example.com']);
+});
+
+test('an unnamed attendee is never linked to a participant', async t => {
+  t.mock.method(console, 'log', () => {});
+  const client = stubClient({ participants: [{ id: 3, name: UNKNOWN_SPEAKER, email: null }] });
+
+  const unnamed = { id: 1, block_id: 'block-1', name: UNKNOWN_SPEAKER, email: null, participant_id: null };
+  assert.equal(await linkAttendeeParticipant(client, unnamed), unnamed);
+  assert.deepEqual(client.queries, []);
+
+  // A named speaker is still linked
+  const named = await linkAttendeeParticipant(client, { id: 2, block_id: 'block-1', name: 'Alice', email: null, participant_id: null });
+  assert.equal(named.participant_id, 500);
+});
+
+test('unnamed speakers share one unlinked attendee per meeting', async () => {
+  const client = stubClient();
+
+  const first = await getOrCreateAttendee(client, 'block-1', null);
+  const second = await getOrCreateAttendee(client, 'block-1', '');
+  const elsewhere = await getOrCreateAttendee(client, 'block-2', undefined);
+  assert.equal(first.name, UNKNOWN_SPEAKER);
+  assert.equal(second.id, first.id);
+  assert.notEqual(elsewhere.id, first.id);
+  assert.ok([first, second, elsewhere].every(attendee => attendee.participant_id === null));
+  assert.deepEqual(ran(client, 'find_participant_id'), []);
+});
+
+test('reassigning an unnamed attendee does not make "Unknown speaker" an alias', async () => {
+  const attendees = {
+    1: { id: 1, block_id: 'block-1', name: UNKNOWN_SPEAKER, participant_id: null },
+    2: { id: 2, block_id: 'block-1', name: 'Bobby', participant_id: 4 }
+  };
+  const client = stubClient();
+  const query = client.query;
+  client.query = async (sql, params) => {
+    if (sql.includes('SELECT * FROM block_attendees WHERE id = $1')) return { rows: [attendees[params[0]]] };
+    if (sql.includes('FROM conversation.participants WHERE id = $1 AND is_active')) return { rows: [{ id: params[0] }] };
+    return query(sql, params);
+  };
+  const pool = { connect: async () => client };
+
+  assert.equal((await reassignAttendee(pool, 1, 9)).participant_id, 9);
+  assert.deepEqual(ran(client, 'INSERT INTO participant_aliases'), []);
+
+  await reassignAttendee(pool, 2, 9);
+  assert.deepEqual(ran(client, 'INSERT INTO participant_aliases').map(([, params]) => params), [[9, 'Bobby']]);
+});
+
+test('merging moves attendees, turns and aliases and deactivates the merged participant', async () => {
+  const client = stubClient();
+  const query = client.query;
+  client.query = async (sql, params) => {
+    if (sql.includes('FROM conversation.participants WHERE id = ANY($1)')) {
+      return { rows: [{ id: 4, name: 'Bobby', email: 'bob@example.com', patterns: { question: 2 } }, { id: 9, name: 'Bob', email: null }] };
+    }
+    if (sql.includes('UPDATE block_attendees SET participant_id')) return { rows: [], rowCount: 2 };
+    if (sql.includes('UPDATE conversation.turns SET participant_id')) return { rows: [], rowCount: 14 };
+    return query(sql, params);
+  };
+
+  const merged = await mergeParticipants({ connect: async () => client }, 4, 9);
+  assert.deepEqual(merged, { participant_id: 9, merged_participant_id: 4, attendees_moved: 2, turns_moved: 14 });
+  assert.deepEqual(ran(client, 'UPDATE participant_aliases')[0][1], [4, 9]);
+  assert.deepEqual(ran(client, 'INSERT INTO participant_aliases')[0][1], [9, 'Bobby']);
+  // The email and patterns carry over; the old participant is kept, pointing at the new one
+  assert.deepEqual(ran(client, 'SET patterns')[0][1], [9, { question: 2 }, 'bob@example.com']);
+  assert.deepEqual(ran(client, 'SET is_active = false')[0][1], [4, 9]);
+
+  await assert.rejects(mergeParticipants({ connect: async () => client }, 9, '9'), /into itself/);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStoryEngine } = require('../lib/story-engine');
+const { createLocalSummarizer } = require('../lib/summarizers/local');
+
+const ACQUISITION = '5f0c7a52-8d6e-4f43-9d1e-2b7f3a1c9e10';
+const INTERVIEW = '8b7e1c3a-0d52-4c7e-9f43-6a1d2e3b4c5d';
+const OFFSITE = '2d4c6e8a-1b3d-4f5a-8c7e-9a0b1c2d3e4f';
+
+// Meeting → its name and the users who can access it
+const MEETINGS = {
+  [ACQUISITION]: { name: 'Acquisition', users: [1] },
+  [INTERVIEW]: { name: 'Interview', users: [2] },
+  [OFFSITE]: { name: 'Offsite', users: [1] }
+};
+const INVITERS = { 1: 'carol@example.com', 2: 'dave@example.com' };
+
+/**
+ * A pool for folding one attendee of participant 101 (Alice) into blockId,
+ * whose inviter is inviterId. earlier is Alice's version in the acquisition
+ * meeting; identified says whether the attendee was matched by email.
+ */
+function stubPool({ blockId, inviterId, earlier, identified = true }) {
+  const attendee = { id: 21, block_id: blockId, name: 'Alice', participant_id: 101, email: identified ? 'alice@example.com' : null };
+  const inserted = [];
+  const query = async (sql, params) => {
+    if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql)) return { rows: [] };
+    if (sql.includes('FROM blocks WHERE block_id')) return { rows: [{ block_id: blockId, name: MEETINGS[blockId].name }] };
+    if (sql.includes('SELECT * FROM block_attendees WHERE block_id')) return { rows: [attendee] };
+    if (sql.includes('FROM block_turns bt')) {
+      return { rows: [{ turn_id: 't-2', content: 'Can we move the offsite to March?', sequence_order: 1 }] };
+    }
+    if (sql.includes('AS inviter_id')) {
+      return { rows: [{ inviter_id: inviterId, inviter_email: INVITERS[inviterId], identified }] };
+    }
+    if (sql.includes('WHERE attendee_id = $1')) return { rows: [] };
+    if (sql.includes('WITH RECURSIVE chain')) {
+      return { rows: [{ ...earlier, source_block_ids: [ACQUISITION], identified: true }] };
+    }
+    if (sql.includes('bm.block_id = ANY($3::uuid[])')) {
+      const [userId, , blockIds] = params;
+      return { rows: blockIds.filter(id => MEETINGS[id].users.includes(userId)).map(id => ({ block_id: id })) };
+    }
+    if (sql.includes('FROM meeting_insights')) return { rows: [{ turn_id: 't-2', pattern: 'question' }] };
+    if (sql.includes('INSERT INTO attendee_story_versions')) {
+      const [, , , version, story, state, , carriedFrom] = params;
+      inserted.push({ version, story, state, carried_from: carriedFrom });
+      return { rows: [inserted[inserted.length - 1]] };
+    }
+    if (sql.includes('UPDATE block_attendees SET story')) return { rows: [] };
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  return { inserted, query, connect: async () => ({ query, release() {} }) };
+}
+
+// Alice's story from the acquisition meeting, where she asked about the price
+async function acquisitionVersion(summarizer) {
+  const { story, state } = await summarizer.summarizeAttendee({
+    attendee: { name: 'Alice' },
+    meeting: { block_id: ACQUISITION, name: 'Acquisition' },
+    previous: null,
+    turns: [{ turn_id: 't-1', content: 'Is the Initech purchase price final?' }],
+    insights: [{ turn_id: 't-1', pattern: 'question' }]
+  });
+  return { id: 7, attendee_id: 11, block_id: ACQUISITION, participant_id: 101, version: 1, story, state };
+}
+
+test('a story only follows its participant into meetings whose inviter can see where it came from', async () => {
+  const summarizer = createLocalSummarizer();
+  const earlier = await acquisitionVersion(summarizer);
+  assert.match(earlier.story, /Initech/);
+
+  // Dave invited Alice to an interview; he can't see the acquisition meeting
+  const interview = stubPool({ blockId: INTERVIEW, inviterId: 2, earlier });
+  await createStoryEngine({ pool: interview, summarizer }).foldMeeting(INTERVIEW);
+  const [fresh] = interview.inserted;
+  assert.equal(fresh.carried_from, null);
+  assert.doesNotMatch(fresh.story, /Initech|Acquisition/);
+  assert.deepEqual(fresh.state.meetings.map(meeting => meeting.block_id), [INTERVIEW]);
+
+  // Carol invited her to both
+  const offsite = stubPool({ blockId: OFFSITE, inviterId: 1, earlier });
+  await createStoryEngine({ pool: offsite, summarizer }).foldMeeting(OFFSITE);
+  const [carried] = offsite.inserted;
+  assert.equal(carried.carried_from, 7);
+  assert.match(carried.story, /Initech/);
+  assert.deepEqual(carried.state.meetings.map(meeting => meeting.block_id), [ACQUISITION, OFFSITE]);
+});
+
+test('an attendee matched by name alone starts a new story', async () => {
+  const summarizer = createLocalSummarizer();
+  const pool = stubPool({ blockId: OFFSITE, inviterId: 1, earlier: await acquisitionVersion(summarizer), identified: false });
+  await createStoryEngine({ pool, summarizer }).foldMeeting(OFFSITE);
+  assert.equal(pool.inserted[0].carried_from, null);
+  assert.doesNotMatch(pool.inserted[0].story, /Initech/);
+});
@@ -0,0 +1,12 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { contentWords, DUE_PHRASES } = require('../lib/text');
+
+test('content words and due phrases are shared by the heuristics', () => {
+  assert.deepEqual(contentWords("I think we'll ship the Q4 budget, OK?"), ['ship', 'budget']);
+  assert.deepEqual(contentWords('The new API is out', 3), []);
+  assert.deepEqual(contentWords('The new API is out'), ['new', 'api']);
+  assert.equal("I'll send it by the end of the week.".match(DUE_PHRASES)[0], 'by the end of the week');
+  assert.equal('Draft due next Thursday'.match(DUE_PHRASES)[0], 'next Thursday');
+  assert.equal('Happy Friday'.match(DUE_PHRASES), null);
+});
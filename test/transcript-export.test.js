@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { exportTranscript, resolveFormat } = require('../lib/transcript-export');
+
+const BLOCK_ID = '5f0c7a52-8d6e-4f43-9d1e-2b7f3a1c9e10';
+
+const MEETING = {
+  block_id: BLOCK_ID,
+  name: 'Weekly <sync> --> Q4',
+  meeting_url: 'https://meet.google.com/abc-defg-hij',
+  platform: 'google_meet',
+  status: 'completed',
+  started_at: '2026-10-19T12:00:00.000Z',
+  ended_at: '2026-10-19T12:30:00.000Z',
+  created_at: '2026-10-19T11:58:00.000Z'
+};
+
+const ATTENDEES = [
+  { id: 11, name: 'Alice', email: 'alice@example.com', participant_id: 101 },
+  { id: 12, name: 'Bob', email: null, participant_id: null }
+];
+
+function turn(turn_id, speaker, content, start_time, end_time, timestamp = null) {
+  return { turn_id, sequence_order: turn_id, speaker, attendee_id: speaker === 'Alice' ? 11 : 12, content, start_time, end_time, timestamp };
+}
+
+// Answers the meeting and turn lookups exportTranscript makes
+function stubPool(turns, meeting = MEETING) {
+  return {
+    async query(sql, params) {
+      if (sql.includes('block_meeting_status_history')) return { rows: [] };
+      if (sql.includes('FROM block_attendees')) return { rows: ATTENDEES };
+      if (sql.includes('SELECT 1 FROM block_meetings')) return { rows: meeting ? [{}] : [] };
+      if (sql.includes('FROM block_meetings')) return { rows: meeting ? [meeting] : [] };
+      if (sql.includes('FROM block_turns')) {
+        const [, after, limit] = params;
+        return { rows: turns.filter(row => row.sequence_order > after).slice(0, limit) };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+const TURNS = [
+  turn(1, 'Alice', 'Shall we start?', 1.5, 2.75),
+  turn(2, 'Alice', 'Schema first.', 3, 4),
+  turn(3, 'Bob', 'Done & shipped <finally>.', 5, null)
+];
+
+test('format names and aliases resolve', () => {
+  assert.equal(resolveFormat(undefined), 'json');
+  assert.equal(resolveFormat('SRT'), 'srt');
+  assert.equal(resolveFormat('webvtt'), 'vtt');
+  assert.equal(resolveFormat('md'), 'markdown');
+  assert.equal(resolveFormat('txt'), 'text');
+  assert.equal(resolveFormat('docx'), null);
+});
+
+test('SubRip cues number the turns with comma milliseconds', async () => {
+  const result = await exportTranscript(stubPool(TURNS), BLOCK_ID, 'srt');
+  assert.equal(result.filename, 'weekly-sync-q4.srt');
+  assert.equal(result.contentType, 'application/x-subrip');
+  assert.equal(result.body, [
+    '1\n00:00:01,500 --> 00:00:02,750\nAlice: Shall we start?',
+    '2\n00:00:03,000 --> 00:00:04,000\nAlice: Schema first.',
+    // No end time: a default length
+    '3\n00:00:05,000 --> 00:00:07,000\nBob: Done & shipped <finally>.'
+  ].join('\n\n') + '\n');
+});
+
+test('WebVTT escapes markup and keeps the header on one line', async () => {
+  const { body } = await exportTranscript(stubPool(TURNS), BLOCK_ID, 'vtt');
+  const blocks = body.split('\n\n');
+  assert.equal(blocks[0], 'WEBVTT - Weekly <sync>   Q4');
+  assert.equal(blocks[3], '3\n00:00:05.000 --> 00:00:07.000\n<v Bob>Done &amp; shipped &lt;finally&gt;.\n');
+});
+
+test('prose formats group consecutive turns by speaker', async () => {
+  const markdown = (await exportTranscript(stubPool(TURNS), BLOCK_ID, 'markdown')).body;
+  assert.match(markdown, /^# Weekly <sync> --> Q4\n\n\*\*Date:\*\* 2026-10-19 12:00:00 UTC {2}\n/);
+  assert.match(markdown, /\*\*Attendees:\*\* Alice, Bob\n/);
+  assert.match(markdown, /\*\*Alice\*\* \[00:00:01\]\n\nShall we start\? Schema first\.\n\n\*\*Bob\*\* \[00:00:05\]/);
+
+  const text = (await exportTranscript(stubPool(TURNS), BLOCK_ID, 'text')).body;
+  assert.equal(text, [
+    'Weekly <sync> --> Q4',
+    '2026-10-19 12:00:00 UTC',
+    '',
+    '[00:00:01] Alice: Shall we start? Schema first.',
+    '[00:00:05] Bob: Done & shipped <finally>.'
+  ].join('\n') + '\n');
+});
+
+test('JSON export carries speakers and rounded segment times', async () => {
+  const result = await exportTranscript(stubPool(TURNS), BLOCK_ID, 'json');
+  const exported = JSON.parse(result.body);
+  assert.equal(exported.version, 1);
+  assert.equal(exported.meeting.id, BLOCK_ID);
+  assert.deepEqual(exported.speakers[0], { id: 11, name: 'Alice', email: 'alice@example.com', participant_id: 101 });
+  assert.deepEqual(exported.segments[0], {
+    index: 1, id: 1, speaker: 'Alice', speaker_id: 11, start: 1.5, end: 2.75, text: 'Shall we start?', spoken_at: null
+  });
+});
+
+test('cue times never go backwards', async () => {
+  const retried = [
+    turn(1, 'Alice', 'Before the retry.', 100, 110),
+    // A retried meeting's new bot starts its clock again at zero
+    turn(2, 'Bob', 'After the retry.', 2, 4),
+    turn(3, 'Alice', 'Still going.', 5, 6)
+  ];
+  let { segments } = JSON.parse((await exportTranscript(stubPool(retried), BLOCK_ID, 'json')).body);
+  assert.deepEqual(segments.map(segment => [segment.start, segment.end]), [[100, 110], [110, 112], [113, 114]]);
+
+  const untimed = [
+    turn(1, 'Alice', 'Hello.', 1, 2),
+    // No provider times: placed by timestamp, else right after the previous cue
+    turn(2, 'Bob', 'Typed in chat.', null, null, '2026-10-19T12:03:00.000Z'),
+    turn(3, 'Alice', 'No timing at all.', null, null)
+  ];
+  ({ segments } = JSON.parse((await exportTranscript(stubPool(untimed), BLOCK_ID, 'json')).body));
+  assert.deepEqual(segments.map(segment => [segment.start, segment.end]), [[1, 2], [180, 182], [182, 184]]);
+});
+
+test('long transcripts are read page by page and unknown meetings give null', async () => {
+  const turns = Array.from({ length: 4500 }, (_, i) => turn(i + 1, i % 2 ? 'Bob' : 'Alice', `Line ${i + 1}`, i, i + 1));
+  const { segments } = JSON.parse((await exportTranscript(stubPool(turns), BLOCK_ID, 'json')).body);
+  assert.equal(segments.length, 4500);
+  assert.equal(segments[4499].text, 'Line 4500');
+
+  assert.equal(await exportTranscript(stubPool([], null), BLOCK_ID, 'srt'), null);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTranscriptFrame, normalizeWords } = require('../lib/transcript-frames');
+
+test('Recall.ai realtime events are flattened', () => {
+  const frame = parseTranscriptFrame(JSON.stringify({
+    event: 'transcript.data',
+    data: {
+      bot: { id: 'bot-1' },
+      data: {
+        participant: { id: 7, name: 'Alice Chen' },
+        words: [
+          { text: 'Hello', start_timestamp: { relative: 1.5 }, end_timestamp: { relative: 1.9 } },
+          { text: 'there', start_timestamp: { relative: 2.0 }, end_timestamp: { relative: 2.3 } }
+        ]
+      }
+    }
+  }));
+
+  assert.equal(frame.botId, 'bot-1');
+  assert.equal(frame.speaker, 'Alice Chen');
+  assert.equal(frame.text, 'Hello there');
+  assert.deepEqual(frame.words[0], { text: 'Hello', start_time: 1.5, end_time: 1.9 });
+  assert.equal(frame.isFinal, true);
+  // Without a segment id, the participant's utterance in progress is the segment
+  assert.equal(frame.segmentId, '7');
+});
+
+test('partial realtime events are not final', () => {
+  const frame = parseTranscriptFrame({
+    event: 'transcript.partial_data',
+    data: { bot: { id: 'bot-1' }, data: { segment_id: 'seg-3', participant: { name: 'Bob' }, words: [{ text: 'So' }] } }
+  });
+  assert.equal(frame.isFinal, false);
+  assert.equal(frame.segmentId, 'seg-3');
+  assert.deepEqual(frame.words, [{ text: 'So', start_time: null, end_time: null }]);
+});
+
+test('flat frames keep their fields and are final unless marked otherwise', () => {
+  const frame = parseTranscriptFrame({
+    bot_id: 'bot-2',
+    speaker: 'Carol',
+    text: 'Do we have a plan?',
+    timestamp: '2026-10-19T12:00:00.000Z',
+    segment_id: 'abc'
+  });
+  assert.deepEqual(frame, {
+    botId: 'bot-2',
+    speaker: 'Carol',
+    text: 'Do we have a plan?',
+    words: [],
+    timestamp: '2026-10-19T12:00:00.000Z',
+    isFinal: true,
+    segmentId: 'abc'
+  });
+
+  const partial = parseTranscriptFrame({ speaker: 'Carol', words: [{ text: 'Do', start_time: 1, end_time: 1.2 }], is_final: false });
+  assert.equal(partial.isFinal, false);
+  assert.equal(partial.text, 'Do');
+  assert.equal(partial.segmentId, 'Carol');
+  assert.equal(partial.botId, null);
+});
+
+test('invalid JSON throws', () => {
+  assert.throws(() => parseTranscriptFrame('{not json'), SyntaxError);
+});
+
+test('normalizeWords accepts numeric and relative timestamps', () => {
+  assert.deepEqual(normalizeWords([
+    { text: 'a', start_time: 0.5, end_time: 0.7 },
+    { text: 'b', start_timestamp: { relative: 1 }, end_timestamp: { absolute: '2026-10-19T12:00:00Z' } }
+  ]), [
+    { text: 'a', start_time: 0.5, end_time: 0.7 },
+    { text: 'b', start_time: 1, end_time: null }
+  ]);
+  assert.deepEqual(normalizeWords(undefined), []);
+});
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTranscript, TranscriptImportError } = require('../lib/transcript-import');
+
+const summary = turns => turns.map(turn => [turn.speaker, turn.text, turn.start, turn.end]);
+
+test('WebVTT voices are read and consecutive cues merged', () => {
+  const { format, turns } = parseTranscript([
+    'WEBVTT',
+    '',
+    '1',
+    '00:00:01.500 --> 00:00:03.000 align:start',
+    '<v Alice Chen>Shall we</v>',
+    '',
+    '2',
+    '00:00:03.000 --> 00:00:04.250',
+    '<v Alice Chen>start?',
+    '',
+    '00:00:05.000 --> 00:00:07.000',
+    '<v.loud Bob>Yes &amp; <i>quickly</i>.',
+    ''
+  ].join('\r\n'));
+
+  assert.equal(format, 'vtt');
+  assert.deepEqual(summary(turns), [
+    ['Alice Chen', 'Shall we start?', 1.5, 4.25],
+    ['Bob', 'Yes & quickly.', 5, 7]
+  ]);
+});
+
+test('SubRip speakers come from a name prefix or brackets', () => {
+  const { format, turns } = parseTranscript([
+    '1',
+    '00:00:01,000 --> 00:00:02,500',
+    'Alice: Ready when you are.',
+    '',
+    '2',
+    '00:00:03,000 --> 00:00:04,000',
+    '[Bob] Go.',
+    '',
+    '3',
+    '00:00:05,000 --> 00:00:06,000',
+    'At 3.30: we start.'
+  ].join('\n'));
+
+  assert.equal(format, 'srt');
+  assert.deepEqual(summary(turns), [
+    ['Alice', 'Ready when you are.', 1, 2.5],
+    ['Bob', 'Go.', 3, 4],
+    // A prefix that isn't a name stays in the text
+    [null, 'At 3.30: we start.', 5, 6]
+  ]);
+});
+
+test('Zoom text exports keep colons inside a turn', () => {
+  const { format, turns } = parseTranscript([
+    '[Alice Chen] 14:02:10',
+    'Agenda: migration, then hiring.',
+    'Note: the cutover is Tuesday.',
+    '',
+    '[Bob] 14:02:40',
+    'Sounds good.'
+  ].join('\n'));
+
+  assert.equal(format, 'text');
+  // Times count from the first turn; a turn lasts until the next begins
+  assert.deepEqual(summary(turns), [
+    ['Alice Chen', 'Agenda: migration, then hiring. Note: the cutover is Tuesday.', 0, 30],
+    ['Bob', 'Sounds good.', 30, null]
+  ]);
+});
+
+test('Teams, timed and untimed text lines are read', () => {
+  const teams = parseTranscript([
+    'Alice Chen   0:05',
+    'Question: is the schema done?',
+    '',
+    'Bob Martinez   0:12',
+    'It is.'
+  ].join('\n')).turns;
+  assert.deepEqual(summary(teams), [
+    ['Alice Chen', 'Question: is the schema done?', 0, 7],
+    ['Bob Martinez', 'It is.', 7, null]
+  ]);
+
+  const timed = parseTranscript('00:00:03 Alice: Hello.\n00:00:09 From Bob: Hi there.\n').turns;
+  assert.deepEqual(summary(timed), [['Alice', 'Hello.', 0, 6], ['Bob', 'Hi there.', 6, null]]);
+
+  const untimed = parseTranscript('Alice: Hello.\nStill Alice here.\nBob: Hi.').turns;
+  assert.deepEqual(summary(untimed), [['Alice', 'Hello. Still Alice here.', null, null], ['Bob', 'Hi.', null, null]]);
+});
+
+test('JSON turns are accepted as text, arrays or this service\'s export', () => {
+  assert.deepEqual(summary(parseTranscript('[{"speaker": "Alice", "text": " Hi ", "start": 1, "end": "0:02"}]').turns), [
+    ['Alice', 'Hi', 1, 2]
+  ]);
+  assert.deepEqual(summary(parseTranscript([{ name: 'Bob', content: 'Yo', start_time: 3 }, { text: '  ' }]).turns), [
+    ['Bob', 'Yo', 3, null]
+  ]);
+  const exported = parseTranscript({ version: 1, segments: [{ speaker: 'Carol', text: 'Done.', start: 4, end: 5 }] });
+  assert.equal(exported.format, 'json');
+  assert.deepEqual(summary(exported.turns), [['Carol', 'Done.', 4, 5]]);
+});
+
+test('unreadable transcripts are refused with a reason', () => {
+  const refuses = (input, message, format) => assert.throws(
+    () => parseTranscript(input, format),
+    error => error instanceof TranscriptImportError && error.status === 400 && message.test(error.message)
+  );
+  refuses('WEBVTT\n\nno cues here', /No cues found in the WebVTT file/);
+  refuses('WEBVTT\n\n00:00:xx --> 00:00:02\nHi', /Invalid cue timing/);
+  refuses('[{"text": 1}]', /Turn 1 has no text/);
+  refuses('[{"text": "Hi", "start": -1}]', /Invalid time -1/);
+  refuses('{"turns": 3}', /must be an array/);
+  refuses('{oops', /Invalid JSON/, 'json');
+  refuses('\n\n', /No turns found/);
+  refuses('Hello', /Unknown transcript format "docx"/, 'docx');
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { reconcileMeeting, finalSegments, align, textSimilarity } = require('../lib/transcript-reconciler');
+
+const words = text => text.toLowerCase().replace(/[^\p{L}\p{N}\s']/gu, ' ').split(/\s+/).filter(Boolean);
+
+// Turns and segments as reconcileMeeting() hands them to align()
+function turn(text, start_time = null, end_time = null) {
+  return { text, tokens: words(text), start_time, end_time };
+}
+
+function summary(steps) {
+  return steps.map(({ live, final }) => [live && live.text, final && final.text]);
+}
+
+test('textSimilarity is the Dice coefficient over the longest common subsequence', () => {
+  assert.equal(textSimilarity(words('we will cut over next tuesday'), words('we will cut over next tuesday')), 1);
+  assert.equal(textSimilarity([], []), 1);
+  assert.equal(textSimilarity(['a'], []), 0);
+  // 3 shared in order out of 4 + 4
+  assert.equal(textSimilarity(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd']), 0.75);
+  // Order matters: the common subsequence of reversed lists is one word
+  assert.equal(textSimilarity(['a', 'b'], ['b', 'a']), 0.5);
+});
+
+test('finalSegments flattens the provider transcript', () => {
+  const segments = finalSegments([
+    { speaker: 'Alice', words: [{ text: 'Hello', start_time: 1, end_time: 1.4 }, { text: 'all', start_time: 1.5, end_time: 1.8 }] },
+    { participant: { name: 'Bob' }, words: [{ text: 'Hi', start_timestamp: { relative: 2 }, end_timestamp: { relative: 2.2 } }] },
+    { words: [] },
+    { text: 'No words here' }
+  ]);
+  assert.deepEqual(segments.map(segment => [segment.speaker, segment.text, segment.start_time, segment.end_time]), [
+    ['Alice', 'Hello all', 1, 1.8],
+    ['Bob', 'Hi', 2, 2.2],
+    ['Unknown speaker', 'No words here', null, null]
+  ]);
+  assert.deepEqual(finalSegments({ segments: [{ speaker: 'A', text: 'x' }] }).map(segment => segment.text), ['x']);
+  assert.deepEqual(finalSegments(null), []);
+});
+
+test('matching turns pair up and dropped segments are filled in', () => {
+  const live = [
+    turn('thanks everyone for joining'),
+    turn('we finished the schema work'),
+    turn('perfect lets move on to hiring')
+  ];
+  const final = [
+    turn('Thanks everyone for joining.'),
+    turn('I can give a quick update on billing.'),
+    turn('We finished the schema work and will cut over.'),
+    turn('Perfect. Let us move on to hiring.')
+  ];
+
+  assert.deepEqual(summary(align(live, final)), [
+    ['thanks everyone for joining', 'Thanks everyone for joining.'],
+    [null, 'I can give a quick update on billing.'],
+    ['we finished the schema work', 'We finished the schema work and will cut over.'],
+    ['perfect lets move on to hiring', 'Perfect. Let us move on to hiring.']
+  ]);
+});
+
+test('live turns with no counterpart are kept unmatched', () => {
+  const steps = align([turn('completely unrelated chatter'), turn('hello there')], [turn('hello there')]);
+  assert.deepEqual(summary(steps), [['completely unrelated chatter', null], ['hello there', 'hello there']]);
+});
+
+test('overlapping word times let a weaker text match through', () => {
+  const live = [turn('the budget for q3', 10, 12)];
+  const final = [turn('our budget target for the third quarter is set', 10.5, 13)];
+  assert.equal(align(live, final)[0].final, final[0]);
+  // Without the times the same texts are too different to pair
+  const untimed = align([turn('the budget for q3')], [turn('our budget target for the third quarter is set')]);
+  assert.equal(untimed.length, 2);
+  assert.ok(untimed.every(step => !step.live || !step.final));
+});
+
+test('empty sides align to all gaps', () => {
+  assert.deepEqual(align([], []), []);
+  assert.deepEqual(summary(align([turn('a b c')], [])), [['a b c', null]]);
+  assert.deepEqual(summary(align([], [turn('a b c')])), [[null, 'a b c']]);
+});
+
+test('long transcripts align within the band', () => {
+  const sentences = Array.from({ length: 3000 }, (_, i) => `sentence number ${i} about topic ${i % 17}`);
+  const live = sentences.filter((_, i) => i % 10 !== 3).map(text => turn(text));
+  const final = sentences.map(text => turn(text));
+
+  const steps = align(live, final);
+  assert.equal(steps.length, final.length);
+  assert.equal(steps.filter(step => step.live && step.final).length, live.length);
+  assert.ok(steps.every(step => !step.live || !step.final || step.live.text === step.final.text));
+});
+
+test('a final segment without a speaker keeps the live speaker', async () => {
+  const queries = [];
+  const query = async (sql, params) => {
+    queries.push([sql, params]);
+    if (sql.includes('FROM block_meetings')) {
+      return { rows: [{ recall_bot_id: 'bot-1', full_transcript: [{ text: 'We ship on Friday.' }] }] };
+    }
+    if (sql.includes('FROM block_turns bt')) {
+      return { rows: [{ turn_id: 't-1', content: 'we ship on friday', metadata: { attendee_id: '4' }, sequence_order: 1, speaker: 'Alice' }] };
+    }
+    if (sql.includes('INSERT INTO transcript_reconciliations')) return { rows: [{ summary: params[1], changes: JSON.parse(params[2]) }] };
+    return { rows: [] };
+  };
+  const pool = { connect: async () => ({ query, release() {} }) };
+
+  const report = await reconcileMeeting(pool, 'block-1');
+  assert.equal(report.summary.text_corrected, 1);
+  assert.equal(report.summary.speaker_corrected, 0);
+  const [, [, , metadata]] = queries.find(([sql]) => sql.includes('UPDATE turns SET content'));
+  assert.equal(metadata.attendee_id, '4');
+  assert.equal(queries.some(([sql]) => sql.includes('INSERT INTO block_attendees')), false);
+});
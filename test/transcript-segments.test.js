@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSegmentTracker } = require('../lib/transcript-segments');
+
+const MEETING = { block_id: 'block-1' };
+
+function frame(segmentId, text, isFinal, timestamp = '2026-10-19T12:00:00.000Z') {
+  return { botId: 'bot-1', speaker: 'Alice', text, words: [], timestamp, isFinal, segmentId };
+}
+
+function tracker(options = {}) {
+  const finals = [];
+  const segments = createSegmentTracker({ onFinal: (meeting, final) => finals.push(final), ...options });
+  return { segments, finals };
+}
+
+test('partials are held back and the final text is committed once', () => {
+  const { segments, finals } = tracker();
+  segments.accept(MEETING, frame('s1', 'We', false, '2026-10-19T12:00:00.000Z'));
+  segments.accept(MEETING, frame('s1', 'We finished', false, '2026-10-19T12:00:01.000Z'));
+  assert.equal(finals.length, 0);
+
+  segments.accept(MEETING, frame('s1', 'We finished the schema work.', true, '2026-10-19T12:00:02.000Z'));
+  assert.equal(finals.length, 1);
+  assert.equal(finals[0].text, 'We finished the schema work.');
+  assert.equal(finals[0].revisions, 2);
+  assert.equal(finals[0].startedAt, '2026-10-19T12:00:00.000Z');
+
+  // Nothing is left open for the segment
+  segments.finalize();
+  assert.equal(finals.length, 1);
+});
+
+test('a final without partials commits straight away', () => {
+  const { segments, finals } = tracker();
+  segments.accept(MEETING, frame('s2', 'Great, go ahead.', true));
+  assert.equal(finals.length, 1);
+  assert.equal(finals[0].revisions, 0);
+  assert.equal(finals[0].isFinal, true);
+});
+
+test('empty finals close the segment without a turn', () => {
+  const { segments, finals } = tracker();
+  segments.accept(MEETING, frame('s3', 'Um', false));
+  segments.accept(MEETING, frame('s3', '  ', true));
+  segments.finalize();
+  assert.equal(finals.length, 0);
+});
+
+test('segments of different speakers and meetings are tracked apart', () => {
+  const { segments, finals } = tracker();
+  segments.accept(MEETING, frame('s1', 'First', false));
+  segments.accept({ block_id: 'block-2' }, frame('s1', 'Other meeting', false));
+  segments.accept(MEETING, frame('s2', 'Second', true));
+  assert.deepEqual(finals.map(final => final.text), ['Second']);
+
+  segments.finalize('block-1');
+  assert.deepEqual(finals.map(final => final.text), ['Second', 'First']);
+  segments.finalize();
+  assert.deepEqual(finals.map(final => final.text), ['Second', 'First', 'Other meeting']);
+});
+
+test('finalize commits open segments from their last hypothesis', t => {
+  t.mock.method(console, 'warn', () => {});
+  const { segments, finals } = tracker();
+  segments.accept(MEETING, frame('s1', 'If the cutover', false));
+  segments.accept(MEETING, frame('s1', 'If the cutover fails', false));
+  segments.finalize('block-1');
+  assert.equal(finals.length, 1);
+  assert.equal(finals[0].text, 'If the cutover fails');
+  assert.equal(finals[0].finalizedFromPartial, true);
+});
+
+test('a partial with no updates for staleAfterMs is committed', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const { segments, finals } = tracker({ staleAfterMs: 100 });
+  segments.accept(MEETING, frame('s1', 'And then', false));
+  await new Promise(resolve => setTimeout(resolve, 60));
+  // An update restarts the clock
+  segments.accept(MEETING, frame('s1', 'And then the call dropped', false));
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(finals.length, 0);
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.equal(finals.length, 1);
+  assert.equal(finals[0].text, 'And then the call dropped');
+  assert.equal(finals[0].finalizedFromPartial, true);
+});
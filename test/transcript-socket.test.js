@@ -0,0 +1,161 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const { createTranscriptChannels, createChannelToken, verifyChannelToken } = require('../lib/transcript-socket');
+
+const SECRET = 'test-secret';
+const BLOCK_ID = '5f0c7a52-8d6e-4f43-9d1e-2b7f3a1c9e10';
+const OTHER_BLOCK_ID = '0b6f1e27-3c4d-4e5f-8a9b-1c2d3e4f5a6b';
+
+test('a channel token verifies for its own meeting only', () => {
+  const token = createChannelToken(SECRET, BLOCK_ID);
+  assert.ok(verifyChannelToken(SECRET, BLOCK_ID, token));
+  assert.equal(verifyChannelToken(SECRET, OTHER_BLOCK_ID, token), false);
+  assert.equal(verifyChannelToken('other-secret', BLOCK_ID, token), false);
+});
+
+test('expired, truncated and missing tokens are refused', () => {
+  assert.equal(verifyChannelToken(SECRET, BLOCK_ID, createChannelToken(SECRET, BLOCK_ID, -1)), false);
+  const token = createChannelToken(SECRET, BLOCK_ID);
+  assert.equal(verifyChannelToken(SECRET, BLOCK_ID, token.slice(0, -2)), false);
+  assert.equal(verifyChannelToken(SECRET, BLOCK_ID, token.split('.')[1]), false);
+  assert.equal(verifyChannelToken(SECRET, BLOCK_ID, ''), false);
+  assert.equal(verifyChannelToken(SECRET, BLOCK_ID, undefined), false);
+  // Pushing the expiry out invalidates the signature
+  const [expiresAt, signature] = token.split('.');
+  assert.equal(verifyChannelToken(SECRET, BLOCK_ID, `${Number(expiresAt) + 3600}.${signature}`), false);
+});
+
+// Channels on a local server; query answers the channel's meeting lookups
+async function startChannels(query, onFrame = async () => {}) {
+  const channels = createTranscriptChannels({ pool: { query }, secret: SECRET, onFrame });
+  const server = http.createServer();
+  server.on('upgrade', (req, socket, head) => {
+    if (!channels.handleUpgrade(req, socket, head)) socket.destroy();
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  return {
+    channels,
+    url: blockId => channels.channelUrl(`ws://localhost:${server.address().port}`, blockId),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Resolves to 'open' or the refused upgrade's HTTP status
+function connect(url) {
+  return new Promise(resolve => {
+    const ws = new WebSocket(url);
+    ws.on('open', () => resolve({ ws, outcome: 'open' }));
+    ws.on('unexpected-response', (req, res) => resolve({ outcome: res.statusCode }));
+    ws.on('error', () => resolve({ outcome: 'error' }));
+  });
+}
+
+function frame(botId, text) {
+  return JSON.stringify({ bot_id: botId, speaker: 'Alice', text, is_final: true, segment_id: text });
+}
+
+test('upgrades without a valid token for the meeting are refused', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const meeting = { block_id: BLOCK_ID, recall_bot_id: 'bot-1' };
+  const server = await startChannels(async () => ({ rows: [meeting] }));
+
+  try {
+    const forged = server.url(BLOCK_ID).replace(/token=[^&]+/, 'token=123.abc');
+    assert.equal((await connect(forged)).outcome, 401);
+    // A token for one meeting doesn't open another's channel
+    const crossed = server.url(OTHER_BLOCK_ID).replace(OTHER_BLOCK_ID, BLOCK_ID);
+    assert.equal((await connect(crossed)).outcome, 401);
+    assert.equal(server.channels.getMetrics().refusedUpgrades, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('only frames from the channel bot are passed on', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const meeting = { block_id: BLOCK_ID, recall_bot_id: 'bot-1' };
+  const received = [];
+  let delivered;
+  const allDelivered = new Promise(resolve => { delivered = resolve; });
+  const server = await startChannels(async () => ({ rows: [meeting] }), async (row, parsed) => {
+    received.push([row.block_id, parsed.botId, parsed.text]);
+    if (parsed.text === 'last') delivered();
+  });
+
+  try {
+    const { ws, outcome } = await connect(server.url(BLOCK_ID));
+    assert.equal(outcome, 'open');
+    ws.send(frame('bot-2', 'injected'));
+    ws.send('not json');
+    ws.send(frame('bot-1', 'hello'));
+    ws.send(frame('bot-1', 'last'));
+    await allDelivered;
+    ws.close();
+
+    assert.deepEqual(received, [[BLOCK_ID, 'bot-1', 'hello'], [BLOCK_ID, 'bot-1', 'last']]);
+    const metrics = server.channels.getMetrics();
+    assert.equal(metrics.framesAccepted, 2);
+    assert.equal(metrics.framesRejected, 2);
+    // Counts only: nothing identifying a meeting or a connection
+    assert.deepEqual(Object.keys(metrics).sort(), ['active', 'connections', 'failedChannels', 'framesAccepted', 'framesRejected', 'refusedUpgrades']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a frame that fails on the database closes its channel with an internal error', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  // The bot id isn't stored yet, so the first frame looks it up, and the lookup fails
+  let lookups = 0;
+  const server = await startChannels(async () => {
+    lookups++;
+    if (lookups === 1) return { rows: [{ block_id: BLOCK_ID, recall_bot_id: null }] };
+    throw new Error('connection terminated');
+  });
+
+  try {
+    const { ws } = await connect(server.url(BLOCK_ID));
+    const closed = new Promise(resolve => ws.on('close', code => resolve(code)));
+    ws.send(frame('bot-1', 'hello'));
+    assert.equal(await closed, 1011);
+    assert.equal(server.channels.getMetrics().failedChannels, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('frames on a channel are handled one at a time, in order', async t => {
+  t.mock.method(console, 'log', () => {});
+  // The bot id isn't stored when the channel opens; the first frame looks it up
+  let lookups = 0;
+  const server = await startChannels(async () => {
+    lookups++;
+    return { rows: [{ block_id: BLOCK_ID, recall_bot_id: lookups === 1 ? null : 'bot-1' }] };
+  }, async (row, parsed) => {
+    events.push(`start ${parsed.text}`);
+    // The first frame is slow to write
+    if (parsed.text === 'first') await new Promise(resolve => setTimeout(resolve, 50));
+    events.push(`end ${parsed.text}`);
+    if (parsed.text === 'third') delivered();
+  });
+  const events = [];
+  let delivered;
+  const allDelivered = new Promise(resolve => { delivered = resolve; });
+
+  try {
+    const { ws } = await connect(server.url(BLOCK_ID));
+    ['first', 'second', 'third'].forEach(text => ws.send(frame('bot-1', text)));
+    await allDelivered;
+    ws.close();
+
+    assert.deepEqual(events, ['start first', 'end first', 'start second', 'end second', 'start third', 'end third']);
+    // One upgrade lookup, one bot id lookup
+    assert.equal(lookups, 2);
+  } finally {
+    await server.close();
+  }
+});
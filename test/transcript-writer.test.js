@@ -0,0 +1,160 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTranscriptWriter } = require('../lib/transcript-writer');
+const { UNKNOWN_SPEAKER } = require('../lib/speaker-identity');
+
+const BLOCK_ID = '5f0c7a52-8d6e-4f43-9d1e-2b7f3a1c9e10';
+const MEETING = { block_id: BLOCK_ID, recall_bot_id: 'bot-1' };
+
+/**
+ * A pool over one meeting's attendees, turns and block_turns links, with
+ * participants (name → id) that find_participant_id() knows. Every
+ * transaction is recorded as the list of its statements; failures makes the
+ * next that many turn inserts throw.
+ */
+function stubPool({ participants = {}, failures = 0 } = {}) {
+  const attendees = [];
+  const turns = [];
+  const links = [];
+  const transactions = [];
+  let nextParticipant = 500;
+  let current = null;
+
+  async function query(sql, params = []) {
+    if (sql === 'BEGIN') {
+      current = [];
+      transactions.push(current);
+      return { rows: [] };
+    }
+    if (sql === 'COMMIT' || sql === 'ROLLBACK') return { rows: [] };
+    current.push(sql);
+
+    if (sql.includes('FROM participant_aliases')) return { rows: [] };
+    if (sql.includes('find_participant_id')) return { rows: [{ id: participants[params[0]] || null }] };
+    if (sql.includes('INSERT INTO conversation.participants')) return { rows: [{ id: nextParticipant++ }] };
+    if (sql.includes('INSERT INTO block_attendees')) {
+      const [blockId, name] = params;
+      let attendee = attendees.find(row => row.block_id === blockId && row.name === name);
+      if (!attendee) {
+        attendee = { id: attendees.length + 1, block_id: blockId, name, email: null, participant_id: null };
+        attendees.push(attendee);
+      }
+      return { rows: [{ ...attendee }] };
+    }
+    if (sql.includes('UPDATE block_attendees SET participant_id')) {
+      const attendee = attendees.find(row => row.id === params[0]);
+      attendee.participant_id = params[1];
+      return { rows: [{ ...attendee }] };
+    }
+    if (sql.includes('SELECT 1 FROM block_turns')) {
+      return { rows: turns.filter(turn => String(turn.metadata.attendee_id) === params[1]).slice(0, 1) };
+    }
+    if (sql.includes('MAX(sequence_order)')) {
+      return { rows: [{ last_order: Math.max(0, ...links.map(link => link.sequence_order)) }] };
+    }
+    if (sql.includes('INSERT INTO turns')) {
+      if (failures > 0) {
+        failures--;
+        throw new Error('connection terminated');
+      }
+      for (let i = 0; i < params.length; i += 5) {
+        turns.push({ turn_id: params[i], participant_id: params[i + 1], content: params[i + 2], metadata: params[i + 4] });
+      }
+      return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO block_turns')) {
+      for (let i = 1; i < params.length; i += 2) links.push({ turn_id: params[i], sequence_order: params[i + 1] });
+      return { rows: [] };
+    }
+    return { rows: [] };
+  }
+
+  return { attendees, turns, links, transactions, query, connect: async () => ({ query, release() {} }) };
+}
+
+function frame(speaker, text) {
+  return { speaker, text, timestamp: '2026-10-19T12:00:00.000Z', botId: 'bot-1', segmentId: text, words: [] };
+}
+
+test('buffered frames are committed in batches with consecutive sequence numbers', async t => {
+  t.mock.method(console, 'log', () => {});
+  const pool = stubPool();
+  const commits = [];
+  const writer = createTranscriptWriter({
+    pool,
+    flushIntervalMs: 60000,
+    maxBatchSize: 3,
+    onCommit: (blockId, turns) => commits.push(turns.map(turn => turn.content))
+  });
+
+  writer.enqueue(MEETING, frame('Alice', 'one'));
+  writer.enqueue(MEETING, frame('Alice', 'two'));
+  // Under the batch size, frames wait for the timer
+  assert.equal(pool.transactions.length, 0);
+  writer.enqueue(MEETING, frame('Bob', 'three'));
+  writer.enqueue(MEETING, frame('Alice', 'four'));
+  await writer.close();
+
+  assert.deepEqual(commits, [['one', 'two', 'three'], ['four']]);
+  assert.deepEqual(pool.links.map(link => link.sequence_order), [1, 2, 3, 4]);
+  // Each batch is one transaction, under the meeting's lock, with one insert for its turns
+  assert.equal(pool.transactions.length, 2);
+  for (const statements of pool.transactions) {
+    assert.match(statements[0], /pg_advisory_xact_lock/);
+    assert.equal(statements.filter(sql => sql.includes('INSERT INTO turns')).length, 1);
+  }
+});
+
+test('speakers become attendees linked to their participant, joining once', async t => {
+  t.mock.method(console, 'log', () => {});
+  const pool = stubPool({ participants: { Alice: 101 } });
+  const joined = [];
+  const writer = createTranscriptWriter({
+    pool,
+    flushIntervalMs: 60000,
+    onCommit: (blockId, turns, commit) => joined.push(commit.joined.map(attendee => attendee.name))
+  });
+
+  writer.enqueue(MEETING, frame('Alice', 'hello'));
+  writer.enqueue(MEETING, frame('Bob', 'hi'));
+  writer.enqueue(MEETING, frame(null, 'who said that'));
+  await writer.flush(BLOCK_ID);
+  writer.enqueue(MEETING, frame('Alice', 'again'));
+  await writer.flush(BLOCK_ID);
+
+  assert.deepEqual(joined, [['Alice', 'Bob', UNKNOWN_SPEAKER], []]);
+  assert.deepEqual(pool.attendees.map(({ name, participant_id }) => [name, participant_id]), [
+    ['Alice', 101], ['Bob', 500], [UNKNOWN_SPEAKER, null]
+  ]);
+  assert.deepEqual(pool.turns.map(turn => [turn.content, turn.participant_id, turn.metadata.attendee_id]), [
+    ['hello', 101, 1], ['hi', 500, 2], ['who said that', null, 3], ['again', 101, 1]
+  ]);
+  // The second batch found Alice in the cache
+  assert.equal(pool.transactions[1].filter(sql => sql.includes('INSERT INTO block_attendees')).length, 0);
+
+  // Forgetting the meeting looks its speakers up again
+  writer.forgetMeeting(BLOCK_ID);
+  writer.enqueue(MEETING, frame('Alice', 'once more'));
+  await writer.flush(BLOCK_ID);
+  assert.equal(pool.transactions[2].filter(sql => sql.includes('INSERT INTO block_attendees')).length, 1);
+});
+
+test('a failed batch is retried, then dropped', async t => {
+  t.mock.method(console, 'error', () => {});
+  const pool = stubPool({ failures: 1 });
+  const writer = createTranscriptWriter({ pool, flushIntervalMs: 60000 });
+
+  writer.enqueue(MEETING, frame('Alice', 'hello'));
+  await writer.flush(BLOCK_ID);
+  assert.equal(pool.turns.length, 0);
+  await writer.flush(BLOCK_ID);
+  assert.deepEqual(pool.turns.map(turn => turn.content), ['hello']);
+
+  const failing = stubPool({ failures: 3 });
+  const dropping = createTranscriptWriter({ pool: failing, flushIntervalMs: 60000 });
+  dropping.enqueue(MEETING, frame('Alice', 'lost'));
+  for (let i = 0; i < 3; i++) await dropping.flush(BLOCK_ID);
+  await dropping.flush(BLOCK_ID);
+  assert.equal(failing.turns.length, 0);
+  assert.equal(failing.transactions.length, 3);
+});
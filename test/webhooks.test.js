@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { signWebhook, verifyWebhookSignature, requireWebhookSignature } = require('../lib/webhooks');
+
+const SECRET = 'whsec_' + Buffer.from('a secret of some length').toString('base64');
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+const BODY = JSON.stringify({ event: 'bot.status_change', bot_id: 'bot-1', status: 'in_call' });
+
+// A request as express hands it over: header lookup by name and the raw body
+function request({ id = 'msg_1', timestamp = String(NOW / 1000), body = BODY, secret = SECRET, prefix = 'webhook', signature } = {}) {
+  const headers = {
+    [`${prefix}-id`]: id,
+    [`${prefix}-timestamp`]: timestamp,
+    [`${prefix}-signature`]: signature || signWebhook(secret, id, timestamp, body)
+  };
+  return { rawBody: body, get: name => headers[name.toLowerCase()] };
+}
+
+test('signWebhook signs id, timestamp and body the Svix way', () => {
+  const signature = signWebhook(SECRET, 'msg_1', '1700000000', '{}');
+  assert.match(signature, /^v1,[A-Za-z0-9+/]+=*$/);
+  assert.equal(signWebhook(SECRET, 'msg_1', '1700000000', '{}'), signature);
+  assert.notEqual(signWebhook(SECRET, 'msg_2', '1700000000', '{}'), signature);
+  // whsec_ secrets are base64, anything else is raw text
+  assert.equal(signWebhook('whsec_' + Buffer.from('raw').toString('base64'), 'a', '1', 'b'), signWebhook('raw', 'a', '1', 'b'));
+});
+
+test('a correctly signed, fresh webhook is valid', () => {
+  const result = verifyWebhookSignature(request(), SECRET, { now: NOW });
+  assert.deepEqual(result, { valid: true, id: 'msg_1', timestamp: NOW / 1000 });
+});
+
+test('svix- header names are accepted too', () => {
+  assert.equal(verifyWebhookSignature(request({ prefix: 'svix' }), SECRET, { now: NOW }).valid, true);
+});
+
+test('any of several space-separated signatures may match', () => {
+  const good = signWebhook(SECRET, 'msg_1', String(NOW / 1000), BODY);
+  const req = request({ signature: `v1,bm90IGl0 ${good}` });
+  assert.equal(verifyWebhookSignature(req, SECRET, { now: NOW }).valid, true);
+});
+
+test('forged, tampered and unsigned webhooks are rejected', () => {
+  const forged = verifyWebhookSignature(request({ secret: 'someone else' }), SECRET, { now: NOW });
+  assert.deepEqual(forged, { valid: false, id: 'msg_1', reason: 'signature mismatch' });
+
+  const tampered = request();
+  tampered.rawBody = BODY.replace('in_call', 'completed');
+  assert.equal(verifyWebhookSignature(tampered, SECRET, { now: NOW }).reason, 'signature mismatch');
+
+  const unsigned = { rawBody: BODY, get: () => undefined };
+  assert.equal(verifyWebhookSignature(unsigned, SECRET, { now: NOW }).reason, 'missing signature headers');
+});
+
+test('webhooks outside the tolerance window are rejected as replays', () => {
+  const old = request({ timestamp: String(NOW / 1000 - 301) });
+  assert.equal(verifyWebhookSignature(old, SECRET, { now: NOW }).reason, 'timestamp outside tolerance window');
+  assert.equal(verifyWebhookSignature(old, SECRET, { now: NOW, toleranceSeconds: 600 }).valid, true);
+
+  const future = request({ timestamp: String(NOW / 1000 + 301) });
+  assert.equal(verifyWebhookSignature(future, SECRET, { now: NOW }).valid, false);
+  assert.equal(verifyWebhookSignature(request({ timestamp: 'soon' }), SECRET, { now: NOW }).valid, false);
+});
+
+test('requireWebhookSignature lets valid webhooks through and answers the rest', t => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  const respond = () => {
+    const res = { status(code) { res.code = code; return res; }, send(body) { res.body = body; return res; } };
+    return res;
+  };
+
+  const middleware = requireWebhookSignature(() => SECRET, { now: NOW });
+  const req = request();
+  let passed = false;
+  middleware(req, respond(), () => { passed = true; });
+  assert.ok(passed);
+  assert.equal(req.webhookId, 'msg_1');
+
+  const rejected = respond();
+  middleware(request({ secret: 'forged' }), rejected, () => assert.fail('forged webhook passed'));
+  assert.equal(rejected.code, 401);
+
+  const unconfigured = respond();
+  requireWebhookSignature(() => undefined)(request(), unconfigured, () => assert.fail('passed without a secret'));
+  assert.equal(unconfigured.code, 503);
+});